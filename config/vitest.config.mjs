@@ -0,0 +1,19 @@
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {defineConfig} from 'vitest/config';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export default defineConfig({
+    root: rootDir,
+    test: {
+        environment: 'jsdom',
+        environmentOptions: {
+            jsdom: {
+                url: 'https://localhost/',
+            },
+        },
+        include: ['tests/**/*.test.js'],
+        setupFiles: ['tests/setup/index.js'],
+    },
+});
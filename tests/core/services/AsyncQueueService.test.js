@@ -0,0 +1,64 @@
+import {describe, expect, it, vi} from 'vitest';
+import AsyncQueueService from '../../../userscripts/common/core/services/AsyncQueueService.js';
+
+/**
+ * Resolve once the queue has no pending or running tasks.
+ * @param {AsyncQueueService} queue - Queue to wait for
+ * @return {Promise<void>}
+ */
+async function drain(queue) {
+    while (0 < queue.getQueueLength() || 0 < queue.getActiveTasksCount() || queue.isQueueProcessing()) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+}
+
+describe('AsyncQueueService', () => {
+    it('runs queued tasks by priority', async () => {
+        const queue = new AsyncQueueService();
+        const order = [];
+        const blocker = new Promise((resolve) => setTimeout(resolve, 20));
+
+        queue.add(async () => {
+            await blocker;
+            order.push('first');
+        });
+        queue.add(async () => order.push('low'), {priority: 1});
+        queue.add(async () => order.push('high'), {priority: 5});
+        await drain(queue);
+
+        expect(order).toEqual(['first', 'high', 'low']);
+    });
+
+    it('respects the concurrency limit', async () => {
+        const queue = new AsyncQueueService(0, 2);
+        let running = 0;
+        let peak = 0;
+
+        for (let i = 0; 5 > i; i++) {
+            queue.add(async () => {
+                running++;
+                peak = Math.max(peak, running);
+                await new Promise((resolve) => setTimeout(resolve, 10));
+                running--;
+            });
+        }
+        await drain(queue);
+
+        expect(peak).toBe(2);
+    });
+
+    it('retries failed tasks until they succeed or run out of retries', async () => {
+        const queue = new AsyncQueueService(0, 1, 2);
+        let attempts = 0;
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        queue.add(async () => {
+            attempts++;
+            throw new Error('always fails');
+        });
+        await drain(queue);
+
+        expect(attempts).toBe(3);
+    });
+});
@@ -0,0 +1,93 @@
+import {describe, expect, it, vi} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import GeneratedMediaCollector from '../../../userscripts/common/core/services/GeneratedMediaCollector.js';
+import VideoDownloader from '../../../userscripts/common/core/utils/VideoDownloader/index.js';
+
+/**
+ * Add a generated image to the page
+ * @param {string} src - Image URL
+ */
+function addImage(src) {
+    const img = document.createElement('img');
+    img.className = 'generated';
+    img.src = src;
+    document.body.appendChild(img);
+}
+
+const createCollector = () => new GeneratedMediaCollector({
+    script: 'Test Enhancer',
+    findMedia: () => document.querySelectorAll('img.generated')
+});
+
+describe('GeneratedMediaCollector', () => {
+    it('downloads only media that appears after each prompt and names it after the prompt', async () => {
+        addImage('https://cdn.example.com/old.png');
+        const collector = createCollector();
+        collector.start('batch');
+
+        await collector.beginPrompt(0, 'A cat in watercolor style');
+        addImage('https://cdn.example.com/cat-1.png');
+        addImage('https://cdn.example.com/cat-2.png');
+        await collector.beginPrompt(1, 'A dog, pixel art!');
+        addImage('https://cdn.example.com/dog.jpg');
+        const manifest = await collector.finish();
+
+        expect(gm.downloads.map((download) => download.name)).toEqual([
+            'batch_001-1_a-cat-in-watercolor-style.png',
+            'batch_001-2_a-cat-in-watercolor-style.png',
+            'batch_002-1_a-dog-pixel-art.jpg'
+        ]);
+        expect(manifest.items.map((item) => item.files.length)).toEqual([2, 1]);
+        expect(manifest.finishedAt).not.toBeNull();
+        expect(collector.getDownloadedCount()).toBe(3);
+    });
+
+    it('records failed downloads in the manifest', async () => {
+        const collector = new GeneratedMediaCollector({
+            script: 'Test Enhancer',
+            findMedia: () => document.querySelectorAll('img.generated'),
+            download: ({onerror}) => onerror({error: 'not_whitelisted'})
+        });
+        collector.start('batch');
+
+        await collector.beginPrompt(0, 'Broken');
+        addImage('https://cdn.example.com/broken.png');
+        const manifest = await collector.finish();
+
+        expect(manifest.items[0].files[0]).toMatchObject({downloaded: false, error: 'not_whitelisted'});
+    });
+
+    it('writes one CSV row per file and keeps prompts without output', () => {
+        const csv = GeneratedMediaCollector.toCsv({
+            items: [
+                {index: 1, prompt: 'Say "hi", twice', files: [{filename: 'a.png', type: 'image', url: 'https://x/a.png', downloaded: true, error: null}]},
+                {index: 2, prompt: 'Nothing', files: []}
+            ]
+        });
+
+        expect(csv.split('\n')).toEqual([
+            'index,prompt,filename,type,url,downloaded,error',
+            '1,"Say ""hi"", twice",a.png,image,https://x/a.png,true,',
+            '2,Nothing,,,,,'
+        ]);
+    });
+
+    it('saves the manifest as a file named after the batch', async () => {
+        const trigger = vi.spyOn(VideoDownloader, 'triggerDownload').mockImplementation(() => {});
+        URL.createObjectURL = vi.fn(() => 'blob:manifest');
+        URL.revokeObjectURL = vi.fn();
+        vi.useFakeTimers();
+        const collector = createCollector();
+        collector.start('batch');
+        await collector.beginPrompt(0, 'Prompt');
+
+        expect(collector.saveManifest('csv')).toBe('batch_manifest.csv');
+        expect(trigger).toHaveBeenCalledWith('blob:manifest', 'batch_manifest.csv');
+        vi.runAllTimers();
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:manifest');
+        vi.useRealTimers();
+        trigger.mockRestore();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+});
@@ -0,0 +1,123 @@
+import {describe, expect, it, vi} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import SettingsBackupService from '../../../userscripts/common/core/services/SettingsBackupService.js';
+import FormStatePersistence from '../../../userscripts/common/core/utils/FormStatePersistence.js';
+import PubSub from '../../../userscripts/common/core/utils/PubSub.js';
+import ExportUtils from '../../../userscripts/common/core/utils/ExportUtils.js';
+
+const SETTINGS_KEYS = {
+    AUTO_SUBMIT: 'test-auto-submit',
+    DELAY: 'test-delay'
+};
+
+const DEFAULT_SETTINGS = {
+    AUTO_SUBMIT: true,
+    DELAY: 1000
+};
+
+const createService = (options = {}) => new SettingsBackupService({
+    script: 'Test Script',
+    keys: SETTINGS_KEYS,
+    defaults: DEFAULT_SETTINGS,
+    localStorageKeys: ['test-blocked-terms', 'test-language'],
+    ...options
+});
+
+const backupWith = (settings, overrides = {}) => ({
+    format: SettingsBackupService.FORMAT,
+    version: SettingsBackupService.FORMAT_VERSION,
+    script: 'Test Script',
+    exportedAt: '2024-01-01T00:00:00.000Z',
+    settings,
+    ...overrides
+});
+
+describe('SettingsBackupService', () => {
+    it('exports GM and localStorage settings and imports them again', async () => {
+        gm.setValue('test-auto-submit', false);
+        gm.setValue('test-delay', 2500);
+        localStorage.setItem('test-blocked-terms', JSON.stringify(['mac', 'apple']));
+        localStorage.setItem('test-language', 'es');
+
+        const backup = await createService().createBackup();
+        expect(backup).toMatchObject({format: 'userscripts-settings', version: 1, script: 'Test Script'});
+        expect(backup.settings).toEqual({
+            'test-auto-submit': false,
+            'test-delay': 2500,
+            'test-blocked-terms': ['mac', 'apple'],
+            'test-language': 'es'
+        });
+
+        gm.storage.clear();
+        localStorage.clear();
+        const imported = vi.fn();
+        PubSub.subscribe(SettingsBackupService.EVENTS.IMPORTED, imported);
+
+        const result = await createService().importBackup(JSON.stringify(backup));
+
+        expect(result.imported).toHaveLength(4);
+        expect(gm.getValue('test-delay')).toBe(2500);
+        expect(JSON.parse(localStorage.getItem('test-blocked-terms'))).toEqual(['mac', 'apple']);
+        expect(localStorage.getItem('test-language')).toBe('es');
+        expect(imported).toHaveBeenCalledTimes(1);
+    });
+
+    it('downloads the backup through the shared file helper', async () => {
+        const download = vi.spyOn(ExportUtils, 'downloadFile').mockImplementation(() => {});
+        gm.setValue('test-delay', 2500);
+
+        const backup = await createService().exportToFile('backup.json');
+
+        expect(download).toHaveBeenCalledWith(JSON.stringify(backup, null, 2), 'backup.json', 'application/json');
+        download.mockRestore();
+    });
+
+    it('leaves unset settings out of the backup', async () => {
+        gm.setValue('test-delay', 500);
+
+        const backup = await createService().createBackup();
+
+        expect(backup.settings).toEqual({'test-delay': 500});
+    });
+
+    it('rejects backups from other scripts, newer versions and mismatched types', async () => {
+        const service = createService();
+
+        expect(service.validate(backupWith({}, {script: 'Other Script'})).errors[0]).toContain('Other Script');
+        expect(service.validate(backupWith({}, {version: 2})).valid).toBe(false);
+        expect(service.validate({settings: {}}).errors).toContain('Not a settings backup file');
+        expect(service.validate(backupWith({'test-delay': 'fast'})).errors).toEqual(['Invalid value for test-delay']);
+
+        await expect(service.importBackup('{not json')).rejects.toThrow('not valid JSON');
+        await expect(service.importBackup(backupWith({'test-delay': 'fast'}))).rejects.toThrow('test-delay');
+        expect(gm.getValue('test-delay', null)).toBeNull();
+    });
+
+    it('skips unknown keys with a warning', async () => {
+        const service = createService();
+        const backup = backupWith({'test-delay': 750, 'removed-setting': 'x'});
+
+        expect(service.validate(backup).warnings).toEqual(['Unknown setting skipped: removed-setting']);
+        expect(await service.importBackup(backup)).toEqual({imported: ['test-delay'], skipped: ['removed-setting']});
+        expect(gm.getValue('removed-setting', null)).toBeNull();
+    });
+
+    it('includes FormStatePersistence fields and reloads them after import', async () => {
+        document.body.innerHTML = '<input id="prompt" type="text">';
+        const persistence = new FormStatePersistence({
+            namespace: 'test-form',
+            fields: {prompt: {selector: '#prompt', type: 'text', defaultValue: ''}},
+            getValue: (key, defaultValue) => gm.getValue(key, defaultValue),
+            setValue: (key, value) => gm.setValue(key, value),
+            autoSave: false
+        });
+        await persistence.initialize();
+        const service = createService({persistence: [persistence]});
+
+        expect(service.listKeys()).toContain('test-form-prompt');
+
+        await service.importBackup(backupWith({'test-form-prompt': 'a cat in space'}));
+
+        expect(document.getElementById('prompt').value).toBe('a cat in space');
+    });
+});
@@ -0,0 +1,56 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import DraggableContainer from '../../../userscripts/common/core/ui/DraggableContainer.js';
+
+const storageKey = (id) => `${DraggableContainer.STORAGE_KEY_PREFIX}${id}`;
+
+describe('DraggableContainer', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('starts at the default position when nothing is saved', () => {
+        const container = new DraggableContainer({id: 'panel', title: 'Tools', defaultX: 40, defaultY: 60});
+
+        expect(container.getElement().style.left).toBe('40px');
+        expect(container.getElement().style.top).toBe('60px');
+        expect(container.getElement().textContent).toContain('Tools');
+    });
+
+    it('restores position and minimized state from GM storage', () => {
+        gm.setValue(storageKey('panel'), {x: 120, y: 80, minimized: true});
+
+        const container = new DraggableContainer({id: 'panel'});
+
+        expect(container.getElement().style.left).toBe('120px');
+        expect(container.getElement().style.top).toBe('80px');
+        expect(container.isMinimized).toBe(true);
+    });
+
+    it('persists the minimized state after toggling', () => {
+        const onMinimize = vi.fn();
+        const container = new DraggableContainer({id: 'panel', resizable: false, onMinimize});
+
+        container.toggleMinimize();
+        vi.advanceTimersByTime(200);
+
+        expect(onMinimize).toHaveBeenCalledWith(true, container);
+        expect(gm.getValue(storageKey('panel'))).toMatchObject({minimized: true});
+    });
+
+    it('removes itself from the page on close', () => {
+        const onClose = vi.fn();
+        const container = new DraggableContainer({id: 'panel', onClose});
+        const element = container.getElement();
+
+        container.close();
+
+        expect(onClose).toHaveBeenCalledWith(container);
+        expect(document.body.contains(element)).toBe(false);
+        expect(container.getElement()).toBeNull();
+    });
+});
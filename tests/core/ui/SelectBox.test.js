@@ -0,0 +1,53 @@
+import {describe, expect, it, vi} from 'vitest';
+import SelectBox from '../../../userscripts/common/core/ui/SelectBox.js';
+
+const items = [
+    {value: 'all', label: 'All'},
+    {value: 'shipping', label: 'Shipping'},
+    {value: 'inperson', label: 'In person', disabled: true},
+];
+
+describe('SelectBox', () => {
+    it('renders a native select and custom trigger into the container', () => {
+        const select = new SelectBox({items, name: 'delivery', placeholder: 'Choose', container: document.body});
+
+        expect(select.selectElement.name).toBe('delivery');
+        expect(Array.from(select.selectElement.options).map((option) => option.value)).toEqual(['', 'all', 'shipping', 'inperson']);
+        expect(select.triggerElement.textContent).toContain('Choose');
+        expect(document.body.contains(select.element)).toBe(true);
+    });
+
+    it('updates native and custom UI on setValue and ignores unknown values', () => {
+        const select = new SelectBox({items, container: document.body});
+
+        select.setValue('shipping');
+        select.setValue('pickup');
+
+        expect(select.getValue()).toBe('shipping');
+        expect(select.selectElement.value).toBe('shipping');
+        expect(select.triggerElement.querySelector('span').textContent).toBe('Shipping');
+    });
+
+    it('calls onChange when an enabled item is clicked', () => {
+        const onChange = vi.fn();
+        const select = new SelectBox({items, onChange, container: document.body});
+        const [, shipping, inPerson] = select.dropdownElement.querySelectorAll('li');
+
+        shipping.click();
+        inPerson.click();
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange.mock.calls[0][0]).toBe('shipping');
+        expect(select.getValue()).toBe('shipping');
+    });
+
+    it('opens and closes the dropdown from the trigger', () => {
+        const select = new SelectBox({items, container: document.body});
+
+        select.triggerElement.click();
+        expect(select.dropdownElement.classList.contains('open')).toBe(true);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}));
+        expect(select.dropdownElement.classList.contains('open')).toBe(false);
+    });
+});
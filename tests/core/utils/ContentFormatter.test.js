@@ -0,0 +1,52 @@
+import {describe, expect, it} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import ContentFormatter from '../../../userscripts/common/core/utils/ContentFormatter.js';
+
+const comments = [
+    {
+        username: 'ana',
+        time: '2h',
+        text: 'First!',
+        replies: [
+            {username: 'bob', time: '1h', text: 'Second'},
+            {username: 'eve', time: '1h', text: ''},
+        ],
+    },
+    {username: 'carl', time: '3h', text: 'Nice reel'},
+];
+
+describe('ContentFormatter', () => {
+    it('fills template placeholders and joins items with the separator', () => {
+        const formatter = new ContentFormatter({template: '{username}: {text}', itemSeparator: ' | '});
+
+        expect(formatter.formatItems(comments, {includeReplies: false})).toBe('ana: First! | carl: Nice reel');
+    });
+
+    it('renders replies with the replyTo template and skips invalid ones', () => {
+        const formatter = ContentFormatter.createFromTemplate('INSTAGRAM_COMMENT', {
+            itemValidator: (item) => 0 < item.text.length,
+        });
+
+        expect(formatter.formatItems(comments)).toBe([
+            'ana (2h):\nFirst!\n  ↳ bob replied to ana (1h):\n  Second',
+            'carl (3h):\nNice reel',
+        ].join('\n\n---\n\n'));
+    });
+
+    it('accepts function templates', () => {
+        const formatter = new ContentFormatter({template: (item) => item.text.toUpperCase()});
+
+        expect(formatter.formatItems([{text: 'hola'}])).toBe('HOLA');
+    });
+
+    it('throws for unknown built-in templates', () => {
+        expect(() => ContentFormatter.createFromTemplate('MASTODON')).toThrow(/Template "MASTODON" not found/);
+    });
+
+    it('copies formatted output through the clipboard service', async () => {
+        const formatter = new ContentFormatter({template: '{text}'});
+
+        expect(await formatter.formatAndCopy([{text: 'a'}, {text: 'b'}])).toBe(true);
+        expect(gm.clipboard).toBe('a\n\n---\n\nb');
+    });
+});
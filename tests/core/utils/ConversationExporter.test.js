@@ -0,0 +1,67 @@
+import {describe, expect, it, vi} from 'vitest';
+import ConversationExporter from '../../../userscripts/common/core/utils/ConversationExporter.js';
+import MarkdownConverter from '../../../userscripts/common/core/utils/MarkdownConverter.js';
+import ExportUtils from '../../../userscripts/common/core/utils/ExportUtils.js';
+
+const conversation = {
+    source: 'Google AI Studio',
+    chatId: '1AbC_xyz',
+    title: 'Sorting <arrays>',
+    model: 'Gemini 2.5 Pro',
+    url: 'https://aistudio.google.com/prompts/1AbC_xyz',
+    exportedAt: '2025-03-04T10:00:00.000Z',
+    turns: [
+        {role: 'user', text: 'How do I sort numbers?', timestamp: '2025-03-04T09:59:00.000Z'},
+        {role: 'model', text: 'Use a comparator:\n\n```js\nconst sorted = [3, 1, 2].sort((a, b) => a - b);\n\nif (a < b) {\n    copy();\n}\n```', timestamp: null},
+        {role: 'model', text: '   '}
+    ]
+};
+
+describe('ConversationExporter', () => {
+    it('keeps code blocks intact when converting response HTML', () => {
+        const converter = new MarkdownConverter();
+        const text = converter.convertHtmlToFormattedText(
+            '<p>Example:</p><pre><code class="language-python">def f():\n\n    return 1\ncopy\n</code></pre>'
+        );
+
+        expect(text).toBe('Example:\n\n```python\ndef f():\n\n    return 1\ncopy\n```');
+    });
+
+    it('writes Markdown with metadata, roles and timestamps', () => {
+        const markdown = ConversationExporter.toMarkdown(conversation);
+
+        expect(markdown).toContain('# Sorting <arrays>');
+        expect(markdown).toContain('- **Model:** Gemini 2.5 Pro');
+        expect(markdown).toContain('## User (2025-03-04T09:59:00.000Z)');
+        expect(markdown).toContain('```js\nconst sorted = [3, 1, 2].sort((a, b) => a - b);\n\nif (a < b) {\n    copy();\n}\n```');
+        expect(markdown.match(/^## /gm)).toHaveLength(2);
+    });
+
+    it('writes JSON without empty turns', () => {
+        const json = JSON.parse(ConversationExporter.toJson(conversation));
+
+        expect(json.chatId).toBe('1AbC_xyz');
+        expect(json.turns.map((turn) => turn.role)).toEqual(['user', 'model']);
+        expect(json.turns[1].timestamp).toBeNull();
+    });
+
+    it('writes escaped standalone HTML and names files after the chat ID', () => {
+        const {content, filename, mimeType} = ConversationExporter.export(conversation, 'html');
+
+        expect(content).toContain('<title>Sorting &lt;arrays&gt;</title>');
+        expect(content).toContain('<pre><code class="language-js">const sorted = [3, 1, 2].sort((a, b) =&gt; a - b);\n\nif (a &lt; b) {\n    copy();\n}</code></pre>');
+        expect(content).toContain('<style>');
+        expect(filename).toBe('google-ai-studio-1AbC_xyz-2025-03-04.html');
+        expect(mimeType).toBe('text/html');
+        expect(() => ConversationExporter.export(conversation, 'pdf')).toThrow('Unknown export format');
+    });
+
+    it('downloads the export through the shared file helper', () => {
+        const download = vi.spyOn(ExportUtils, 'downloadFile').mockImplementation(() => {});
+
+        const filename = ConversationExporter.download(conversation, 'json');
+
+        expect(download).toHaveBeenCalledWith(ConversationExporter.toJson(conversation), filename, 'application/json');
+        download.mockRestore();
+    });
+});
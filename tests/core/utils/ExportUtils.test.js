@@ -0,0 +1,39 @@
+import {describe, expect, it, vi} from 'vitest';
+import ExportUtils from '../../../userscripts/common/core/utils/ExportUtils.js';
+import VideoDownloader from '../../../userscripts/common/core/utils/VideoDownloader/index.js';
+
+describe('ExportUtils', () => {
+    it('quotes only the CSV values that need it', () => {
+        expect(ExportUtils.escapeCsvField('plain')).toBe('plain');
+        expect(ExportUtils.escapeCsvField('a, b')).toBe('"a, b"');
+        expect(ExportUtils.escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(ExportUtils.escapeCsvField('two\nlines')).toBe('"two\nlines"');
+        expect(ExportUtils.escapeCsvField(null)).toBe('');
+        expect(ExportUtils.escapeCsvField(0)).toBe('0');
+    });
+
+    it('joins a row of values', () => {
+        expect(ExportUtils.toCsvRow([1, 'Orbea, talla M', undefined, false])).toBe('1,"Orbea, talla M",,false');
+    });
+
+    it('downloads text through an object URL and revokes it afterwards', () => {
+        const trigger = vi.spyOn(VideoDownloader, 'triggerDownload').mockImplementation(() => {});
+        URL.createObjectURL = vi.fn(() => 'blob:export');
+        URL.revokeObjectURL = vi.fn();
+        vi.useFakeTimers();
+
+        ExportUtils.downloadFile('a,b', 'export.csv', 'text/csv');
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.type).toBe('text/csv;charset=utf-8');
+        expect(blob.size).toBe(3);
+        expect(trigger).toHaveBeenCalledWith('blob:export', 'export.csv');
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        vi.runAllTimers();
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        vi.useRealTimers();
+        trigger.mockRestore();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+});
@@ -0,0 +1,53 @@
+import {describe, expect, it} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import GMFunctions, {
+    GM_download,
+    GM_setClipboard,
+    GM_xmlhttpRequest,
+    getValue,
+    setValue,
+} from '../../../userscripts/common/core/utils/GMFunctions.js';
+
+describe('GMFunctions under the GM stand-in', () => {
+    it('uses the installed manager functions instead of its localStorage fallbacks', () => {
+        expect(GMFunctions.isDevelopmentMode()).toBe(false);
+        expect(getValue).toBe(window.GM_getValue);
+        expect(setValue).toBe(window.GM_setValue);
+    });
+
+    it('round-trips values through storage without sharing references', async () => {
+        const settings = {terms: ['mac']};
+        await setValue('wallapop-blocked-terms', settings);
+        settings.terms.push('apple');
+
+        expect(await getValue('wallapop-blocked-terms', [])).toEqual({terms: ['mac']});
+        expect(await getValue('missing-key', 'fallback')).toBe('fallback');
+    });
+
+    it('answers GM_xmlhttpRequest from registered responders and 404s otherwise', async () => {
+        gm.respond(/\/item\/\d+$/, {status: 200, responseText: '<p>ok</p>'});
+
+        const request = (url) => new Promise((resolve) => {
+            GM_xmlhttpRequest({method: 'GET', url, onload: resolve});
+        });
+
+        const found = await request('https://es.wallapop.com/item/42');
+        const missing = await request('https://es.wallapop.com/search');
+
+        expect(found.status).toBe(200);
+        expect(found.responseText).toBe('<p>ok</p>');
+        expect(missing.status).toBe(404);
+        expect(gm.requests.map((details) => details.url)).toEqual([
+            'https://es.wallapop.com/item/42',
+            'https://es.wallapop.com/search',
+        ]);
+    });
+
+    it('records downloads and clipboard writes', async () => {
+        await GM_download({url: 'blob:captions', name: 'captions.srt'});
+        GM_setClipboard('copied text');
+
+        expect(gm.downloads).toEqual([{url: 'blob:captions', name: 'captions.srt'}]);
+        expect(gm.clipboard).toBe('copied text');
+    });
+});
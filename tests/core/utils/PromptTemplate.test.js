@@ -0,0 +1,53 @@
+import {describe, expect, it} from 'vitest';
+import PromptTemplate from '../../../userscripts/common/core/utils/PromptTemplate.js';
+
+describe('PromptTemplate', () => {
+    it('expands every combination of alternatives in order', () => {
+        const prompts = PromptTemplate.expandAll(['A {cat|dog|fox} in {watercolor|pixel art} style']);
+
+        expect(prompts).toHaveLength(6);
+        expect(prompts.slice(0, 3)).toEqual([
+            'A cat in watercolor style',
+            'A cat in pixel art style',
+            'A dog in watercolor style'
+        ]);
+        expect(PromptTemplate.count(['A {cat|dog|fox} in {watercolor|pixel art} style'])).toBe(6);
+    });
+
+    it('numbers prompts across templates and leaves script placeholders alone', () => {
+        const prompts = PromptTemplate.expandAll(['#{{n:2}}/{{total}} {red|blue}', 'Iteration {iteration}']);
+
+        expect(prompts).toEqual(['#01/3 red', '#02/3 blue', 'Iteration {iteration}']);
+        expect(PromptTemplate.hasSyntax('Iteration {iteration}')).toBe(false);
+    });
+
+    it('leaves code with logical operators unchanged', () => {
+        const code = 'Fix this: if (x) { a || b } and { return c|| d; }';
+
+        expect(PromptTemplate.hasSyntax(code)).toBe(false);
+        expect(PromptTemplate.expandAll([code])).toEqual([code]);
+        expect(PromptTemplate.count([code])).toBe(1);
+    });
+
+    it('repeats templates that use CSV columns once per row', () => {
+        const rows = PromptTemplate.parseCsv('animal;style\ncat;"water, color"\n\ndog;"pixel ""art"""\n');
+        const templates = ['{{animal}} as {{style}} {photo|sketch}', 'Plain prompt'];
+
+        expect(rows).toEqual([{animal: 'cat', style: 'water, color'}, {animal: 'dog', style: 'pixel "art"'}]);
+        expect(PromptTemplate.expandAll(templates, {rows})).toEqual([
+            'cat as water, color photo',
+            'cat as water, color sketch',
+            'dog as pixel "art" photo',
+            'dog as pixel "art" sketch',
+            'Plain prompt'
+        ]);
+        expect(PromptTemplate.count(templates, {rows})).toBe(5);
+    });
+
+    it('stops at the limit', () => {
+        const prompts = PromptTemplate.expandAll(['{a|b|c|d} {a|b|c|d} {a|b|c|d}'], {limit: 10});
+
+        expect(prompts).toHaveLength(10);
+        expect(PromptTemplate.count(['{a|b|c|d} {a|b|c|d} {a|b|c|d}'])).toBe(64);
+    });
+});
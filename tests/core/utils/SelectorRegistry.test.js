@@ -0,0 +1,78 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import SelectorRegistry from '../../../userscripts/common/core/utils/SelectorRegistry.js';
+import Notification from '../../../userscripts/common/core/ui/Notification.js';
+import PubSub from '../../../userscripts/common/core/utils/PubSub.js';
+
+const SELECTORS = {
+    PROMPT: ['textarea.prompt', 'div[contenteditable="true"]'],
+    SEND_BUTTON: {
+        READY: 'button.send:not([disabled])',
+        LOADING: 'button.send.stop'
+    },
+    BROKEN: ['button:contains("Stop")', 'button.stop']
+};
+
+const createRegistry = () => new SelectorRegistry({name: 'Test Script', selectors: SELECTORS});
+
+describe('SelectorRegistry', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('flattens nested groups into dotted names', () => {
+        const registry = createRegistry();
+
+        expect(registry.names()).toEqual(['PROMPT', 'SEND_BUTTON.READY', 'SEND_BUTTON.LOADING', 'BROKEN']);
+        expect(registry.get('SEND_BUTTON.READY')).toEqual(['button.send:not([disabled])']);
+        expect(() => registry.get('MISSING')).toThrow('Unknown selector name');
+    });
+
+    it('falls back through the chain and reports which selector matched', () => {
+        document.body.innerHTML = '<div contenteditable="true" id="editor"></div>';
+        const registry = createRegistry();
+        const fallback = vi.fn();
+        PubSub.subscribe(SelectorRegistry.EVENTS.FALLBACK_MATCHED, fallback);
+
+        expect(registry.query('PROMPT').id).toBe('editor');
+        expect(registry.getMatchReport()).toEqual({
+            PROMPT: {selector: 'div[contenteditable="true"]', index: 1, fallback: true}
+        });
+
+        registry.query('PROMPT');
+        expect(fallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips invalid selectors and applies filters', () => {
+        document.body.innerHTML = '<button class="stop" hidden></button><button class="stop" id="visible"></button>';
+        const registry = createRegistry();
+
+        expect(registry.queryAll('BROKEN')).toHaveLength(2);
+        expect(registry.query('BROKEN', {filter: (element) => !element.hidden}).id).toBe('visible');
+        expect(registry.query('SEND_BUTTON.READY')).toBeNull();
+    });
+
+    it('warns through Notification about names that no longer match', () => {
+        document.body.innerHTML = '<textarea class="prompt"></textarea><div contenteditable="true"></div>';
+        const warning = vi.spyOn(Notification, 'warning').mockImplementation(() => '');
+        const registry = createRegistry();
+
+        const result = registry.checkHealth({names: ['PROMPT', 'SEND_BUTTON.READY']});
+
+        expect(result).toEqual({matched: ['PROMPT'], fallbacks: [], missing: ['SEND_BUTTON.READY']});
+        expect(warning).toHaveBeenCalledTimes(1);
+        expect(warning.mock.calls[0][0]).toContain('SEND_BUTTON.READY');
+    });
+
+    it('runs the scheduled check after the delay without notifying when disabled', async () => {
+        vi.useFakeTimers();
+        const warning = vi.spyOn(Notification, 'warning').mockImplementation(() => '');
+        const registry = createRegistry();
+
+        const pending = registry.scheduleHealthCheck({names: ['PROMPT'], delay: 1000, notify: false});
+        document.body.innerHTML = '<textarea class="prompt"></textarea>';
+        vi.advanceTimersByTime(1000);
+
+        expect((await pending).matched).toEqual(['PROMPT']);
+        expect(warning).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,114 @@
+import {describe, expect, it, vi} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import SettingsStore from '../../../userscripts/common/core/utils/SettingsStore.js';
+import PubSub from '../../../userscripts/common/core/utils/PubSub.js';
+
+const SETTINGS_KEYS = {
+    DELAY: 'test-delay',
+    SHOW_NOTIFICATIONS: 'test-show-notifications',
+    MODE: 'test-mode',
+    PANEL_POSITION: 'test-panel-position'
+};
+
+const DEFAULT_SETTINGS = {
+    DELAY: 2000,
+    SHOW_NOTIFICATIONS: true,
+    MODE: 'single',
+    PANEL_POSITION: {x: 20, y: 20}
+};
+
+const createStore = (options = {}) => new SettingsStore({
+    namespace: 'test',
+    keys: SETTINGS_KEYS,
+    defaults: DEFAULT_SETTINGS,
+    ...options
+});
+
+describe('SettingsStore', () => {
+    it('loads defaults on a fresh install and records the schema version', async () => {
+        const settings = await createStore({version: 3}).load();
+
+        expect(settings).toEqual(DEFAULT_SETTINGS);
+        expect(settings.PANEL_POSITION).not.toBe(DEFAULT_SETTINGS.PANEL_POSITION);
+        expect(gm.getValue('test-settings-version')).toBe(3);
+    });
+
+    it('converts stored strings and drops values of the wrong type', async () => {
+        gm.setValue('test-delay', '3500');
+        gm.setValue('test-show-notifications', 'false');
+        gm.setValue('test-mode', ['single']);
+        gm.setValue('test-panel-position', 'top-left');
+
+        const settings = await createStore().load();
+
+        expect(settings).toEqual({
+            DELAY: 3500,
+            SHOW_NOTIFICATIONS: false,
+            MODE: 'single',
+            PANEL_POSITION: {x: 20, y: 20}
+        });
+    });
+
+    it('applies validators from the schema', async () => {
+        gm.setValue('test-mode', 'sideways');
+        const store = createStore({
+            validators: {MODE: (value) => ['single', 'multiple'].includes(value)}
+        });
+
+        expect((await store.load()).MODE).toBe('single');
+    });
+
+    it('runs pending migrations in order and only once', async () => {
+        gm.setValue('test-settings-version', 1);
+        gm.setValue('test-old-delay-seconds', 4);
+        const v1 = vi.fn();
+        const migrated = vi.fn();
+        PubSub.subscribe(SettingsStore.EVENTS.MIGRATED, migrated);
+        const migrations = {
+            1: v1,
+            2: async (storage) => {
+                await storage.rename('test-old-delay-seconds', 'test-delay');
+            },
+            3: async (storage) => {
+                await storage.set('test-delay', (await storage.get('test-delay')) * 1000);
+            }
+        };
+
+        const settings = await createStore({version: 3, migrations}).load();
+        await createStore({version: 3, migrations}).load();
+
+        expect(v1).not.toHaveBeenCalled();
+        expect(settings.DELAY).toBe(4000);
+        expect(gm.getValue('test-old-delay-seconds')).toBeNull();
+        expect(gm.getValue('test-settings-version')).toBe(3);
+        expect(migrated).toHaveBeenCalledTimes(1);
+        expect(migrated.mock.calls[0][0]).toMatchObject({from: 1, to: 3});
+    });
+
+    it('keeps the version of a failed migration so it runs again', async () => {
+        const migrations = {
+            1: async () => {},
+            2: async () => {
+                throw new Error('boom');
+            }
+        };
+
+        const settings = await createStore({version: 2, migrations}).load();
+
+        expect(settings.DELAY).toBe(2000);
+        expect(gm.getValue('test-settings-version')).toBe(1);
+    });
+
+    it('saves known settings and rejects unknown names', async () => {
+        const store = createStore();
+
+        await store.save({DELAY: 100, MODE: 'multiple', EXTRA: 'ignored'});
+        await store.set('SHOW_NOTIFICATIONS', false);
+
+        expect(gm.getValue('test-delay')).toBe(100);
+        expect(gm.getValue('test-mode')).toBe('multiple');
+        expect(gm.getValue('test-show-notifications')).toBe(false);
+        expect(gm.storage.has('EXTRA')).toBe(false);
+        await expect(store.set('EXTRA', 1)).rejects.toThrow('Unknown setting: EXTRA');
+    });
+});
@@ -0,0 +1,114 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {gm} from '../../setup/GMStandIn.js';
+import StorageSync from '../../../userscripts/common/core/utils/StorageSync.js';
+import SettingsStore from '../../../userscripts/common/core/utils/SettingsStore.js';
+
+/**
+ * Post a change the way another tab on the BroadcastChannel fallback would.
+ * @param {Object} message - {key, value}
+ * @return {Promise<void>} Resolves once the message had time to arrive
+ */
+async function postFromOtherTab(message) {
+    const otherTab = new BroadcastChannel(StorageSync.CHANNEL_NAME);
+    otherTab.postMessage(message);
+    otherTab.close();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+describe('StorageSync', () => {
+    afterEach(() => {
+        StorageSync.reset();
+        delete window.GM_addValueChangeListener;
+    });
+
+    it('delivers BroadcastChannel messages when the manager has no change listeners', async () => {
+        const callback = vi.fn();
+        const unsubscribe = StorageSync.subscribe('test-delay', callback);
+
+        await postFromOtherTab({key: 'test-delay', value: 500});
+        await postFromOtherTab({key: 'test-other', value: 1});
+        unsubscribe();
+        await postFromOtherTab({key: 'test-delay', value: 600});
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith(500, undefined, 'test-delay');
+    });
+
+    it('uses GM_addValueChangeListener and ignores changes made in the same tab', () => {
+        const listeners = {};
+        window.GM_addValueChangeListener = vi.fn((key, listener) => {
+            listeners[key] = listener;
+            return 1;
+        });
+        const callback = vi.fn();
+
+        StorageSync.subscribe('test-delay', callback);
+        listeners['test-delay']('test-delay', 100, 200, false);
+        listeners['test-delay']('test-delay', 200, 300, true);
+
+        expect(StorageSync.usesNativeListeners()).toBe(true);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith(300, 200, 'test-delay');
+    });
+
+    it('parses localStorage changes from storage events', () => {
+        const callback = vi.fn();
+        StorageSync.subscribeLocal('test-blocked-terms', callback);
+
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'test-blocked-terms',
+            oldValue: '["mac"]',
+            newValue: '["mac","apple"]',
+            storageArea: localStorage
+        }));
+
+        expect(callback).toHaveBeenCalledWith(['mac', 'apple'], ['mac'], 'test-blocked-terms');
+    });
+});
+
+describe('SettingsStore cross-tab sync', () => {
+    afterEach(() => {
+        StorageSync.reset();
+    });
+
+    const createStore = () => new SettingsStore({
+        namespace: 'test',
+        keys: {DELAY: 'test-delay', SHOW_NOTIFICATIONS: 'test-show-notifications'},
+        defaults: {DELAY: 2000, SHOW_NOTIFICATIONS: true}
+    });
+
+    it('updates the settings object and bound controls from other tabs', async () => {
+        const store = createStore();
+        await store.load();
+        const settings = {DELAY: 2000, SHOW_NOTIFICATIONS: true};
+        const checkbox = {setChecked: vi.fn()};
+        let input = null;
+        store.bind('SHOW_NOTIFICATIONS', checkbox).bind('DELAY', () => input);
+        store.watch((name, value) => {
+            settings[name] = value;
+        });
+
+        input = {setValue: vi.fn()};
+        await postFromOtherTab({key: 'test-show-notifications', value: false});
+        await postFromOtherTab({key: 'test-delay', value: 'not a number'});
+        await postFromOtherTab({key: 'test-delay', value: 750});
+
+        expect(settings).toEqual({DELAY: 750, SHOW_NOTIFICATIONS: false});
+        expect(checkbox.setChecked).toHaveBeenCalledWith(false);
+        expect(input.setValue).toHaveBeenCalledTimes(1);
+        store.destroy();
+    });
+
+    it('only writes settings the tab changed, so it does not overwrite newer values', async () => {
+        const store = createStore();
+        const settings = await store.load();
+
+        // Another tab saved a new delay after this tab loaded
+        gm.setValue('test-delay', 900);
+        settings.SHOW_NOTIFICATIONS = false;
+        await store.save(settings);
+
+        expect(gm.getValue('test-delay')).toBe(900);
+        expect(gm.getValue('test-show-notifications')).toBe(false);
+    });
+});
@@ -0,0 +1,55 @@
+import {describe, expect, it} from 'vitest';
+import TextChunker from '../../../userscripts/common/core/utils/TextChunker.js';
+
+const text = 'Dr. Smith arrived early. The meeting started at nine. Everyone listened carefully. ' +
+    'Then the questions began. It ended at noon.';
+
+describe('TextChunker', () => {
+    it('returns no chunks for empty or non-string input', () => {
+        const chunker = new TextChunker();
+
+        expect(chunker.splitByWords('', 10)).toEqual([]);
+        expect(chunker.splitByWords(null, 10)).toEqual([]);
+        expect(chunker.splitByCharacters(42, 10)).toEqual([]);
+    });
+
+    it('never exceeds the word limit with the hard strategy', () => {
+        const chunker = new TextChunker();
+        const chunks = chunker.splitByWords(text, 6, {strategy: TextChunker.STRATEGY.HARD_LIMIT});
+
+        expect(chunks.join(' ')).toBe(text);
+        chunks.forEach((chunk) => {
+            expect(chunk.split(/\s+/).length).toBeLessThanOrEqual(6);
+        });
+    });
+
+    it('does not split sentences on abbreviations', () => {
+        const chunker = new TextChunker();
+        const chunks = chunker.splitByWords(text, 4, {strategy: TextChunker.STRATEGY.SOFT_LIMIT});
+
+        expect(chunks[0].startsWith('Dr. Smith')).toBe(true);
+        expect(chunks.some((chunk) => 'Dr.' === chunk)).toBe(false);
+    });
+
+    it('merges a small trailing chunk into the previous one', () => {
+        const chunker = new TextChunker();
+        const words = Array.from({length: 203}, (_, i) => `w${i}`).join(' ');
+        const chunks = chunker.splitByWords(words, 100, {respectSentenceBoundaries: false, minLastChunkSize: 5});
+
+        expect(chunks).toHaveLength(2);
+        expect(chunks[1].split(' ')).toHaveLength(103);
+    });
+
+    it('splits by lines and skips empty lines by default', () => {
+        const chunker = new TextChunker();
+
+        expect(chunker.splitByLines('a\n\nb\nc\nd', 2)).toEqual(['a\nb', 'c\nd']);
+    });
+
+    it('reports chunking statistics', () => {
+        const chunker = new TextChunker();
+        const stats = chunker.getChunkingStats(text, 100);
+
+        expect(stats).toEqual({chunkCount: 1, avgWordsPerChunk: 20, minWords: 20, maxWords: 20, totalWords: 20});
+    });
+});
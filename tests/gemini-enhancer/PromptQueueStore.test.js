@@ -0,0 +1,54 @@
+import {describe, expect, it} from 'vitest';
+import {gm} from '../setup/GMStandIn.js';
+import PromptQueueStore from '../../userscripts/gemini-enhancer/dev/utils/PromptQueueStore.js';
+
+describe('PromptQueueStore', () => {
+    it('saves each prompt state and resumes at the first unfinished prompt', async () => {
+        const store = new PromptQueueStore();
+        await store.create(['first', 'second', 'third'], 'image');
+
+        await store.markRunning(0);
+        await store.markDone(0, {loadingDetected: true});
+        await store.markRunning(1);
+
+        const saved = gm.getValue(PromptQueueStore.STORAGE_KEY);
+        expect(saved.generationType).toBe('image');
+        expect(saved.items.map((item) => item.status)).toEqual(['done', 'running', 'pending']);
+        expect(saved.items[1].attempts).toBe(1);
+        expect(store.getResumeIndex()).toBe(1);
+    });
+
+    it('puts a prompt that was running during a reload back to pending', async () => {
+        const first = new PromptQueueStore();
+        await first.create(['first', 'second'], 'text');
+        await first.markRunning(0);
+
+        const reloaded = new PromptQueueStore();
+        await reloaded.load();
+
+        expect(reloaded.getItems()[0]).toMatchObject({status: 'pending', interrupted: true});
+        expect(reloaded.hasUnfinished()).toBe(true);
+        expect(reloaded.getSummary()).toMatchObject({total: 2, pending: 2, done: 0});
+    });
+
+    it('records whether a failed prompt timed out', async () => {
+        const store = new PromptQueueStore();
+        await store.create(['slow', 'broken'], 'video');
+        const timeout = new Error('Generation did not complete within timeout');
+        timeout.timedOut = true;
+
+        await store.markRunning(0);
+        await store.markFailed(0, timeout);
+        await store.markRunning(1);
+        await store.markFailed(1, new Error('Send button not found'));
+
+        const [slow, broken] = store.getItems();
+        expect(slow).toMatchObject({status: 'failed', timedOut: true});
+        expect(broken).toMatchObject({status: 'failed', timedOut: false, error: 'Send button not found'});
+        expect(store.getResumeIndex()).toBe(0);
+
+        await store.clear();
+        expect(store.hasUnfinished()).toBe(false);
+        expect(gm.getValue(PromptQueueStore.STORAGE_KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,48 @@
+import {describe, expect, it, vi} from 'vitest';
+import {loadPageFixture, readFixture} from '../setup/fixtures.js';
+import {ListingDetailsExtractor} from '../../userscripts/idealista-house-listing-analyzer/dev/services/listingDetailsExtractor.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn()});
+
+describe('Idealista ListingDetailsExtractor', () => {
+    it('reads price, area, rooms and floor from the cards of a recorded search page', () => {
+        loadPageFixture('idealista-house-listing-analyzer/search-results.html');
+        const extractor = new ListingDetailsExtractor(createLogger(), null);
+
+        const details = Array.from(document.querySelectorAll('a.item-link'), anchor => extractor.parseCard(anchor));
+
+        expect(details[0]).toEqual({price: 285000, area: 95, rooms: 3, floor: 2, pricePerSquareMeter: 3000});
+        expect(details[1]).toEqual({price: 159000, area: 38, rooms: 1, floor: 0, pricePerSquareMeter: 4184});
+        expect(details[3]).toMatchObject({price: 1150000, area: 180, floor: 6});
+        // The last card shows no area, so the listing page is needed
+        expect(details[4]).toEqual({price: 410000, area: null, rooms: 3, floor: null, pricePerSquareMeter: null});
+        expect(details.map(item => extractor.isIncomplete(item))).toEqual([false, false, false, false, true]);
+    });
+
+    it('reads numbers and floors written for Spain, Portugal and Italy', () => {
+        const extractor = new ListingDetailsExtractor(createLogger(), null);
+
+        expect(extractor.parseNumber('1.250,5 €')).toBe(1250.5);
+        expect(extractor.parseNumber('Precio a consultar')).toBeNull();
+        expect(extractor.parseFloor('Planta -1')).toBe(-1);
+        expect(extractor.parseFloor('Semi-sótano')).toBe(-1);
+        expect(extractor.parseFloor('Entreplanta exterior')).toBe(0);
+        expect(extractor.parseFloor('3º andar')).toBe(3);
+        expect(extractor.parseFloor('Rés-do-chão')).toBe(0);
+        expect(extractor.parseFloor('Piano 2')).toBe(2);
+        expect(extractor.parseFloor('Piano terra')).toBe(0);
+        expect(extractor.parseFeatures(['T2', '78 m² área bruta', '2 quartos', '1º andar']))
+            .toEqual({area: 78, rooms: 2, floor: 1});
+        expect(extractor.parseFeatures(['65 m²', '3 locali', '2 bagni'])).toEqual({area: 65, rooms: 3, floor: null});
+    });
+
+    it('fetches the listing page when the card lacks the area', async () => {
+        const httpService = {get: vi.fn().mockResolvedValue(readFixture('idealista-house-listing-analyzer/listing-detail.html'))};
+        const extractor = new ListingDetailsExtractor(createLogger(), httpService);
+
+        const details = await extractor.extractDetails('https://www.idealista.com/inmueble/106120045/');
+
+        expect(httpService.get).toHaveBeenCalledWith('https://www.idealista.com/inmueble/106120045/');
+        expect(details).toEqual({price: 410000, area: 104, rooms: 3, floor: 5, pricePerSquareMeter: 3942});
+    });
+});
@@ -0,0 +1,174 @@
+import {describe, expect, it, vi} from 'vitest';
+import {loadPageFixture, readFixture} from '../setup/fixtures.js';
+import {config} from '../../userscripts/idealista-house-listing-analyzer/dev/config.js';
+import {ListingHistory} from '../../userscripts/idealista-house-listing-analyzer/dev/services/listingHistory.js';
+import {ListingHistoryStore} from '../../userscripts/idealista-house-listing-analyzer/dev/services/listingHistoryStore.js';
+import IdealistaHouseListingAnalyzer from '../../userscripts/idealista-house-listing-analyzer/dev/idealista-house-listing-analyzer.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn(), info: vi.fn()});
+
+// Stands in for ListingHistoryStore; records are copied like IndexedDB does
+const createMemoryStore = () => {
+    const records = new Map();
+    return {
+        records,
+        get: async (listingId) => structuredClone(records.get(listingId) ?? null),
+        put: async (record) => {
+            records.set(record.listingId, structuredClone(record));
+        },
+        // Reads and writes without an await in between, like the single IndexedDB transaction
+        update: async (listingId, change) => {
+            const stored = structuredClone(records.get(listingId) ?? null);
+            const changed = change(stored);
+            if (changed) {
+                records.set(listingId, structuredClone(changed));
+            }
+            return structuredClone(changed || stored);
+        },
+        getAll: async () => [...records.values()].map(record => structuredClone(record)),
+    };
+};
+
+const day = (n) => new Date(Date.UTC(2026, 9, n, 10));
+const PISO = {listingId: '106874512', url: 'https://www.idealista.com/inmueble/106874512/', title: 'Piso en Lavapiés'};
+const stats = (visits, emailContacts, favorites) => ({visits, friendShares: 1, emailContacts, favorites});
+
+describe('Idealista ListingHistory', () => {
+    it('adds a snapshot only when the price or statistics change and flags recent price drops', async () => {
+        const history = new ListingHistory(createLogger(), createMemoryStore());
+
+        await history.record({...PISO, price: 300000, statistics: stats(100, 2, 5)}, day(1));
+        await history.record({...PISO, price: 300000, statistics: stats(100, 2, 5)}, day(2));
+        // Unknown price and statistics keep the last known values
+        await history.record({...PISO, price: null, statistics: stats(150, 2, 5)}, day(3));
+        const {record, changes} = await history.record({...PISO, price: 285000, statistics: null}, day(4));
+
+        expect(record.snapshots.map(({date, price, visits}) => [date.slice(0, 10), price, visits])).toEqual([
+            ['2026-10-01', 300000, 100],
+            ['2026-10-03', 300000, 150],
+            ['2026-10-04', 285000, 150],
+        ]);
+        expect(record).toMatchObject({firstSeen: day(1).toISOString(), lastSeen: day(4).toISOString(), status: 'active'});
+        expect(changes.priceDrop).toEqual({from: 300000, to: 285000, percent: 5, date: day(4).toISOString()});
+
+        // A later statistics change keeps the drop highlighted until highlightDays pass
+        const later = await history.record({...PISO, statistics: stats(180, 2, 5)}, day(6));
+        expect(later.changes.priceDrop.to).toBe(285000);
+        expect(history.detectChanges(later.record, day(4 + config.history.highlightDays + 1)).priceDrop).toBeNull();
+
+        const rise = await history.record({...PISO, price: 295000}, day(7));
+        expect(rise.changes.priceDrop).toBeNull();
+    });
+
+    it('flags engagement jumps and listings that reappear after being removed', async () => {
+        const history = new ListingHistory(createLogger(), createMemoryStore());
+
+        await history.record({...PISO, statistics: stats(100, 10, 10)}, day(1));
+        expect((await history.record({...PISO, statistics: stats(400, 12, 11)}, day(2))).changes.engagementJump).toBeNull();
+        const jump = await history.record({...PISO, statistics: stats(500, 18, 13)}, day(3));
+        expect(jump.changes.engagementJump).toEqual({from: 23, to: 31, since: day(2).toISOString(), date: day(3).toISOString()});
+
+        await history.markRemoved(PISO.listingId, day(4));
+        expect(await history.getUnseen(1, day(10))).toEqual([]);
+        const back = await history.record({...PISO, statistics: stats(500, 18, 13)}, day(9));
+        expect(back.record).toMatchObject({status: 'active', removedAt: day(4).toISOString(), reappearedAt: day(9).toISOString()});
+        expect(back.changes.reappeared).toEqual({removedAt: day(4).toISOString(), date: day(9).toISOString()});
+        expect((await history.getUnseen(1, day(10))).map(record => record.listingId)).toEqual([PISO.listingId]);
+    });
+
+    it('keeps every snapshot when a listing is recorded twice at the same time', async () => {
+        const history = new ListingHistory(createLogger(), createMemoryStore());
+
+        // The same listing in the results list and in a map popup
+        await Promise.all([
+            history.record({...PISO, price: 300000}, day(1)),
+            history.record({...PISO, statistics: stats(100, 2, 5)}, day(1)),
+        ]);
+
+        const [record] = await history.getAll();
+        expect(record.snapshots.map(({price, visits}) => [price, visits])).toEqual([[300000, null], [300000, 100]]);
+    });
+
+    it('exports one CSV row per snapshot and the full records as JSON', async () => {
+        const history = new ListingHistory(createLogger(), createMemoryStore());
+        const listing = {...PISO, title: 'Piso "reformado", Lavapiés'};
+        await history.record({...listing, price: 300000, statistics: stats(100, 2, 5)}, day(1));
+        await history.record({...listing, price: 285000}, day(2));
+
+        const records = await history.getAll();
+        expect(ListingHistory.toCsv(records).split('\n')).toEqual([
+            'listingId,url,title,status,firstSeen,lastSeen,removedAt,reappearedAt,date,price,visits,friendShares,emailContacts,favorites',
+            `106874512,${PISO.url},"Piso ""reformado"", Lavapiés",active,${day(1).toISOString()},${day(2).toISOString()},,,${day(1).toISOString()},300000,100,1,2,5`,
+            `106874512,${PISO.url},"Piso ""reformado"", Lavapiés",active,${day(1).toISOString()},${day(2).toISOString()},,,${day(2).toISOString()},285000,100,1,2,5`,
+        ]);
+        expect(JSON.parse(ListingHistory.toJson(records)).listings[0].snapshots).toHaveLength(2);
+    });
+
+    it('rejects instead of failing silently when IndexedDB is missing', async () => {
+        await expect(new ListingHistoryStore(createLogger(), undefined).getAll()).rejects.toThrow('IndexedDB is not available');
+    });
+});
+
+describe('Idealista listing history on the results page', () => {
+    const createAnalyzer = () => {
+        const analyzer = new IdealistaHouseListingAnalyzer();
+        analyzer.logger = createLogger();
+        analyzer.scoreCalculator.logger = analyzer.logger;
+        analyzer.marketComparison.logger = analyzer.logger;
+        analyzer.store = createMemoryStore();
+        analyzer.history = new ListingHistory(analyzer.logger, analyzer.store);
+        analyzer.scorePanel = {setListings: vi.fn(), setMarketSummary: vi.fn(), setHistorySummary: vi.fn()};
+        return analyzer;
+    };
+
+    it('highlights a listing whose price dropped since it was last seen', async () => {
+        loadPageFixture('idealista-house-listing-analyzer/search-results.html');
+        const analyzer = createAnalyzer();
+        const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+        await analyzer.history.record({...PISO, price: 300000, statistics: stats(1800, 37, 95)}, threeDaysAgo);
+
+        const anchor = document.querySelector('a.item-link');
+        const details = analyzer.detailsExtractor.parseCard(anchor);
+        await analyzer.addScoredListing(PISO.listingId, anchor, stats(1873, 37, 95), 5, false, details);
+
+        const badge = anchor.querySelector('.listing-history-badge');
+        expect(badge.textContent).toBe(' ↓5%');
+        expect(badge.title).toBe(`Price dropped from 300.000 € to 285.000 € on ${new Date().toISOString().slice(0, 10)}`);
+        expect(anchor.closest('article').classList.contains('idealista-history-price-drop')).toBe(true);
+        expect(analyzer.store.records.get(PISO.listingId).snapshots).toHaveLength(2);
+
+        // A listing seen for the first time updates the history summary
+        const [, estudio] = document.querySelectorAll('a.item-link');
+        await analyzer.addScoredListing('104221907', estudio, stats(240, 3, 8), 40, false, analyzer.detailsExtractor.parseCard(estudio));
+        expect(estudio.querySelector('.listing-history-badge')).toBeNull();
+        expect(analyzer.scorePanel.setHistorySummary).toHaveBeenLastCalledWith({total: 2, removed: 0});
+    });
+
+    it('marks unseen listings removed when their page says so', async () => {
+        config.delayBetweenRequests = 0;
+        const analyzer = createAnalyzer();
+        const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+        const DUPLEX = {listingId: '106120045', url: 'https://www.idealista.com/inmueble/106120045/', title: 'Dúplex'};
+        await analyzer.history.record({...PISO, price: 285000, statistics: stats(1873, 37, 95)}, threeDaysAgo);
+        await analyzer.history.record({...DUPLEX, price: 425000, statistics: stats(300, 4, 10)}, threeDaysAgo);
+        await analyzer.history.record({listingId: '1', url: 'https://www.idealista.com/inmueble/1/', title: 'Seen today', price: 1}, new Date());
+
+        const removedPage = '<html><body><div class="deactivated-detail_container"><p>Este anuncio ya no está publicado en idealista</p></div></body></html>';
+        analyzer.httpService = {
+            get: vi.fn(async url => (url === PISO.url ? removedPage : readFixture('idealista-house-listing-analyzer/listing-detail.html'))),
+        };
+
+        try {
+            expect(await analyzer.checkUnseenListings()).toEqual({checked: 2, removed: 1});
+        } finally {
+            config.delayBetweenRequests = 500;
+        }
+
+        expect(analyzer.httpService.get).toHaveBeenCalledTimes(2);
+        expect(analyzer.store.records.get(PISO.listingId).status).toBe('removed');
+        // The listing page of the other one shows a lower price
+        const duplex = analyzer.store.records.get(DUPLEX.listingId);
+        expect(duplex.snapshots.map(snapshot => snapshot.price)).toEqual([425000, 410000]);
+        expect(analyzer.scorePanel.setHistorySummary).toHaveBeenLastCalledWith({total: 3, removed: 1});
+    });
+});
@@ -0,0 +1,178 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {loadJSONFixture, loadPageFixture, readFixture} from '../setup/fixtures.js';
+import {config} from '../../userscripts/idealista-house-listing-analyzer/dev/config.js';
+import {RequestQueue} from '../../userscripts/idealista-house-listing-analyzer/dev/services/requestQueue.js';
+import {StatisticsExtractor} from '../../userscripts/idealista-house-listing-analyzer/dev/services/statisticsExtractor.js';
+import {LISTING_LINK_SELECTOR, ListingLayouts} from '../../userscripts/idealista-house-listing-analyzer/dev/ui/listingLayouts.js';
+import IdealistaHouseListingAnalyzer from '../../userscripts/idealista-house-listing-analyzer/dev/idealista-house-listing-analyzer.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn(), info: vi.fn()});
+
+describe('Idealista ListingLayouts', () => {
+    beforeEach(() => {
+        loadPageFixture('idealista-house-listing-analyzer/listing-layouts.html');
+    });
+
+    it('finds the card, title link and badge placement of each layout', () => {
+        const layouts = new ListingLayouts();
+        const resolve = (selector) => layouts.resolve(document.querySelector(selector));
+
+        const list = resolve('.listing-items .item-multimedia-link');
+        expect(list).toMatchObject({layout: 'list', badges: 'inline', priority: 0});
+        expect(list.titleAnchor).toBe(document.querySelector('.listing-items a.item-link'));
+
+        const map = resolve('.leaflet-popup-content a.item-link');
+        expect(map).toMatchObject({layout: 'map', badges: 'block', priority: 1});
+        expect(map.card).toBe(document.querySelector('.leaflet-popup-content'));
+
+        const favourite = resolve('.favorite-contact-button');
+        expect(favourite).toMatchObject({layout: 'favourites', badges: 'inline'});
+        expect(favourite.titleAnchor.classList.contains('item-link')).toBe(true);
+
+        // The photo link has no text; the slide's title link is the one after it
+        const slide = resolve('.swiper-slide a');
+        expect(slide).toMatchObject({layout: 'carousel', badges: 'block'});
+        expect(slide.titleAnchor.textContent).toBe('Piso en calle de Argumosa');
+
+        const link = resolve('.breadcrumb-note a');
+        expect(link).toMatchObject({layout: 'link', badges: 'inline'});
+        expect(link.card).toBe(link.titleAnchor);
+    });
+
+    it('adds a single badge line to block cards and removes it with the badges', () => {
+        const layouts = new ListingLayouts();
+        const placement = layouts.resolve(document.querySelector('.swiper-slide a'));
+
+        const host = layouts.getBadgeHost(placement);
+        expect(layouts.getBadgeHost(placement)).toBe(host);
+        expect(host.parentElement).toBe(placement.card);
+        expect(placement.card.querySelectorAll('.listing-badges')).toHaveLength(1);
+
+        layouts.clearBadges(placement);
+        expect(placement.card.querySelector('.listing-badges')).toBeNull();
+    });
+});
+
+describe('Idealista RequestQueue', () => {
+    it('runs one request at a time, higher priority first, and hands failures back', async () => {
+        const queue = new RequestQueue(createLogger(), {delayMs: 0, concurrency: 1});
+        const order = [];
+        let running = 0;
+        let maxRunning = 0;
+        const request = (name) => async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            order.push(name);
+            running--;
+            return name;
+        };
+
+        const results = Promise.all([
+            queue.run(request('list 1')),
+            queue.run(request('list 2')),
+            queue.run(request('map popup'), {priority: 1}),
+        ]);
+        const failure = queue.run(async () => {
+            throw new Error('HTTP 429');
+        });
+
+        await expect(results).resolves.toEqual(['list 1', 'list 2', 'map popup']);
+        await expect(failure).rejects.toThrow('HTTP 429');
+        expect(maxRunning).toBe(1);
+        // list 1 had already started when the others were queued
+        expect(order).toEqual(['list 1', 'map popup', 'list 2']);
+    });
+});
+
+describe('Idealista scoring outside the results list', () => {
+    afterEach(() => {
+        config.delayBetweenRequests = 500;
+        localStorage.clear();
+    });
+
+    const createAnalyzer = () => {
+        config.delayBetweenRequests = 0;
+        const analyzer = new IdealistaHouseListingAnalyzer();
+        analyzer.logger = createLogger();
+        analyzer.requestQueue.logger = analyzer.logger;
+        analyzer.scoreCalculator.logger = analyzer.logger;
+        analyzer.marketComparison.logger = analyzer.logger;
+        analyzer.detailsExtractor.logger = analyzer.logger;
+        analyzer.dataCache.logger = analyzer.logger;
+        analyzer.history.logger = analyzer.logger;
+        analyzer.scorePanel = {setListings: vi.fn(), setMarketSummary: vi.fn(), setHistorySummary: vi.fn()};
+        analyzer.extractor.extractStatistics = vi.fn().mockResolvedValue(new StatisticsExtractor(createLogger(), null)
+            .parseStatisticsFromResponse(loadJSONFixture('idealista-house-listing-analyzer/detailstatsview-published.json')));
+        analyzer.detailsExtractor.httpService = {
+            get: vi.fn().mockResolvedValue(readFixture('idealista-house-listing-analyzer/listing-detail.html')),
+        };
+        vi.spyOn(analyzer.requestQueue, 'run');
+        return analyzer;
+    };
+    const processPage = analyzer => Promise.all(
+        Array.from(document.querySelectorAll(LISTING_LINK_SELECTOR), anchor => analyzer.processAnchorElement(anchor)),
+    );
+
+    it('scores map popups, favourites, carousels and loose links through the shared queue', async () => {
+        loadPageFixture('idealista-house-listing-analyzer/listing-layouts.html');
+        const analyzer = createAnalyzer();
+
+        await processPage(analyzer);
+
+        // One statistics request per listing, even for the listing in both the list and the map popup
+        expect(analyzer.extractor.extractStatistics).toHaveBeenCalledTimes(5);
+        // The ático slide and the loose link have no area, so their pages are read too
+        expect(analyzer.detailsExtractor.httpService.get).toHaveBeenCalledTimes(2);
+        expect(analyzer.requestQueue.run).toHaveBeenCalledTimes(7);
+        expect(analyzer.scoredListings.get('106874512').placements.map(({layout}) => layout)).toEqual(['list', 'map']);
+
+        // Inline badges go in the title link, once per card
+        const listTitle = document.querySelector('.listing-items a.item-link');
+        expect(listTitle.querySelectorAll('.listing-score-badge')).toHaveLength(1);
+        expect(document.querySelector('.listing-items .item-multimedia-link .listing-score-badge')).toBeNull();
+        expect(document.querySelector('.favorite-item a.item-link .listing-score-badge')).not.toBeNull();
+        expect(document.querySelector('.favorite-contact-button .listing-score-badge')).toBeNull();
+        expect(document.querySelector('.breadcrumb-note a .listing-score-badge')).not.toBeNull();
+
+        // Popups and slides get a badge line of their own, outside their links
+        const popupBadges = document.querySelector('.leaflet-popup-content > .listing-badges');
+        expect(popupBadges.querySelector('.listing-score-badge').textContent)
+            .toBe(listTitle.querySelector('.listing-score-badge').textContent);
+        expect(popupBadges.querySelector('.listing-market-badge').textContent).toContain('3000 €/m²');
+        document.querySelectorAll('.swiper-slide').forEach((slide) => {
+            expect(slide.querySelectorAll('.listing-badges .listing-score-badge')).toHaveLength(1);
+            expect(slide.querySelector('a .listing-score-badge')).toBeNull();
+        });
+
+        // Processing the page again sends nothing
+        await processPage(analyzer);
+        expect(analyzer.requestQueue.run).toHaveBeenCalledTimes(7);
+    });
+
+    it('moves a reused map popup to the listing it shows now', async () => {
+        loadPageFixture('idealista-house-listing-analyzer/listing-layouts.html');
+        const analyzer = createAnalyzer();
+        await processPage(analyzer);
+
+        // The popup content is replaced by the marker clicked next
+        const popup = document.querySelector('.leaflet-popup-content');
+        const popupLink = popup.querySelector('a.item-link');
+        popupLink.href = '/inmueble/104221907/';
+        popupLink.title = 'Estudio en calle de Embajadores, Lavapiés-Embajadores, Madrid';
+        await analyzer.processAnchorElement(popupLink);
+
+        expect(analyzer.scoredListings.get('106874512').placements.map(({layout}) => layout)).toEqual(['list']);
+        expect(analyzer.scoredListings.get('104221907').placements.map(({layout}) => layout)).toEqual(['favourites', 'map']);
+        expect(popup.querySelectorAll('.listing-score-badge')).toHaveLength(1);
+        // Already scored for the favourites card, so no new request
+        expect(analyzer.extractor.extractStatistics).toHaveBeenCalledTimes(5);
+
+        // Closing the popup takes it out of the ranking
+        popup.closest('.leaflet-popup').remove();
+        analyzer.refreshScores();
+        expect(analyzer.getPageListings()).toHaveLength(5);
+        expect(analyzer.getPlacements(analyzer.scoredListings.get('104221907')).map(({layout}) => layout))
+            .toEqual(['favourites']);
+    });
+});
@@ -0,0 +1,83 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {loadJSONFixture, loadPageFixture, readFixture} from '../setup/fixtures.js';
+import {config} from '../../userscripts/idealista-house-listing-analyzer/dev/config.js';
+import {MarketComparison} from '../../userscripts/idealista-house-listing-analyzer/dev/services/marketComparison.js';
+import {StatisticsExtractor} from '../../userscripts/idealista-house-listing-analyzer/dev/services/statisticsExtractor.js';
+import IdealistaHouseListingAnalyzer from '../../userscripts/idealista-house-listing-analyzer/dev/idealista-house-listing-analyzer.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn(), info: vi.fn()});
+
+describe('Idealista MarketComparison', () => {
+    afterEach(() => {
+        config.delayBetweenRequests = 500;
+    });
+
+    it('compares each price per m² with the median of the other listings', () => {
+        const comparison = new MarketComparison(createLogger());
+        const listing = (listingId, pricePerSquareMeter) => ({listingId, pricePerSquareMeter});
+
+        const result = comparison.compare([
+            listing('a', 3000), listing('b', 4000), listing('c', 5000), listing('d', 6000), listing('e', null),
+        ]);
+
+        expect(result.median).toBe(4500);
+        expect(result.count).toBe(4);
+        // The others of a are 4000, 5000 and 6000
+        expect(result.listings.get('a')).toEqual({median: 5000, difference: -0.4});
+        expect(result.listings.get('d')).toEqual({median: 4000, difference: 0.5});
+        expect(result.listings.has('e')).toBe(false);
+
+        // Three listings leave each one only two others to compare with
+        const small = comparison.compare([listing('a', 3000), listing('b', 4000), listing('c', 5000)]);
+        expect(small.median).toBe(4000);
+        expect(small.listings.size).toBe(0);
+        expect(comparison.compare([listing('a', 3000)]).median).toBeNull();
+    });
+
+    it('shows price per m² against the page median and scores it once its weight is set', async () => {
+        loadPageFixture('idealista-house-listing-analyzer/search-results.html');
+        config.delayBetweenRequests = 0;
+        const statistics = new StatisticsExtractor(createLogger(), null)
+            .parseStatisticsFromResponse(loadJSONFixture('idealista-house-listing-analyzer/detailstatsview-published.json'));
+
+        const analyzer = new IdealistaHouseListingAnalyzer();
+        analyzer.logger = createLogger();
+        analyzer.scoreCalculator.logger = analyzer.logger;
+        analyzer.marketComparison.logger = analyzer.logger;
+        analyzer.detailsExtractor.logger = analyzer.logger;
+        analyzer.dataCache.logger = analyzer.logger;
+        analyzer.scorePanel = {setListings: vi.fn(), setMarketSummary: vi.fn()};
+        vi.spyOn(analyzer.settingsStore, 'set').mockResolvedValue();
+        analyzer.detailsExtractor.httpService = {
+            get: vi.fn().mockResolvedValue(readFixture('idealista-house-listing-analyzer/listing-detail.html')),
+        };
+
+        for (const anchor of document.querySelectorAll('a.item-link')) {
+            const listingId = analyzer.extractor.extractListingId(anchor.href);
+            const details = await analyzer.getListingDetails(listingId, anchor);
+            analyzer.addScoredListing(listingId, anchor, statistics, 10, false, details);
+        }
+
+        // Only the card without an area needed its listing page, which is then cached
+        expect(analyzer.detailsExtractor.httpService.get).toHaveBeenCalledTimes(1);
+        expect(analyzer.dataCache.get('details_106120045')).toMatchObject({area: 104, floor: 5});
+        expect(analyzer.scorePanel.setMarketSummary).toHaveBeenLastCalledWith(4184, 5);
+
+        const [cheapest] = document.querySelectorAll('a.item-link');
+        const badge = cheapest.querySelector('.listing-market-badge');
+        expect(badge.textContent).toBe(' · 3000 €/m² −34% · 3 rooms · floor 2');
+        expect(badge.title).toContain('Median of the other listings on this page: 4516 €/m²');
+        const scoreBefore = analyzer.scoredListings.get('106874512').breakdown.score;
+        expect(cheapest.querySelector('.listing-score-badge').title).not.toContain('Below page median');
+
+        await analyzer.updateSetting('WEIGHT_BELOW_MEDIAN_PRICE', 10);
+
+        const {breakdown} = analyzer.scoredListings.get('106874512');
+        expect(breakdown.score).toBeGreaterThan(scoreBefore);
+        expect(breakdown.components.at(-1)).toMatchObject({name: 'belowMedianPrice', weight: 10});
+        expect(breakdown.components.at(-1).points).toBeCloseTo(3.356, 3);
+        expect(cheapest.querySelector('.listing-score-badge').title).toContain('Below page median €/m²: 0.34 × 10 = 3.36');
+        // The most expensive listing per m² loses points
+        expect(analyzer.scoredListings.get('103998210').breakdown.score).toBeLessThan(scoreBefore);
+    });
+});
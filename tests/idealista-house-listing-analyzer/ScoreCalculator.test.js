@@ -0,0 +1,129 @@
+import {describe, expect, it, vi} from 'vitest';
+import {loadJSONFixture} from '../setup/fixtures.js';
+import {StatisticsExtractor} from '../../userscripts/idealista-house-listing-analyzer/dev/services/statisticsExtractor.js';
+import {ScoreCalculator} from '../../userscripts/idealista-house-listing-analyzer/dev/services/scoreCalculator.js';
+import {ScorePanel} from '../../userscripts/idealista-house-listing-analyzer/dev/ui/scorePanel.js';
+import IdealistaHouseListingAnalyzer from '../../userscripts/idealista-house-listing-analyzer/dev/idealista-house-listing-analyzer.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn(), info: vi.fn()});
+
+const statisticsFrom = (fixture) => new StatisticsExtractor(createLogger(), null)
+    .parseStatisticsFromResponse(loadJSONFixture(`idealista-house-listing-analyzer/${fixture}`));
+
+describe('Idealista ScoreCalculator', () => {
+    it('breaks the score down per statistic and normalises it to 0–100', () => {
+        const calculator = new ScoreCalculator(createLogger());
+        const breakdown = calculator.calculateBreakdown(statisticsFrom('detailstatsview-updated.json'), 5);
+
+        expect(breakdown.components.map(({name, points}) => [name, Number(points.toFixed(4))])).toEqual([
+            ['visits', 0.1873],
+            ['friendShares', 3.6],
+            ['emailContacts', 22.2],
+            ['favorites', 38],
+            ['recency', 0.1213],
+        ]);
+        expect(breakdown.rawScore).toBeCloseTo(64.1086, 4);
+        expect(breakdown.score).toBeCloseTo(100 * (1 - Math.exp(-64.1086 / 20)), 3);
+
+        const quiet = calculator.calculateBreakdown(statisticsFrom('detailstatsview-published.json'), 40);
+        expect(quiet.score).toBeGreaterThan(0);
+        expect(quiet.score).toBeLessThan(breakdown.score);
+        expect(calculator.calculateBreakdown({}, 0).score).toBeCloseTo(100 * (1 - Math.exp(-0.2 / 20)), 6);
+        expect(calculator.normalize(1e6)).toBeLessThanOrEqual(100);
+    });
+
+    it('uses custom weights and recency decay rate', () => {
+        const calculator = new ScoreCalculator(createLogger(), {
+            weights: {visits: 0, friendShares: 0, emailContacts: 0, favorites: 0, recency: 10},
+            recencyDecayRate: 0.5,
+        });
+
+        const breakdown = calculator.calculateBreakdown({visits: 500, favorites: 20}, 2);
+        expect(breakdown.rawScore).toBeCloseTo(10 * Math.exp(-1), 6);
+
+        // Settings left out fall back to config.js
+        calculator.setSettings({weights: {favorites: 1}});
+        expect(calculator.weights).toMatchObject({visits: 0.0001, favorites: 1});
+        expect(calculator.recencyDecayRate).toBe(0.1);
+    });
+});
+
+describe('Idealista score ranking', () => {
+    const listing = (title, score, statistics, daysSincePublished) => ({title, breakdown: {score}, statistics, daysSincePublished});
+    const listings = [
+        listing('Ático', 40, {visits: 900, emailContacts: 2, favorites: 30}, 20),
+        listing('Piso', 85, {visits: 300, emailContacts: 12, favorites: 9}, 3),
+        listing('Estudio', 60, {visits: 900, emailContacts: 5, favorites: 4}, 1),
+    ];
+
+    it('sorts by score, a statistic or age', () => {
+        const titles = (sortKey) => ScorePanel.sortListings(listings, sortKey).map(({title}) => title);
+
+        expect(titles('score')).toEqual(['Piso', 'Estudio', 'Ático']);
+        // Equal visits fall back to the score
+        expect(titles('visits')).toEqual(['Estudio', 'Ático', 'Piso']);
+        expect(titles('favorites')).toEqual(['Ático', 'Piso', 'Estudio']);
+        expect(titles('newest')).toEqual(['Estudio', 'Piso', 'Ático']);
+        expect(listings[0].title).toBe('Ático');
+    });
+
+    it('says the history was exported only once the export is done', async () => {
+        let finishExport;
+        const onExportHistory = vi.fn(() => new Promise(resolve => {
+            finishExport = resolve;
+        }));
+        const panel = new ScorePanel(createLogger(), {onExportHistory});
+        panel.createHistorySection(document.body);
+        const csvButton = [...document.querySelectorAll('button')].find(button => button.textContent === 'Export CSV');
+
+        csvButton.click();
+        expect(onExportHistory).toHaveBeenCalledWith('csv');
+        expect(csvButton.textContent).toBe('Export CSV');
+
+        finishExport(12);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(csvButton.textContent).toBe('Exported 12');
+    });
+
+    it('rescores badges and the ranking when a weight changes', async () => {
+        document.body.innerHTML = `
+            <article><a class="item-link" title="Piso en Lavapiés" href="https://www.idealista.com/inmueble/106874512/">Piso</a></article>
+            <article><a class="item-link" title="Estudio en Malasaña" href="https://www.idealista.com/inmueble/104221907/">Estudio</a></article>`;
+        const analyzer = new IdealistaHouseListingAnalyzer();
+        analyzer.logger = createLogger();
+        analyzer.scoreCalculator.logger = analyzer.logger;
+        analyzer.scorePanel = {setListings: vi.fn(), setMarketSummary: vi.fn()};
+        vi.spyOn(analyzer.settingsStore, 'set').mockResolvedValue();
+
+        const [piso, estudio] = document.querySelectorAll('a');
+        analyzer.addScoredListing('106874512', piso, statisticsFrom('detailstatsview-updated.json'), 5, false);
+        analyzer.addScoredListing('104221907', estudio, statisticsFrom('detailstatsview-published.json'), 40, true);
+
+        const badge = piso.querySelector('.listing-score-badge');
+        expect(badge.textContent).toBe(' (96) D:5');
+        expect(badge.title.split('\n')).toEqual([
+            'Score: 96/100',
+            'Visits: 1873 × 0.0001 = 0.19',
+            'Friend shares: 12 × 0.3 = 3.60',
+            'Email contacts: 37 × 0.6 = 22.20',
+            'Favorites: 95 × 0.4 = 38.00',
+            'Recency (5 days): 0.61 × 0.2 = 0.12',
+            'Raw total: 64.11',
+        ]);
+        expect(estudio.querySelector('.listing-score-badge').title).toContain('(cached)');
+
+        await analyzer.updateSetting('WEIGHT_FAVORITES', 0);
+
+        expect(analyzer.settingsStore.set).toHaveBeenCalledWith('WEIGHT_FAVORITES', 0);
+        expect(piso.querySelectorAll('.listing-score-badge')).toHaveLength(1);
+        expect(badge.textContent).toBe(' (73) D:5');
+        const ranked = analyzer.scorePanel.setListings.mock.lastCall[0];
+        expect(ranked.map(({title}) => title)).toEqual(['Piso en Lavapiés', 'Estudio en Malasaña']);
+        expect(Math.round(ranked[0].breakdown.score)).toBe(73);
+
+        // Listings replaced by the next results page leave the ranking
+        estudio.closest('article').remove();
+        analyzer.refreshScores();
+        expect(analyzer.scorePanel.setListings.mock.lastCall[0]).toHaveLength(1);
+    });
+});
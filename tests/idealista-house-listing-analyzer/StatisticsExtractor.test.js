@@ -0,0 +1,52 @@
+import {describe, expect, it, vi} from 'vitest';
+import {loadJSONFixture} from '../setup/fixtures.js';
+import {StatisticsExtractor} from '../../userscripts/idealista-house-listing-analyzer/dev/services/statisticsExtractor.js';
+
+const createLogger = () => ({log: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn()});
+
+describe('Idealista StatisticsExtractor on recorded detailstatsview responses', () => {
+    it('parses counters and the update date', () => {
+        const extractor = new StatisticsExtractor(createLogger(), null);
+        const response = loadJSONFixture('idealista-house-listing-analyzer/detailstatsview-updated.json');
+
+        expect(extractor.parseStatisticsFromResponse(response)).toEqual({
+            visits: 1873,
+            friendShares: 12,
+            emailContacts: 37,
+            favorites: 95,
+            dateLine: '14 de octubre',
+        });
+    });
+
+    it('parses the publication date when the listing was never updated', () => {
+        const extractor = new StatisticsExtractor(createLogger(), null);
+        const response = loadJSONFixture('idealista-house-listing-analyzer/detailstatsview-published.json');
+
+        expect(extractor.parseStatisticsFromResponse(response)).toEqual({
+            visits: 240,
+            friendShares: 0,
+            emailContacts: 3,
+            favorites: 8,
+            dateLine: '2 de septiembre',
+        });
+    });
+
+    it('returns null and warns for an empty response', () => {
+        const logger = createLogger();
+        const extractor = new StatisticsExtractor(logger, null);
+
+        expect(extractor.parseStatisticsFromResponse({result: 'OK'})).toBeNull();
+        expect(logger.warn).toHaveBeenCalled();
+    });
+
+    it('fetches and parses statistics through the HTTP service', async () => {
+        const response = loadJSONFixture('idealista-house-listing-analyzer/detailstatsview-updated.json');
+        const httpService = {get: vi.fn().mockResolvedValue(JSON.stringify(response))};
+        const extractor = new StatisticsExtractor(createLogger(), httpService);
+
+        const statistics = await extractor.extractStatistics('106874512');
+
+        expect(httpService.get.mock.calls[0][0]).toBe('https://www.idealista.com/ajax/detailstatsview/106874512/');
+        expect(statistics.visits).toBe(1873);
+    });
+});
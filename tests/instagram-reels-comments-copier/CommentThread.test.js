@@ -0,0 +1,71 @@
+import {describe, expect, it} from 'vitest';
+import CommentThread from '../../userscripts/instagram-reels-comments-copier/dev/utils/CommentThread.js';
+
+// Shaped like normalizeComment() output for a GraphQL page and a child comments page
+const comments = [
+    {id: '100', parentId: null, username: 'ana', text: 'Where was this filmed?', likes: 12, replyCount: 2, timestamp: 1718000000, source: 'network'},
+    {id: '200', parentId: null, username: 'ben', text: 'Great edit', likes: 0, replyCount: 0, timestamp: 1718000100, source: 'network'},
+    {id: '101', parentId: '100', username: 'creator', text: 'Lisbon!\nNear the river', likes: 5, replyCount: null, timestamp: 1718000200, source: 'network'},
+    {id: '102', parentId: '101', username: 'ana', text: '@creator thanks, "obrigada"', likes: null, replyCount: null, timestamp: null, source: 'network'},
+    {id: '300', parentId: '999', username: 'cat', text: 'Reply to an unloaded comment', likes: 1, replyCount: null, timestamp: 1718000000000, source: 'dom'}
+];
+
+describe('CommentThread', () => {
+    it('nests replies under their top-level comment and keeps orphans at the top', () => {
+        const tree = CommentThread.buildTree(comments);
+
+        expect(tree.map((node) => node.id)).toEqual(['100', '200', '300']);
+        expect(tree[0].replies.map((node) => node.id)).toEqual(['101', '102']);
+        expect(CommentThread.flatten(tree).map(({comment, depth}) => [comment.id, depth])).toEqual([
+            ['100', 0], ['101', 1], ['102', 1], ['200', 0], ['300', 0]
+        ]);
+    });
+
+    it('keeps comments in a parent cycle', () => {
+        const tree = CommentThread.buildTree([
+            {id: '1', parentId: '2', username: 'a', text: 'one'},
+            {id: '2', parentId: '1', username: 'b', text: 'two'}
+        ]);
+
+        expect(tree.map((node) => node.id)).toEqual(['1', '2']);
+    });
+
+    it('reads timestamps in seconds and milliseconds', () => {
+        expect(CommentThread.toIsoDate(1718000000)).toBe('2024-06-10T06:13:20.000Z');
+        expect(CommentThread.toIsoDate(1718000000000)).toBe('2024-06-10T06:13:20.000Z');
+        expect(CommentThread.toIsoDate(null)).toBeNull();
+    });
+
+    it('indents replies in text output', () => {
+        const text = CommentThread.toText(CommentThread.buildTree(comments.slice(0, 4)), {formatTime: (iso) => iso.substring(0, 10)});
+
+        expect(text).toBe([
+            'ana (2024-06-10, 12 likes):',
+            'Where was this filmed?',
+            '  ↳ creator replied to ana (2024-06-10, 5 likes):',
+            '  Lisbon!',
+            '  Near the river',
+            '  ↳ ana replied to ana:',
+            '  @creator thanks, "obrigada"',
+            '',
+            'ben (2024-06-10):',
+            'Great edit'
+        ].join('\n'));
+    });
+
+    it('exports nested JSON, CSV with parents and a Markdown list', () => {
+        const json = JSON.parse(CommentThread.export(comments, 'json', {url: 'https://www.instagram.com/reel/abc/'}));
+        expect(json.url).toBe('https://www.instagram.com/reel/abc/');
+        expect(json.count).toBe(5);
+        expect(json.comments[0]).toMatchObject({id: '100', likes: 12, replyCount: 2, timestamp: '2024-06-10T06:13:20.000Z'});
+        expect(json.comments[0].replies[1]).toMatchObject({id: '102', likes: null, timestamp: null, replies: []});
+
+        const csv = CommentThread.export(comments, 'csv').split('\n');
+        expect(csv[0]).toBe('id,parentId,depth,username,text,likes,replyCount,timestamp,source');
+        expect(csv[4]).toBe('102,101,1,ana,"@creator thanks, ""obrigada""",,,,network');
+        expect(csv[csv.length - 1]).toBe('300,,0,cat,Reply to an unloaded comment,1,,2024-06-10T06:13:20.000Z,dom');
+
+        const markdown = CommentThread.export(comments, 'markdown');
+        expect(markdown).toContain('- **ana** · 2024-06-10 06:13 · ❤️ 12\n  Where was this filmed?\n  - **creator** · 2024-06-10 06:16 · ❤️ 5\n    Lisbon!\n    Near the river');
+    });
+});
@@ -0,0 +1,63 @@
+import {beforeEach, describe, expect, it} from 'vitest';
+import {gm} from '../setup/GMStandIn.js';
+import {loadPageFixture, readFixture} from '../setup/fixtures.js';
+import {CaptionsFetcher, CaptionsManager} from '../../userscripts/loom-captions-extractor/dev/loom-captions-extractor.js';
+
+const TRACK_URL = 'https://cdn.loom.com/mediametadata/captions/a1b2c3d4.vtt?Policy=abc&Signature=def';
+
+/**
+ * Add the player's embedded data, with the JSON escaping Loom uses for URLs
+ */
+function embedTrackUrl() {
+    const script = document.createElement('script');
+    script.textContent = 'window.__APOLLO_STATE__ = {"VideoTranscriptDetails:1":{"captions_source_url":' +
+        '"https:\\u002F\\u002Fcdn.loom.com\\u002Fmediametadata\\u002Fcaptions\\u002Fa1b2c3d4.vtt?Policy=abc\\u0026Signature=def"}};';
+    document.body.appendChild(script);
+}
+
+describe('Loom CaptionsFetcher', () => {
+    beforeEach(() => {
+        CaptionsManager.clearCaptions();
+        loadPageFixture('loom-captions-extractor/share-page.html');
+    });
+
+    it('finds the caption track URL in the embedded page data', () => {
+        expect(CaptionsFetcher.findCaptionsUrl()).toBeNull();
+
+        embedTrackUrl();
+
+        expect(CaptionsFetcher.findCaptionsUrl()).toBe(TRACK_URL);
+    });
+
+    it('parses WebVTT cues, dropping headers, settings and voice tags', () => {
+        expect(CaptionsFetcher.parseVtt(readFixture('loom-captions-extractor/captions.vtt'))).toEqual([
+            {start: 2.12, end: 6.48, text: 'Hi everyone, thanks for joining.'},
+            {start: 7, end: 11.25, text: 'Today we\'re going through the roadmap.'},
+            {start: 3669.5, end: 3672, text: 'That\'s everything for this quarter.'}
+        ]);
+    });
+
+    it('parses transcript JSON phrases with end times from the next phrase', () => {
+        expect(CaptionsFetcher.parseTranscriptJson({phrases: [{ts: 0.5, value: 'Hello'}, {ts: 3, value: ' '}, {ts: 4, value: 'Bye'}]})).toEqual([
+            {start: 0.5, end: 4, text: 'Hello'},
+            {start: 4, end: 4 + CaptionsManager.LAST_CUE_SECONDS, text: 'Bye'}
+        ]);
+    });
+
+    it('fills the captions at once from the fetched track', async () => {
+        embedTrackUrl();
+        gm.respond(TRACK_URL, {status: 200, responseText: readFixture('loom-captions-extractor/captions.vtt')});
+
+        expect(await CaptionsFetcher.loadIntoManager()).toBe(true);
+        expect(CaptionsManager.timestamps).toEqual(['0:02', '0:07', '1:01:09']);
+        expect(CaptionsManager.totalDuration).toBe('1:01:12');
+        expect(CaptionsManager.getAllCaptionsText('srt')).toContain('1\n00:00:02,120 --> 00:00:06,480\nHi everyone, thanks for joining.');
+    });
+
+    it('reports failure so the live observer can take over', async () => {
+        embedTrackUrl();
+
+        expect(await CaptionsFetcher.loadIntoManager()).toBe(false);
+        expect(CaptionsManager.captions).toEqual([]);
+    });
+});
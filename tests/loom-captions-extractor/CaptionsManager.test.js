@@ -0,0 +1,76 @@
+import {beforeEach, describe, expect, it} from 'vitest';
+import {CaptionsManager, CaptionsMonitor} from '../../userscripts/loom-captions-extractor/dev/loom-captions-extractor.js';
+
+/**
+ * Store captions the way the monitor does
+ * @param {Array<[string, string]>} captions - [timestamp, caption] pairs
+ * @param {string} total - Video duration shown by the player
+ */
+function capture(captions, total) {
+    captions.forEach(([timestamp, caption]) => CaptionsManager.addCaption(caption, timestamp));
+    CaptionsManager.updateTimestamp(captions[captions.length - 1][0], total);
+}
+
+describe('Loom CaptionsManager exports', () => {
+    beforeEach(() => {
+        CaptionsManager.clearCaptions();
+    });
+
+    it('handles timestamps past one hour', () => {
+        expect(CaptionsMonitor.normalizeTimestamp('1:01:09')).toBe('1:01:09');
+        expect(CaptionsMonitor.normalizeTimestamp('61:09')).toBe('1:01:09');
+        expect(CaptionsMonitor.normalizeTimestamp('7')).toBe('0:07');
+        expect(CaptionsManager.parseTimestamp('1:01:09')).toBe(3669);
+        expect(CaptionsManager.formatCueTimestamp(3669, '.')).toBe('01:01:09.000');
+    });
+
+    it('carries milliseconds that round up to a full second', () => {
+        expect(CaptionsManager.formatCueTimestamp(1.9996, '.')).toBe('00:00:02.000');
+        expect(CaptionsManager.formatCueTimestamp(3599.9995)).toBe('01:00:00,000');
+        expect(CaptionsManager.formatCueTimestamp(62.345)).toBe('00:01:02,345');
+    });
+
+    it('ends each cue at the next cue and the last one at the end of the video', () => {
+        capture([['0:02', 'Hello.'], ['0:07', 'Roadmap time.'], ['1:01:09', 'Bye.']], '1:01:12');
+
+        expect(CaptionsManager.getAllCaptionsText('vtt')).toBe([
+            'WEBVTT',
+            '',
+            '1',
+            '00:00:02.000 --> 00:00:07.000',
+            'Hello.',
+            '',
+            '2',
+            '00:00:07.000 --> 01:01:09.000',
+            'Roadmap time.',
+            '',
+            '3',
+            '01:01:09.000 --> 01:01:12.000',
+            'Bye.'
+        ].join('\n'));
+        expect(CaptionsManager.getAllCaptionsText('srt')).toContain('2\n00:00:07,000 --> 01:01:09,000\nRoadmap time.');
+    });
+
+    it('writes structured JSON cues in seconds', () => {
+        capture([['0:02', 'Hello.'], ['0:07', 'Bye.']], '');
+
+        const json = JSON.parse(CaptionsManager.getAllCaptionsText('json'));
+
+        expect(json.duration).toBeNull();
+        expect(json.cues).toEqual([
+            {start: 2, end: 7, text: 'Hello.'},
+            {start: 7, end: 7 + CaptionsManager.LAST_CUE_SECONDS, text: 'Bye.'}
+        ]);
+    });
+
+    it('merges cues into paragraphs at sentence ends and pauses', () => {
+        const sentences = Array.from({length: 9}, (_, index) => [`0:${String(index * 4).padStart(2, '0')}`, `Point ${index + 1}.`]);
+        capture([...sentences, ['0:36', 'and a question'], ['0:40', 'for you?'], ['0:50', 'Thanks.']], '0:55');
+
+        expect(CaptionsManager.getAllCaptionsText('readable')).toBe([
+            '[0:00]\nPoint 1. Point 2. Point 3. Point 4. Point 5. Point 6. Point 7. Point 8.',
+            '[0:32]\nPoint 9. and a question for you?',
+            '[0:50]\nThanks.'
+        ].join('\n\n'));
+    });
+});
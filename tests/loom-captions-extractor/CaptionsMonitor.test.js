@@ -0,0 +1,56 @@
+import {beforeEach, describe, expect, it} from 'vitest';
+import {loadJSONFixture, loadPageFixture} from '../setup/fixtures.js';
+import {CaptionsManager, CaptionsMonitor} from '../../userscripts/loom-captions-extractor/dev/loom-captions-extractor.js';
+
+/**
+ * Replay recorded caption/time states against the page and feed the resulting
+ * mutation records to the monitor, the same way its MutationObserver would.
+ * @param {Array<{time: string, caption: string}>} steps - Recorded player states
+ */
+function replay(steps) {
+    const captionElement = document.querySelector(CaptionsMonitor.captionsSelector);
+    const timeElement = document.querySelector(CaptionsMonitor.timestampSelector);
+    const observer = new MutationObserver(() => {});
+
+    observer.observe(document.querySelector('div[data-name="ClosedCaptions"]'), {
+        childList: true,
+        subtree: true,
+        characterData: true,
+    });
+
+    steps.forEach(({time, caption}) => {
+        timeElement.textContent = time;
+        captionElement.textContent = caption;
+        CaptionsMonitor.handleCaptionMutations(observer.takeRecords());
+    });
+
+    observer.disconnect();
+}
+
+describe('Loom CaptionsMonitor on a recorded share page', () => {
+    beforeEach(() => {
+        CaptionsManager.clearCaptions();
+        CaptionsMonitor.lastCaptionText = null;
+        loadPageFixture('loom-captions-extractor/share-page.html');
+    });
+
+    it('captures each distinct caption once with its start time', () => {
+        replay(loadJSONFixture('loom-captions-extractor/caption-replay.json'));
+
+        expect(CaptionsManager.captions).toEqual([
+            'Hi everyone, thanks for joining.',
+            'Today we\'re going through the roadmap.',
+            'First up, the "search" rewrite.',
+            'That\'s everything for this quarter.',
+        ]);
+        expect(CaptionsManager.timestamps).toEqual(['0:02', '0:07', '0:59', '1:01:09']);
+        expect(CaptionsManager.totalDuration).toBe('1:05:12');
+    });
+
+    it('ignores mutation batches without relevant changes', () => {
+        CaptionsMonitor.handleCaptionMutations([]);
+        CaptionsMonitor.handleCaptionMutations([{type: 'attributes', attributeName: 'style'}]);
+
+        expect(CaptionsManager.captions).toEqual([]);
+    });
+});
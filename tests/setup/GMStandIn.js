@@ -0,0 +1,162 @@
+/**
+ * GMStandIn - In-memory stand-in for the userscript manager API used by the test harness
+ * Mirrors the GM_* functions that GMFunctions.initialize() polyfills (GM_addStyle, GM_getValue,
+ * GM_setValue, GM_xmlhttpRequest, GM_download, GM_setClipboard) and records every call so
+ * tests can assert on storage writes, network requests, downloads and clipboard contents.
+ */
+class GMStandIn {
+    constructor() {
+        this.storage = new Map();
+        this.requests = [];
+        this.downloads = [];
+        this.clipboard = null;
+        this.responders = [];
+    }
+
+    /**
+     * Install the GM_* functions on a window object.
+     * GM_info is defined as well so GMFunctions treats them as native manager functions
+     * instead of replacing them with its localStorage fallbacks.
+     * @param {Window} target - Window to install the functions on
+     */
+    install(target) {
+        target.GM_info = {script: {name: 'test-harness', version: '0.0.0'}, scriptHandler: 'GMStandIn'};
+        target.GM_addStyle = (css) => {
+            const style = target.document.createElement('style');
+            style.textContent = css;
+            target.document.head.appendChild(style);
+            return style;
+        };
+        target.GM_getValue = (key, defaultValue) => this.getValue(key, defaultValue);
+        target.GM_setValue = (key, value) => this.setValue(key, value);
+        target.GM_deleteValue = (key) => this.storage.delete(key);
+        target.GM_listValues = () => Array.from(this.storage.keys());
+        target.GM_xmlhttpRequest = (details) => this.xmlhttpRequest(details);
+        target.GM_download = (options) => this.download(options);
+        target.GM_setClipboard = (text) => {
+            this.clipboard = text;
+        };
+    }
+
+    /**
+     * Forget every stored value, recorded call and registered responder.
+     */
+    reset() {
+        this.storage.clear();
+        this.requests = [];
+        this.downloads = [];
+        this.clipboard = null;
+        this.responders = [];
+    }
+
+    /**
+     * Read a stored value. Values are cloned so callers cannot mutate storage by reference,
+     * matching the serialisation a real userscript manager performs.
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Value returned when the key is missing
+     * @return {*} Stored value or the default
+     */
+    getValue(key, defaultValue) {
+        if (!this.storage.has(key)) {
+            return defaultValue;
+        }
+        return JSON.parse(this.storage.get(key));
+    }
+
+    /**
+     * Store a value.
+     * @param {string} key - Storage key
+     * @param {*} value - Any JSON-serialisable value
+     */
+    setValue(key, value) {
+        this.storage.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * Register a canned response for GM_xmlhttpRequest.
+     * @param {string|RegExp|Function} matcher - Exact URL, URL pattern or predicate `(details) => boolean`
+     * @param {Object|Function} response - Response fields ({status, responseText, ...}) or a factory `(details) => response`
+     */
+    respond(matcher, response) {
+        this.responders.push({matcher, response});
+    }
+
+    /**
+     * Find the response registered for a request. Later registrations win.
+     * @param {Object} details - GM_xmlhttpRequest details
+     * @return {Object|null} Response fields or null when nothing matches
+     */
+    findResponse(details) {
+        for (let i = this.responders.length - 1; 0 <= i; i--) {
+            const {matcher, response} = this.responders[i];
+            const matches = 'function' === typeof matcher ? matcher(details) :
+                matcher instanceof RegExp ? matcher.test(details.url) :
+                matcher === details.url;
+            if (matches) {
+                return 'function' === typeof response ? response(details) : response;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * GM_xmlhttpRequest stand-in. Callbacks fire asynchronously, like the real API.
+     * Unmatched requests complete with a 404.
+     * @param {Object} details - Request details
+     * @return {Object} Handle with an abort() method
+     */
+    xmlhttpRequest(details) {
+        this.requests.push(details);
+        let aborted = false;
+
+        setTimeout(() => {
+            if (aborted) return;
+            const matched = this.findResponse(details);
+
+            if (matched && matched.error) {
+                if (details.onerror) details.onerror(matched.error);
+                return;
+            }
+
+            const response = {
+                status: 404,
+                statusText: 'Not Found',
+                responseText: '',
+                readyState: 4,
+                finalUrl: details.url,
+                responseHeaders: '',
+                ...matched,
+            };
+            if (undefined === response.response) {
+                response.response = response.responseText;
+            }
+            if (details.onload) details.onload(response);
+        }, 0);
+
+        return {
+            abort: () => {
+                aborted = true;
+                if (details.onabort) details.onabort();
+            },
+        };
+    }
+
+    /**
+     * GM_download stand-in. Records the download and reports success.
+     * @param {Object} options - Download options ({url, name, onload, onerror})
+     * @return {Promise<boolean>} Resolves once onload has been called
+     */
+    download(options) {
+        this.downloads.push({url: options.url, name: options.name});
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                if (options.onload) options.onload();
+                resolve(true);
+            }, 0);
+        });
+    }
+}
+
+export const gm = new GMStandIn();
+
+export default GMStandIn;
@@ -0,0 +1,44 @@
+/**
+ * Fixture loading helpers for the recorded-page regression tests
+ * Fixtures are saved page snapshots (or API responses) under tests/fixtures/<script-name>/,
+ * trimmed down to the markup the site scripts actually read.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Read a fixture file as text
+ * @param {string} name - Path relative to tests/fixtures, e.g. 'loom-captions-extractor/share-page.html'
+ * @return {string} File contents
+ */
+export function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Read and parse a JSON fixture
+ * @param {string} name - Path relative to tests/fixtures
+ * @return {*} Parsed JSON
+ */
+export function loadJSONFixture(name) {
+    return JSON.parse(readFixture(name));
+}
+
+/**
+ * Load a recorded HTML page into the current document.
+ * Only the body and title are replaced so styles injected by the scripts at import time survive.
+ * Script tags are never executed when assigning innerHTML.
+ * @param {string} name - Path relative to tests/fixtures
+ * @return {Document} The current document
+ */
+export function loadPageFixture(name) {
+    const recorded = new DOMParser().parseFromString(readFixture(name), 'text/html');
+
+    document.title = recorded.title;
+    document.body.innerHTML = recorded.body.innerHTML;
+
+    return document;
+}
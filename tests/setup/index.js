@@ -0,0 +1,26 @@
+/**
+ * Test harness setup - runs before every test file.
+ * Installs the GM stand-in before any core module is imported (GMFunctions captures the
+ * GM_* functions at import time) and resets page and storage state between tests.
+ */
+import {afterEach, beforeEach, vi} from 'vitest';
+import {gm} from './GMStandIn.js';
+
+gm.install(window);
+
+const {default: Logger} = await import('../../userscripts/common/core/utils/Logger.js');
+const {default: PubSub} = await import('../../userscripts/common/core/utils/PubSub.js');
+
+// Keep test output readable; log history is still recorded for assertions
+Logger.mock(true);
+
+beforeEach(() => {
+    gm.reset();
+    localStorage.clear();
+});
+
+afterEach(() => {
+    document.body.textContent = '';
+    PubSub.clear();
+    vi.restoreAllMocks();
+});
@@ -0,0 +1,143 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {loadPageFixture} from '../setup/fixtures.js';
+import {gm} from '../setup/GMStandIn.js';
+import PubSub from '../../userscripts/common/core/utils/PubSub.js';
+import {JobTileParser} from '../../userscripts/upwork-country-filter/src/components/JobTileParser.js';
+import {JOB_RULES_KEY, JobRuleFilter} from '../../userscripts/upwork-country-filter/src/components/JobRuleFilter.js';
+import {SettingsPanel} from '../../userscripts/upwork-country-filter/src/ui/SettingsPanel.js';
+
+const tileStates = () => JobTileParser.getJobTiles().map((tile) => {
+    if (tile.classList.contains('upwork-job-rule-hidden')) return 'hidden';
+    if (tile.classList.contains('upwork-job-rule-dimmed')) return 'dimmed';
+    return 'shown';
+});
+
+describe('Upwork JobTileParser', () => {
+    it('reads budget, client history and proposals from the job tiles', () => {
+        loadPageFixture('upwork-country-filter/find-work.html');
+
+        const jobs = JobTileParser.getJobTiles().map((tile) => JobTileParser.parse(tile));
+
+        // The JobTile articles sit inside the list sections and are not counted twice
+        expect(jobs).toHaveLength(5);
+        expect(jobs[0]).toMatchObject({
+            title: 'Build a Shopify theme from Figma designs',
+            clientSpent: 50000,
+            hireRate: null,
+            paymentVerified: true,
+            budgetType: 'hourly',
+            hourlyMin: 40,
+            hourlyMax: 80,
+            proposals: 10
+        });
+        expect(jobs[1]).toMatchObject({clientSpent: 0, paymentVerified: false, budgetType: 'fixed', fixedBudget: 30, proposals: 50});
+        expect(jobs[2]).toMatchObject({clientSpent: 1200, hireRate: 18, hourlyMin: 5, hourlyMax: 8, proposals: 20});
+        expect(jobs[3]).toMatchObject({clientSpent: 1000000, hireRate: 92, fixedBudget: 2500, proposals: 0});
+        // Nothing shown means nothing known
+        expect(jobs[4]).toMatchObject({
+            clientSpent: null, hireRate: null, paymentVerified: null, budgetType: 'hourly', hourlyMin: null, proposals: null
+        });
+    });
+});
+
+describe('Upwork JobRuleFilter', () => {
+    afterEach(() => {
+        JobRuleFilter.stop();
+        JobRuleFilter.ruleSettings = {};
+        JobRuleFilter.counts = {};
+    });
+
+    it('hides or dims jobs per rule and counts them', async () => {
+        loadPageFixture('upwork-country-filter/find-work.html');
+        await JobRuleFilter.init();
+        const counts = vi.fn();
+        PubSub.subscribe('jobRuleCountsChanged', counts);
+
+        // Every rule starts disabled
+        expect(tileStates()).toEqual(['shown', 'shown', 'shown', 'shown', 'shown']);
+
+        PubSub.publish('jobRuleChanged', {ruleId: 'clientSpent', changes: {enabled: true}});
+        PubSub.publish('jobRuleChanged', {ruleId: 'hireRate', changes: {enabled: true, mode: 'dim'}});
+        PubSub.publish('jobRuleChanged', {ruleId: 'hourlyRate', changes: {enabled: true, mode: 'dim', params: {min: 15}}});
+        PubSub.publish('jobRuleChanged', {ruleId: 'proposals', changes: {enabled: true}});
+
+        expect(tileStates()).toEqual(['shown', 'hidden', 'dimmed', 'shown', 'shown']);
+        expect(JobTileParser.getJobTiles()[2].dataset.jobRules).toBe('hireRate hourlyRate');
+        expect(counts).toHaveBeenLastCalledWith(expect.objectContaining({
+            clientSpent: 1, hireRate: 1, hourlyRate: 1, proposals: 1, keywords: 0, hidden: 1, dimmed: 1
+        }));
+
+        // Loosening a rule brings its jobs back
+        PubSub.publish('jobRuleChanged', {ruleId: 'clientSpent', changes: {params: {minSpent: 0}}});
+        PubSub.publish('jobRuleChanged', {ruleId: 'proposals', changes: {enabled: false}});
+        expect(tileStates()).toEqual(['shown', 'shown', 'dimmed', 'shown', 'shown']);
+
+        // Keywords look in the description unless told not to
+        PubSub.publish('jobRuleChanged', {ruleId: 'keywords', changes: {enabled: true, params: {keywords: ['Crypto', 'unpaid test']}}});
+        expect(tileStates()).toEqual(['shown', 'hidden', 'dimmed', 'hidden', 'shown']);
+        PubSub.publish('jobRuleChanged', {ruleId: 'keywords', changes: {params: {searchDescription: false}}});
+        expect(tileStates()).toEqual(['shown', 'shown', 'dimmed', 'shown', 'shown']);
+
+        // Jobs loaded later are filtered too
+        const list = document.querySelector('[data-test="job-tile-list"]');
+        list.appendChild(JobTileParser.getJobTiles()[2].cloneNode(true));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(tileStates()).toEqual(['shown', 'shown', 'dimmed', 'shown', 'shown', 'dimmed']);
+        expect(counts).toHaveBeenLastCalledWith(expect.objectContaining({hireRate: 2, dimmed: 2}));
+    });
+
+    it('saves the rules and completes stored ones with the defaults', async () => {
+        gm.setValue(JOB_RULES_KEY, {
+            fixedBudget: {enabled: true, mode: 'dim', params: {min: 100}},
+            paymentUnverified: {enabled: true, mode: 'blink'},
+            removedRule: {enabled: true}
+        });
+        loadPageFixture('upwork-country-filter/find-work.html');
+        await JobRuleFilter.init();
+        const refreshed = vi.fn();
+        PubSub.subscribe('jobRulesRefreshed', refreshed);
+
+        const settings = JobRuleFilter.getSettings();
+        expect(settings.fixedBudget).toEqual({enabled: true, mode: 'dim', params: {min: 100, max: 0}});
+        expect(settings.paymentUnverified).toEqual({enabled: true, mode: 'hide', params: {}});
+        expect(settings.keywords.enabled).toBe(false);
+        expect(settings).not.toHaveProperty('removedRule');
+        // The $30 job is unverified too, and hiding wins over dimming
+        expect(tileStates()).toEqual(['shown', 'hidden', 'shown', 'shown', 'shown']);
+
+        PubSub.publish('jobRuleChanged', {ruleId: 'fixedBudget', changes: {params: {max: 1000}}});
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(gm.getValue(JOB_RULES_KEY).fixedBudget.params).toEqual({min: 100, max: 1000});
+        expect(refreshed).toHaveBeenLastCalledWith(expect.objectContaining({
+            fixedBudget: {enabled: true, mode: 'dim', params: {min: 100, max: 1000}}
+        }));
+        expect(tileStates()).toEqual(['shown', 'hidden', 'shown', 'dimmed', 'shown']);
+    });
+
+    it('shows per-rule toggles, modes and hidden counts in the settings panel', async () => {
+        loadPageFixture('upwork-country-filter/find-work.html');
+        await JobRuleFilter.init();
+        await SettingsPanel.init();
+        const row = (ruleId) => document.querySelector(`.upwork-job-rule[data-rule-id="${ruleId}"]`);
+
+        expect(document.querySelectorAll('.upwork-job-rule')).toHaveLength(JobRuleFilter.RULES.length);
+        expect(row('clientSpent').querySelector('input[type="number"]').value).toBe('1000');
+
+        const checkbox = row('clientSpent').querySelector('input[type="checkbox"]');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change', {bubbles: true}));
+        expect(row('clientSpent').querySelector('.upwork-job-rule-count').textContent).toBe('1 hidden');
+
+        const modeSelect = row('clientSpent').querySelector('select');
+        modeSelect.value = 'dim';
+        modeSelect.dispatchEvent(new Event('change'));
+        expect(tileStates()).toEqual(['shown', 'dimmed', 'shown', 'shown', 'shown']);
+        expect(row('clientSpent').querySelector('.upwork-job-rule-count').textContent).toBe('1 dimmed');
+
+        const keywordsInput = row('keywords').querySelector('input[type="text"]');
+        keywordsInput.value = 'shopify, , logo ';
+        keywordsInput.dispatchEvent(new Event('change'));
+        expect(JobRuleFilter.getSettings().keywords.params.keywords).toEqual(['shopify', 'logo']);
+    });
+});
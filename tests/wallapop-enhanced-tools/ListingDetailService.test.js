@@ -0,0 +1,117 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {gm} from '../setup/GMStandIn.js';
+import {ListingDetailService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/ListingDetailService.js';
+
+const ORBEA_URL = 'https://es.wallapop.com/item/bicicleta-carretera-orbea-orca-1046981250';
+const BROMPTON_URL = 'https://es.wallapop.com/item/bicicleta-plegable-brompton-1045870001';
+const ROCKRIDER_URL = 'https://es.wallapop.com/item/bicicleta-montana-rockrider-st-540-1046122870';
+
+const detailPage = (item, pageProps = {}) => `<!DOCTYPE html><html><body>
+<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({props: {pageProps: {item, ...pageProps}}})}</script>
+</body></html>`;
+
+const orbeaItem = {
+    id: 'abc123',
+    title: {original: 'Orbea Orca M30 '},
+    description: {original: 'Talla 55, poco uso.'},
+    price: {cash: {amount: 850, currency: 'EUR'}},
+    images: [{urls: {small: 's1.jpg', big: 'b1.jpg'}}, {urls: {medium: 'm2.jpg'}}],
+    location: {city: 'Madrid', postalCode: '28001', latitude: 40.42, longitude: -3.7},
+    condition: {value: 'good', text: 'En buen estado'},
+    shipping: {isShippingAllowedByUser: true},
+    counters: {views: 312, favorites: 14},
+    reserved: {flag: false}
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('Wallapop ListingDetailService', () => {
+    beforeEach(() => {
+        ListingDetailService.BACKOFF_MS = 1;
+    });
+
+    afterEach(() => {
+        ListingDetailService.cancel();
+        ListingDetailService.BACKOFF_MS = 2000;
+    });
+
+    it('reads images, seller, location, condition, shipping and counters from __NEXT_DATA__', () => {
+        const item = ListingDetailService.parseDetail(
+            detailPage(orbeaItem, {itemSeller: {id: 'u1', microName: 'Laura', scoring: 4.5}}),
+            ORBEA_URL
+        );
+
+        expect(item).toMatchObject({
+            id: 'abc123',
+            title: 'Orbea Orca M30',
+            description: 'Talla 55, poco uso.',
+            price: '850 EUR',
+            priceAmount: 850,
+            url: ORBEA_URL,
+            images: ['b1.jpg', 'm2.jpg'],
+            seller: {id: 'u1', name: 'Laura', rating: 4.5},
+            location: {city: 'Madrid', postalCode: '28001', latitude: 40.42, longitude: -3.7},
+            condition: 'En buen estado',
+            deliveryMethod: 'shipping',
+            views: 312,
+            favourites: 14,
+            reserved: false
+        });
+        expect(() => ListingDetailService.parseDetail('<html></html>', ORBEA_URL)).toThrow();
+    });
+
+    it('retries rate limited requests and reports pages that fail for good', async () => {
+        let orbeaAttempts = 0;
+        gm.respond(ORBEA_URL, () => {
+            orbeaAttempts++;
+            return orbeaAttempts < 3
+                ? {status: 429, responseText: ''}
+                : {status: 200, responseText: detailPage(orbeaItem)};
+        });
+        gm.respond(BROMPTON_URL, {status: 200, responseText: detailPage({...orbeaItem, id: 'b', title: {original: 'Brompton'}})});
+
+        const items = [];
+        const progress = [];
+        const summary = await ListingDetailService.start([ORBEA_URL, BROMPTON_URL, ROCKRIDER_URL, ORBEA_URL], {
+            delayMs: 0,
+            onItem: (item) => items.push(item.title),
+            onProgress: ({processed, total}) => progress.push(`${processed}/${total}`)
+        });
+
+        expect(orbeaAttempts).toBe(3);
+        expect(items.sort()).toEqual(['Brompton', 'Orbea Orca M30']);
+        expect(summary).toMatchObject({total: 3, completed: 2, cancelled: false});
+        // A 404 is not retried
+        expect(summary.failed).toEqual([{url: ROCKRIDER_URL, error: 'Detail request failed with status 404'}]);
+        expect(gm.requests.filter(({url}) => url === ROCKRIDER_URL)).toHaveLength(1);
+        expect(progress).toEqual(['1/3', '2/3', '3/3']);
+        expect(ListingDetailService.isRunning()).toBe(false);
+    });
+
+    it('stops sending requests while paused and keeps fetched details when cancelled', async () => {
+        gm.respond(/es\.wallapop\.com\/item\//, {status: 200, responseText: detailPage(orbeaItem)});
+
+        const items = [];
+        const run = ListingDetailService.start([ORBEA_URL, BROMPTON_URL, ROCKRIDER_URL], {
+            concurrency: 1,
+            delayMs: 0,
+            onItem: (item) => {
+                items.push(item.url);
+                ListingDetailService.pause();
+            }
+        });
+
+        await vi.waitFor(() => expect(ListingDetailService.getProgress()).toMatchObject({processed: 1, total: 3, paused: true}));
+        await flush();
+        expect(gm.requests).toHaveLength(1);
+
+        ListingDetailService.resume();
+        await vi.waitFor(() => expect(ListingDetailService.getProgress()).toMatchObject({processed: 2, paused: true}));
+
+        ListingDetailService.cancel();
+        const summary = await run;
+        expect(summary).toMatchObject({total: 3, completed: 2, failed: [], cancelled: true});
+        expect(items).toEqual([ORBEA_URL, BROMPTON_URL]);
+        expect(ListingDetailService.isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,92 @@
+import {describe, expect, it} from 'vitest';
+import {loadPageFixture} from '../setup/fixtures.js';
+import {ListingFilterService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/ListingFilterService.js';
+import {FilterManager} from '../../userscripts/wallapop-enhanced-tools/dev/src/managers/FilterManager.js';
+import {ListingManager} from '../../userscripts/wallapop-enhanced-tools/dev/src/managers/ListingManager.js';
+
+const savePanelStates = (states) => {
+    localStorage.setItem('wallapop-panel-states', JSON.stringify(states));
+};
+
+const hiddenHrefs = () => ListingManager.getAllListings()
+    .filter((listing) => listing.classList.contains('hiding-animation'))
+    .map((listing) => listing.getAttribute('href').split('/').pop());
+
+describe('Wallapop ListingFilterService', () => {
+    it('reads distance and age from card text', () => {
+        expect(ListingFilterService.parseDistance('Madrid · a 3,5 km')).toBe(3.5);
+        expect(ListingFilterService.parseDistance('Madrid')).toBeNull();
+        expect(ListingFilterService.parseAge('Hace 3 días')).toBe(3);
+        expect(ListingFilterService.parseAge('hace una semana')).toBe(7);
+        expect(ListingFilterService.parseAge('2 hours ago')).toBeCloseTo(2 / 24);
+        expect(ListingFilterService.parseAge('Ayer')).toBe(1);
+        expect(ListingFilterService.parseAge('Bicicleta de 2 ruedas')).toBeNull();
+    });
+
+    it('reads distance and age only from the location and date of the card', () => {
+        const card = (content) => {
+            const listing = document.createElement('a');
+            listing.innerHTML = `<span class="item-card_ItemCard__price__pVpdc">2.400 €</span>${content}`;
+            return ListingFilterService.readListing(listing);
+        };
+        const title = '<h3 class="item-card_ItemCard__title__5TocV">Moto 15000 km, 2 años de uso</h3>';
+
+        expect(card(title)).toMatchObject({price: 2400, distanceKm: null, postedDaysAgo: null});
+        expect(card(`${title}
+            <span class="item-card_ItemCard__location__Lq3Rt">Getafe · a 12 km</span>
+            <span class="item-card_ItemCard__date__W1pZs">Hace 3 días</span>`)).toMatchObject({distanceKm: 12, postedDaysAgo: 3});
+    });
+
+    it('matches blocked terms as text, whole words or regular expressions', () => {
+        const matches = (term, mode, text) => ListingFilterService.createTermMatcher(term, mode)(text);
+
+        expect(matches('mac', 'contains', 'Cesta de macramé')).toBe(true);
+        expect(matches('mac', 'word', 'Cesta de macramé')).toBe(false);
+        expect(matches('mac', 'word', 'MAC mini 2018')).toBe(true);
+        expect(matches('talla (s|xs)\\b', 'regex', 'Maillot TALLA XS')).toBe(true);
+        expect(matches('talla (s|xs)\\b', 'regex', 'Maillot talla M')).toBe(false);
+        // An invalid pattern falls back to plain text
+        expect(matches('i7 (', 'regex', 'Portátil i7 (2019)')).toBe(true);
+    });
+
+    it('hides with AND when any filter rejects and with OR only when all do', () => {
+        const data = {text: '', price: 800, distanceKm: null, rating: 4.5, postedDaysAgo: 2, deliveryMethod: 'shipping', reserved: false};
+        const settings = (overrides) => ({
+            ...ListingFilterService.normalizeSettings({maxPrice: 500, minRating: 4, ...overrides}),
+            blockedTerms: [],
+            deliveryMethod: 'all',
+            hideReserved: false
+        });
+
+        expect(ListingFilterService.evaluate(data, settings())).toEqual({hide: true, reasons: ['price']});
+        expect(ListingFilterService.evaluate(data, settings({logic: 'or'}))).toEqual({hide: false, reasons: ['price']});
+        expect(ListingFilterService.evaluate({...data, rating: 3}, settings({logic: 'or'})).hide).toBe(true);
+        // Unknown distance never rejects
+        expect(ListingFilterService.evaluate(data, settings({maxPrice: null, minRating: 0, maxDistance: 10})).hide).toBe(false);
+    });
+
+    it('applies the price range on a recorded search page and counts hidden listings per filter', () => {
+        loadPageFixture('wallapop-enhanced-tools/search-results.html');
+        savePanelStates({advancedFilters: {maxPrice: 500}});
+
+        const counts = FilterManager.applyFilters();
+
+        expect(hiddenHrefs()).toEqual(['bicicleta-carretera-orbea-orca-1046981250', 'bicicleta-plegable-brompton-1045870001']);
+        expect(counts).toMatchObject({price: 2, reserved: 1, keyword: 0, delivery: 0, total: 2});
+        expect(ListingManager.getAllListings()[2].dataset.reservedHidden).toBe('true');
+    });
+
+    it('combines delivery and price filters with OR logic', () => {
+        loadPageFixture('wallapop-enhanced-tools/search-results.html');
+        savePanelStates({
+            advancedFilters: {maxPrice: 500, logic: 'or'},
+            deliveryMethodFilter: 'inperson',
+            hideReservedListings: false
+        });
+
+        const counts = FilterManager.applyFilters();
+
+        expect(hiddenHrefs()).toEqual(['bicicleta-carretera-orbea-orca-1046981250']);
+        expect(counts).toMatchObject({price: 1, delivery: 1, total: 1});
+    });
+});
@@ -0,0 +1,29 @@
+import {beforeEach, describe, expect, it} from 'vitest';
+import {loadPageFixture} from '../setup/fixtures.js';
+import {ListingManager} from '../../userscripts/wallapop-enhanced-tools/dev/src/managers/ListingManager.js';
+
+describe('Wallapop ListingManager on a recorded search page', () => {
+    beforeEach(() => {
+        loadPageFixture('wallapop-enhanced-tools/search-results.html');
+    });
+
+    it('finds every item card across grid and slider layouts', () => {
+        const hrefs = ListingManager.getAllListings().map((listing) => listing.getAttribute('href'));
+
+        expect(hrefs).toEqual([
+            'https://es.wallapop.com/item/bicicleta-carretera-orbea-orca-1046981250',
+            'https://es.wallapop.com/item/bicicleta-montana-rockrider-st-540-1046122870',
+            'https://es.wallapop.com/item/bicicleta-plegable-brompton-1045870001',
+            '/item/bicicleta-infantil-16-pulgadas-1047726312',
+        ]);
+    });
+
+    it('reads delivery method and reserved state from each card', () => {
+        const listings = ListingManager.getAllListings();
+
+        expect(listings.map((listing) => ListingManager.getDeliveryMethod(listing)))
+            .toEqual(['shipping', 'inperson', 'unknown', 'unknown']);
+        expect(listings.map((listing) => ListingManager.isReservedListing(listing)))
+            .toEqual([false, false, true, false]);
+    });
+});
@@ -0,0 +1,95 @@
+import {afterEach, describe, expect, it, vi} from 'vitest';
+import {gm} from '../setup/GMStandIn.js';
+import {PriceHistoryService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/PriceHistoryService.js';
+import {FormatterService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/FormatterService.js';
+
+const ORBEA_URL = 'https://es.wallapop.com/item/bicicleta-carretera-orbea-orca-1046981250';
+const BROMPTON_URL = 'https://es.wallapop.com/item/bicicleta-plegable-brompton-1045870001';
+
+const seeOn = async (date, sightings) => {
+    vi.setSystemTime(new Date(date));
+    return PriceHistoryService.recordMany(sightings);
+};
+
+describe('Wallapop PriceHistoryService', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('reads card and detail prices', () => {
+        expect(PriceHistoryService.parsePrice('1.100 €')).toEqual({amount: 1100, currency: 'EUR'});
+        expect(PriceHistoryService.parsePrice('45,50 €')).toEqual({amount: 45.5, currency: 'EUR'});
+        expect(PriceHistoryService.parsePrice('850.5 EUR')).toEqual({amount: 850.5, currency: 'EUR'});
+        expect(PriceHistoryService.parsePrice('Gratis')).toBeNull();
+        expect(PriceHistoryService.getItemId(`${ORBEA_URL}?from=search`)).toBe('1046981250');
+    });
+
+    it('adds a history entry only when the price changes and detects drops', async () => {
+        vi.useFakeTimers();
+        const orbea = (price, source = 'search') => ({url: ORBEA_URL, title: 'Orbea Orca', price, source});
+
+        await seeOn('2024-05-01T10:00:00Z', [orbea('950 €'), {url: BROMPTON_URL, title: 'Brompton', price: '1.100 €'}]);
+        await seeOn('2024-05-03T10:00:00Z', [orbea('950 €')]);
+        const records = await seeOn('2024-05-10T10:00:00Z', [orbea('850 EUR', 'detail')]);
+
+        expect(records['1046981250'].history).toEqual([
+            {price: 950, currency: 'EUR', firstSeen: '2024-05-01T10:00:00.000Z', lastSeen: '2024-05-03T10:00:00.000Z', source: 'search'},
+            {price: 850, currency: 'EUR', firstSeen: '2024-05-10T10:00:00.000Z', lastSeen: '2024-05-10T10:00:00.000Z', source: 'detail'}
+        ]);
+        expect(PriceHistoryService.getPriceDrop(records['1046981250'])).toEqual({from: 950, to: 850, amount: 100, percent: 11, currency: 'EUR'});
+
+        const stored = gm.getValue(PriceHistoryService.STORAGE_KEY);
+        expect(Object.keys(stored).sort()).toEqual(['1045870001', '1046981250']);
+        expect(PriceHistoryService.getPriceDrop(stored['1045870001'])).toBeNull();
+
+        // A rise after the drop is no longer shown as a drop
+        const raised = await seeOn('2024-05-12T10:00:00Z', [orbea('990 €')]);
+        expect(PriceHistoryService.getPriceDrop(raised['1046981250'])).toBeNull();
+    });
+
+    it('keeps every listing when recordings overlap and skips writes that change nothing', async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-05-01T10:00:00Z'));
+        const setValue = vi.spyOn(gm, 'setValue');
+
+        // A search scan and an expanded listing recorded at the same time
+        await Promise.all([
+            PriceHistoryService.recordMany([{url: ORBEA_URL, title: 'Orbea Orca', price: '950 €'}]),
+            PriceHistoryService.record({url: BROMPTON_URL, title: 'Brompton', price: '1.100 €', source: 'detail'})
+        ]);
+        expect(Object.keys(gm.getValue(PriceHistoryService.STORAGE_KEY)).sort()).toEqual(['1045870001', '1046981250']);
+        expect(setValue).toHaveBeenCalledTimes(2);
+
+        // Seen again later that day at the same price
+        await seeOn('2024-05-01T18:00:00Z', [{url: ORBEA_URL, title: 'Orbea Orca', price: '950 €'}]);
+        expect(setValue).toHaveBeenCalledTimes(2);
+
+        await seeOn('2024-05-01T19:00:00Z', [{url: ORBEA_URL, title: 'Orbea Orca', price: '900 €'}]);
+        expect(setValue).toHaveBeenCalledTimes(3);
+    });
+
+    it('draws a sparkline with one point per price', async () => {
+        const record = {history: [{price: 950, currency: 'EUR'}, {price: 900, currency: 'EUR'}, {price: 850, currency: 'EUR'}]};
+        const svg = PriceHistoryService.createSparkline(record, {width: 100, height: 20});
+
+        expect(svg).toContain('points="3.0,3.0 50.0,10.0 97.0,17.0"');
+        expect(svg).toContain('fill="#2e7d32"');
+        expect(PriceHistoryService.createSparkline({history: [{price: 950}]})).toBe('');
+    });
+
+    it('exports the history through FormatterService as CSV', async () => {
+        vi.useFakeTimers();
+        await seeOn('2024-05-01T10:00:00Z', [
+            {url: ORBEA_URL, title: 'Orbea Orca, talla M', price: '950 €'},
+            {url: BROMPTON_URL, title: 'Brompton', price: '1.100 €'}
+        ]);
+        await seeOn('2024-05-10T10:00:00Z', [{url: ORBEA_URL, title: 'Orbea Orca, talla M', price: '850 €'}]);
+
+        expect(FormatterService.formatData('price-history', {'include-headers': true, 'only-drops': true}).split('\n')).toEqual([
+            'id,title,url,price,currency,firstSeen,lastSeen,source',
+            `1046981250,"Orbea Orca, talla M",${ORBEA_URL},950,EUR,2024-05-01T10:00:00.000Z,2024-05-01T10:00:00.000Z,search`,
+            `1046981250,"Orbea Orca, talla M",${ORBEA_URL},850,EUR,2024-05-10T10:00:00.000Z,2024-05-10T10:00:00.000Z,search`
+        ]);
+        expect(FormatterService.formatData('price-history', {'include-headers': false}).split('\n')).toHaveLength(3);
+    });
+});
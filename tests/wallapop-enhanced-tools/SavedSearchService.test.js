@@ -0,0 +1,110 @@
+import {beforeEach, describe, expect, it, vi} from 'vitest';
+import {gm} from '../setup/GMStandIn.js';
+import {Notification} from '../../userscripts/common/core';
+import {SavedSearchService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/SavedSearchService.js';
+
+const SEARCH_URL = 'https://es.wallapop.com/app/search?keywords=bicicleta%20orbea&latitude=40.4&longitude=-3.7';
+
+const apiItem = (id, title, price, shippable, extra = {}) => ({
+    id,
+    title,
+    description: '',
+    price: {amount: price, currency: 'EUR'},
+    web_slug: `${title.toLowerCase().replace(/\s+/g, '-')}-${id}`,
+    shipping: shippable === undefined ? {} : {user_allows_shipping: shippable},
+    images: [{urls: {medium: `https://cdn.wallapop.com/${id}.jpg`}}],
+    ...extra
+});
+
+const respondWith = (items) => {
+    gm.respond(/api\.wallapop\.com\/api\/v3\/search/, {
+        status: 200,
+        responseText: JSON.stringify({data: {section: {payload: {items}}}})
+    });
+};
+
+describe('Wallapop SavedSearchService', () => {
+    beforeEach(() => {
+        SavedSearchService.searches = [];
+        SavedSearchService.options = {};
+    });
+
+    it('matches keyword alternatives, exclusions and blocked terms without accents', () => {
+        const search = {rules: 'orbea, carbon|carbono, -roto', minPrice: null, maxPrice: null, deliveryMethod: 'all'};
+        const listing = (title) => ({title, description: '', price: 900, deliveryMethod: 'shipping', reserved: false});
+
+        expect(SavedSearchService.matches(listing('Orbea Orca CARBONO'), search)).toBe(true);
+        expect(SavedSearchService.matches(listing('Orbea Orca aluminio'), search)).toBe(false);
+        expect(SavedSearchService.matches(listing('Orbea carbono cuadro roto'), search)).toBe(false);
+        expect(SavedSearchService.matches(listing('Orbea carbono envío'), search, ['ENVIO'])).toBe(false);
+    });
+
+    it('applies the price range and never excludes an unknown delivery method', () => {
+        const search = {rules: '', minPrice: 100, maxPrice: 500, deliveryMethod: 'inperson'};
+        const listing = (price, deliveryMethod) => ({title: 'Bici', description: '', price, deliveryMethod, reserved: false});
+
+        expect(SavedSearchService.matches(listing(300, 'inperson'), search)).toBe(true);
+        expect(SavedSearchService.matches(listing(300, 'unknown'), search)).toBe(true);
+        expect(SavedSearchService.matches(listing(300, 'shipping'), search)).toBe(false);
+        expect(SavedSearchService.matches(listing(50, 'inperson'), search)).toBe(false);
+        expect(SavedSearchService.matches(listing(null, 'inperson'), search)).toBe(false);
+    });
+
+    it('normalizes API items to the delivery values of ListingManager', () => {
+        const listings = SavedSearchService.extractListings({
+            data: {section: {payload: {items: [
+                apiItem(1, 'Orbea Orca', 950, true),
+                apiItem(2, 'Orbea Alma', 600, false, {reserved: {flag: true}}),
+                apiItem(3, 'Orbea Rise', 1200)
+            ]}}}
+        });
+
+        expect(listings.map(({deliveryMethod}) => deliveryMethod)).toEqual(['shipping', 'inperson', 'unknown']);
+        expect(listings[0]).toMatchObject({
+            id: '1',
+            price: 950,
+            url: 'https://es.wallapop.com/item/orbea-orca-1',
+            image: 'https://cdn.wallapop.com/1.jpg',
+            reserved: false
+        });
+        expect(listings[1].reserved).toBe(true);
+    });
+
+    it('records existing listings on the first run and only alerts about new matches', async () => {
+        const show = vi.spyOn(Notification, 'show').mockImplementation(() => null);
+        const search = await SavedSearchService.addSearch({url: SEARCH_URL, rules: 'orbea', maxPrice: 1000});
+
+        expect(search.name).toBe('bicicleta orbea');
+
+        respondWith([apiItem(1, 'Orbea Orca', 950, true)]);
+        expect(await SavedSearchService.checkDueSearches()).toBe(0);
+
+        const requestUrl = new URL(gm.requests[0].url);
+        expect(requestUrl.searchParams.get('keywords')).toBe('bicicleta orbea');
+        expect(requestUrl.searchParams.get('order_by')).toBe('newest');
+
+        // Not due again until the interval has passed
+        respondWith([apiItem(2, 'Orbea Alma', 600, true), apiItem(1, 'Orbea Orca', 950, true)]);
+        expect(await SavedSearchService.checkDueSearches()).toBe(0);
+        expect(gm.requests).toHaveLength(1);
+
+        await SavedSearchService.updateSearch(search.id, {lastRun: Date.now() - 16 * 60 * 1000});
+        respondWith([
+            apiItem(2, 'Orbea Alma', 600, true),
+            apiItem(3, 'Orbea Rise', 4000, true),
+            apiItem(1, 'Orbea Orca', 950, true)
+        ]);
+        expect(await SavedSearchService.checkDueSearches()).toBe(1);
+        expect(show).toHaveBeenCalledTimes(1);
+        expect(show.mock.calls[0][0].message).toContain('Orbea Alma - 600 €');
+
+        const seen = gm.getValue(SavedSearchService.SEEN_KEY);
+        expect(seen[search.id]).toEqual(['1', '2', '3']);
+        expect(gm.getValue(SavedSearchService.STORAGE_KEY)[0].lastMatches).toBe(1);
+    });
+
+    it('only saves search result pages', async () => {
+        await expect(SavedSearchService.addSearch({url: 'https://es.wallapop.com/item/orbea-orca-1'})).rejects.toThrow();
+        expect(SavedSearchService.isSearchUrl(SEARCH_URL)).toBe(true);
+    });
+});
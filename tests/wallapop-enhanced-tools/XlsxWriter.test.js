@@ -0,0 +1,97 @@
+import {afterEach, describe, expect, it} from 'vitest';
+import {XlsxWriter} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/XlsxWriter.js';
+import {FormatterService} from '../../userscripts/wallapop-enhanced-tools/dev/src/services/FormatterService.js';
+import {DescriptionManager} from '../../userscripts/wallapop-enhanced-tools/dev/src/managers/DescriptionManager.js';
+
+const ORBEA_URL = 'https://es.wallapop.com/item/bicicleta-carretera-orbea-orca-1046981250';
+const BROMPTON_URL = 'https://es.wallapop.com/item/bicicleta-plegable-brompton-1045870001';
+
+/**
+ * Read the files of an uncompressed ZIP archive from its central directory
+ * @param {Uint8Array} bytes - Archive
+ * @return {Object} File name to text
+ */
+const readZip = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = bytes.length - 22;
+    expect(view.getUint32(endOffset, true)).toBe(0x06054B50);
+
+    const files = {};
+    let offset = view.getUint32(endOffset + 16, true);
+    for (let i = 0; i < view.getUint16(endOffset + 10, true); i++) {
+        expect(view.getUint32(offset, true)).toBe(0x02014B50);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+
+        expect(XlsxWriter.crc32(data)).toBe(view.getUint32(offset + 16, true));
+        files[name] = decoder.decode(data);
+        offset += 46 + nameLength;
+    }
+    return files;
+};
+
+describe('Wallapop XlsxWriter', () => {
+    afterEach(() => {
+        DescriptionManager.expandedItems = [];
+    });
+
+    it('computes CRC-32 and column names', () => {
+        expect(XlsxWriter.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        expect([0, 25, 26, 27, 701, 702].map(index => XlsxWriter.columnName(index)))
+            .toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+    });
+
+    it('writes typed price and date cells, hyperlinks and a frozen header row', () => {
+        const xlsx = XlsxWriter.formatItems([
+            {title: 'Orbea Orca <M>', price: '1.100 €', description: 'Talla 55\nPoco uso', url: ORBEA_URL, fetchedAt: '2024-05-10T10:00:00Z'},
+            {title: 'Brompton', priceAmount: 850, currency: 'EUR', description: '', url: BROMPTON_URL, images: ['https://cdn.wallapop.com/b1.jpg']}
+        ], {'include-headers': true, 'include-images': true});
+
+        const files = readZip(xlsx);
+        expect(Object.keys(files)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml',
+            'xl/worksheets/_rels/sheet1.xml.rels'
+        ]);
+
+        const sheet = new DOMParser().parseFromString(files['xl/worksheets/sheet1.xml'], 'application/xml');
+        const cell = (ref) => sheet.querySelector(`c[r="${ref}"]`);
+
+        expect(Array.from(sheet.querySelectorAll('row[r="1"] t')).map(node => node.textContent))
+            .toEqual(['Title', 'Price', 'Currency', 'URL', 'Description', 'Fetched', 'Image 1']);
+        expect(sheet.querySelector('pane').getAttribute('state')).toBe('frozen');
+
+        expect(cell('A2').textContent).toBe('Orbea Orca <M>');
+        expect(cell('B2').getAttribute('t')).toBeNull();
+        expect(cell('B2').textContent).toBe('1100');
+        expect(cell('B3').textContent).toBe('850');
+        expect(cell('F2').getAttribute('s')).toBe(String(XlsxWriter.STYLES.date));
+        expect(Number(cell('F2').textContent)).toBeGreaterThan(45420);
+        expect(cell('F3')).toBeNull();
+
+        expect(Array.from(sheet.querySelectorAll('hyperlink')).map(node => node.getAttribute('ref')))
+            .toEqual(['D2', 'D3', 'G3']);
+        expect(files['xl/worksheets/_rels/sheet1.xml.rels']).toContain(`Target="${BROMPTON_URL}" TargetMode="External"`);
+    });
+
+    it('is available through FormatterService as a download-only format', () => {
+        DescriptionManager.expandedItems = [{title: 'Orbea', price: '950 EUR', description: 'Bici', url: ORBEA_URL}];
+
+        const xlsx = FormatterService.formatData('xlsx', {'include-headers': false});
+        const sheet = readZip(xlsx)['xl/worksheets/sheet1.xml'];
+
+        expect(xlsx).toBeInstanceOf(Uint8Array);
+        expect(sheet).toContain('<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">Orbea</t></is></c><c r="B1" s="2"><v>950</v></c>');
+        expect(sheet).not.toContain('<pane');
+        expect(FormatterService.getExportFormats().spreadsheet.formats.xlsx.binary).toBe(true);
+    });
+});
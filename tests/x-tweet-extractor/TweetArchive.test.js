@@ -0,0 +1,111 @@
+import {describe, expect, it} from 'vitest';
+import TweetArchive from '../../userscripts/x-tweet-extractor/dev/utils/TweetArchive.js';
+
+/**
+ * Build tweet data shaped like extractTweetData() output
+ * @param {string} tweetId - Tweet ID
+ * @param {Object} [fields] - Fields to override
+ * @return {Object}
+ */
+function tweet(tweetId, fields = {}) {
+    return {
+        tweetId,
+        url: `https://x.com/user${tweetId}/status/${tweetId}`,
+        username: `user${tweetId}`,
+        displayName: `User ${tweetId}`,
+        content: `Tweet ${tweetId}`,
+        lang: 'en',
+        datetime: '2024-05-01T10:00:00.000Z',
+        datetimeDisplay: 'May 1',
+        replyTweetId: null,
+        media: [],
+        quote: null,
+        replies: 0,
+        reposts: 0,
+        likes: 0,
+        views: null,
+        ...fields
+    };
+}
+
+describe('TweetArchive', () => {
+    it('reads the focal tweet from a conversation URL', () => {
+        expect(TweetArchive.getFocalTweetId('https://x.com/nasa/status/1813257435012325376')).toBe('1813257435012325376');
+        expect(TweetArchive.getFocalTweetId('/nasa')).toBeNull();
+    });
+
+    it('keeps first-seen order and fills in fields when a tweet is seen again', () => {
+        const archive = new TweetArchive();
+
+        expect(archive.add(tweet('1', {views: null}))).toBe(true);
+        expect(archive.add(tweet('2'))).toBe(true);
+        expect(archive.add(tweet('1', {views: 500, content: ''}))).toBe(false);
+
+        expect(archive.size).toBe(2);
+        expect(archive.getTweets().map((item) => item.tweetId)).toEqual(['1', '2']);
+        expect(archive.getTweets()[0]).toMatchObject({views: 500, content: 'Tweet 1'});
+    });
+
+    it('rebuilds a conversation around the focal tweet', () => {
+        const archive = new TweetArchive({focalTweetId: '3'});
+        // Ancestors render above the focal tweet, replies below it
+        ['1', '2', '3', '4', '6'].forEach((id) => archive.add(tweet(id)));
+        archive.add(tweet('5', {replyTweetId: '4'}));
+
+        const tree = archive.buildTree();
+
+        expect(tree).toHaveLength(1);
+        expect(tree[0].tweetId).toBe('1');
+        const focal = tree[0].children[0].children[0];
+        expect(focal.tweetId).toBe('3');
+        expect(focal.children.map((reply) => reply.tweetId)).toEqual(['4', '6']);
+        expect(focal.children[0].children.map((reply) => reply.tweetId)).toEqual(['5']);
+    });
+
+    it('nests profile replies only under archived tweets and breaks reply cycles', () => {
+        const archive = new TweetArchive();
+        archive.add(tweet('1'));
+        archive.add(tweet('2', {replyTweetId: '1'}));
+        archive.add(tweet('3', {replyTweetId: '99'}));
+        archive.add(tweet('4', {replyTweetId: '5'}));
+        archive.add(tweet('5', {replyTweetId: '4'}));
+
+        const rows = archive.flatten();
+
+        expect(rows.map(({tweet: item, parentId, depth}) => [item.tweetId, parentId, depth])).toEqual([
+            ['1', null, 0],
+            ['2', '1', 1],
+            ['3', null, 0],
+            ['4', null, 0],
+            ['5', '4', 1]
+        ]);
+    });
+
+    it('exports the tree as JSON, CSV and Markdown', () => {
+        const archive = new TweetArchive({url: 'https://x.com/nasa'});
+        archive.add(tweet('1', {
+            content: 'Launch day, "go" for liftoff\nT-10',
+            media: ['https://pbs.twimg.com/media/a.jpg?name=orig'],
+            quote: {tweetId: '7', username: 'spacex', content: 'Ready', datetime: null},
+            likes: 1400,
+            views: 2000000
+        }));
+        archive.add(tweet('2', {replyTweetId: '1'}));
+
+        const json = JSON.parse(archive.export('json'));
+        expect(json.count).toBe(2);
+        expect(json.tweets[0].replies).toBe(0);
+        expect(json.tweets[0].children[0].tweetId).toBe('2');
+
+        const csv = archive.export('csv');
+        expect(csv.startsWith(`${TweetArchive.CSV_COLUMNS.join(',')}\n1,`)).toBe(true);
+        expect(csv).toContain('"Launch day, ""go"" for liftoff\nT-10",0,0,1400,2000000,https://pbs.twimg.com/media/a.jpg?name=orig,7,spacex,Ready');
+        expect(csv.split('\n').pop().startsWith('2,https://x.com/user2/status/2,1,1,')).toBe(true);
+
+        const markdown = archive.export('markdown');
+        expect(markdown).toContain('- **User 1** (@user1) · [2024-05-01 10:00](https://x.com/user1/status/1)\n  Launch day, "go" for liftoff\n  T-10');
+        expect(markdown).toContain('  > Quoting @spacex: Ready');
+        expect(markdown).toContain('  💬 0 · 🔁 0 · ❤️ 1400 · 👁 2000000');
+        expect(markdown).toContain('  - **User 2** (@user2)');
+    });
+});
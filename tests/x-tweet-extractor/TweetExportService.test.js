@@ -0,0 +1,117 @@
+import {describe, expect, it} from 'vitest';
+import TweetExportService from '../../userscripts/x-tweet-extractor/dev/utils/TweetExportService.js';
+
+const tweets = [
+    {
+        tweetId: '1',
+        url: 'https://x.com/nasa/status/1',
+        username: 'nasa',
+        displayName: 'NASA',
+        content: 'Liftoff, "all engines"\nrunning',
+        lang: 'en',
+        datetime: '2024-07-16T13:32:00.000Z',
+        datetimeDisplay: 'Jul 16',
+        replyTweetId: null,
+        media: ['https://pbs.twimg.com/media/a.jpg?name=orig'],
+        quote: {tweetId: '9', username: 'spacex', content: 'Go for launch', datetime: null},
+        replies: 20,
+        reposts: 300,
+        likes: 5000,
+        views: 90000
+    },
+    {
+        tweetId: '2',
+        url: 'https://x.com/esa/status/2',
+        username: 'esa',
+        displayName: 'ESA',
+        content: 'Enhorabuena',
+        lang: 'es',
+        datetime: '2024-07-17T08:00:00.000Z',
+        datetimeDisplay: 'Jul 17',
+        replyTweetId: '1',
+        media: [],
+        quote: null,
+        replies: 1,
+        reposts: 2,
+        likes: 40,
+        views: null
+    },
+    {
+        tweetId: '3',
+        url: 'https://x.com/fan/status/3',
+        username: 'fan',
+        displayName: 'Space Fan',
+        content: 'Wow',
+        lang: 'en',
+        datetime: '2024-07-18T08:00:00.000Z',
+        datetimeDisplay: 'Jul 18',
+        replyTweetId: '1',
+        media: [],
+        quote: null,
+        replies: 0,
+        reposts: 0,
+        likes: 0,
+        views: null
+    }
+];
+
+const ids = (list) => list.map((tweet) => tweet.tweetId);
+
+describe('TweetExportService', () => {
+    it('lists formats by category with their options', () => {
+        const formats = TweetExportService.getExportFormats();
+
+        expect(Object.keys(formats)).toEqual(['text', 'data']);
+        expect(Object.keys(formats.data.formats)).toEqual(['jsonl', 'csv']);
+        expect(TweetExportService.getFormat('markdown').extension).toBe('md');
+        expect(TweetExportService.getFormat('pdf')).toBeNull();
+        expect(TweetExportService.getDefaultOptions('csv')).toEqual({'include-headers': true});
+    });
+
+    it('filters by language, likes, tweet type and date range', () => {
+        expect(ids(TweetExportService.filterTweets(tweets, {lang: 'ES'}))).toEqual(['2']);
+        expect(ids(TweetExportService.filterTweets(tweets, {lang: 'en, es', minLikes: 10}))).toEqual(['1', '2']);
+        expect(ids(TweetExportService.filterTweets(tweets, {type: 'original'}))).toEqual(['1']);
+        expect(ids(TweetExportService.filterTweets(tweets, {type: 'reply'}))).toEqual(['2', '3']);
+        expect(ids(TweetExportService.filterTweets(tweets, {dateFrom: '2024-07-17', dateTo: '2024-07-17'}))).toEqual(['2']);
+        expect(ids(TweetExportService.filterTweets(tweets))).toEqual(['1', '2', '3']);
+    });
+
+    it('writes one JSON object per line and quoted CSV', () => {
+        const jsonl = TweetExportService.formatData('jsonl', tweets).trim().split('\n');
+        expect(jsonl).toHaveLength(3);
+        expect(JSON.parse(jsonl[1])).toEqual(tweets[1]);
+
+        const csv = TweetExportService.formatData('csv', tweets.slice(0, 1));
+        expect(csv).toBe([
+            TweetExportService.CSV_COLUMNS.join(','),
+            '1,https://x.com/nasa/status/1,nasa,NASA,2024-07-16T13:32:00.000Z,en,,"Liftoff, ""all engines""\nrunning",' +
+            '20,300,5000,90000,https://pbs.twimg.com/media/a.jpg?name=orig,9,spacex,Go for launch'
+        ].join('\n'));
+        expect(TweetExportService.formatData('csv', tweets.slice(0, 1), {'include-headers': false}).startsWith('1,')).toBe(true);
+    });
+
+    it('formats plain text with the Twitter template', () => {
+        const text = TweetExportService.formatData('plain', tweets.slice(1, 2), {'include-metrics': true});
+
+        expect(text).toBe('ESA (@esa) - 2024-07-17 08:00:\nEnhorabuena\n1 replies · 2 reposts · 40 likes\nhttps://x.com/esa/status/2');
+    });
+
+    it('writes a Markdown digest with the most liked tweets and one section per day', () => {
+        const markdown = TweetExportService.formatData('markdown', tweets);
+
+        expect(markdown).toContain('- Tweets: 3 (1 original, 2 replies)\n- Period: 2024-07-16 to 2024-07-18');
+        expect(markdown.indexOf('## Most liked')).toBeLessThan(markdown.indexOf('## 2024-07-18'));
+        expect(markdown.indexOf('## 2024-07-18')).toBeLessThan(markdown.indexOf('## 2024-07-16'));
+        expect(markdown).toContain('## 2024-07-16\n\n- **NASA** (@nasa) · [2024-07-16 13:32](https://x.com/nasa/status/1)\n' +
+            '  Liftoff, "all engines"\n  running\n  > Quoting @spacex: Go for launch\n' +
+            '  - https://pbs.twimg.com/media/a.jpg?name=orig\n  20 replies · 300 reposts · 5000 likes · 90000 views');
+        expect(TweetExportService.formatData('markdown', tweets, {'include-media': false})).not.toContain('pbs.twimg.com');
+    });
+
+    it('names files after the page and format', () => {
+        expect(TweetExportService.getFilename('jsonl', 'https://x.com/search?q=nasa'))
+            .toMatch(/^x-tweets-search-\d{4}-\d{2}-\d{2}\.jsonl$/);
+        expect(TweetExportService.getFilename('markdown', 'https://x.com/')).toMatch(/^x-tweets-home-.*\.md$/);
+    });
+});
@@ -0,0 +1,120 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {loadPageFixture} from '../setup/fixtures.js';
+import {gm} from '../setup/GMStandIn.js';
+import XTweetExtractor from '../../userscripts/x-tweet-extractor/dev/x-tweet-extractor.js';
+
+/**
+ * Run extractTweetData without the constructor, which loads settings and builds the sidebar
+ * @param {Element} tweet - Tweet article element
+ * @return {Object|null} Extracted tweet data
+ */
+function extract(tweet) {
+    return XTweetExtractor.prototype.extractTweetData.call(Object.create(XTweetExtractor.prototype), tweet);
+}
+
+describe('XTweetExtractor on a recorded timeline', () => {
+    let tweets;
+
+    beforeEach(() => {
+        loadPageFixture('x-tweet-extractor/timeline.html');
+        tweets = Array.from(document.querySelectorAll(XTweetExtractor.SELECTORS.TWEET));
+    });
+
+    it('finds every tweet article', () => {
+        expect(tweets).toHaveLength(3);
+    });
+
+    it('extracts id, author, text and time from a plain tweet', () => {
+        expect(extract(tweets[0])).toEqual({
+            tweetId: '20',
+            url: 'https://x.com/jack/status/20',
+            username: 'jack',
+            displayName: 'jack',
+            content: 'just setting up my twttr',
+            lang: 'en',
+            datetime: '2006-03-21T20:50:14.000Z',
+            datetimeDisplay: 'Mar 21, 2006',
+            replyTweetId: null,
+            media: [],
+            quote: null,
+            replies: 16,
+            reposts: 120,
+            likes: 1400,
+            views: 2000000,
+        });
+    });
+
+    it('keeps line breaks in multi-line tweet text', () => {
+        const data = extract(tweets[1]);
+
+        expect(data.tweetId).toBe('1813257435012325376');
+        expect(data.displayName).toBe('NASA');
+        expect(data.content).toBe('55 years ago today, Apollo 11 launched.\n\nWatch the launch again with us.');
+    });
+
+    it('links a reply to the tweet it answers', () => {
+        const data = extract(tweets[2]);
+
+        expect(data.tweetId).toBe('29');
+        expect(data.username).toBe('biz');
+        expect(data.displayName).toBe('Biz Stone');
+        expect(data.replyTweetId).toBe('20');
+    });
+
+    it('returns null for an article without a status link', () => {
+        tweets[0].querySelectorAll('a[href*="/status/"]').forEach((link) => link.remove());
+
+        expect(extract(tweets[0])).toBeNull();
+    });
+});
+
+describe('XTweetExtractor export options', () => {
+    it('stores false when an export option is unticked', async () => {
+        const extractor = Object.create(XTweetExtractor.prototype);
+        extractor.enhancerId = 'x-tweet-extractor-container';
+        extractor.settings = {...XTweetExtractor.DEFAULT_SETTINGS, EXPORT_FORMAT: 'csv', EXPORT_OPTIONS: {}};
+        extractor.exportOptionsContainer = document.createElement('div');
+        document.body.appendChild(extractor.exportOptionsContainer);
+        extractor.renderExportOptions();
+
+        const checkbox = extractor.exportOptionsContainer.querySelector('input[type="checkbox"]');
+        expect(checkbox.checked).toBe(true);
+        checkbox.checked = false;
+        checkbox.dispatchEvent(new Event('change', {bubbles: true}));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(extractor.settings.EXPORT_OPTIONS.csv['include-headers']).toBe(false);
+        expect(gm.getValue(XTweetExtractor.SETTINGS_KEYS.EXPORT_OPTIONS)).toEqual({csv: {'include-headers': false}});
+    });
+});
+
+describe('XTweetExtractor archive', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('cancels an archive that is still waiting to start', async () => {
+        vi.useFakeTimers();
+        const extractor = Object.create(XTweetExtractor.prototype);
+        extractor.settings = {...XTweetExtractor.DEFAULT_SETTINGS};
+        extractor.archiveRunner = null;
+        extractor.archiveStarting = false;
+        extractor.archiveSkippedIds = new Set();
+        extractor.archiveButton = {setText: vi.fn()};
+        extractor.archiveDownloadButton = {setDisabled: vi.fn()};
+        extractor.showNotification = vi.fn();
+        window.scrollTo = vi.fn();
+
+        extractor.toggleArchive();
+        expect(extractor.archiveButton.setText).toHaveBeenLastCalledWith('Stop Archive');
+
+        // Clicking Stop during the wait before the first scroll
+        extractor.toggleArchive();
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(extractor.archiveRunner).toBeNull();
+        expect(extractor.archiveStarting).toBe(false);
+        expect(extractor.archiveButton.setText).toHaveBeenLastCalledWith('Start Archive');
+        expect(extractor.showNotification).toHaveBeenCalledWith('Archive stopped: 0 tweets', 'success');
+    });
+});
@@ -18,15 +18,23 @@ import ContentCollector from './utils/ContentCollector.js';
 import FormStatePersistence from './utils/FormStatePersistence.js';
 import * as GMFunctions from './utils/GMFunctions.js';
 import MarkdownConverter from './utils/MarkdownConverter.js';
+import ConversationExporter from './utils/ConversationExporter.js';
 import ViewportStabilizer from './utils/ViewportStabilizer.js';
 import ContentFormatter from './utils/ContentFormatter.js';
 import TextChunker from './utils/TextChunker.js';
 import InputValidators from './utils/InputValidators.js';
+import SelectorRegistry from './utils/SelectorRegistry.js';
+import SettingsStore from './utils/SettingsStore.js';
+import StorageSync from './utils/StorageSync.js';
+import PromptTemplate from './utils/PromptTemplate.js';
+import ExportUtils from './utils/ExportUtils.js';
 
 // Services
 import ThrottleService from './services/ThrottleService.js';
 import AsyncQueueService from './services/AsyncQueueService.js';
 import ClipboardService from './services/ClipboardService.js';
+import SettingsBackupService from './services/SettingsBackupService.js';
+import GeneratedMediaCollector from './services/GeneratedMediaCollector.js';
 
 // Internationalization
 import TranslationManager from './i18n/TranslationManager.js';
@@ -64,15 +72,23 @@ export {
   FormStatePersistence,
   GMFunctions,
   MarkdownConverter,
+  ConversationExporter,
   ViewportStabilizer,
   ContentFormatter,
   TextChunker,
   InputValidators,
+  SelectorRegistry,
+  SettingsStore,
+  StorageSync,
+  PromptTemplate,
+  ExportUtils,
 
   // Services
   ThrottleService,
   AsyncQueueService,
   ClipboardService,
+  SettingsBackupService,
+  GeneratedMediaCollector,
 
   // Internationalization
   TranslationManager,
@@ -113,9 +129,17 @@ export default {
   ContentFormatter,
   TextChunker,
   InputValidators,
+  SelectorRegistry,
+  SettingsStore,
+  StorageSync,
+  PromptTemplate,
+  ExportUtils,
+  ConversationExporter,
   ThrottleService,
   AsyncQueueService,
   ClipboardService,
+  SettingsBackupService,
+  GeneratedMediaCollector,
   TranslationManager,
   SectionToggler,
   DOMObserver,
@@ -114,6 +114,11 @@ export class AsyncQueueService {
                 queueTask.retriesLeft--;
                 this.queue.push(queueTask); // Re-add at the end
                 this.sortQueueByPriority();
+
+                // The processing loop may have finished while this task was running
+                if (!this.isProcessing) {
+                    this.processQueue();
+                }
             }
         }
     }
@@ -0,0 +1,300 @@
+import Logger from '../utils/Logger.js';
+import PubSub from '../utils/PubSub.js';
+import MediaUtils from '../utils/MediaUtils.js';
+import ExportUtils from '../utils/ExportUtils.js';
+import VideoDownloader from '../utils/VideoDownloader/index.js';
+import {GM_download} from '../utils/GMFunctions.js';
+
+/**
+ * GeneratedMediaCollector - Downloads the images and videos an AI site generates for a batch of prompts
+ * and keeps a manifest mapping every prompt to its output files.
+ *
+ * Media already on the page when a batch starts is ignored. Anything that appears after beginPrompt()
+ * is assigned to that prompt, downloaded with a MediaUtils.generateFilename() name built from the batch,
+ * prompt index and prompt text, and recorded in the manifest, which can be saved as JSON or CSV.
+ */
+class GeneratedMediaCollector {
+    static EVENTS = {
+        ASSET_DOWNLOADED: 'generated-media:asset-downloaded',
+        ASSET_FAILED: 'generated-media:asset-failed',
+        MANIFEST_SAVED: 'generated-media:manifest-saved'
+    };
+
+    static MANIFEST_FORMATS = ['json', 'csv'];
+
+    /**
+     * @param {Object} options Configuration options
+     * @param {string} options.script - Script name stored in the manifest and used in file names
+     * @param {Function} options.findMedia - Returns the generated <img>/<video> elements currently on the page
+     * @param {number} [options.minImageSize=200] - Images narrower than this (e.g. avatars, icons) are skipped
+     * @param {Function} [options.download] - GM_download-compatible function, used for tests
+     */
+    constructor(options) {
+        this.script = options.script;
+        this.findMedia = options.findMedia;
+        this.minImageSize = options.minImageSize ?? 200;
+        this.download = options.download || GM_download;
+        this.logger = Logger.newPrefix('GeneratedMedia');
+
+        this.seenUrls = new Set();
+        this.manifest = null;
+        this.currentItem = null;
+    }
+
+    /**
+     * Make a short file-name-safe slug from prompt text
+     * @param {string} text - Prompt text
+     * @param {number} [maxLength=40] - Maximum slug length
+     * @return {string}
+     */
+    static slugify(text, maxLength = 40) {
+        const slug = String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, maxLength)
+            .replace(/-+$/, '');
+        return slug || 'prompt';
+    }
+
+    /**
+     * Get the best URL for a media element
+     * @param {HTMLImageElement|HTMLVideoElement} element - Media element
+     * @return {string}
+     */
+    static getMediaUrl(element) {
+        if (element instanceof HTMLVideoElement) {
+            return element.currentSrc || element.src || element.querySelector('source[src]')?.src || '';
+        }
+        return MediaUtils.getHighestResSrcFromSrcset(element.getAttribute('srcset')) || element.currentSrc || element.src || '';
+    }
+
+    /**
+     * Start a new batch; media already on the page is marked as seen
+     * @param {string} [name] - Batch name used as the file name prefix
+     * @return {Object} The new manifest
+     */
+    start(name) {
+        const createdAt = new Date().toISOString();
+        this.seenUrls.clear();
+        this.scan().forEach(({url}) => this.seenUrls.add(url));
+
+        this.manifest = {
+            script: this.script,
+            batch: name || `${GeneratedMediaCollector.slugify(this.script)}-${createdAt.replace(/[:.]/g, '-').substring(0, 19)}`,
+            createdAt,
+            finishedAt: null,
+            items: []
+        };
+        this.currentItem = null;
+        this.logger.debug(`Started batch ${this.manifest.batch} (${this.seenUrls.size} existing media ignored)`);
+        return this.manifest;
+    }
+
+    /**
+     * Assign media that appears from now on to a prompt
+     * Media still pending from the previous prompt is collected for that prompt first.
+     * @param {number} index - Zero-based prompt index
+     * @param {string} prompt - Prompt text
+     * @return {Promise<void>}
+     */
+    async beginPrompt(index, prompt) {
+        if (!this.manifest) {
+            this.start();
+        }
+        if (this.currentItem) {
+            await this.collect();
+        }
+
+        this.currentItem = {index: index + 1, prompt, files: []};
+        this.manifest.items.push(this.currentItem);
+    }
+
+    /**
+     * Find generated media not seen before
+     * @return {{element: Element, url: string}[]}
+     * @private
+     */
+    scan() {
+        const found = [];
+        (this.findMedia() || []).forEach((element) => {
+            const url = GeneratedMediaCollector.getMediaUrl(element);
+            if (!url || url.startsWith('data:') || found.some((item) => item.url === url)) {
+                return;
+            }
+            // naturalWidth is 0 until the image loads; only skip images known to be small
+            if (element instanceof HTMLImageElement && element.naturalWidth > 0 && element.naturalWidth < this.minImageSize) {
+                return;
+            }
+            found.push({element, url});
+        });
+        return found;
+    }
+
+    /**
+     * Download new media and add it to the current prompt's manifest entry
+     * @return {Promise<Object[]>} Files added by this call
+     */
+    async collect() {
+        if (!this.currentItem) {
+            return [];
+        }
+
+        const added = [];
+        for (const {element, url} of this.scan()) {
+            if (this.seenUrls.has(url)) continue;
+            this.seenUrls.add(url);
+
+            const item = this.currentItem;
+            const number = item.files.length + 1;
+            const type = MediaUtils.detectMediaType(element, url);
+            const filename = MediaUtils.generateFilename({
+                element,
+                url,
+                prefix: `${this.manifest.batch}_${String(item.index).padStart(3, '0')}-${number}_${GeneratedMediaCollector.slugify(item.prompt)}`,
+                timestamp: false
+            });
+            const file = {filename, type, url, downloaded: false, error: null};
+            item.files.push(file);
+            added.push(file);
+
+            try {
+                await this.downloadFile(url, filename);
+                file.downloaded = true;
+                PubSub.publish(GeneratedMediaCollector.EVENTS.ASSET_DOWNLOADED, {...file, index: item.index, prompt: item.prompt});
+            } catch (error) {
+                file.error = error?.message || String(error);
+                this.logger.warn(`Download failed for ${filename}: ${file.error}`);
+                PubSub.publish(GeneratedMediaCollector.EVENTS.ASSET_FAILED, {...file, index: item.index, prompt: item.prompt});
+            }
+        }
+
+        if (added.length) {
+            this.logger.info(`Prompt ${this.currentItem.index}: downloaded ${added.filter((f) => f.downloaded).length}/${added.length} new files`);
+        }
+        return added;
+    }
+
+    /**
+     * Keep collecting until no new media has appeared for a while, for sites that render results after the prompt returns
+     * @param {Object} [options]
+     * @param {number} [options.quietMs=5000] - Stop after this long without new media
+     * @param {number} [options.timeoutMs=60000] - Stop after this long in any case
+     * @param {number} [options.intervalMs=1000] - Time between scans
+     * @param {Function} [options.shouldStop] - Return true to stop early
+     * @return {Promise<Object[]>} Files added while waiting
+     */
+    async waitForMedia({quietMs = 5000, timeoutMs = 60000, intervalMs = 1000, shouldStop = () => false} = {}) {
+        const start = Date.now();
+        let lastFound = start;
+        const added = [];
+
+        while (Date.now() - start < timeoutMs && Date.now() - lastFound < quietMs && !shouldStop()) {
+            await new Promise((resolve) => setTimeout(resolve, intervalMs));
+            const files = await this.collect();
+            if (files.length) {
+                added.push(...files);
+                lastFound = Date.now();
+            }
+        }
+        return added;
+    }
+
+    /**
+     * Download a file without a save dialog, falling back to an anchor download for blob URLs
+     * @param {string} url - File URL
+     * @param {string} filename - File name
+     * @return {Promise<void>}
+     * @private
+     */
+    downloadFile(url, filename) {
+        if (url.startsWith('blob:') || typeof this.download !== 'function') {
+            VideoDownloader.triggerDownload(url, filename);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.download({
+                url,
+                name: filename,
+                saveAs: false,
+                onload: () => resolve(),
+                onerror: (error) => reject(new Error(error?.error || 'download failed')),
+                ontimeout: () => reject(new Error('download timed out'))
+            });
+        });
+    }
+
+    /**
+     * Collect the last prompt's media and close the batch
+     * @return {Promise<Object>} The manifest
+     */
+    async finish() {
+        if (!this.manifest) {
+            return null;
+        }
+        await this.collect();
+        this.manifest.finishedAt = new Date().toISOString();
+        this.currentItem = null;
+        return this.manifest;
+    }
+
+    /**
+     * Get the manifest of the current or last batch
+     * @return {Object|null}
+     */
+    getManifest() {
+        return this.manifest;
+    }
+
+    /**
+     * Count downloaded files in the manifest
+     * @return {number}
+     */
+    getDownloadedCount() {
+        return (this.manifest?.items || []).reduce((total, item) => total + item.files.filter((f) => f.downloaded).length, 0);
+    }
+
+    /**
+     * Convert a manifest to CSV, one row per file (prompts without output get an empty row)
+     * @param {Object} manifest - Manifest from getManifest()
+     * @return {string}
+     */
+    static toCsv(manifest) {
+        const rows = [['index', 'prompt', 'filename', 'type', 'url', 'downloaded', 'error']];
+
+        (manifest?.items || []).forEach((item) => {
+            if (!item.files.length) {
+                rows.push([item.index, item.prompt, '', '', '', '', '']);
+            }
+            item.files.forEach((file) => {
+                rows.push([item.index, item.prompt, file.filename, file.type, file.url, file.downloaded, file.error]);
+            });
+        });
+        return rows.map((row) => ExportUtils.toCsvRow(row)).join('\n');
+    }
+
+    /**
+     * Save the manifest next to the downloaded files
+     * @param {string} [format='json'] - 'json' or 'csv'
+     * @return {string|null} The manifest file name, or null when there is no batch
+     */
+    saveManifest(format = 'json') {
+        if (!this.manifest) {
+            return null;
+        }
+
+        const isCsv = format === 'csv';
+        const content = isCsv ? GeneratedMediaCollector.toCsv(this.manifest) : JSON.stringify(this.manifest, null, 2);
+        const filename = `${this.manifest.batch}_manifest.${isCsv ? 'csv' : 'json'}`;
+        ExportUtils.downloadFile(content, filename, isCsv ? 'text/csv' : 'application/json');
+
+        this.logger.info(`Saved manifest ${filename}`);
+        PubSub.publish(GeneratedMediaCollector.EVENTS.MANIFEST_SAVED, {filename, format: isCsv ? 'csv' : 'json'});
+        return filename;
+    }
+}
+
+export default GeneratedMediaCollector;
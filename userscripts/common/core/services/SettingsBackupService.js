@@ -0,0 +1,340 @@
+import Logger from '../utils/Logger.js';
+import PubSub from '../utils/PubSub.js';
+import Button from '../ui/Button.js';
+import Notification from '../ui/Notification.js';
+import ExportUtils from '../utils/ExportUtils.js';
+import {getValue, setValue} from '../utils/GMFunctions.js';
+
+/**
+ * SettingsBackupService - Exports a script's stored settings as one versioned JSON file and imports it again
+ * Works with the SETTINGS_KEYS/DEFAULT_SETTINGS tables the scripts already use, plain localStorage keys,
+ * and FormStatePersistence instances (whose fields are reloaded after an import).
+ */
+class SettingsBackupService {
+    static FORMAT = 'userscripts-settings';
+    static FORMAT_VERSION = 1;
+
+    static EVENTS = {
+        EXPORTED: 'settings-backup:exported',
+        IMPORTED: 'settings-backup:imported'
+    };
+
+    /**
+     * @param {Object} options Configuration options
+     * @param {string} options.script - Script name stored in the backup and checked on import
+     * @param {Object|string[]} [options.keys] - {SETTING_NAME: 'storage-key'} table or list of GM storage keys
+     * @param {Object} [options.defaults] - {SETTING_NAME: defaultValue}; imported values must match the default's type
+     * @param {string[]} [options.localStorageKeys] - Keys kept in localStorage instead of GM storage
+     *     (JSON encoded, except plain strings which are stored as-is)
+     * @param {FormStatePersistence[]} [options.persistence] - Form state managers to include and reload after import
+     * @param {Function} [options.getValue] - Function to get values from GM storage
+     * @param {Function} [options.setValue] - Function to set values in GM storage
+     */
+    constructor(options) {
+        this.script = options.script;
+        this.getValue = options.getValue || getValue;
+        this.setValue = options.setValue || setValue;
+        this.persistence = options.persistence || [];
+        this.logger = Logger.newPrefix('SettingsBackup');
+
+        // storage key -> {storage: 'gm'|'local', defaultValue, validator}
+        this.entries = new Map();
+        this.addKeys(options.keys || [], options.defaults || {});
+        (options.localStorageKeys || []).forEach((key) => {
+            this.entries.set(key, {storage: 'local', defaultValue: undefined});
+        });
+        this.persistence.forEach((manager) => {
+            Object.entries(manager.fields).forEach(([fieldName, config]) => {
+                this.entries.set(manager.getStorageKey(fieldName), {
+                    storage: 'gm',
+                    defaultValue: config.defaultValue,
+                    validator: config.validator
+                });
+            });
+        });
+    }
+
+    /**
+     * Register GM storage keys
+     * @param {Object|string[]} keys - {SETTING_NAME: 'storage-key'} table or list of storage keys
+     * @param {Object} [defaults={}] - {SETTING_NAME: defaultValue}
+     */
+    addKeys(keys, defaults = {}) {
+        if (Array.isArray(keys)) {
+            keys.forEach((key) => this.entries.set(key, {storage: 'gm', defaultValue: undefined}));
+            return;
+        }
+
+        Object.entries(keys).forEach(([settingName, key]) => {
+            this.entries.set(key, {storage: 'gm', defaultValue: defaults[settingName]});
+        });
+    }
+
+    /**
+     * List the storage keys covered by the backup
+     * @return {string[]}
+     */
+    listKeys() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @return {Promise<*>} Stored value or null when nothing is stored
+     * @private
+     */
+    async readValue(key) {
+        if (this.entries.get(key).storage === 'local') {
+            const raw = localStorage.getItem(key);
+            if (raw === null) {
+                return null;
+            }
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return raw;
+            }
+        }
+        return await this.getValue(key, null);
+    }
+
+    /**
+     * Write a stored value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @private
+     */
+    async writeValue(key, value) {
+        if (this.entries.get(key).storage === 'local') {
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+            return;
+        }
+        await this.setValue(key, value);
+    }
+
+    /**
+     * Build a backup object from the currently stored values
+     * @return {Promise<Object>} Backup with format, version, script name, export time and settings
+     */
+    async createBackup() {
+        // Flush pending form changes so the backup matches what the user sees
+        for (const manager of this.persistence) {
+            await manager.saveState();
+        }
+
+        const settings = {};
+        for (const key of this.listKeys()) {
+            const value = await this.readValue(key);
+            if (value !== null && value !== undefined) {
+                settings[key] = value;
+            }
+        }
+
+        return {
+            format: SettingsBackupService.FORMAT,
+            version: SettingsBackupService.FORMAT_VERSION,
+            script: this.script,
+            exportedAt: new Date().toISOString(),
+            settings
+        };
+    }
+
+    /**
+     * Check a backup before importing it
+     * @param {Object} backup - Parsed backup
+     * @return {{valid: boolean, errors: string[], warnings: string[]}}
+     */
+    validate(backup) {
+        const errors = [];
+        const warnings = [];
+
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            return {valid: false, errors: ['Backup is not a JSON object'], warnings};
+        }
+        if (backup.format !== SettingsBackupService.FORMAT) {
+            errors.push('Not a settings backup file');
+        }
+        if (!Number.isInteger(backup.version) || backup.version > SettingsBackupService.FORMAT_VERSION) {
+            errors.push(`Unsupported backup version: ${backup.version}`);
+        }
+        if (backup.script !== this.script) {
+            errors.push(`Backup belongs to "${backup.script}", not "${this.script}"`);
+        }
+        if (!backup.settings || typeof backup.settings !== 'object' || Array.isArray(backup.settings)) {
+            errors.push('Backup has no settings');
+        }
+
+        if (errors.length === 0) {
+            Object.entries(backup.settings).forEach(([key, value]) => {
+                const entry = this.entries.get(key);
+                if (!entry) {
+                    warnings.push(`Unknown setting skipped: ${key}`);
+                } else if (!SettingsBackupService.matchesType(value, entry.defaultValue) ||
+                    (entry.validator && !entry.validator(value))) {
+                    errors.push(`Invalid value for ${key}`);
+                }
+            });
+        }
+
+        return {valid: errors.length === 0, errors, warnings};
+    }
+
+    /**
+     * Check that a value has the same type as a setting's default
+     * @param {*} value - Imported value
+     * @param {*} defaultValue - Default value (undefined accepts anything)
+     * @return {boolean}
+     */
+    static matchesType(value, defaultValue) {
+        if (defaultValue === undefined || defaultValue === null) {
+            return true;
+        }
+        if (Array.isArray(defaultValue)) {
+            return Array.isArray(value);
+        }
+        return value !== null && !Array.isArray(value) && typeof value === typeof defaultValue;
+    }
+
+    /**
+     * Validate and store a backup
+     * @param {Object|string} backup - Backup object or its JSON text
+     * @return {Promise<{imported: string[], skipped: string[]}>}
+     * @throws {Error} When the backup is not valid JSON or fails validation
+     */
+    async importBackup(backup) {
+        if (typeof backup === 'string') {
+            try {
+                backup = JSON.parse(backup);
+            } catch (error) {
+                throw new Error('Backup file is not valid JSON');
+            }
+        }
+
+        const {valid, errors, warnings} = this.validate(backup);
+        if (!valid) {
+            throw new Error(errors.join('; '));
+        }
+        warnings.forEach((warning) => this.logger.warn(warning));
+
+        const imported = [];
+        const skipped = [];
+        for (const [key, value] of Object.entries(backup.settings)) {
+            if (!this.entries.has(key)) {
+                skipped.push(key);
+                continue;
+            }
+            await this.writeValue(key, value);
+            imported.push(key);
+        }
+
+        for (const manager of this.persistence) {
+            await manager.loadState();
+        }
+
+        this.logger.info(`Imported ${imported.length} settings for ${this.script}`);
+        PubSub.publish(SettingsBackupService.EVENTS.IMPORTED, {script: this.script, imported, skipped});
+        return {imported, skipped};
+    }
+
+    /**
+     * Download the current settings as a JSON file
+     * @param {string} [filename] - File name (default: "<script>-settings-<date>.json")
+     * @return {Promise<Object>} The exported backup
+     */
+    async exportToFile(filename) {
+        const backup = await this.createBackup();
+        const slug = this.script.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const name = filename || `${slug}-settings-${backup.exportedAt.slice(0, 10)}.json`;
+
+        ExportUtils.downloadFile(JSON.stringify(backup, null, 2), name, 'application/json');
+
+        this.logger.info(`Exported ${Object.keys(backup.settings).length} settings to ${name}`);
+        PubSub.publish(SettingsBackupService.EVENTS.EXPORTED, {script: this.script, filename: name});
+        return backup;
+    }
+
+    /**
+     * Import settings from a file chosen by the user
+     * @param {File} file - JSON file
+     * @return {Promise<{imported: string[], skipped: string[]}>}
+     */
+    async importFromFile(file) {
+        return this.importBackup(await file.text());
+    }
+
+    /**
+     * Create an export/import section for a script's sidebar panel
+     * @param {Object} [options]
+     * @param {Function} [options.onImported] - Called with the import result, e.g. to reload the script's settings
+     * @param {string|null} [options.title='Backup'] - Section heading, null to leave it out (e.g. inside a SectionToggler)
+     * @param {string} [options.description] - Help text shown above the buttons
+     * @param {string} [options.exportText='Export Settings'] - Export button label
+     * @param {string} [options.importText='Import Settings'] - Import button label
+     * @return {HTMLElement}
+     */
+    createSection({
+        onImported,
+        title = 'Backup',
+        description = 'Export your settings to a file, or import them in another browser.',
+        exportText = 'Export Settings',
+        importText = 'Import Settings'
+    } = {}) {
+        const section = document.createElement('div');
+        section.className = 'userscripts-settings-backup';
+
+        if (title) {
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            section.appendChild(heading);
+        }
+
+        const help = document.createElement('p');
+        help.textContent = description;
+        help.style.cssText = 'font-size: 12px; color: #666; margin: 0 0 8px 0;';
+        section.appendChild(help);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const result = await this.importFromFile(file);
+                Notification.success(`Imported ${result.imported.length} settings`);
+                if (onImported) {
+                    await onImported(result);
+                }
+            } catch (error) {
+                this.logger.error('Settings import failed:', error);
+                Notification.error(`Import failed: ${error.message}`);
+            }
+        });
+        section.appendChild(fileInput);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 8px;';
+        new Button({
+            text: exportText,
+            theme: 'primary',
+            size: 'small',
+            container: buttons,
+            onClick: () => this.exportToFile()
+        });
+        new Button({
+            text: importText,
+            size: 'small',
+            container: buttons,
+            onClick: () => fileInput.click()
+        });
+        section.appendChild(buttons);
+
+        return section;
+    }
+}
+
+export default SettingsBackupService;
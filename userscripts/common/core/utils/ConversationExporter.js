@@ -0,0 +1,271 @@
+import Logger from './Logger.js';
+import PubSub from './PubSub.js';
+import ExportUtils from './ExportUtils.js';
+
+/**
+ * ConversationExporter - Writes a chat conversation as Markdown, JSON or a self-contained HTML page
+ *
+ * Scripts collect the turns from the page (turn text is expected to be Markdown, e.g. from
+ * MarkdownConverter.convertHtmlToFormattedText()) and pass a conversation object:
+ * {
+ *   source: 'Google AI Studio', chatId, title, model, url, exportedAt,
+ *   turns: [{role: 'user'|'model', text, timestamp}]
+ * }
+ *
+ * @example
+ * ConversationExporter.download(conversation, 'markdown');
+ */
+class ConversationExporter {
+    static EVENTS = {
+        EXPORTED: 'conversation:exported'
+    };
+
+    static FORMATS = {
+        markdown: {extension: 'md', mimeType: 'text/markdown', label: 'Markdown'},
+        json: {extension: 'json', mimeType: 'application/json', label: 'JSON'},
+        html: {extension: 'html', mimeType: 'text/html', label: 'HTML'}
+    };
+
+    static ROLE_LABELS = {
+        user: 'User',
+        model: 'Model'
+    };
+
+    /**
+     * Fill in the fields every export needs
+     * @param {Object} conversation - Conversation collected by the script
+     * @return {Object}
+     */
+    static normalize(conversation) {
+        return {
+            source: conversation.source || 'Chat',
+            chatId: conversation.chatId || null,
+            title: conversation.title || null,
+            model: conversation.model || null,
+            url: conversation.url || null,
+            exportedAt: conversation.exportedAt || new Date().toISOString(),
+            turns: (conversation.turns || [])
+                .filter((turn) => turn && typeof turn.text === 'string' && turn.text.trim())
+                .map((turn) => ({
+                    role: turn.role === 'user' ? 'user' : 'model',
+                    text: turn.text.trim(),
+                    timestamp: turn.timestamp || null
+                }))
+        };
+    }
+
+    /**
+     * Build the export file name from the source and chat ID
+     * @param {Object} conversation - Normalized conversation
+     * @param {string} format - Key of FORMATS
+     * @return {string}
+     */
+    static getFilename(conversation, format) {
+        const slug = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        // Chat IDs are case-sensitive, so they keep their case
+        const chatPart = String(conversation.chatId || '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'chat';
+        const date = (conversation.exportedAt || new Date().toISOString()).slice(0, 10);
+        return `${slug(conversation.source) || 'chat'}-${chatPart}-${date}.${this.FORMATS[format].extension}`;
+    }
+
+    /**
+     * Convert a conversation to Markdown
+     * @param {Object} conversation - Conversation object
+     * @return {string}
+     */
+    static toMarkdown(conversation) {
+        const chat = this.normalize(conversation);
+        const lines = [`# ${chat.title || `${chat.source} conversation`}`, ''];
+
+        [['Source', chat.source], ['Chat ID', chat.chatId], ['Model', chat.model], ['URL', chat.url], ['Exported', chat.exportedAt]]
+            .filter(([, value]) => value)
+            .forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+        chat.turns.forEach((turn) => {
+            const time = turn.timestamp ? ` (${turn.timestamp})` : '';
+            lines.push('', '---', '', `## ${this.ROLE_LABELS[turn.role]}${time}`, '', turn.text);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Convert a conversation to JSON
+     * @param {Object} conversation - Conversation object
+     * @return {string}
+     */
+    static toJson(conversation) {
+        return JSON.stringify(this.normalize(conversation), null, 2);
+    }
+
+    /**
+     * Convert a conversation to a standalone HTML page with inline styles
+     * @param {Object} conversation - Conversation object
+     * @return {string}
+     */
+    static toHtml(conversation) {
+        const chat = this.normalize(conversation);
+        const title = this.escapeHtml(chat.title || `${chat.source} conversation`);
+        const meta = [['Source', chat.source], ['Chat ID', chat.chatId], ['Model', chat.model], ['Exported', chat.exportedAt]]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<span><strong>${label}:</strong> ${this.escapeHtml(value)}</span>`)
+            .join('');
+        const link = chat.url ? `<a href="${this.escapeHtml(chat.url)}">${this.escapeHtml(chat.url)}</a>` : '';
+        const turns = chat.turns.map((turn) => {
+            const time = turn.timestamp ? `<time>${this.escapeHtml(turn.timestamp)}</time>` : '';
+            return `<section class="turn turn--${turn.role}"><header>${this.ROLE_LABELS[turn.role]}${time}</header>` +
+                `<div class="turn__body">${this.markdownToHtml(turn.text)}</div></section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;max-width:860px;margin:0 auto;padding:24px;color:#1f1f1f;line-height:1.55;background:#fafafa}
+h1{font-size:22px;margin:0 0 8px}
+.meta{display:flex;flex-wrap:wrap;gap:12px;font-size:12px;color:#555;margin-bottom:24px}
+.turn{background:#fff;border:1px solid #e0e0e0;border-radius:8px;padding:12px 16px;margin-bottom:16px}
+.turn--user{background:#eef3fd;border-color:#c6d7f9}
+.turn header{font-weight:600;font-size:13px;color:#444;margin-bottom:8px;display:flex;justify-content:space-between}
+.turn time{font-weight:400;color:#777}
+pre{background:#1e1e1e;color:#f1f1f1;padding:12px;border-radius:6px;overflow-x:auto;font-size:13px}
+code{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace}
+:not(pre)>code{background:#f0f0f0;padding:1px 4px;border-radius:3px}
+blockquote{border-left:3px solid #ccc;margin:0;padding-left:12px;color:#555}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">${meta}${link}</div>
+${turns}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the Markdown produced by MarkdownConverter as HTML
+     * Covers fenced code, headings, lists, quotes, bold, italics, inline code and links.
+     * @param {string} markdown - Markdown text
+     * @return {string}
+     */
+    static markdownToHtml(markdown) {
+        const inline = (text) => this.escapeHtml(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+        const html = [];
+        let paragraph = [];
+        let list = [];
+        const flush = () => {
+            if (paragraph.length) {
+                html.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+                paragraph = [];
+            }
+            if (list.length) {
+                html.push(`<ul>${list.map((item) => `<li>${inline(item)}</li>`).join('')}</ul>`);
+                list = [];
+            }
+        };
+
+        const lines = String(markdown || '').split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const fence = line.trim().match(/^```([\w+#-]*)/);
+
+            if (fence) {
+                flush();
+                const code = [];
+                for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) {
+                    code.push(lines[i]);
+                }
+                const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+                html.push(`<pre><code${language}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const listItem = line.match(/^\s*(?:[-*•]|\d+\.)\s+(.*)$/);
+            if (!line.trim()) {
+                flush();
+            } else if (heading) {
+                flush();
+                // Turn headers use h2, so content headings start at h3
+                const level = Math.min(heading[1].length + 2, 6);
+                html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+            } else if (line.startsWith('>')) {
+                flush();
+                html.push(`<blockquote>${inline(line.replace(/^>\s?/, ''))}</blockquote>`);
+            } else if (listItem) {
+                if (paragraph.length) flush();
+                list.push(listItem[1]);
+            } else {
+                if (list.length) flush();
+                paragraph.push(line);
+            }
+        }
+        flush();
+        return html.join('\n');
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text to escape
+     * @return {string}
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Convert a conversation to the given format
+     * @param {Object} conversation - Conversation object
+     * @param {string} [format='markdown'] - 'markdown', 'json' or 'html'
+     * @return {{content: string, filename: string, mimeType: string}}
+     */
+    static export(conversation, format = 'markdown') {
+        if (!this.FORMATS[format]) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const chat = this.normalize(conversation);
+        const converters = {
+            markdown: () => this.toMarkdown(chat),
+            json: () => this.toJson(chat),
+            html: () => this.toHtml(chat)
+        };
+
+        return {
+            content: converters[format](),
+            filename: this.getFilename(chat, format),
+            mimeType: this.FORMATS[format].mimeType
+        };
+    }
+
+    /**
+     * Export a conversation and download the file
+     * @param {Object} conversation - Conversation object
+     * @param {string} [format='markdown'] - 'markdown', 'json' or 'html'
+     * @return {string} The file name
+     */
+    static download(conversation, format = 'markdown') {
+        const {content, filename, mimeType} = this.export(conversation, format);
+
+        ExportUtils.downloadFile(content, filename, mimeType);
+
+        Logger.info(`Exported ${conversation.turns?.length || 0} turns to ${filename}`);
+        PubSub.publish(this.EVENTS.EXPORTED, {filename, format, chatId: conversation.chatId || null});
+        return filename;
+    }
+}
+
+export default ConversationExporter;
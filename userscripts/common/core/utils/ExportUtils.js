@@ -0,0 +1,40 @@
+import VideoDownloader from './VideoDownloader/index.js';
+
+/**
+ * ExportUtils - Helpers shared by the scripts that export collected data as files
+ */
+class ExportUtils {
+    /**
+     * Quote a CSV value when it contains a quote, comma or line break
+     * @param {*} value - Cell value; null and undefined become an empty cell
+     * @return {string}
+     */
+    static escapeCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Join cell values into one CSV line
+     * @param {Array<*>} values - Cell values
+     * @return {string}
+     */
+    static toCsvRow(values) {
+        return values.map((value) => this.escapeCsvField(value)).join(',');
+    }
+
+    /**
+     * Save text as a UTF-8 file through a temporary object URL
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - e.g. 'text/csv' or 'application/json'
+     */
+    static downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], {type: `${mimeType};charset=utf-8`}));
+        VideoDownloader.triggerDownload(url, filename);
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+export default ExportUtils;
@@ -265,5 +265,5 @@ const setValue = gmFunctions.GM_setValue; // Maps to setValue for import { setVa
 
 export { GM_addStyle, GM_xmlhttpRequest, GM_setClipboard, GM_download, getValue, setValue };
 
-// For potential direct class usage if ever needed, though current pattern is to use the initialized functions.
-// export default GMFunctions; // Not currently used this way
\ No newline at end of file
+// Direct class usage, e.g. DraggableContainer re-running initialize() before reading positions.
+export default GMFunctions;
\ No newline at end of file
@@ -69,10 +69,22 @@ class MarkdownConverter {
 
         let lines = text.split('\n');
         let cleanedLines = [];
+        let inCodeBlock = false;
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
 
+            // Keep fenced code blocks verbatim (indentation, blank lines, keyword-only lines)
+            if (line.startsWith('```')) {
+                inCodeBlock = !inCodeBlock;
+                cleanedLines.push(line);
+                continue;
+            }
+            if (inCodeBlock) {
+                cleanedLines.push(lines[i].replace(/\s+$/, ''));
+                continue;
+            }
+
             if (!line) {
                 if (cleanedLines.length > 0 &&
                     i < lines.length - 1 &&
@@ -105,7 +117,10 @@ class MarkdownConverter {
         }
 
         let result = cleanedLines.join('\n').trim();
-        result = result.replace(/\n\s*\n\s*\n+/g, '\n\n');
+        // Collapse runs of blank lines outside code blocks
+        result = result.split(/(```[\s\S]*?```)/g)
+            .map((part) => (part.startsWith('```') ? part : part.replace(/\n\s*\n\s*\n+/g, '\n\n')))
+            .join('');
 
         return result;
     }
@@ -201,8 +216,13 @@ class MarkdownConverter {
             case 'code':
                 return `\`${childText}\``;
 
-            case 'pre':
-                return `\n\n\`\`\`\n${childText}\n\`\`\`\n\n`;
+            case 'pre': {
+                // Use the raw text so indentation and inline markup inside the block survive
+                const codeElement = node.querySelector('code') || node;
+                const languageMatch = `${codeElement.className || ''} ${node.className || ''}`.match(/(?:language|lang)-([\w+#-]+)/);
+                const code = (node.textContent || '').replace(/\n+$/, '');
+                return `\n\n\`\`\`${languageMatch ? languageMatch[1] : ''}\n${code}\n\`\`\`\n\n`;
+            }
 
             case 'ul':
             case 'ol':
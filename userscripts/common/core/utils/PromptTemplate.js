@@ -0,0 +1,261 @@
+import Logger from './Logger.js';
+
+/**
+ * PromptTemplate - Expands prompt templates into a flat list of prompts
+ *
+ * Syntax:
+ * - {a|b|c}       Alternatives; every combination of all groups is produced
+ *                 ("A {cat|dog} in {watercolor|pixel art}" gives 4 prompts); groups cannot be nested
+ *                 and alternatives cannot be empty, so code like "{ a || b }" is left alone
+ * - {{n}}         1-based position of the prompt in the final list ({{n:3}} pads to 3 digits)
+ * - {{total}}     Number of prompts in the final list
+ * - {{column}}    Value from a pasted CSV; the template is repeated once per CSV row
+ *
+ * Single-word placeholders without "|" (e.g. {iteration}) are left untouched so scripts
+ * can keep replacing their own variables.
+ *
+ * @example
+ * const rows = PromptTemplate.parseCsv('animal,color\ncat,red\ndog,blue');
+ * PromptTemplate.expandAll(['#{{n}} A {{color}} {{animal}}, {photo|sketch}'], {rows});
+ * // ['#1 A red cat, photo', '#2 A red cat, sketch', '#3 A blue dog, photo', '#4 A blue dog, sketch']
+ */
+class PromptTemplate {
+    /**
+     * Hard cap on generated prompts, so a typo does not freeze the page
+     * @readonly
+     */
+    static MAX_PROMPTS = 1000;
+
+    /**
+     * Alternatives group without nested braces or empty alternatives: {a|b}
+     * @readonly
+     */
+    static ALTERNATIVES_PATTERN = /\{([^{}|]+(?:\|[^{}|]+)+)\}/;
+
+    /**
+     * Double-brace variable: {{name}} or {{n:3}}
+     * @readonly
+     */
+    static VARIABLE_PATTERN = /\{\{\s*([^{}:\s]+)\s*(?::\s*(\d+)\s*)?\}\}/g;
+
+    /**
+     * Check whether text uses any template syntax
+     * @param {string} text - Prompt or template
+     * @return {boolean}
+     */
+    static hasSyntax(text) {
+        if (typeof text !== 'string') return false;
+        this.VARIABLE_PATTERN.lastIndex = 0;
+        return this.ALTERNATIVES_PATTERN.test(text) || this.VARIABLE_PATTERN.test(text);
+    }
+
+    /**
+     * Names of the {{variables}} a template uses, without the built-in counters
+     * @param {string} template - Template text
+     * @return {string[]}
+     */
+    static getVariables(template) {
+        const names = new Set();
+        for (const match of String(template || '').matchAll(this.VARIABLE_PATTERN)) {
+            if (match[1] !== 'n' && match[1] !== 'total') {
+                names.add(match[1]);
+            }
+        }
+        return [...names];
+    }
+
+    /**
+     * Expand the alternatives of one template and fill in CSV values
+     * Counters are left in place; use number() once the final list is known.
+     * @param {string} template - Template text
+     * @param {Object} [options]
+     * @param {Object[]} [options.rows=[]] - CSV rows from parseCsv(); only used when the template references a column
+     * @param {number} [options.limit=PromptTemplate.MAX_PROMPTS] - Maximum number of prompts to produce
+     * @return {string[]}
+     */
+    static expand(template, options = {}) {
+        const {rows = [], limit = this.MAX_PROMPTS} = options;
+        if (typeof template !== 'string' || !template.trim()) {
+            return [];
+        }
+
+        const sources = this.usesColumns(template, rows) ? rows.map((row) => this.fillRow(template, row)) : [template];
+        const results = [];
+
+        for (const source of sources) {
+            this.expandAlternatives(source, results, limit);
+            if (results.length >= limit) {
+                Logger.warn(`PromptTemplate: stopped at ${limit} prompts`);
+                break;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Expand a list of templates and number the result
+     * @param {string[]} templates - Templates in order
+     * @param {Object} [options] - See expand(); also accepts start for the first {{n}}
+     * @return {string[]}
+     */
+    static expandAll(templates, options = {}) {
+        const {limit = this.MAX_PROMPTS} = options;
+        const results = [];
+        for (const template of templates) {
+            const remaining = limit - results.length;
+            if (remaining <= 0) break;
+            results.push(...this.expand(template, {...options, limit: remaining}));
+        }
+        return this.number(results, options);
+    }
+
+    /**
+     * Count how many prompts expandAll() will produce without building them
+     * @param {string[]} templates - Templates in order
+     * @param {Object} [options] - See expand()
+     * @return {number}
+     */
+    static count(templates, options = {}) {
+        const {rows = []} = options;
+        return templates.reduce((total, template) => {
+            if (typeof template !== 'string' || !template.trim()) return total;
+            let combinations = 1;
+            for (const match of template.matchAll(new RegExp(this.ALTERNATIVES_PATTERN, 'g'))) {
+                combinations *= match[1].split('|').length;
+            }
+            return total + combinations * (this.usesColumns(template, rows) ? rows.length : 1);
+        }, 0);
+    }
+
+    /**
+     * Replace {{n}} and {{total}} by each prompt's position in the list
+     * @param {string[]} prompts - Final prompt list
+     * @param {Object} [options]
+     * @param {number} [options.start=1] - Value of {{n}} for the first prompt
+     * @return {string[]}
+     */
+    static number(prompts, options = {}) {
+        const {start = 1} = options;
+        return prompts.map((prompt, index) => prompt.replace(this.VARIABLE_PATTERN, (match, name, pad) => {
+            if (name === 'n') {
+                return String(start + index).padStart(pad ? parseInt(pad, 10) : 0, '0');
+            }
+            if (name === 'total') {
+                return String(prompts.length);
+            }
+            return match;
+        }));
+    }
+
+    /**
+     * Parse CSV text into row objects keyed by the header row
+     * Handles quoted fields, escaped quotes and comma, semicolon or tab delimiters.
+     * @param {string} text - CSV text with a header row
+     * @return {Object[]}
+     */
+    static parseCsv(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return [];
+        }
+
+        const firstLine = text.trim().split(/\r?\n/)[0];
+        const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        record.push(field);
+        records.push(record);
+
+        const [header, ...body] = records.filter((r) => r.some((value) => value.trim() !== ''));
+        if (!header) return [];
+        const columns = header.map((name) => name.trim());
+
+        return body.map((values) => {
+            const row = {};
+            columns.forEach((column, index) => {
+                if (column) {
+                    row[column] = (values[index] || '').trim();
+                }
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Check whether a template references a column of the CSV rows
+     * @param {string} template - Template text
+     * @param {Object[]} rows - CSV rows
+     * @return {boolean}
+     * @private
+     */
+    static usesColumns(template, rows) {
+        return rows.length > 0 && this.getVariables(template)
+            .some((name) => Object.prototype.hasOwnProperty.call(rows[0], name));
+    }
+
+    /**
+     * Replace {{column}} variables with a CSV row's values
+     * @param {string} template - Template text
+     * @param {Object} row - CSV row
+     * @return {string}
+     * @private
+     */
+    static fillRow(template, row) {
+        return template.replace(this.VARIABLE_PATTERN, (match, name) => (Object.prototype.hasOwnProperty.call(row, name) ? row[name] : match));
+    }
+
+    /**
+     * Depth-first expansion of the first alternatives group, in the order the groups appear
+     * @param {string} text - Text that may still contain groups
+     * @param {string[]} results - Collected prompts
+     * @param {number} limit - Maximum number of prompts
+     * @private
+     */
+    static expandAlternatives(text, results, limit) {
+        if (results.length >= limit) return;
+
+        const match = this.ALTERNATIVES_PATTERN.exec(text);
+        if (!match) {
+            results.push(text.trim());
+            return;
+        }
+
+        const before = text.slice(0, match.index);
+        const after = text.slice(match.index + match[0].length);
+        for (const option of match[1].split('|')) {
+            this.expandAlternatives(before + option + after, results, limit);
+        }
+    }
+}
+
+export default PromptTemplate;
@@ -0,0 +1,218 @@
+import Logger from './Logger.js';
+import PubSub from './PubSub.js';
+import Notification from '../ui/Notification.js';
+
+/**
+ * SelectorRegistry - Named CSS selectors with ordered fallback chains
+ * Wraps a script's selector table so lookups go through one place: every name resolves to a chain of
+ * selectors tried in order, the registry remembers which fallback matched, and a health check reports
+ * names that no longer match the page so a site redesign surfaces as a single warning.
+ */
+class SelectorRegistry {
+    static EVENTS = {
+        FALLBACK_MATCHED: 'selectors:fallback-matched',
+        HEALTH_CHECKED: 'selectors:health-checked'
+    };
+
+    /**
+     * @param {Object} options Configuration options
+     * @param {string} options.name - Script name used in logs and warnings
+     * @param {Object} options.selectors - Selector table. Values can be a selector string, an array of
+     *     selectors (most specific first) or a nested group, whose entries are registered as "GROUP.KEY"
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'SelectorRegistry';
+        this.chains = new Map();
+        this.matches = new Map();
+
+        this.register(options.selectors || {});
+    }
+
+    /**
+     * Register selectors from a table
+     * @param {Object} table - Selector table (see constructor)
+     * @param {string} [prefix=''] - Name prefix for nested groups
+     */
+    register(table, prefix = '') {
+        Object.entries(table).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+
+            if (typeof value === 'string') {
+                this.chains.set(name, [value]);
+            } else if (Array.isArray(value)) {
+                this.chains.set(name, [...value]);
+            } else if (value && typeof value === 'object') {
+                this.register(value, name);
+            }
+        });
+    }
+
+    /**
+     * Check whether a name is registered
+     * @param {string} name - Selector name
+     * @return {boolean}
+     */
+    has(name) {
+        return this.chains.has(name);
+    }
+
+    /**
+     * Get all registered names
+     * @return {string[]}
+     */
+    names() {
+        return Array.from(this.chains.keys());
+    }
+
+    /**
+     * Get the fallback chain for a name
+     * @param {string} name - Selector name
+     * @return {string[]} Selectors in the order they are tried
+     */
+    get(name) {
+        const chain = this.chains.get(name);
+        if (!chain) {
+            throw new Error(`[${this.name}] Unknown selector name: ${name}`);
+        }
+        return [...chain];
+    }
+
+    /**
+     * Find the first selector in a chain that matches
+     * @param {string} name - Selector name
+     * @param {Object} [options]
+     * @param {Document|Element} [options.root=document] - Element to search in
+     * @param {Function} [options.filter] - Only count elements passing this predicate (e.g. visibility)
+     * @return {{name: string, selector: string, index: number, elements: Element[]}|null}
+     */
+    resolve(name, {root = document, filter = null} = {}) {
+        const chain = this.get(name);
+
+        for (let index = 0; index < chain.length; index++) {
+            const selector = chain[index];
+            let elements;
+
+            try {
+                elements = Array.from(root.querySelectorAll(selector));
+            } catch (error) {
+                Logger.warn(`[${this.name}] Invalid selector for ${name}: ${selector}`);
+                continue;
+            }
+
+            if (filter) {
+                elements = elements.filter(filter);
+            }
+
+            if (elements.length > 0) {
+                this.recordMatch(name, selector, index);
+                return {name, selector, index, elements};
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the first element for a name
+     * @param {string} name - Selector name
+     * @param {Object} [options] - See resolve()
+     * @return {Element|null}
+     */
+    query(name, options = {}) {
+        const match = this.resolve(name, options);
+        return match ? match.elements[0] : null;
+    }
+
+    /**
+     * Find all elements matched by the first working selector for a name
+     * @param {string} name - Selector name
+     * @param {Object} [options] - See resolve()
+     * @return {Element[]}
+     */
+    queryAll(name, options = {}) {
+        const match = this.resolve(name, options);
+        return match ? match.elements : [];
+    }
+
+    /**
+     * Remember which selector matched, warning once when a fallback takes over
+     * @param {string} name - Selector name
+     * @param {string} selector - Matching selector
+     * @param {number} index - Position of the selector in the chain
+     * @private
+     */
+    recordMatch(name, selector, index) {
+        const previous = this.matches.get(name);
+        this.matches.set(name, {selector, index});
+
+        if (index > 0 && (!previous || previous.index !== index)) {
+            Logger.warn(`[${this.name}] ${name} matched fallback #${index}: ${selector}`);
+            PubSub.publish(SelectorRegistry.EVENTS.FALLBACK_MATCHED, {registry: this.name, name, selector, index});
+        }
+    }
+
+    /**
+     * Report which selector last matched for every name that has been looked up
+     * @return {Object<string, {selector: string, index: number, fallback: boolean}>}
+     */
+    getMatchReport() {
+        const report = {};
+        this.matches.forEach(({selector, index}, name) => {
+            report[name] = {selector, index, fallback: index > 0};
+        });
+        return report;
+    }
+
+    /**
+     * Check which named selectors still match the page
+     * @param {Object} [options]
+     * @param {string[]} [options.names] - Names to check (default: all registered names)
+     * @param {Document|Element} [options.root=document] - Element to search in
+     * @param {boolean} [options.notify=true] - Show a warning notification when names are missing
+     * @return {{matched: string[], fallbacks: string[], missing: string[]}}
+     */
+    checkHealth({names = this.names(), root = document, notify = true} = {}) {
+        const result = {matched: [], fallbacks: [], missing: []};
+
+        names.forEach((name) => {
+            const match = this.resolve(name, {root});
+            if (!match) {
+                result.missing.push(name);
+            } else if (match.index > 0) {
+                result.fallbacks.push(name);
+            } else {
+                result.matched.push(name);
+            }
+        });
+
+        if (result.missing.length > 0) {
+            Logger.warn(`[${this.name}] Selectors no longer matching the page: ${result.missing.join(', ')}`);
+            if (notify) {
+                Notification.warning(
+                    `${this.name}: ${result.missing.length} page element(s) not found (${result.missing.join(', ')}). ` +
+                    'The site may have changed; some features might not work.',
+                    {duration: 10000, position: 'top-right'}
+                );
+            }
+        } else {
+            Logger.debug(`[${this.name}] Selector health check passed`, result);
+        }
+
+        PubSub.publish(SelectorRegistry.EVENTS.HEALTH_CHECKED, {registry: this.name, ...result});
+        return result;
+    }
+
+    /**
+     * Run the health check once the page had time to render
+     * @param {Object} [options] - See checkHealth()
+     * @param {number} [options.delay=5000] - Milliseconds to wait before checking
+     * @return {Promise<{matched: string[], fallbacks: string[], missing: string[]}>}
+     */
+    scheduleHealthCheck({delay = 5000, ...options} = {}) {
+        return new Promise((resolve) => {
+            setTimeout(() => resolve(this.checkHealth(options)), delay);
+        });
+    }
+}
+
+export default SelectorRegistry;
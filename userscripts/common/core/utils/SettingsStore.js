@@ -0,0 +1,371 @@
+import Logger from './Logger.js';
+import PubSub from './PubSub.js';
+import StorageSync from './StorageSync.js';
+import {getValue, setValue} from './GMFunctions.js';
+
+/**
+ * SettingsStore - Typed settings backed by GM storage, with a schema version and migrations
+ * Each setting is declared with its storage key, default value and type. On load, migrations for every
+ * schema version newer than the stored one run first (renamed keys, changed types), then each stored value
+ * is checked against its declared type: numeric/boolean strings are converted, anything else that does not
+ * fit falls back to the default instead of reaching the script.
+ * Saves are announced to other tabs through StorageSync; watch() and bind() apply changes from other tabs
+ * to the script's settings object and its live controls.
+ */
+class SettingsStore {
+    static EVENTS = {
+        LOADED: 'settings-store:loaded',
+        SAVED: 'settings-store:saved',
+        MIGRATED: 'settings-store:migrated',
+        REMOTE_CHANGED: 'settings-store:remote-changed'
+    };
+
+    /**
+     * @param {Object} options Configuration options
+     * @param {string} options.namespace - Prefix for the schema version key ("<namespace>-settings-version")
+     * @param {number} [options.version=1] - Current schema version
+     * @param {Object} [options.schema] - {SETTING_NAME: {key, defaultValue, type, validator}}; type defaults to the
+     *     type of defaultValue ('string', 'number', 'boolean', 'array' or 'object')
+     * @param {Object} [options.keys] - {SETTING_NAME: 'storage-key'} table, used together with options.defaults
+     *     to build the schema when options.schema is not given
+     * @param {Object} [options.defaults] - {SETTING_NAME: defaultValue}
+     * @param {Object} [options.validators] - {SETTING_NAME: (value) => boolean} for settings built from the tables
+     * @param {Object<number, Function>} [options.migrations] - {version: async (storage, logger) => {}}; the
+     *     migration for version N upgrades data stored by version N - 1
+     * @param {Function} [options.getValue] - Function to get values from GM storage
+     * @param {Function} [options.setValue] - Function to set values in GM storage
+     */
+    constructor(options) {
+        this.namespace = options.namespace;
+        this.version = options.version || 1;
+        this.versionKey = `${this.namespace}-settings-version`;
+        this.migrations = options.migrations || {};
+        this.getValue = options.getValue || getValue;
+        this.setValue = options.setValue || setValue;
+        this.logger = Logger.newPrefix(`SettingsStore:${this.namespace}`);
+
+        // Last value seen per setting (JSON), so saves only write and announce what actually changed
+        this.snapshot = new Map();
+        this.controls = new Map();
+        this.unsubscribers = [];
+
+        this.schema = options.schema
+            ? SettingsStore.normalizeSchema(options.schema)
+            : SettingsStore.schemaFromTables(options.keys || {}, options.defaults || {}, options.validators || {});
+    }
+
+    /**
+     * Build a schema from the SETTINGS_KEYS/DEFAULT_SETTINGS tables scripts already declare
+     * @param {Object} keys - {SETTING_NAME: 'storage-key'}
+     * @param {Object} defaults - {SETTING_NAME: defaultValue}
+     * @param {Object} [validators={}] - {SETTING_NAME: (value) => boolean}
+     * @return {Object} Normalized schema
+     */
+    static schemaFromTables(keys, defaults, validators = {}) {
+        const schema = {};
+        Object.entries(keys).forEach(([name, key]) => {
+            schema[name] = {key, defaultValue: defaults[name], validator: validators[name]};
+        });
+        return SettingsStore.normalizeSchema(schema);
+    }
+
+    /**
+     * Fill in the type of every schema entry
+     * @param {Object} schema - {SETTING_NAME: {key, defaultValue, type, validator}}
+     * @return {Object} Normalized schema
+     */
+    static normalizeSchema(schema) {
+        const normalized = {};
+        Object.entries(schema).forEach(([name, entry]) => {
+            normalized[name] = {
+                ...entry,
+                type: entry.type || SettingsStore.typeOf(entry.defaultValue)
+            };
+        });
+        return normalized;
+    }
+
+    /**
+     * Get the schema type name of a value
+     * @param {*} value - Value to inspect
+     * @return {string|null} 'string', 'number', 'boolean', 'array', 'object' or null when unknown
+     */
+    static typeOf(value) {
+        if (value === null || value === undefined) return null;
+        if (Array.isArray(value)) return 'array';
+        const type = typeof value;
+        return ['string', 'number', 'boolean', 'object'].includes(type) ? type : null;
+    }
+
+    /**
+     * Convert a stored value to a declared type
+     * @param {*} value - Stored value
+     * @param {string|null} type - Declared type (null accepts anything)
+     * @return {{ok: boolean, value: *}} ok is false when the value cannot be used as that type
+     */
+    static coerce(value, type) {
+        if (!type || SettingsStore.typeOf(value) === type) {
+            return {ok: type !== 'number' || Number.isFinite(value), value};
+        }
+
+        if (type === 'number' && typeof value === 'string' && value.trim() !== '') {
+            const number = Number(value);
+            return {ok: Number.isFinite(number), value: number};
+        }
+        if (type === 'boolean' && (value === 'true' || value === 'false')) {
+            return {ok: true, value: value === 'true'};
+        }
+        if (type === 'string' && typeof value === 'number') {
+            return {ok: true, value: String(value)};
+        }
+
+        return {ok: false, value};
+    }
+
+    /**
+     * Get the default values for every setting
+     * @return {Object} {SETTING_NAME: defaultValue}
+     */
+    getDefaults() {
+        const defaults = {};
+        Object.entries(this.schema).forEach(([name, {defaultValue}]) => {
+            defaults[name] = SettingsStore.clone(defaultValue);
+        });
+        return defaults;
+    }
+
+    /**
+     * Copy object and array defaults so callers cannot change the schema through them
+     * @param {*} value - Value to copy
+     * @return {*}
+     * @private
+     */
+    static clone(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Run the migrations between the stored schema version and the current one
+     * Data written before the store existed has no version and counts as version 0.
+     * @return {Promise<number>} Schema version the stored data is at afterwards
+     */
+    async migrate() {
+        let storedVersion = await this.getValue(this.versionKey, 0);
+        if (!Number.isInteger(storedVersion)) {
+            storedVersion = 0;
+        }
+
+        if (storedVersion > this.version) {
+            this.logger.warn(`Stored settings are from schema v${storedVersion}, newer than v${this.version}; ` +
+                'loading them without migrating');
+            return storedVersion;
+        }
+
+        const storage = {
+            get: (key, defaultValue = null) => this.getValue(key, defaultValue),
+            set: (key, value) => this.setValue(key, value),
+            remove: (key) => this.setValue(key, null),
+            rename: async (oldKey, newKey) => {
+                const value = await this.getValue(oldKey, null);
+                if (value !== null && await this.getValue(newKey, null) === null) {
+                    await this.setValue(newKey, value);
+                }
+                await this.setValue(oldKey, null);
+            }
+        };
+
+        for (let version = storedVersion + 1; version <= this.version; version++) {
+            const migration = this.migrations[version];
+            if (migration) {
+                try {
+                    await migration(storage, this.logger);
+                    this.logger.info(`Migrated settings to schema v${version}`);
+                } catch (error) {
+                    // Leave the version where it is so the migration is retried on the next load
+                    this.logger.error(`Settings migration to schema v${version} failed:`, error);
+                    return version - 1;
+                }
+            }
+            await this.setValue(this.versionKey, version);
+        }
+
+        if (storedVersion < this.version) {
+            PubSub.publish(SettingsStore.EVENTS.MIGRATED, {
+                namespace: this.namespace,
+                from: storedVersion,
+                to: this.version
+            });
+        }
+        return this.version;
+    }
+
+    /**
+     * Check a stored value against a setting's type and validator
+     * @param {string} name - Setting name
+     * @param {*} storedValue - Value read from storage
+     * @return {{ok: boolean, value: *}} ok is false when the value is missing or invalid
+     * @private
+     */
+    parseStoredValue(name, storedValue) {
+        const {type, validator, defaultValue} = this.schema[name];
+        if (storedValue === null || storedValue === undefined) {
+            return {ok: false, value: defaultValue};
+        }
+
+        const {ok, value} = SettingsStore.coerce(storedValue, type);
+        if (!ok || (validator && !validator(value))) {
+            this.logger.warn(`Ignoring invalid stored value for ${name}, using default`, {
+                stored: storedValue,
+                default: defaultValue
+            });
+            return {ok: false, value: defaultValue};
+        }
+        return {ok: true, value};
+    }
+
+    /**
+     * Migrate if needed and load every setting, replacing missing or invalid values with defaults
+     * @return {Promise<Object>} {SETTING_NAME: value}
+     */
+    async load() {
+        await this.migrate();
+
+        const settings = this.getDefaults();
+        for (const [name, {key}] of Object.entries(this.schema)) {
+            try {
+                const {ok, value} = this.parseStoredValue(name, await this.getValue(key, null));
+                if (ok) {
+                    settings[name] = value;
+                }
+            } catch (error) {
+                this.logger.error(`Error loading setting ${name}:`, error);
+            }
+            this.snapshot.set(name, JSON.stringify(settings[name]));
+        }
+
+        PubSub.publish(SettingsStore.EVENTS.LOADED, {namespace: this.namespace, settings});
+        return settings;
+    }
+
+    /**
+     * Save the settings that changed since they were last loaded or saved; names not in the schema are ignored
+     * Only writing changed keys keeps a tab from overwriting settings another tab changed in the meantime.
+     * @param {Object} settings - {SETTING_NAME: value}
+     * @return {Promise<void>}
+     */
+    async save(settings) {
+        for (const name of Object.keys(this.schema)) {
+            if (Object.prototype.hasOwnProperty.call(settings, name) && settings[name] !== undefined) {
+                await this.write(name, settings[name]);
+            }
+        }
+        PubSub.publish(SettingsStore.EVENTS.SAVED, {namespace: this.namespace, settings});
+    }
+
+    /**
+     * Save a single setting
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     * @return {Promise<void>}
+     * @throws {Error} When the setting is not in the schema
+     */
+    async set(name, value) {
+        if (!this.schema[name]) {
+            throw new Error(`[SettingsStore:${this.namespace}] Unknown setting: ${name}`);
+        }
+        await this.write(name, value);
+    }
+
+    /**
+     * Write a setting if it changed and announce it to other tabs
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     * @return {Promise<void>}
+     * @private
+     */
+    async write(name, value) {
+        const serialized = JSON.stringify(value);
+        if (this.snapshot.get(name) === serialized) {
+            return;
+        }
+
+        const {key} = this.schema[name];
+        await this.setValue(key, value);
+        this.snapshot.set(name, serialized);
+        StorageSync.notify(key, value);
+    }
+
+    /**
+     * Apply settings changed in other tabs
+     * Bound controls are updated automatically; the callback should copy the value into the script's
+     * settings object and re-apply anything that depends on it.
+     * @param {Function} callback - Called with (name, value) for every valid remote change
+     * @return {Function} Call to stop watching
+     */
+    watch(callback) {
+        const unsubscribers = Object.entries(this.schema).map(([name, {key}]) =>
+            StorageSync.subscribe(key, (newValue) => {
+                const {ok, value} = this.parseStoredValue(name, newValue);
+                const serialized = JSON.stringify(value);
+                if (this.snapshot.get(name) === serialized || (!ok && newValue !== null && newValue !== undefined)) {
+                    return;
+                }
+
+                this.snapshot.set(name, serialized);
+                const bound = this.controls.get(name);
+                const control = typeof bound === 'function' ? bound() : bound;
+                if (control) {
+                    SettingsStore.updateControl(control, value);
+                }
+                this.logger.debug(`${name} changed in another tab`, value);
+                callback(name, value);
+                PubSub.publish(SettingsStore.EVENTS.REMOTE_CHANGED, {namespace: this.namespace, name, value});
+            })
+        );
+
+        this.unsubscribers.push(...unsubscribers);
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }
+
+    /**
+     * Keep a control in step with a setting changed in another tab
+     * @param {string} name - Setting name
+     * @param {Object|Function} control - Checkbox (setChecked); Slider, SelectBox, Input or TextArea (setValue);
+     *     a native form element; or a function returning one, for controls created later (e.g. in lazy tabs)
+     * @return {SettingsStore} This store, for chaining
+     */
+    bind(name, control) {
+        if (control) {
+            this.controls.set(name, control);
+        }
+        return this;
+    }
+
+    /**
+     * Show a value in a control without firing its change handler
+     * @param {Object} control - UI control
+     * @param {*} value - Value to show
+     */
+    static updateControl(control, value) {
+        if (typeof control.setChecked === 'function') {
+            control.setChecked(Boolean(value));
+        } else if (typeof control.setValue === 'function') {
+            control.setValue(value);
+        } else if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else if ('value' in control) {
+            control.value = value;
+        }
+    }
+
+    /**
+     * Stop watching other tabs and forget bound controls
+     */
+    destroy() {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+        this.controls.clear();
+    }
+}
+
+export default SettingsStore;
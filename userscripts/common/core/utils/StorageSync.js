@@ -0,0 +1,187 @@
+import Logger from './Logger.js';
+import PubSub from './PubSub.js';
+import {setValue} from './GMFunctions.js';
+
+/**
+ * StorageSync - Delivers storage changes made in one tab to the same script running in other tabs
+ * Uses GM_addValueChangeListener when the userscript manager provides it (the script needs the
+ * GM_addValueChangeListener grant) and falls back to a BroadcastChannel otherwise. localStorage keys
+ * are watched through the window "storage" event, which browsers already fire in other tabs.
+ */
+class StorageSync {
+    static CHANNEL_NAME = 'userscripts-storage-sync';
+
+    static EVENTS = {
+        REMOTE_CHANGE: 'storage-sync:remote-change'
+    };
+
+    static channel = null;
+    static channelListeners = new Map();
+
+    /**
+     * Get the manager's GM_addValueChangeListener, if granted
+     * @return {Function|null}
+     */
+    static getNativeAddListener() {
+        if (typeof GM_addValueChangeListener === 'function') {
+            return GM_addValueChangeListener;
+        }
+        return typeof window.GM_addValueChangeListener === 'function' ? window.GM_addValueChangeListener : null;
+    }
+
+    /**
+     * Get the manager's GM_removeValueChangeListener, if granted
+     * @return {Function|null}
+     */
+    static getNativeRemoveListener() {
+        if (typeof GM_removeValueChangeListener === 'function') {
+            return GM_removeValueChangeListener;
+        }
+        return typeof window.GM_removeValueChangeListener === 'function' ? window.GM_removeValueChangeListener : null;
+    }
+
+    /**
+     * Check whether changes are delivered by the userscript manager
+     * @return {boolean}
+     */
+    static usesNativeListeners() {
+        return this.getNativeAddListener() !== null;
+    }
+
+    /**
+     * Open the BroadcastChannel used when there are no native listeners
+     * @return {BroadcastChannel|null}
+     * @private
+     */
+    static getChannel() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') {
+            return this.channel;
+        }
+
+        this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+        this.channel.addEventListener('message', (event) => {
+            const {key, value, oldValue} = event.data || {};
+            const listeners = this.channelListeners.get(key);
+            if (listeners) {
+                listeners.forEach((callback) => this.deliver(key, value, oldValue, callback));
+            }
+        });
+        return this.channel;
+    }
+
+    /**
+     * Call a listener for a remote change, keeping one failing listener from breaking the others
+     * @param {string} key - Storage key
+     * @param {*} value - New value
+     * @param {*} oldValue - Previous value
+     * @param {Function} callback - Listener
+     * @private
+     */
+    static deliver(key, value, oldValue, callback) {
+        try {
+            callback(value, oldValue, key);
+        } catch (error) {
+            Logger.error(error, `StorageSync listener for ${key}`);
+        }
+        PubSub.publish(this.EVENTS.REMOTE_CHANGE, {key, value, oldValue});
+    }
+
+    /**
+     * Listen for changes to a GM storage key made in other tabs
+     * @param {string} key - Storage key
+     * @param {Function} callback - Called with (newValue, oldValue, key)
+     * @return {Function} Call to stop listening
+     */
+    static subscribe(key, callback) {
+        const addListener = this.getNativeAddListener();
+        if (addListener) {
+            const listenerId = addListener(key, (name, oldValue, newValue, remote) => {
+                if (remote) {
+                    this.deliver(key, newValue, oldValue, callback);
+                }
+            });
+            return () => {
+                const removeListener = this.getNativeRemoveListener();
+                if (removeListener) {
+                    removeListener(listenerId);
+                }
+            };
+        }
+
+        if (!this.getChannel()) {
+            Logger.debug(`StorageSync: no cross-tab transport available for ${key}`);
+            return () => {};
+        }
+        if (!this.channelListeners.has(key)) {
+            this.channelListeners.set(key, new Set());
+        }
+        this.channelListeners.get(key).add(callback);
+        return () => this.channelListeners.get(key)?.delete(callback);
+    }
+
+    /**
+     * Tell other tabs that a GM storage key changed
+     * Only needed on the BroadcastChannel fallback; native listeners see every GM_setValue call.
+     * @param {string} key - Storage key
+     * @param {*} value - New value
+     * @param {*} [oldValue] - Previous value
+     */
+    static notify(key, value, oldValue) {
+        if (this.usesNativeListeners()) {
+            return;
+        }
+        const channel = this.getChannel();
+        if (channel) {
+            channel.postMessage({key, value, oldValue});
+        }
+    }
+
+    /**
+     * Write a GM storage value and announce it to other tabs
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @return {Promise<void>}
+     */
+    static async setValue(key, value) {
+        await setValue(key, value);
+        this.notify(key, value);
+    }
+
+    /**
+     * Listen for changes to a localStorage key made in other tabs
+     * @param {string} key - localStorage key
+     * @param {Function} callback - Called with (newValue, oldValue, key); JSON values are parsed
+     * @return {Function} Call to stop listening
+     */
+    static subscribeLocal(key, callback) {
+        const parse = (raw) => {
+            if (raw === null) return null;
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return raw;
+            }
+        };
+        const handler = (event) => {
+            if (event.key === key && event.storageArea === localStorage) {
+                this.deliver(key, parse(event.newValue), parse(event.oldValue), callback);
+            }
+        };
+
+        window.addEventListener('storage', handler);
+        return () => window.removeEventListener('storage', handler);
+    }
+
+    /**
+     * Close the BroadcastChannel and drop its listeners
+     */
+    static reset() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.channelListeners.clear();
+    }
+}
+
+export default StorageSync;
@@ -2,17 +2,24 @@
 import {
     Button,
     Checkbox,
+    ConversationExporter,
+    GeneratedMediaCollector,
     HTMLUtils,
     Input,
     Logger,
+    MarkdownConverter,
     Notification,
+    PromptTemplate,
+    SelectorRegistry,
+    SettingsBackupService,
+    SettingsStore,
     SidebarPanel,
     StyleManager,
     TextArea,
     Tabs,
     TextChunker
 } from "../../common/core";
-import { getValue, setValue } from "../../common/core/utils/GMFunctions";
+import PromptQueueStore from "./utils/PromptQueueStore";
 
 // Configure logger
 Logger.setPrefix("Gemini Enhancer");
@@ -80,7 +87,31 @@ class GeminiEnhancer {
         TOOLBOX_DRAWER_BUTTONS: 'mat-action-list button.toolbox-drawer-item-list-button, mat-action-list button.mat-mdc-list-item',
         // Deselect buttons that appear when image/video is already selected
         IMAGE_DESELECT_BUTTON: 'button.toolbox-drawer-item-deselect-button:has(.toolbox-drawer-item-deselect-button-label)',
-        VIDEO_DESELECT_BUTTON: 'button.toolbox-drawer-item-deselect-button'
+        VIDEO_DESELECT_BUTTON: 'button.toolbox-drawer-item-deselect-button',
+        // Generated images and videos in responses
+        GENERATED_MEDIA: [
+            'generated-image img, single-image img.image, model-response video',
+            'model-response img[src*="googleusercontent.com"], model-response video'
+        ],
+        // Conversation turns in page order, used for chat export
+        CHAT_TURNS: 'user-query, model-response',
+        USER_QUERY_TEXT: [
+            '.query-text',
+            'user-query-content'
+        ],
+        MODEL_RESPONSE_TEXT: [
+            'message-content .markdown',
+            'message-content'
+        ],
+        MODEL_NAME: [
+            'bard-mode-switcher [data-test-id="logo-pill-label-container"]',
+            'bard-mode-switcher .mode-title',
+            '[data-test-id="bard-mode-menu-button"]'
+        ],
+        CHAT_TITLE: [
+            'conversations-list .conversation.selected .conversation-title',
+            '.conversation-title-container .conversation-title'
+        ]
     };
 
     static SETTINGS_KEYS = {
@@ -93,7 +124,13 @@ class GeminiEnhancer {
         CHUNKED_BASE_PROMPT: 'gemini-chunked-base-prompt',
         CHUNKED_WORDS_PER_CHUNK: 'gemini-chunked-words-per-chunk',
         CHUNKED_STRATEGY: 'gemini-chunked-strategy',
-        CHUNKED_APPEND_TO_QUEUE: 'gemini-chunked-append-to-queue'
+        CHUNKED_APPEND_TO_QUEUE: 'gemini-chunked-append-to-queue',
+        AUTO_RESUME_QUEUE: 'gemini-auto-resume-queue',
+        TEMPLATES_ENABLED: 'gemini-templates-enabled',
+        TEMPLATE_CSV: 'gemini-template-csv',
+        AUTO_DOWNLOAD_MEDIA: 'gemini-auto-download-media',
+        MANIFEST_FORMAT: 'gemini-manifest-format',
+        EXPORT_FORMAT: 'gemini-export-format'
     };
 
     static DEFAULT_SETTINGS = {
@@ -106,9 +143,18 @@ class GeminiEnhancer {
         CHUNKED_BASE_PROMPT: '',
         CHUNKED_WORDS_PER_CHUNK: 500,
         CHUNKED_STRATEGY: 'soft',
-        CHUNKED_APPEND_TO_QUEUE: false // false = clean and replace, true = append
+        CHUNKED_APPEND_TO_QUEUE: false, // false = clean and replace, true = append
+        AUTO_RESUME_QUEUE: false, // Resume an unfinished queue after a reload without asking
+        TEMPLATES_ENABLED: false, // Expand {a|b}, {{n}} and {{column}} in queued prompts; off so code in prompts is sent as written
+        TEMPLATE_CSV: '', // CSV with a header row; {{column}} in prompts is filled from each row
+        AUTO_DOWNLOAD_MEDIA: false, // Download generated images/videos after each prompt
+        MANIFEST_FORMAT: 'json', // 'json' or 'csv'
+        EXPORT_FORMAT: 'markdown' // 'markdown', 'json' or 'html'
     };
 
+    // Stored settings schema version, bumped together with a SettingsStore migration
+    static SETTINGS_VERSION = 1;
+
     constructor() {
         // This check must be the first line
         if (window.GeminiEnhancerInstance) {
@@ -125,6 +171,34 @@ class GeminiEnhancer {
         this.sidebarPanel = null;
         this.enhancerId = 'gemini-enhancer-container';
         this.generatedChunkedPrompts = [];
+        this.queueStore = new PromptQueueStore();
+        this.mediaCollector = new GeneratedMediaCollector({
+            script: 'Gemini Enhancer',
+            findMedia: () => this.selectors.queryAll('GENERATED_MEDIA')
+        });
+        this.selectors = new SelectorRegistry({name: 'Gemini Enhancer', selectors: GeminiEnhancer.SELECTORS});
+        this.markdownConverter = new MarkdownConverter({
+            selectorsToRemove: [
+                'button',
+                '[role="button"]',
+                'mat-icon',
+                '.cdk-visually-hidden',
+                'sources-list',
+                'message-actions'
+            ]
+        });
+        this.settingsStore = new SettingsStore({
+            namespace: 'gemini',
+            version: GeminiEnhancer.SETTINGS_VERSION,
+            keys: GeminiEnhancer.SETTINGS_KEYS,
+            defaults: GeminiEnhancer.DEFAULT_SETTINGS
+        });
+        this.setupSettingsSync();
+        this.settingsBackup = new SettingsBackupService({
+            script: 'Gemini Enhancer',
+            keys: GeminiEnhancer.SETTINGS_KEYS,
+            defaults: GeminiEnhancer.DEFAULT_SETTINGS
+        });
 
         Logger.info("Initializing Gemini Enhancer");
 
@@ -154,17 +228,41 @@ class GeminiEnhancer {
         Logger.debug("Resources cleaned up");
     }
 
+    /**
+     * Keep settings and their controls in step with changes made in other tabs
+     */
+    setupSettingsSync() {
+        this.settingsStore
+            .bind('PROMPTS_QUEUE', () => this.promptsTextArea)
+            .bind('GENERATION_TYPE', () => this.generationTypeSelect)
+            .bind('QUEUE_DELAY', () => this.delayInput)
+            .bind('SHOW_NOTIFICATIONS', () => this.notificationsCheckbox)
+            .bind('CHUNKED_TEXT', () => this.chunkedTextArea)
+            .bind('CHUNKED_BASE_PROMPT', () => this.chunkedBasePromptArea)
+            .bind('CHUNKED_WORDS_PER_CHUNK', () => this.wordsPerChunkInput)
+            .bind('CHUNKED_STRATEGY', () => this.chunkedStrategySelect)
+            .bind('CHUNKED_APPEND_TO_QUEUE', () => this.appendToQueueCheckbox)
+            .bind('AUTO_RESUME_QUEUE', () => this.autoResumeCheckbox)
+            .bind('TEMPLATES_ENABLED', () => this.templatesEnabledCheckbox)
+            .bind('TEMPLATE_CSV', () => this.templateCsvTextArea)
+            .bind('AUTO_DOWNLOAD_MEDIA', () => this.autoDownloadCheckbox)
+            .bind('MANIFEST_FORMAT', () => this.manifestFormatSelect)
+            .bind('EXPORT_FORMAT', () => this.exportFormatSelect);
+
+        this.settingsStore.watch((name, value) => {
+            this.settings[name] = value;
+            if (['PROMPTS_QUEUE', 'TEMPLATES_ENABLED', 'TEMPLATE_CSV'].includes(name)) {
+                this.updateTemplatePreview();
+            }
+        });
+    }
+
     /**
      * Load saved settings
      */
     async loadSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(GeminiEnhancer.SETTINGS_KEYS)) {
-                const savedValue = await getValue(storageKey, null);
-                if (savedValue !== null) {
-                    this.settings[settingName] = savedValue;
-                }
-            }
+            this.settings = await this.settingsStore.load();
             Logger.debug("Settings loaded", this.settings);
         } catch (error) {
             Logger.error("Error loading settings:", error);
@@ -176,9 +274,7 @@ class GeminiEnhancer {
      */
     async saveSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(GeminiEnhancer.SETTINGS_KEYS)) {
-                await setValue(storageKey, this.settings[settingName]);
-            }
+            await this.settingsStore.save(this.settings);
             Logger.debug("Settings saved", this.settings);
         } catch (error) {
             Logger.error("Error saving settings:", error);
@@ -283,15 +379,91 @@ class GeminiEnhancer {
                     font-size: 12px;
                     color: #333;
                 }
+                .queue-template-preview {
+                    font-size: 11px;
+                    color: #666;
+                    margin-bottom: 12px;
+                }
+                .queue-resume-banner {
+                    padding: 8px;
+                    background: #fff8e1;
+                    border: 1px solid #ffe082;
+                    border-radius: 4px;
+                    margin-bottom: 12px;
+                    font-size: 12px;
+                    color: #333;
+                }
+                .queue-resume-banner__buttons {
+                    display: flex;
+                    gap: 8px;
+                    margin-top: 8px;
+                }
+                .queue-history {
+                    max-height: 200px;
+                    overflow-y: auto;
+                    margin-top: 12px;
+                    font-size: 11px;
+                }
+                .queue-history__item {
+                    display: flex;
+                    gap: 6px;
+                    padding: 4px 0;
+                    border-bottom: 1px solid #eee;
+                    color: #333;
+                }
+                .queue-history__prompt {
+                    flex: 1;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .queue-history__detail {
+                    color: #888;
+                    white-space: nowrap;
+                }
+                .queue-history__item--failed .queue-history__detail {
+                    color: #c62828;
+                }
             `);
 
             this.createUI();
             Logger.info("Gemini Enhancer initialized successfully");
+
+            // Warn once if the elements the queue depends on are gone after a Gemini redesign
+            this.selectors.scheduleHealthCheck({
+                names: ['PROMPT_TEXTAREA', 'TOOLBOX_DRAWER_BUTTON'],
+                delay: 2000,
+                notify: this.settings.SHOW_NOTIFICATIONS
+            });
+
+            await this.restoreQueue();
         } catch (error) {
             Logger.error("Error during initialization:", error);
         }
     }
 
+    /**
+     * Load a queue saved before a reload, crash or navigation and resume it or offer to
+     */
+    async restoreQueue() {
+        await this.queueStore.load();
+        this.renderQueueHistory();
+
+        if (!this.queueStore.hasUnfinished()) {
+            return;
+        }
+
+        const {done, total} = this.queueStore.getSummary();
+        Logger.info(`Found unfinished queue (${done}/${total} done)`);
+
+        if (this.settings.AUTO_RESUME_QUEUE) {
+            this.showNotification(`Resuming queue at prompt ${this.queueStore.getResumeIndex() + 1}/${total}`, 'info');
+            await this.startQueue({resume: true});
+        } else {
+            this.showNotification(`Unfinished queue found (${done}/${total} done). Resume it from the Queue tab.`, 'info');
+        }
+    }
+
 
     /**
      * Create the UI
@@ -410,7 +582,8 @@ class GeminiEnhancer {
 
         const separatorInfo = document.createElement('div');
         separatorInfo.style.cssText = 'font-size: 11px; color: #666; margin-bottom: 8px; padding: 6px; background: #f5f5f5; border-radius: 4px;';
-        separatorInfo.textContent = 'Separator: Use --- (three dashes) to separate prompts.';
+        separatorInfo.textContent = 'Separator: Use --- (three dashes) to separate prompts. ' +
+            'Templates: {a|b} runs every combination, {{n}} numbers prompts, {{column}} uses the CSV below.';
         container.appendChild(separatorInfo);
 
         this.promptsTextArea = new TextArea({
@@ -420,16 +593,77 @@ class GeminiEnhancer {
             onInput: (event, textArea) => {
                 this.settings.PROMPTS_QUEUE = textArea.getValue();
                 this.saveSettings();
+                this.updateTemplatePreview();
             },
             container: container
         });
 
+        this.templatesEnabledCheckbox = new Checkbox({
+            label: 'Expand prompt templates',
+            checked: this.settings.TEMPLATES_ENABLED,
+            onChange: () => {
+                this.settings.TEMPLATES_ENABLED = this.templatesEnabledCheckbox.isChecked();
+                this.saveSettings();
+                this.updateTemplatePreview();
+            },
+            container: container,
+            size: 'small'
+        });
+        this.templatesEnabledCheckbox.checkboxContainer.style.margin = '8px 0';
+
+        // Optional CSV values for {{column}} variables
+        this.templateCsvTextArea = new TextArea({
+            value: this.settings.TEMPLATE_CSV || '',
+            label: 'Template values (CSV with header row, optional):',
+            placeholder: 'animal,style\ncat,watercolor\ndog,pixel art',
+            rows: 3,
+            onInput: (event, textArea) => {
+                this.settings.TEMPLATE_CSV = textArea.getValue();
+                this.saveSettings();
+                this.updateTemplatePreview();
+            },
+            container: container
+        });
+
+        this.templatePreview = document.createElement('div');
+        this.templatePreview.className = 'queue-template-preview';
+        container.appendChild(this.templatePreview);
+        this.updateTemplatePreview();
+
         // Queue status
         this.queueStatus = document.createElement('div');
         this.queueStatus.className = 'queue-status';
         this.queueStatus.textContent = 'Ready';
         container.appendChild(this.queueStatus);
 
+        // Shown when a queue from an earlier page load did not finish
+        this.resumeBanner = document.createElement('div');
+        this.resumeBanner.className = 'queue-resume-banner';
+        this.resumeBanner.style.display = 'none';
+        this.resumeBannerText = document.createElement('div');
+        this.resumeBanner.appendChild(this.resumeBannerText);
+
+        const resumeButtons = document.createElement('div');
+        resumeButtons.className = 'queue-resume-banner__buttons';
+        new Button({
+            text: 'Resume',
+            theme: 'primary',
+            size: 'small',
+            onClick: () => this.startQueue({resume: true}),
+            container: resumeButtons
+        });
+        new Button({
+            text: 'Discard',
+            size: 'small',
+            onClick: async () => {
+                await this.queueStore.clear();
+                this.renderQueueHistory();
+            },
+            container: resumeButtons
+        });
+        this.resumeBanner.appendChild(resumeButtons);
+        container.appendChild(this.resumeBanner);
+
         // Control buttons
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = 'display: flex; flex-direction: column; gap: 8px; margin-top: 12px;';
@@ -442,6 +676,11 @@ class GeminiEnhancer {
 
         container.appendChild(buttonContainer);
 
+        // Per-prompt history of the current or last queue
+        this.queueHistoryList = document.createElement('div');
+        this.queueHistoryList.className = 'queue-history';
+        container.appendChild(this.queueHistoryList);
+
         return container;
     }
 
@@ -490,9 +729,161 @@ class GeminiEnhancer {
         });
         this.notificationsCheckbox.checkboxContainer.style.marginTop = '12px';
 
+        this.autoResumeCheckbox = new Checkbox({
+            label: 'Resume unfinished queue automatically after reload',
+            checked: this.settings.AUTO_RESUME_QUEUE,
+            onChange: () => {
+                this.settings.AUTO_RESUME_QUEUE = this.autoResumeCheckbox.isChecked();
+                this.saveSettings();
+            },
+            container: container,
+            size: 'small'
+        });
+        this.autoResumeCheckbox.checkboxContainer.style.marginTop = '8px';
+
+        // Generated media downloads
+        this.autoDownloadCheckbox = new Checkbox({
+            label: 'Download generated images and videos',
+            checked: this.settings.AUTO_DOWNLOAD_MEDIA,
+            onChange: () => {
+                this.settings.AUTO_DOWNLOAD_MEDIA = this.autoDownloadCheckbox.isChecked();
+                this.saveSettings();
+            },
+            container: container,
+            size: 'small'
+        });
+        this.autoDownloadCheckbox.checkboxContainer.style.marginTop = '8px';
+
+        const manifestLabel = document.createElement('label');
+        manifestLabel.textContent = 'Download manifest format:';
+        manifestLabel.style.cssText = 'display: block; margin: 8px 0 4px; font-size: 12px; color: #555;';
+        container.appendChild(manifestLabel);
+
+        const manifestSelect = document.createElement('select');
+        manifestSelect.style.cssText = 'width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px;';
+        [['json', 'JSON'], ['csv', 'CSV']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            manifestSelect.appendChild(option);
+        });
+        manifestSelect.value = this.settings.MANIFEST_FORMAT || 'json';
+        manifestSelect.onchange = (e) => {
+            this.settings.MANIFEST_FORMAT = e.target.value;
+            this.saveSettings();
+        };
+        container.appendChild(manifestSelect);
+        this.manifestFormatSelect = manifestSelect;
+
+        // Chat export
+        const exportLabel = document.createElement('label');
+        exportLabel.textContent = 'Chat export format:';
+        exportLabel.style.cssText = 'display: block; margin: 12px 0 4px; font-size: 12px; color: #555;';
+        container.appendChild(exportLabel);
+
+        const exportSelect = document.createElement('select');
+        exportSelect.style.cssText = 'width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; margin-bottom: 8px;';
+        Object.entries(ConversationExporter.FORMATS).forEach(([value, {label}]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            exportSelect.appendChild(option);
+        });
+        exportSelect.value = this.settings.EXPORT_FORMAT || 'markdown';
+        exportSelect.onchange = (e) => {
+            this.settings.EXPORT_FORMAT = e.target.value;
+            this.saveSettings();
+        };
+        container.appendChild(exportSelect);
+        this.exportFormatSelect = exportSelect;
+
+        new Button({
+            text: 'Export Chat',
+            theme: 'default',
+            size: 'small',
+            onClick: () => this.exportConversation(),
+            container: container
+        });
+
+        const backupSection = this.settingsBackup.createSection({
+            onImported: () => this.loadSettings()
+        });
+        backupSection.style.marginTop = '16px';
+        container.appendChild(backupSection);
+
         return container;
     }
 
+    /**
+     * Extract the conversation ID from a Gemini URL (/app/<id> or /gem/<gem>/<id>)
+     * @param {string} url - Page URL
+     * @return {string}
+     */
+    extractChatId(url) {
+        const urlPatterns = [
+            /\/app\/([^\/?#]+)/,
+            /\/gem\/[^\/?#]+\/([^\/?#]+)/
+        ];
+
+        for (const pattern of urlPatterns) {
+            const match = url.match(pattern);
+            if (match) {
+                return match[1];
+            }
+        }
+
+        return window.location.pathname;
+    }
+
+    /**
+     * Collect the user queries and model responses of the current chat in page order
+     * @return {Object} Conversation for ConversationExporter
+     */
+    collectConversation() {
+        const turns = this.selectors.queryAll('CHAT_TURNS').map((element) => {
+            const isUser = element.tagName.toLowerCase() === 'user-query';
+            const content = this.selectors.query(isUser ? 'USER_QUERY_TEXT' : 'MODEL_RESPONSE_TEXT', {root: element}) || element;
+            const time = element.querySelector('time[datetime]');
+            return {
+                role: isUser ? 'user' : 'model',
+                text: isUser ? content.textContent.trim() : this.markdownConverter.extractText(content),
+                timestamp: time ? time.getAttribute('datetime') : null
+            };
+        });
+
+        return {
+            source: 'Gemini',
+            chatId: this.extractChatId(window.location.href).replace(/^\/+/, ''),
+            title: this.selectors.query('CHAT_TITLE')?.textContent.trim() || document.title,
+            model: this.selectors.query('MODEL_NAME')?.textContent.trim() || null,
+            url: window.location.href,
+            exportedAt: new Date().toISOString(),
+            turns
+        };
+    }
+
+    /**
+     * Export the current chat in the selected format
+     * @return {boolean}
+     */
+    exportConversation() {
+        try {
+            const conversation = this.collectConversation();
+            if (!conversation.turns.some((turn) => turn.text)) {
+                this.showNotification('No chat turns found to export', 'warning');
+                return false;
+            }
+
+            const filename = ConversationExporter.download(conversation, this.settings.EXPORT_FORMAT || 'markdown');
+            this.showNotification(`Exported ${conversation.turns.length} turns to ${filename}`, 'success');
+            return true;
+        } catch (error) {
+            Logger.error('Error exporting chat:', error);
+            this.showNotification('Error exporting chat', 'error');
+            return false;
+        }
+    }
+
     /**
      * Create chunked prompts section
      */
@@ -596,6 +987,7 @@ class GeminiEnhancer {
             this.saveSettings();
         };
         optionsContainer.appendChild(strategySelect);
+        this.chunkedStrategySelect = strategySelect;
 
         container.appendChild(optionsContainer);
 
@@ -776,6 +1168,7 @@ class GeminiEnhancer {
         // Save to settings
         this.settings.PROMPTS_QUEUE = newQueue;
         this.saveSettings();
+        this.updateTemplatePreview();
 
         const action = shouldAppend ? 'appended' : 'replaced';
         this.showNotification(`${action.charAt(0).toUpperCase() + action.slice(1)} queue with ${this.generatedChunkedPrompts.length} prompts`, 'success');
@@ -800,42 +1193,64 @@ class GeminiEnhancer {
 
     /**
      * Start queue
+     * @param {Object} [options]
+     * @param {boolean} [options.resume=false] - Continue the saved queue instead of reading the textarea
      */
-    async startQueue() {
+    async startQueue({resume = false} = {}) {
         if (this.isQueueRunning) {
             this.showNotification('Queue is already running', 'warning');
             return;
         }
 
-        // Get prompts from textarea
-        const promptsText = this.promptsTextArea.getValue().trim();
-        if (!promptsText) {
-            this.showNotification('Please enter at least one prompt', 'warning');
-            return;
-        }
+        let startIndex = 0;
+        let generationType = this.settings.GENERATION_TYPE || 'text';
 
-        // Parse prompts (separated by ---)
-        this.prompts = promptsText.split('---')
-            .map(p => p.trim())
-            .filter(p => p.length > 0);
+        if (resume) {
+            startIndex = this.queueStore.getResumeIndex();
+            if (startIndex === -1) {
+                this.showNotification('Nothing left to resume', 'info');
+                return;
+            }
+            this.prompts = this.queueStore.getItems().map(item => item.prompt);
+            generationType = this.queueStore.state.generationType || generationType;
+        } else {
+            // Get prompts from textarea
+            const promptsText = this.promptsTextArea.getValue().trim();
+            if (!promptsText) {
+                this.showNotification('Please enter at least one prompt', 'warning');
+                return;
+            }
 
-        if (this.prompts.length === 0) {
-            this.showNotification('No valid prompts found', 'warning');
-            return;
+            // Parse prompts (separated by ---) and expand templates
+            this.prompts = this.expandPrompts(promptsText);
+
+            if (this.prompts.length === 0) {
+                this.showNotification('No valid prompts found', 'warning');
+                return;
+            }
+
+            await this.queueStore.create(this.prompts, generationType);
         }
 
         this.isQueueRunning = true;
         this.shouldStopQueue = false;
-        this.currentPromptIndex = 0;
+        this.currentPromptIndex = startIndex;
+        this.generationType = generationType;
 
         this.updateQueueStatus();
+        this.renderQueueHistory();
         this.queueToggleButton.setText('Stop Queue');
 
-        Logger.info(`Starting queue with ${this.prompts.length} prompts`);
-        this.showNotification(`Starting queue with ${this.prompts.length} prompts`, 'info');
+        const remaining = this.prompts.length - startIndex;
+        Logger.info(`${resume ? 'Resuming' : 'Starting'} queue with ${remaining} of ${this.prompts.length} prompts`);
+        this.showNotification(`${resume ? 'Resuming' : 'Starting'} queue with ${remaining} prompts`, 'info');
+
+        if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+            this.mediaCollector.start();
+        }
 
         try {
-            await this.processQueue();
+            await this.processQueue(startIndex, generationType);
 
             if (!this.shouldStopQueue) {
                 this.showNotification('Queue completed successfully', 'success');
@@ -845,14 +1260,80 @@ class GeminiEnhancer {
             Logger.error('Queue error:', error);
             this.showNotification(`Queue error: ${error.message}`, 'error');
         } finally {
+            if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+                await this.finishMediaBatch();
+            }
             this.isQueueRunning = false;
             this.shouldStopQueue = false;
             this.currentPromptIndex = 0;
             this.updateQueueStatus();
+            this.renderQueueHistory();
             this.queueToggleButton.setText('Start Queue');
         }
     }
 
+    /**
+     * Split the queue text into prompts and expand their templates
+     * @param {string} promptsText - Prompts separated by ---
+     * @return {string[]}
+     */
+    expandPrompts(promptsText) {
+        const templates = this.splitPrompts(promptsText);
+        if (!this.settings.TEMPLATES_ENABLED) {
+            return templates;
+        }
+        return PromptTemplate.expandAll(templates, {rows: PromptTemplate.parseCsv(this.settings.TEMPLATE_CSV)});
+    }
+
+    /**
+     * Split the queue text into prompts (separated by ---)
+     * @param {string} promptsText - Queue text
+     * @return {string[]}
+     */
+    splitPrompts(promptsText) {
+        return (promptsText || '').split('---')
+            .map(p => p.trim())
+            .filter(p => p.length > 0);
+    }
+
+    /**
+     * Show how many prompts the queue will send once templates are expanded
+     */
+    updateTemplatePreview() {
+        if (!this.templatePreview) return;
+
+        const templates = this.splitPrompts(this.settings.PROMPTS_QUEUE);
+        const rows = PromptTemplate.parseCsv(this.settings.TEMPLATE_CSV);
+        const count = PromptTemplate.count(templates, {rows});
+
+        if (!this.settings.TEMPLATES_ENABLED || !templates.some(template => PromptTemplate.hasSyntax(template))) {
+            this.templatePreview.textContent = `${templates.length} prompt${templates.length === 1 ? '' : 's'}`;
+        } else if (count > PromptTemplate.MAX_PROMPTS) {
+            this.templatePreview.textContent = `Templates expand to ${count} prompts; only the first ${PromptTemplate.MAX_PROMPTS} will be queued`;
+        } else {
+            this.templatePreview.textContent = `${templates.length} template${templates.length === 1 ? '' : 's'} expand to ${count} prompts` +
+                (rows.length ? ` (${rows.length} CSV rows)` : '');
+        }
+    }
+
+    /**
+     * Download media still pending from the last prompt and save the batch manifest
+     */
+    async finishMediaBatch() {
+        try {
+            const manifest = await this.mediaCollector.finish();
+            if (!manifest || manifest.items.length === 0) {
+                return;
+            }
+
+            const filename = this.mediaCollector.saveManifest(this.settings.MANIFEST_FORMAT);
+            const downloaded = this.mediaCollector.getDownloadedCount();
+            this.showNotification(`Downloaded ${downloaded} files, manifest saved as ${filename}`, 'success');
+        } catch (error) {
+            Logger.error('Error finishing media downloads:', error);
+        }
+    }
+
     /**
      * Stop queue
      */
@@ -867,12 +1348,12 @@ class GeminiEnhancer {
     }
 
     /**
-     * Process queue
+     * Process queue, saving each prompt's state so the batch can be resumed
+     * @param {number} [startIndex=0] - Index of the first prompt to send
+     * @param {string} [generationType] - 'text', 'image' or 'video'
      */
-    async processQueue() {
-        const generationType = this.settings.GENERATION_TYPE || 'text';
-
-        for (let i = 0; i < this.prompts.length; i++) {
+    async processQueue(startIndex = 0, generationType = this.settings.GENERATION_TYPE || 'text') {
+        for (let i = startIndex; i < this.prompts.length; i++) {
             if (this.shouldStopQueue) {
                 Logger.info('Queue stopped by user');
                 break;
@@ -880,8 +1361,36 @@ class GeminiEnhancer {
 
             this.currentPromptIndex = i + 1;
             this.updateQueueStatus();
+            await this.queueStore.markRunning(i);
+            this.renderQueueHistory();
 
-            await this.processPrompt(this.prompts[i], generationType);
+            try {
+                if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+                    await this.mediaCollector.beginPrompt(i, this.prompts[i]);
+                }
+                const result = await this.processPrompt(this.prompts[i], generationType);
+                if (this.settings.AUTO_DOWNLOAD_MEDIA && generationType !== 'text') {
+                    // Images and videos keep rendering for a moment after the response completes
+                    const files = await this.mediaCollector.waitForMedia({
+                        quietMs: 3000,
+                        timeoutMs: 30000,
+                        shouldStop: () => this.shouldStopQueue
+                    });
+                    result.files = files.map(file => file.filename);
+                }
+                await this.queueStore.markDone(i, result);
+            } catch (error) {
+                if (this.shouldStopQueue) {
+                    // Stopped mid-prompt: leave it pending so resuming sends it again
+                    await this.queueStore.markPending(i);
+                    Logger.info('Queue stopped by user');
+                    break;
+                }
+                await this.queueStore.markFailed(i, error);
+                throw error;
+            } finally {
+                this.renderQueueHistory();
+            }
 
             // Add delay between prompts (except for the last one)
             if (i < this.prompts.length - 1 && !this.shouldStopQueue) {
@@ -894,6 +1403,7 @@ class GeminiEnhancer {
 
     /**
      * Process a single prompt
+     * @return {Promise<{loadingDetected: boolean, duration: number}>} Result of waitForCompletion()
      */
     async processPrompt(prompt, generationType) {
         Logger.info(`Processing prompt ${this.currentPromptIndex}/${this.prompts.length} (${generationType})`);
@@ -918,9 +1428,10 @@ class GeminiEnhancer {
             await this.clickSendButton();
 
             // Wait for completion
-            await this.waitForCompletion();
+            const result = await this.waitForCompletion();
 
             Logger.success(`Prompt ${this.currentPromptIndex} completed`);
+            return result;
         } catch (error) {
             Logger.error(`Error on prompt ${this.currentPromptIndex}:`, error.message);
             throw error;
@@ -931,13 +1442,7 @@ class GeminiEnhancer {
      * Find prompt textarea
      */
     findPromptTextarea() {
-        for (const selector of GeminiEnhancer.SELECTORS.PROMPT_TEXTAREA) {
-            const element = document.querySelector(selector);
-            if (element) {
-                return element;
-            }
-        }
-        return null;
+        return this.selectors.query('PROMPT_TEXTAREA');
     }
 
     /**
@@ -1355,6 +1860,9 @@ class GeminiEnhancer {
 
     /**
      * Wait for completion
+     * @param {number} [timeout=300000] - Maximum time to wait in ms
+     * @return {Promise<{loadingDetected: boolean, duration: number}>}
+     * @throws {Error} With timedOut = true when the generation does not finish in time
      */
     async waitForCompletion(timeout = 300000) {
         const start = Date.now();
@@ -1396,7 +1904,7 @@ class GeminiEnhancer {
             if (!this.isButtonLoading()) {
                 Logger.debug("Generation completed - loading button is gone");
                 await this.delay(1500); // Extra delay to ensure response is fully rendered
-                return;
+                return {loadingDetected, duration: Date.now() - start};
             }
 
             // Log progress every 5 seconds
@@ -1415,7 +1923,9 @@ class GeminiEnhancer {
             await this.delay(300);
         }
 
-        throw new Error("Generation did not complete within timeout");
+        const timeoutError = new Error("Generation did not complete within timeout");
+        timeoutError.timedOut = true;
+        throw timeoutError;
     }
 
     /**
@@ -1427,7 +1937,7 @@ class GeminiEnhancer {
         if (this.isQueueRunning) {
             const total = this.prompts.length;
             const current = this.currentPromptIndex;
-            const type = this.settings.GENERATION_TYPE || 'text';
+            const type = this.generationType || this.settings.GENERATION_TYPE || 'text';
             this.queueStatus.textContent = `Processing: ${current}/${total} (${type})`;
             this.queueStatus.style.background = '#e3f2fd';
         } else {
@@ -1435,6 +1945,57 @@ class GeminiEnhancer {
             this.queueStatus.style.background = '#f5f5f5';
         }
     }
+
+    /**
+     * Show each prompt of the saved queue with its outcome, and the resume banner when it is unfinished
+     */
+    renderQueueHistory() {
+        if (this.resumeBanner) {
+            const canResume = !this.isQueueRunning && this.queueStore.hasUnfinished();
+            this.resumeBanner.style.display = canResume ? 'block' : 'none';
+            if (canResume) {
+                const {done, failed, total} = this.queueStore.getSummary();
+                this.resumeBannerText.textContent = `Unfinished queue: ${done}/${total} done` +
+                    (failed ? `, ${failed} failed` : '') +
+                    ` (${this.queueStore.state.generationType}). Resume where it stopped?`;
+            }
+        }
+
+        if (!this.queueHistoryList) return;
+        this.queueHistoryList.innerHTML = '';
+
+        const icons = {pending: '•', running: '⏳', done: '✓', failed: '✗'};
+        this.queueStore.getItems().forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = `queue-history__item queue-history__item--${item.status}`;
+
+            const icon = document.createElement('span');
+            icon.textContent = icons[item.status] || '•';
+            row.appendChild(icon);
+
+            const prompt = document.createElement('span');
+            prompt.className = 'queue-history__prompt';
+            prompt.textContent = `${index + 1}. ${item.prompt}`;
+            prompt.title = item.prompt;
+            row.appendChild(prompt);
+
+            const detail = document.createElement('span');
+            detail.className = 'queue-history__detail';
+            if (item.status === 'done') {
+                detail.textContent = `${Math.round(item.duration / 1000)}s` +
+                    (item.files ? ` · ${item.files.length} file${item.files.length === 1 ? '' : 's'}` : '');
+                detail.title = (item.files || []).join('\n');
+            } else if (item.status === 'failed') {
+                detail.textContent = item.timedOut ? 'timed out' : 'failed';
+                detail.title = item.error || '';
+            } else if (item.interrupted) {
+                detail.textContent = 'interrupted';
+            }
+            row.appendChild(detail);
+
+            this.queueHistoryList.appendChild(row);
+        });
+    }
 }
 
 // Initialize when DOM is ready
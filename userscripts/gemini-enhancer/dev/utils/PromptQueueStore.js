@@ -0,0 +1,216 @@
+import {Logger} from "../../../common/core";
+import {getValue, setValue} from "../../../common/core/utils/GMFunctions";
+
+/**
+ * PromptQueueStore - Keeps the Gemini prompt queue and each prompt's state in GM storage
+ * so a reload, crash or Gemini navigation in the middle of a batch can be resumed.
+ *
+ * Stored shape:
+ * {
+ *   id, generationType, createdAt, updatedAt,
+ *   items: [{prompt, status, attempts, startedAt, finishedAt, duration, timedOut, error, files?}]
+ * }
+ */
+export default class PromptQueueStore {
+    static STORAGE_KEY = 'gemini-prompt-queue-state';
+
+    static STATUS = {
+        PENDING: 'pending',
+        RUNNING: 'running',
+        DONE: 'done',
+        FAILED: 'failed'
+    };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - GM storage key for the queue state
+     * @param {Function} [options.getValue] - Function to get values from GM storage
+     * @param {Function} [options.setValue] - Function to set values in GM storage
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || PromptQueueStore.STORAGE_KEY;
+        this.getValue = options.getValue || getValue;
+        this.setValue = options.setValue || setValue;
+        this.state = null;
+    }
+
+    /**
+     * Load the saved queue
+     * An item still marked running was interrupted (reload or crash) and goes back to pending.
+     * @return {Promise<Object|null>} Queue state or null when nothing is saved
+     */
+    async load() {
+        try {
+            const state = await this.getValue(this.storageKey, null);
+            if (!state || !Array.isArray(state.items)) {
+                this.state = null;
+                return null;
+            }
+
+            state.items.forEach((item) => {
+                if (item.status === PromptQueueStore.STATUS.RUNNING) {
+                    item.status = PromptQueueStore.STATUS.PENDING;
+                    item.interrupted = true;
+                }
+            });
+            this.state = state;
+            return state;
+        } catch (error) {
+            Logger.error("Error loading prompt queue:", error);
+            this.state = null;
+            return null;
+        }
+    }
+
+    /**
+     * Start a new queue, replacing the saved one
+     * @param {string[]} prompts - Prompts in order
+     * @param {string} generationType - 'text', 'image' or 'video'
+     * @return {Promise<Object>} New queue state
+     */
+    async create(prompts, generationType) {
+        const now = Date.now();
+        this.state = {
+            id: `queue-${now}`,
+            generationType,
+            createdAt: now,
+            updatedAt: now,
+            items: prompts.map((prompt) => ({
+                prompt,
+                status: PromptQueueStore.STATUS.PENDING,
+                attempts: 0,
+                startedAt: null,
+                finishedAt: null,
+                duration: null,
+                timedOut: false,
+                error: null
+            }))
+        };
+        await this.save();
+        return this.state;
+    }
+
+    /**
+     * Persist the current state
+     * @return {Promise<void>}
+     */
+    async save() {
+        if (!this.state) return;
+        this.state.updatedAt = Date.now();
+        await this.setValue(this.storageKey, this.state);
+    }
+
+    /**
+     * Get the queue items
+     * @return {Object[]}
+     */
+    getItems() {
+        return this.state ? this.state.items : [];
+    }
+
+    /**
+     * Index of the first prompt that has not finished, or -1 when all are done
+     * @return {number}
+     */
+    getResumeIndex() {
+        return this.getItems().findIndex((item) => item.status !== PromptQueueStore.STATUS.DONE);
+    }
+
+    /**
+     * Check whether the saved queue still has prompts to run
+     * @return {boolean}
+     */
+    hasUnfinished() {
+        return this.getResumeIndex() !== -1;
+    }
+
+    /**
+     * Count items per status
+     * @return {{total: number, pending: number, running: number, done: number, failed: number}}
+     */
+    getSummary() {
+        const summary = {total: 0, pending: 0, running: 0, done: 0, failed: 0};
+        this.getItems().forEach((item) => {
+            summary.total++;
+            summary[item.status]++;
+        });
+        return summary;
+    }
+
+    /**
+     * Mark a prompt as being sent
+     * @param {number} index - Item index
+     * @return {Promise<void>}
+     */
+    async markRunning(index) {
+        const item = this.getItems()[index];
+        if (!item) return;
+        item.status = PromptQueueStore.STATUS.RUNNING;
+        item.attempts++;
+        item.startedAt = Date.now();
+        item.finishedAt = null;
+        item.duration = null;
+        item.timedOut = false;
+        item.error = null;
+        delete item.interrupted;
+        await this.save();
+    }
+
+    /**
+     * Mark a prompt as finished
+     * @param {number} index - Item index
+     * @param {Object} [result] - Result of waitForCompletion(), plus the downloaded files when media downloads are on
+     * @return {Promise<void>}
+     */
+    async markDone(index, result = {}) {
+        const item = this.getItems()[index];
+        if (!item) return;
+        item.status = PromptQueueStore.STATUS.DONE;
+        item.finishedAt = Date.now();
+        item.duration = item.finishedAt - item.startedAt;
+        item.loadingDetected = result.loadingDetected !== false;
+        if (Array.isArray(result.files)) {
+            item.files = result.files;
+        }
+        await this.save();
+    }
+
+    /**
+     * Mark a prompt as failed
+     * @param {number} index - Item index
+     * @param {Error} error - Error thrown while processing it
+     * @return {Promise<void>}
+     */
+    async markFailed(index, error) {
+        const item = this.getItems()[index];
+        if (!item) return;
+        item.status = PromptQueueStore.STATUS.FAILED;
+        item.finishedAt = Date.now();
+        item.duration = item.finishedAt - item.startedAt;
+        item.timedOut = Boolean(error && error.timedOut);
+        item.error = error ? error.message : 'Unknown error';
+        await this.save();
+    }
+
+    /**
+     * Put a prompt back to pending (e.g. when the user stops the queue while it runs)
+     * @param {number} index - Item index
+     * @return {Promise<void>}
+     */
+    async markPending(index) {
+        const item = this.getItems()[index];
+        if (!item) return;
+        item.status = PromptQueueStore.STATUS.PENDING;
+        item.startedAt = null;
+        await this.save();
+    }
+
+    /**
+     * Forget the saved queue
+     * @return {Promise<void>}
+     */
+    async clear() {
+        this.state = null;
+        await this.setValue(this.storageKey, null);
+    }
+}
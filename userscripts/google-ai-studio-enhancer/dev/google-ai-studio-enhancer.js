@@ -14,7 +14,11 @@ import {
     Logger,
     Notification,
     PollingStrategy,
+    PromptTemplate,
     PubSub,
+    SelectorRegistry,
+    SettingsBackupService,
+    SettingsStore,
     SidebarPanel,
     SelectBox,
     StyleManager,
@@ -24,11 +28,11 @@ import {
     UrlChangeWatcher,
     UserInteractionDetector,
     ClipboardService,
+    ConversationExporter,
     MarkdownConverter,
     ViewportStabilizer,
     Tabs
 } from "../../common/core";
-import { getValue, setValue } from "../../common/core/utils/GMFunctions";
 import { MouseEventUtils } from '../../common/core/utils/HTMLUtils.js';
 
 // Configure logger
@@ -51,6 +55,21 @@ class AIStudioEnhancer {
             '.ng-star-inserted .chat-turn-container.model.render .turn-content:not(:has(.mat-accordion)):not(:has(ms-thought-chunk))',
             '.ng-star-inserted .chat-turn-container.model.render .turn-content:has(.turn-information):not(:has(.mat-accordion)):not(:has(ms-thought-chunk))',
         ],
+        CHAT_TURNS: [
+            'ms-chat-turn',
+            '.chat-turn-container.user, .chat-turn-container.model'
+        ],
+        MODEL_NAME: [
+            'ms-model-selector .title',
+            'ms-model-selector-v3 .title',
+            '.model-selector-card .title',
+            'ms-model-selector [class*="model-name"]'
+        ],
+        CHAT_TITLE: [
+            'ms-toolbar h1',
+            '.page-title h1',
+            'h1.mode-title'
+        ],
         PROMPT_INPUTS: [
             'textarea[aria-label*="Start typing a prompt"]',
             'textarea.textarea.gmat-body-medium[placeholder*="Start typing a prompt"]',
@@ -105,6 +124,8 @@ class AIStudioEnhancer {
         BASE_PROMPT_POSITION: 'gaise-base-prompt-position',
         MULTIPLE_PROMPTS_START_COUNT: 'gaise-multiple-prompts-start-count',
         TEMPLATE_PROMPT: 'gaise-template-prompt',
+        TEMPLATES_ENABLED: 'gaise-templates-enabled',
+        TEMPLATE_CSV: 'gaise-template-csv',
         OVERRIDE_ITERATIONS: 'gaise-override-iterations',
         TTS_TEXT: 'gaise-tts-text',
         TTS_WORDS_PER_CHUNK: 'gaise-tts-words-per-chunk',
@@ -122,7 +143,8 @@ class AIStudioEnhancer {
         CHUNKED_TEXT: 'gaise-chunked-text',
         CHUNKED_BASE_PROMPT: 'gaise-chunked-base-prompt',
         CHUNKED_WORDS_PER_CHUNK: 'gaise-chunked-words-per-chunk',
-        CHUNKED_STRATEGY: 'gaise-chunked-strategy'
+        CHUNKED_STRATEGY: 'gaise-chunked-strategy',
+        EXPORT_FORMAT: 'gaise-export-format'
     };
 
     static DEFAULT_SETTINGS = {
@@ -137,6 +159,8 @@ class AIStudioEnhancer {
         BASE_PROMPT_POSITION: 'after',
         MULTIPLE_PROMPTS_START_COUNT: 0,
         TEMPLATE_PROMPT: 'This is iteration {iteration} of {total}. Please provide a response.',
+        TEMPLATES_ENABLED: false, // Expand {a|b}, {{n}} and {{column}} in prompts; off so code in prompts is sent as written
+        TEMPLATE_CSV: '', // CSV with a header row; {{column}} in prompts is filled from each row
         OVERRIDE_ITERATIONS: false,
         TTS_TEXT: '',
         TTS_WORDS_PER_CHUNK: 300,
@@ -155,12 +179,17 @@ class AIStudioEnhancer {
         CHUNKED_TEXT: '',
         CHUNKED_BASE_PROMPT: '',
         CHUNKED_WORDS_PER_CHUNK: 500,
-        CHUNKED_STRATEGY: 'soft'
+        CHUNKED_STRATEGY: 'soft',
+        EXPORT_FORMAT: 'markdown' // 'markdown', 'json' or 'html'
     };
 
+    // Stored settings schema version, bumped together with a SettingsStore migration
+    static SETTINGS_VERSION = 1;
+
     static EVENTS = {
         RESPONSE_ADDED: 'ai-studio:response-added',
         RESPONSES_COPIED: 'ai-studio:responses-copied',
+        CHAT_EXPORTED: 'ai-studio:chat-exported',
         CHAT_CHANGED: 'ai-studio:chat-changed',
         AUTO_RUN_STARTED: 'ai-studio:auto-run-started',
         AUTO_RUN_STOPPED: 'ai-studio:auto-run-stopped',
@@ -178,6 +207,7 @@ class AIStudioEnhancer {
         this.sidebarPanel = null;
         this.currentChatId = null;
         this.copyButton = null;
+        this.exportButton = null;
         this.toggleButton = null;
         this.isInitialLoad = true;
         this.enhancerId = 'ai-studio-enhancer-container';
@@ -207,6 +237,19 @@ class AIStudioEnhancer {
         }, 500);
         
         this.subscriptionIds = [];
+        this.selectors = new SelectorRegistry({name: 'Google AI Studio Enhancer', selectors: AIStudioEnhancer.SELECTORS});
+        this.settingsStore = new SettingsStore({
+            namespace: 'gaise',
+            version: AIStudioEnhancer.SETTINGS_VERSION,
+            keys: AIStudioEnhancer.SETTINGS_KEYS,
+            defaults: AIStudioEnhancer.DEFAULT_SETTINGS
+        });
+        this.setupSettingsSync();
+        this.settingsBackup = new SettingsBackupService({
+            script: 'Google AI Studio Enhancer',
+            keys: AIStudioEnhancer.SETTINGS_KEYS,
+            defaults: AIStudioEnhancer.DEFAULT_SETTINGS
+        });
         
         this.markdownConverter = new MarkdownConverter({
             selectorsToRemove: [
@@ -492,17 +535,55 @@ class AIStudioEnhancer {
         Logger.debug("All subscriptions and resources cleaned up");
     }
 
+    /**
+     * Keep settings and their controls in step with changes made in other tabs
+     */
+    setupSettingsSync() {
+        this.settingsStore
+            .bind('PROMPT_MODE', () => this.promptModeSelect)
+            .bind('AUTO_RUN_PROMPT', () => this.promptTextArea)
+            .bind('MULTIPLE_PROMPTS', () => this.multiplePromptTextArea)
+            .bind('BASE_PROMPT_POSITION', () => this.basePromptPositionSelect)
+            .bind('BASE_PROMPT_MULTIPLE', () => this.basePromptMultipleTextArea)
+            .bind('MULTIPLE_PROMPTS_START_COUNT', () => this.multiplePromptsStartCountInput)
+            .bind('TEMPLATE_PROMPT', () => this.templatePromptTextArea)
+            .bind('TEMPLATES_ENABLED', () => this.templatesEnabledCheckbox)
+            .bind('TEMPLATE_CSV', () => this.templateCsvTextArea)
+            .bind('OVERRIDE_ITERATIONS', () => this.overrideIterationsCheckbox)
+            .bind('DEFAULT_ITERATIONS', () => this.iterationsInput)
+            .bind('TTS_MODE', () => this.ttsModeSelect)
+            .bind('TTS_TEXT', () => this.ttsTextArea)
+            .bind('TTS_EPISODES', () => this.ttsEpisodesArea)
+            .bind('TTS_EPISODE_START_NUMBER', () => this.ttsEpisodeStartInput)
+            .bind('TTS_EPISODE_FILENAME_START_NUMBER', () => this.ttsEpisodeFilenameStartInput)
+            .bind('TTS_STYLE_PROMPT', () => this.ttsStylePromptArea)
+            .bind('TTS_WORDS_PER_CHUNK', () => this.ttsWordsPerChunkInput)
+            .bind('TTS_TEMPERATURE', () => this.ttsTemperatureInput)
+            .bind('TTS_VOICE', () => this.ttsVoiceInput)
+            .bind('TTS_FILENAME_PREFIX', () => this.ttsFilenamePrefixInput)
+            .bind('TTS_RETRY_COUNT', () => this.ttsRetryCountInput)
+            .bind('TTS_DOWNLOAD_DELAY_MS', () => this.ttsDownloadDelayInput)
+            .bind('TTS_START_COUNT', () => this.ttsStartCountInput)
+            .bind('CHUNKED_TEXT', () => this.chunkedTextArea)
+            .bind('CHUNKED_BASE_PROMPT', () => this.chunkedBasePromptArea)
+            .bind('CHUNKED_WORDS_PER_CHUNK', () => this.chunkedWordsPerChunkInput)
+            .bind('CHUNKED_STRATEGY', () => this.chunkedStrategySelect)
+            .bind('EXPORT_FORMAT', () => this.exportFormatSelect);
+
+        this.settingsStore.watch((name, value) => {
+            this.settings[name] = value;
+            if (['MULTIPLE_PROMPTS', 'AUTO_RUN_PROMPT', 'TEMPLATE_PROMPT', 'TEMPLATES_ENABLED', 'TEMPLATE_CSV'].includes(name)) {
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'single');
+            }
+        });
+    }
+
     /**
      * Load saved settings
      */
     async loadSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(AIStudioEnhancer.SETTINGS_KEYS)) {
-                const savedValue = await getValue(storageKey, null);
-                if (savedValue !== null) {
-                    this.settings[settingName] = savedValue;
-                }
-            }
+            this.settings = await this.settingsStore.load();
             Logger.debug("Settings loaded", this.settings);
         } catch (error) {
             Logger.error("Error loading settings:", error);
@@ -514,9 +595,7 @@ class AIStudioEnhancer {
      */
     async saveSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(AIStudioEnhancer.SETTINGS_KEYS)) {
-                await setValue(storageKey, this.settings[settingName]);
-            }
+            await this.settingsStore.save(this.settings);
             Logger.debug("Settings saved", this.settings);
         } catch (error) {
             Logger.error("Error saving settings:", error);
@@ -626,6 +705,12 @@ class AIStudioEnhancer {
             }, 2000);
 
             Logger.success("Google AI Studio Enhancer initialized successfully!");
+
+            // Chat and TTS pages both render a prompt textarea; other selectors depend on page state
+            this.selectors.scheduleHealthCheck({
+                names: ['PROMPT_INPUTS'],
+                notify: this.settings.SHOW_NOTIFICATIONS
+            });
         } catch (error) {
             Logger.error('Error during initialization:', error);
             this.showNotification('Failed to initialize enhancer. Please refresh the page.', 'error');
@@ -796,6 +881,7 @@ class AIStudioEnhancer {
             onInput: (event, textArea) => {
                 this.settings.AUTO_RUN_PROMPT = textArea.getValue();
                 this.saveSettings();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'single');
             },
             container: this.singlePromptContainer,
             autoResize: true,
@@ -949,6 +1035,7 @@ Third prompt`;
             onInput: (event, textArea) => {
                 this.settings.TEMPLATE_PROMPT = textArea.getValue();
                 this.saveSettings();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'single');
             },
             container: this.templatePromptContainer,
             autoResize: true,
@@ -1022,6 +1109,8 @@ Third prompt`;
             container: copyButtonContainer
         });
 
+        const exportContainer = this.createExportOptions();
+
         // Button container
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = 'margin-bottom: 10px;';
@@ -1044,8 +1133,10 @@ Third prompt`;
         section.appendChild(this.singlePromptContainer);
         section.appendChild(this.multiplePromptContainer);
         section.appendChild(this.templatePromptContainer);
+        section.appendChild(this.createTemplateOptions());
         section.appendChild(iterationsContainer);
         section.appendChild(copyButtonContainer);
+        section.appendChild(exportContainer);
         section.appendChild(buttonContainer);
         section.appendChild(this.statusElement);
 
@@ -1054,6 +1145,100 @@ Third prompt`;
         this.updatePromptInputVisibility();
     }
 
+    /**
+     * Create the chat export format selector and button
+     * @return {HTMLElement}
+     */
+    createExportOptions() {
+        const container = document.createElement('div');
+        container.className = 'chat-export-container';
+        container.style.cssText = 'display: flex; gap: 8px; align-items: flex-end; margin-bottom: 10px;';
+
+        const selectContainer = document.createElement('div');
+        selectContainer.style.flex = '1';
+        container.appendChild(selectContainer);
+        const format = this.settings.EXPORT_FORMAT || 'markdown';
+
+        this.exportFormatSelect = new SelectBox({
+            items: Object.entries(ConversationExporter.FORMATS).map(([value, {label}]) => ({
+                value,
+                label,
+                selected: value === format
+            })),
+            name: 'export-format',
+            id: 'export-format-select',
+            label: 'Export format:',
+            container: selectContainer,
+            theme: 'default',
+            size: 'small',
+            onChange: (value) => {
+                this.settings.EXPORT_FORMAT = value;
+                this.saveSettings();
+            }
+        });
+
+        this.exportButton = new Button({
+            text: 'Export Chat',
+            theme: 'default',
+            size: 'small',
+            onClick: () => this.exportConversation(),
+            className: 'export-chat-button',
+            container
+        });
+
+        return container;
+    }
+
+    /**
+     * Create the prompt template options shared by all prompt modes
+     * @return {HTMLElement}
+     */
+    createTemplateOptions() {
+        const container = document.createElement('div');
+        container.className = 'template-options-container';
+        container.style.marginBottom = '12px';
+
+        this.templatesEnabledCheckbox = new Checkbox({
+            label: 'Expand prompt templates',
+            checked: this.settings.TEMPLATES_ENABLED,
+            onChange: () => {
+                this.settings.TEMPLATES_ENABLED = this.templatesEnabledCheckbox.isChecked();
+                this.saveSettings();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'single');
+            },
+            container: container,
+            size: 'small'
+        });
+
+        InfoBox.create({
+            content: '{a|b} runs every combination, {{n}} numbers prompts ({{n:3}} pads to 3 digits), {{column}} uses the CSV values below',
+            variant: 'default',
+            container: container,
+            scopeSelector: `#${this.enhancerId}`
+        });
+
+        this.templateCsvTextArea = new TextArea({
+            value: this.settings.TEMPLATE_CSV || '',
+            label: 'Template values (CSV with header row, optional):',
+            placeholder: 'animal,style\ncat,watercolor\ndog,pixel art',
+            rows: 3,
+            theme: 'primary',
+            size: 'medium',
+            className: 'template-csv-textarea',
+            attributes: { autocomplete: 'off', 'data-lpignore': 'true' },
+            onInput: (event, textArea) => {
+                this.settings.TEMPLATE_CSV = textArea.getValue();
+                this.saveSettings();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'single');
+            },
+            container: container,
+            autoResize: true,
+            scopeSelector: `#${this.enhancerId}`
+        });
+
+        return container;
+    }
+
     /**
      * Create TTS section
      */
@@ -1717,6 +1902,9 @@ Third prompt`;
 
         section.appendChild(title);
         section.appendChild(interactionSubsection);
+        section.appendChild(this.settingsBackup.createSection({
+            onImported: () => this.loadSettings()
+        }));
 
         container.appendChild(section);
     }
@@ -1878,17 +2066,14 @@ Third prompt`;
         switch (mode) {
             case 'single':
                 const singlePrompt = this.settings.AUTO_RUN_PROMPT || '';
+                const singleVariants = this.expandTemplates([singlePrompt]);
                 for (let i = 0; i < iterations; i++) {
-                    prompts.push(singlePrompt);
+                    prompts.push(singleVariants.length ? singleVariants[i % singleVariants.length] : singlePrompt);
                 }
                 break;
 
             case 'multiple':
-                const multiplePrompts = this.settings.MULTIPLE_PROMPTS
-                    ? this.settings.MULTIPLE_PROMPTS.split('---')
-                        .map(p => p.trim())
-                        .filter(p => p.length > 0)
-                    : [];
+                const multiplePrompts = this.getMultiplePrompts();
                 
                 if (multiplePrompts.length === 0) {
                     break;
@@ -1925,8 +2110,9 @@ Third prompt`;
 
             case 'template':
                 const template = this.settings.TEMPLATE_PROMPT || '';
+                const templateVariants = this.expandTemplates([template]);
                 for (let i = 0; i < iterations; i++) {
-                    let prompt = template;
+                    let prompt = templateVariants.length ? templateVariants[i % templateVariants.length] : template;
                     const timestamp = new Date().toISOString();
                     
                     // Replace variables
@@ -1939,7 +2125,51 @@ Third prompt`;
                 break;
         }
 
-        return prompts;
+        // Counters are numbered once the final order is known
+        return this.settings.TEMPLATES_ENABLED ? PromptTemplate.number(prompts) : prompts;
+    }
+
+    /**
+     * Get the multiple prompts (separated by ---) with their templates expanded
+     * @return {string[]}
+     */
+    getMultiplePrompts() {
+        const prompts = this.settings.MULTIPLE_PROMPTS
+            ? this.settings.MULTIPLE_PROMPTS.split('---')
+                .map(p => p.trim())
+                .filter(p => p.length > 0)
+            : [];
+        return this.expandTemplates(prompts);
+    }
+
+    /**
+     * Expand {a|b} alternatives and CSV {{column}} values; {{n}} is filled in by getAllPrompts()
+     * @param {string[]} templates - Prompts that may use template syntax
+     * @return {string[]}
+     */
+    expandTemplates(templates) {
+        if (!this.settings.TEMPLATES_ENABLED) {
+            return templates.filter(t => t.trim().length > 0);
+        }
+        const rows = PromptTemplate.parseCsv(this.settings.TEMPLATE_CSV);
+        const results = [];
+        for (const template of templates) {
+            results.push(...PromptTemplate.expand(template, {rows, limit: PromptTemplate.MAX_PROMPTS - results.length}));
+        }
+        return results;
+    }
+
+    /**
+     * Describe how many prompts the current template expands to, for the iterations hint
+     * @param {string} template - Single or template-mode prompt
+     * @return {string} Empty when the prompt has no template syntax
+     */
+    getTemplateHint(template) {
+        if (!this.settings.TEMPLATES_ENABLED || !PromptTemplate.hasSyntax(template)) {
+            return '';
+        }
+        const count = this.expandTemplates([template]).length;
+        return ` (template expands to ${count} prompt${count === 1 ? '' : 's'}, cycled per iteration)`;
     }
 
     /**
@@ -2139,10 +2369,7 @@ Third prompt`;
             
             switch (mode) {
                 case 'multiple':
-                    const prompts = this.settings.MULTIPLE_PROMPTS
-                        ? this.settings.MULTIPLE_PROMPTS.split('---').map(p => p.trim()).filter(p => p.length > 0)
-                        : [];
-                    const promptCount = prompts.length;
+                    const promptCount = this.getMultiplePrompts().length;
                     
                     if (this.overrideIterationsCheckbox) {
                         this.overrideIterationsCheckbox.setVisible(promptCount > 0);
@@ -2171,7 +2398,8 @@ Third prompt`;
                 case 'single':
                 case 'template':
                     this.iterationsInput.setDisabled(false);
-                    this.iterationsInfoText.textContent = 'Number of iterations to run';
+                    this.iterationsInfoText.textContent = 'Number of iterations to run' +
+                        this.getTemplateHint(mode === 'single' ? this.settings.AUTO_RUN_PROMPT : this.settings.TEMPLATE_PROMPT);
                     
                     if (this.overrideIterationsCheckbox) {
                         this.overrideIterationsCheckbox.setVisible(false);
@@ -2664,6 +2892,82 @@ Third prompt`;
         }
     }
 
+    /**
+     * Collect the user and model turns of the current chat in page order
+     * Turns are scrolled into view first because long chats only render their content near the viewport.
+     * @return {Promise<Object>} Conversation for ConversationExporter
+     */
+    async collectConversation() {
+        const turns = [];
+        const turnElements = this.selectors.queryAll('CHAT_TURNS');
+
+        for (const element of turnElements) {
+            const container = element.matches('.chat-turn-container') ? element : element.querySelector('.chat-turn-container');
+            if (!container) continue;
+
+            element.scrollIntoView({block: 'center'});
+            await this.delay(120);
+
+            const content = container.querySelector('.turn-content') || container;
+            const text = this.markdownConverter.extractText(content)
+                .replace(/^(User|Model)\.?\s*/i, '')
+                .replace(/\[\s*\d+\s*\]/g, '')
+                .trim();
+            const time = container.querySelector('time[datetime], [data-timestamp]');
+
+            turns.push({
+                role: container.classList.contains('user') ? 'user' : 'model',
+                text,
+                timestamp: time ? (time.getAttribute('datetime') || time.getAttribute('data-timestamp')) : null
+            });
+        }
+
+        const title = this.selectors.query('CHAT_TITLE')?.textContent.trim() || document.title.replace(/\s*[|-]\s*Google AI Studio\s*$/i, '').trim();
+        return {
+            source: 'Google AI Studio',
+            chatId: this.extractChatId(window.location.href).replace(/^\/+/, ''),
+            title,
+            model: this.selectors.query('MODEL_NAME')?.textContent.trim() || null,
+            url: window.location.href,
+            exportedAt: new Date().toISOString(),
+            turns
+        };
+    }
+
+    /**
+     * Export the current chat in the selected format
+     * @return {Promise<boolean>}
+     */
+    async exportConversation() {
+        const format = this.settings.EXPORT_FORMAT || 'markdown';
+        try {
+            if (this.exportButton) {
+                this.exportButton.setText('Exporting...');
+                this.exportButton.setDisabled(true);
+            }
+
+            const conversation = await this.collectConversation();
+            if (!conversation.turns.some((turn) => turn.text)) {
+                this.showNotification('No chat turns found to export', 'warning');
+                return false;
+            }
+
+            const filename = ConversationExporter.download(conversation, format);
+            this.showNotification(`✅ Exported ${conversation.turns.length} turns to ${filename}`, 'success');
+            PubSub.publish(AIStudioEnhancer.EVENTS.CHAT_EXPORTED, {filename, format, chatId: conversation.chatId});
+            return true;
+        } catch (error) {
+            Logger.error('Error exporting chat:', error);
+            this.showNotification('Error occurred while exporting the chat', 'error');
+            return false;
+        } finally {
+            if (this.exportButton) {
+                this.exportButton.setDisabled(false);
+                this.exportButton.setText('Export Chat');
+            }
+        }
+    }
+
     /**
      * Copy all responses silently
      */
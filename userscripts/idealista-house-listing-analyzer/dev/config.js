@@ -1,11 +1,29 @@
 export const config = {
   expirationDays: 1, // Default expiration days for cache
   delayBetweenRequests: 500, // Delay in milliseconds between each request
+  concurrentRequests: 1, // Requests to Idealista at a time; every request goes through one shared queue
   weights: {
     visits: 0.0001,
     friendShares: 0.3,
     emailContacts: 0.6,
     favorites: 0.4,
     recency: 0.2,
+    // Optional factors from the listing details, off by default
+    belowMedianPrice: 0,
+    rooms: 0,
+    floor: 0,
   },
-}; 
\ No newline at end of file
+  // Share of the recency weight lost per day since publication (recency = e^(-rate * days))
+  recencyDecayRate: 0.1,
+  // Raw score that maps to ~63/100; higher raw scores approach 100
+  scoreScale: 20,
+  history: {
+    // Days a listing goes unseen before "Check unseen listings" opens its page
+    removalCheckDays: 1,
+    // Days a price drop, engagement jump or reappearance stays highlighted
+    highlightDays: 7,
+    // Email contacts + favorites must rise by at least this much and this percentage to count as a jump
+    engagementJumpMinIncrease: 5,
+    engagementJumpMinPercent: 25,
+  },
+};
@@ -1,45 +1,195 @@
-import { Logger, DOMObserver } from '../../common/core/index.js';
+import { Logger, DOMObserver, SettingsStore, ExportUtils } from '../../common/core/index.js';
 import { HttpService } from '../../common/core/services/httpService.js';
 import { DataCache } from '../../common/core/utils/DataCache.js';
 import { config } from './config.js';
 import { StatisticsExtractor } from './services/statisticsExtractor.js';
 import { ScoreCalculator } from './services/scoreCalculator.js';
+import { ListingDetailsExtractor } from './services/listingDetailsExtractor.js';
+import { MarketComparison } from './services/marketComparison.js';
+import { ListingHistoryStore } from './services/listingHistoryStore.js';
+import { ListingHistory } from './services/listingHistory.js';
+import { RequestQueue } from './services/requestQueue.js';
+import { ScorePanel } from './ui/scorePanel.js';
+import { ListingLayouts, LISTING_LINK_SELECTOR } from './ui/listingLayouts.js';
 
 const SCRIPT_NAME = 'IdealistaHouseListingAnalyzer';
 
 class IdealistaHouseListingAnalyzer {
+  static SETTINGS_KEYS = {
+    WEIGHT_VISITS: 'idealista-analyzer-weight-visits',
+    WEIGHT_FRIEND_SHARES: 'idealista-analyzer-weight-friend-shares',
+    WEIGHT_EMAIL_CONTACTS: 'idealista-analyzer-weight-email-contacts',
+    WEIGHT_FAVORITES: 'idealista-analyzer-weight-favorites',
+    WEIGHT_RECENCY: 'idealista-analyzer-weight-recency',
+    RECENCY_DECAY_RATE: 'idealista-analyzer-recency-decay-rate',
+    WEIGHT_BELOW_MEDIAN_PRICE: 'idealista-analyzer-weight-below-median-price',
+    WEIGHT_ROOMS: 'idealista-analyzer-weight-rooms',
+    WEIGHT_FLOOR: 'idealista-analyzer-weight-floor',
+  };
+
+  static DEFAULT_SETTINGS = {
+    WEIGHT_VISITS: config.weights.visits,
+    WEIGHT_FRIEND_SHARES: config.weights.friendShares,
+    WEIGHT_EMAIL_CONTACTS: config.weights.emailContacts,
+    WEIGHT_FAVORITES: config.weights.favorites,
+    WEIGHT_RECENCY: config.weights.recency,
+    RECENCY_DECAY_RATE: config.recencyDecayRate,
+    WEIGHT_BELOW_MEDIAN_PRICE: config.weights.belowMedianPrice,
+    WEIGHT_ROOMS: config.weights.rooms,
+    WEIGHT_FLOOR: config.weights.floor,
+  };
+
   constructor() {
-    this.logger = new Logger(`[${SCRIPT_NAME}]`);
-    this.domObserver = new DOMObserver(this.logger);
+    // Core Logger is static; the services here log through logger.log
+    const logger = Logger.newPrefix(`[${SCRIPT_NAME}]`);
+    this.logger = { ...logger, log: logger.debug };
+    this.domObserver = new DOMObserver(this.handleDOMChanges.bind(this));
     this.httpService = new HttpService(this.logger);
     this.dataCache = new DataCache(this.logger);
     this.extractor = new StatisticsExtractor(this.logger, this.httpService);
     this.scoreCalculator = new ScoreCalculator(this.logger);
-    this.processedLinks = new Set(); // Keep track of processed links
+    this.detailsExtractor = new ListingDetailsExtractor(this.logger, this.httpService);
+    this.marketComparison = new MarketComparison(this.logger);
+    this.history = new ListingHistory(this.logger, new ListingHistoryStore(this.logger));
+    this.settingsStore = new SettingsStore({
+      namespace: 'idealista-analyzer',
+      keys: IdealistaHouseListingAnalyzer.SETTINGS_KEYS,
+      defaults: IdealistaHouseListingAnalyzer.DEFAULT_SETTINGS,
+    });
+    this.settings = this.settingsStore.getDefaults();
+    this.requestQueue = new RequestQueue(this.logger, {
+      delayMs: config.delayBetweenRequests,
+      concurrency: config.concurrentRequests,
+    });
+    this.layouts = new ListingLayouts();
+    this.processedCards = new WeakMap(); // card -> URL of the listing it was processed for
+    this.pendingListings = new Map(); // listingId -> promise of its statistics and details
+    this.scoredListings = new Map(); // listingId -> scored listing shown in the ranking
     this.logger.log('Initialized');
   }
 
-  init() {
+  /**
+   * Convert stored settings into ScoreCalculator settings
+   * @param {Object} settings - {SETTING_NAME: value}
+   * @returns {{weights: Object, recencyDecayRate: number}}
+   */
+  static toScoreSettings(settings) {
+    return {
+      weights: {
+        visits: settings.WEIGHT_VISITS,
+        friendShares: settings.WEIGHT_FRIEND_SHARES,
+        emailContacts: settings.WEIGHT_EMAIL_CONTACTS,
+        favorites: settings.WEIGHT_FAVORITES,
+        recency: settings.WEIGHT_RECENCY,
+        belowMedianPrice: settings.WEIGHT_BELOW_MEDIAN_PRICE,
+        rooms: settings.WEIGHT_ROOMS,
+        floor: settings.WEIGHT_FLOOR,
+      },
+      recencyDecayRate: settings.RECENCY_DECAY_RATE,
+    };
+  }
+
+  async init() {
     this.logger.log('Starting Idealista House Listing Analyzer...');
+    try {
+      this.settings = await this.settingsStore.load();
+    } catch (error) {
+      this.logger.error('Error loading settings:', error);
+    }
+    this.scoreCalculator.setSettings(IdealistaHouseListingAnalyzer.toScoreSettings(this.settings));
+    this.settingsStore.watch((name, value) => {
+      this.settings[name] = value;
+      this.applySettings();
+    });
+
+    this.scorePanel = new ScorePanel(this.logger, {
+      settings: this.settings,
+      onSettingChange: (name, value) => this.updateSetting(name, value),
+      onReset: () => this.resetSettings(),
+      onSelect: (listing) => this.focusListing(listing),
+      onExportHistory: (format) => this.exportHistory(format),
+      onCheckUnseen: () => this.checkUnseenListings(),
+    });
+    await this.scorePanel.init();
+    this.updateHistorySummary();
+
     this.processExistingLinks(); // Process links already on the page
-    this.domObserver.observeDOM(document.body, this.handleDOMChanges.bind(this), {
+    this.domObserver.observe(document.body, {
       childList: true,
       subtree: true,
     });
     this.logger.log('DOM observation started for Idealista links.');
   }
 
+  async updateSetting(name, value) {
+    this.settings[name] = value;
+    this.applySettings();
+    try {
+      await this.settingsStore.set(name, value);
+    } catch (error) {
+      this.logger.error(`Error saving setting ${name}:`, error);
+    }
+  }
+
+  async resetSettings() {
+    this.settings = this.settingsStore.getDefaults();
+    this.scorePanel.setSettings(this.settings);
+    this.applySettings();
+    try {
+      await this.settingsStore.save(this.settings);
+    } catch (error) {
+      this.logger.error('Error saving settings:', error);
+    }
+  }
+
+  /**
+   * Rescore every listing on the page with the current weights and decay rate
+   */
+  applySettings() {
+    this.scoreCalculator.setSettings(IdealistaHouseListingAnalyzer.toScoreSettings(this.settings));
+    this.refreshScores();
+  }
+
+  /**
+   * Compare the listings on the page with each other and rescore them; each new listing moves the medians
+   */
+  refreshScores() {
+    const listings = this.getPageListings();
+    const comparison = this.marketComparison.compare(listings.map(listing => ({
+      listingId: listing.listingId,
+      pricePerSquareMeter: listing.details.pricePerSquareMeter,
+    })));
+
+    listings.forEach((listing) => {
+      listing.market = comparison.listings.get(listing.listingId) || null;
+      listing.breakdown = this.scoreCalculator.calculateBreakdown(listing.statistics, listing.daysSincePublished, {
+        ...listing.details,
+        priceDifference: listing.market?.difference,
+      });
+      this.getPlacements(listing).forEach((placement) => {
+        const badgeHost = this.layouts.getBadgeHost(placement);
+        this.displayScore(badgeHost, listing.breakdown, listing.daysSincePublished, listing.isFromCache);
+        this.displayMarketDetails(badgeHost, listing);
+      });
+    });
+
+    if (this.scorePanel) {
+      this.scorePanel.setListings(listings);
+      this.scorePanel.setMarketSummary(comparison.median, comparison.count);
+    }
+  }
+
   handleDOMChanges(mutationsList) {
     for (const mutation of mutationsList) {
       if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
         mutation.addedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
             // Check the node itself if it's an anchor
-            if (node.matches && node.matches('a[href*="/inmueble/"]')) {
+            if (node.matches && node.matches(LISTING_LINK_SELECTOR)) {
               this.processAnchorElement(node);
             }
-            // Check descendant anchors
-            node.querySelectorAll('a[href*="/inmueble/"]').forEach(anchor => this.processAnchorElement(anchor));
+            // Check descendant anchors: result lists, map popups, favourites, carousels
+            node.querySelectorAll(LISTING_LINK_SELECTOR).forEach(anchor => this.processAnchorElement(anchor));
           }
         });
       }
@@ -47,78 +197,466 @@ class IdealistaHouseListingAnalyzer {
   }
   
   processExistingLinks() {
-    document.querySelectorAll('a[href*="/inmueble/"]').forEach(anchor => this.processAnchorElement(anchor));
+    document.querySelectorAll(LISTING_LINK_SELECTOR).forEach(anchor => this.processAnchorElement(anchor));
   }
 
   async processAnchorElement(anchorElement) {
-    if (!anchorElement || !anchorElement.href || this.processedLinks.has(anchorElement.href)) {
+    if (!anchorElement || !anchorElement.href) {
       return;
     }
-    if (anchorElement.querySelector('.listing-score-badge')) { // Already has a score
-        return;
-    }
-
-    this.processedLinks.add(anchorElement.href); // Mark as processed (attempting)
-    this.logger.log(`Processing link: ${anchorElement.href}`);
-
     const listingId = this.extractor.extractListingId(anchorElement.href);
     if (!listingId) {
       this.logger.warn('Could not extract listing ID from:', anchorElement.href);
       return;
     }
 
-    const cachedScoreData = this.dataCache.get(`score_${listingId}`);
-    if (cachedScoreData !== null) {
-      this.logger.log(`Using cached score for ${listingId}: ${cachedScoreData.score}`);
-      this.displayScore(anchorElement, cachedScoreData.score, cachedScoreData.daysSincePublished, true);
+    // Cards link to the listing from the photo, the title and the buttons; one link per card is enough
+    const placement = this.layouts.resolve(anchorElement);
+    const processedUrl = this.processedCards.get(placement.card);
+    if (processedUrl === anchorElement.href
+      && (this.pendingListings.has(listingId) || placement.card.querySelector('.listing-score-badge'))) {
       return;
     }
+    if (processedUrl !== undefined && processedUrl !== anchorElement.href) {
+      // Map popups are reused for whichever marker was clicked last
+      this.detachCard(placement.card);
+    }
+
+    this.processedCards.set(placement.card, anchorElement.href); // Mark as processed (attempting)
+    this.logger.log(`Processing ${placement.layout} link: ${anchorElement.href}`);
 
     try {
-      await new Promise(resolve => setTimeout(resolve, config.delayBetweenRequests)); // Respect delay
-      const statistics = await this.extractor.extractStatistics(listingId);
-      if (!statistics) {
-          this.logger.warn(`No statistics found for listing ID ${listingId}`);
-          this.processedLinks.delete(anchorElement.href); // Allow reprocessing if stats failed
-          return;
+      const data = await this.loadListing(listingId, anchorElement, placement);
+      if (!data) {
+        this.processedCards.delete(placement.card); // Allow reprocessing if stats failed
+        return;
       }
-
-      const daysSincePublished = this.calculateDaysSincePublished(statistics.dateLine);
-      const score = this.scoreCalculator.calculateScore(
-        statistics.visits,
-        statistics.friendShares,
-        statistics.emailContacts,
-        statistics.favorites,
-        daysSincePublished,
+      await this.addScoredListing(
+        listingId, anchorElement, data.statistics, data.daysSincePublished, data.isFromCache, data.details,
       );
-
-      this.dataCache.set(`score_${listingId}`, { score, daysSincePublished }, config.expirationDays);
-      this.displayScore(anchorElement, score, daysSincePublished, false);
     } catch (error) {
       this.logger.error(`Error processing listing ${listingId}:`, error);
-      this.processedLinks.delete(anchorElement.href); // Allow reprocessing on error
+      this.processedCards.delete(placement.card); // Allow reprocessing on error
+    }
+  }
+
+  /**
+   * Get a listing's statistics and details, sharing one fetch between every card showing the listing
+   * @param {string} listingId
+   * @param {HTMLAnchorElement} anchorElement
+   * @param {Object} placement - ListingLayouts.resolve() result
+   * @returns {Promise<Object|null>} {statistics, daysSincePublished, isFromCache, details}; null without statistics
+   */
+  loadListing(listingId, anchorElement, placement) {
+    const scored = this.scoredListings.get(listingId);
+    if (scored) {
+      const { statistics, daysSincePublished, isFromCache, details } = scored;
+      return Promise.resolve({ statistics, daysSincePublished, isFromCache, details });
+    }
+    if (!this.pendingListings.has(listingId)) {
+      const pending = this.fetchListing(listingId, anchorElement, placement)
+        .finally(() => this.pendingListings.delete(listingId));
+      this.pendingListings.set(listingId, pending);
+    }
+    return this.pendingListings.get(listingId);
+  }
+
+  async fetchListing(listingId, anchorElement, placement) {
+    const cachedData = this.dataCache.get(`stats_${listingId}`);
+    if (cachedData !== null) {
+      this.logger.log(`Using cached statistics for ${listingId}`);
+      const details = await this.getListingDetails(listingId, anchorElement, placement);
+      return { ...cachedData, isFromCache: true, details };
+    }
+
+    const statistics = await this.requestQueue.run(
+      () => this.extractor.extractStatistics(listingId),
+      { priority: placement.priority },
+    );
+    if (!statistics) {
+      this.logger.warn(`No statistics found for listing ID ${listingId}`);
+      return null;
+    }
+
+    const daysSincePublished = this.calculateDaysSincePublished(statistics.dateLine);
+    // Cache the statistics rather than the score, so changed weights apply to cached listings too
+    this.dataCache.set(`stats_${listingId}`, { statistics, daysSincePublished }, config.expirationDays);
+    const details = await this.getListingDetails(listingId, anchorElement, placement);
+    return { statistics, daysSincePublished, isFromCache: false, details };
+  }
+
+  /**
+   * Read price, area, rooms and floor from the listing's card, falling back to the listing page
+   * when the card lacks the price or area
+   * @param {string} listingId
+   * @param {HTMLAnchorElement} anchorElement
+   * @param {Object} [placement] - ListingLayouts.resolve() result
+   * @returns {Promise<Object>} {price, area, rooms, floor, pricePerSquareMeter}
+   */
+  async getListingDetails(listingId, anchorElement, placement = this.layouts.resolve(anchorElement)) {
+    const cardDetails = this.detailsExtractor.parseCard(anchorElement, placement.card);
+    if (!this.detailsExtractor.isIncomplete(cardDetails)) {
+      return cardDetails;
+    }
+
+    let pageDetails = this.dataCache.get(`details_${listingId}`);
+    if (pageDetails === null) {
+      try {
+        pageDetails = await this.requestQueue.run(
+          () => this.detailsExtractor.extractDetails(anchorElement.href),
+          { priority: placement.priority },
+        );
+        this.dataCache.set(`details_${listingId}`, pageDetails, config.expirationDays);
+      } catch (error) {
+        this.logger.warn(`Could not read the listing page of ${listingId}:`, error);
+        return cardDetails;
+      }
+    }
+
+    const merged = { ...pageDetails };
+    Object.entries(cardDetails).forEach(([key, value]) => {
+      if (value !== null) {
+        merged[key] = value;
+      }
+    });
+    return this.detailsExtractor.withPricePerSquareMeter(merged);
+  }
+
+  /**
+   * Show a listing's score in a card and add it to the ranking
+   * @param {string} listingId
+   * @param {HTMLAnchorElement} anchorElement - Link inside the card
+   * @param {Object} statistics
+   * @param {number} daysSincePublished
+   * @param {boolean} isFromCache
+   * @param {Object} [details]
+   * @returns {Promise<void>} Settles once the listing's history is updated
+   */
+  addScoredListing(listingId, anchorElement, statistics, daysSincePublished, isFromCache, details = {}) {
+    const placement = this.layouts.resolve(anchorElement);
+    const scored = this.scoredListings.get(listingId);
+    if (scored) {
+      // Already fetched for another card, e.g. the results list behind an open map popup
+      scored.placements = [...this.getPlacements(scored).filter(({ card }) => card !== placement.card), placement];
+      this.refreshScores();
+      if (scored.changes) {
+        this.displayChanges(scored);
+      }
+      return Promise.resolve();
+    }
+
+    const { titleAnchor } = placement;
+    this.scoredListings.set(listingId, {
+      listingId,
+      placements: [placement],
+      url: anchorElement.href,
+      title: (titleAnchor.getAttribute('title') || titleAnchor.textContent || listingId).trim(),
+      statistics,
+      daysSincePublished,
+      details: { price: null, area: null, rooms: null, floor: null, pricePerSquareMeter: null, ...details },
+      market: null,
+      isFromCache,
+      changes: null,
+    });
+    this.refreshScores();
+    return this.recordHistory(this.scoredListings.get(listingId));
+  }
+
+  /**
+   * Add the listing's current price and statistics to its history and highlight what changed
+   * @param {Object} listing - Scored listing
+   * @returns {Promise<void>}
+   */
+  async recordHistory(listing) {
+    try {
+      const { record, changes } = await this.history.record({
+        listingId: listing.listingId,
+        url: listing.url,
+        title: listing.title,
+        price: listing.details.price,
+        statistics: listing.statistics,
+      });
+      listing.changes = changes;
+      this.displayChanges(listing);
+      if (record.firstSeen === record.lastSeen || changes.reappeared) {
+        await this.updateHistorySummary();
+      }
+    } catch (error) {
+      this.logger.warn(`Could not update the history of listing ${listing.listingId}:`, error);
+    }
+  }
+
+  async updateHistorySummary() {
+    if (!this.scorePanel) {
+      return;
+    }
+    try {
+      const records = await this.history.getAll();
+      this.scorePanel.setHistorySummary({
+        total: records.length,
+        removed: records.filter(record => record.status === 'removed').length,
+      });
+    } catch (error) {
+      this.logger.warn('Could not read the listing history:', error);
+      this.scorePanel.setHistorySummary(null);
+    }
+  }
+
+  /**
+   * Download the whole listing history
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<number>} Exported listings
+   */
+  async exportHistory(format) {
+    const records = await this.history.getAll();
+    const isCsv = format === 'csv';
+    const content = isCsv ? ListingHistory.toCsv(records) : ListingHistory.toJson(records);
+    const filename = `idealista-listing-history-${new Date().toISOString().slice(0, 10)}.${isCsv ? 'csv' : 'json'}`;
+
+    ExportUtils.downloadFile(content, filename, isCsv ? 'text/csv' : 'application/json');
+
+    this.logger.log(`Exported the history of ${records.length} listings to ${filename}`);
+    return records.length;
+  }
+
+  /**
+   * Open the pages of listings not seen lately to find the ones that were taken down
+   * @returns {Promise<{checked: number, removed: number}>}
+   */
+  async checkUnseenListings() {
+    const records = await this.history.getUnseen(config.history.removalCheckDays);
+    let removed = 0;
+
+    for (const record of records) {
+      try {
+        const html = await this.requestQueue.run(() => this.httpService.get(record.url));
+        if (this.detailsExtractor.isRemovedPage(html)) {
+          await this.history.markRemoved(record.listingId);
+          removed++;
+        } else {
+          await this.history.record({
+            listingId: record.listingId,
+            url: record.url,
+            title: record.title,
+            price: this.detailsExtractor.parseDetailPage(html).price,
+          });
+        }
+      } catch (error) {
+        this.logger.warn(`Could not check listing ${record.listingId}:`, error);
+      }
+    }
+
+    this.logger.log(`Checked ${records.length} unseen listings, ${removed} removed`);
+    await this.updateHistorySummary();
+    return { checked: records.length, removed };
+  }
+
+  formatDate(isoDate) {
+    return isoDate.slice(0, 10);
+  }
+
+  /**
+   * Mark price drops, engagement jumps and reappeared listings on the page
+   * @param {Object} listing - Scored listing with the changes found in its history
+   */
+  displayChanges(listing) {
+    this.getPlacements(listing).forEach(placement => this.displayCardChanges(placement, listing.changes));
+  }
+
+  displayCardChanges(placement, changes) {
+    const { card } = placement;
+    const badgeHost = this.layouts.getBadgeHost(placement);
+    card.classList.toggle('idealista-history-price-drop', Boolean(changes.priceDrop));
+    card.classList.toggle('idealista-history-engagement-jump', Boolean(changes.engagementJump));
+
+    let changesElement = badgeHost.querySelector('.listing-history-badge');
+    if (!changes.priceDrop && !changes.engagementJump && !changes.reappeared) {
+      changesElement?.remove();
+      return;
+    }
+    if (!changesElement) {
+      changesElement = document.createElement('span');
+      changesElement.className = 'listing-history-badge';
+      changesElement.style.marginLeft = '5px';
+      changesElement.style.fontSize = '0.85em';
+      changesElement.style.fontWeight = 'bold';
+      badgeHost.appendChild(changesElement);
+    }
+
+    const labels = [];
+    const lines = [];
+    if (changes.priceDrop) {
+      const { from, to, percent, date } = changes.priceDrop;
+      labels.push(`↓${Math.round(percent)}%`);
+      lines.push(`Price dropped from ${this.formatNumber(from)} € to ${this.formatNumber(to)} € on ${this.formatDate(date)}`);
     }
+    if (changes.engagementJump) {
+      const { from, to, since } = changes.engagementJump;
+      labels.push('🔥');
+      lines.push(`Email contacts + favorites rose from ${from} to ${to} since ${this.formatDate(since)}`);
+    }
+    if (changes.reappeared) {
+      labels.push('↺');
+      lines.push(`Back online on ${this.formatDate(changes.reappeared.date)} after being removed on ${this.formatDate(changes.reappeared.removedAt)}`);
+    }
+    changesElement.textContent = ` ${labels.join(' ')}`;
+    changesElement.style.color = changes.priceDrop ? 'green' : '#d9480f';
+    changesElement.title = lines.join('\n');
+  }
+
+  /**
+   * Get the scored listings still on the page; results pages are replaced without a reload
+   * @returns {Array<Object>}
+   */
+  getPageListings() {
+    return [...this.scoredListings.values()].filter(listing => this.getPlacements(listing).length > 0);
+  }
+
+  /**
+   * Get the cards a listing is still shown in
+   * @param {Object} listing - Scored listing
+   * @returns {Array<Object>} ListingLayouts.resolve() results
+   */
+  getPlacements(listing) {
+    return listing.placements.filter(placement => this.layouts.isConnected(placement));
+  }
+
+  /**
+   * Forget the listing a reused card showed before and remove its badges
+   * @param {Element} card
+   */
+  detachCard(card) {
+    this.scoredListings.forEach((listing) => {
+      const placement = listing.placements.find(candidate => candidate.card === card);
+      if (!placement) {
+        return;
+      }
+      listing.placements = listing.placements.filter(candidate => candidate !== placement);
+      this.layouts.clearBadges(placement);
+      card.classList.remove('idealista-history-price-drop', 'idealista-history-engagement-jump');
+    });
+  }
+
+  focusListing(listing) {
+    // Scroll to the results card rather than a map popup or carousel slide
+    const placements = this.getPlacements(listing);
+    const placement = placements.find(({ layout }) => layout === 'list' || layout === 'favourites') || placements[0];
+    if (!placement) {
+      return;
+    }
+    const target = placement.card;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('idealista-score-highlight');
+    setTimeout(() => target.classList.remove('idealista-score-highlight'), 2000);
+  }
+
+  /**
+   * Describe how each statistic contributed to the score, for the badge tooltip
+   * @param {Object} breakdown - ScoreCalculator.calculateBreakdown() result
+   * @param {number} daysSincePublished
+   * @param {boolean} isFromCache
+   * @returns {string}
+   */
+  formatBreakdown(breakdown, daysSincePublished, isFromCache) {
+    const labels = {
+      visits: 'Visits',
+      friendShares: 'Friend shares',
+      emailContacts: 'Email contacts',
+      favorites: 'Favorites',
+      recency: `Recency (${daysSincePublished} days)`,
+      belowMedianPrice: 'Below page median €/m²',
+      rooms: 'Rooms',
+      floor: 'Floor',
+    };
+    const lines = breakdown.components.map(({ name, value, weight, points }) => {
+      let shownValue = value;
+      if (value === null) {
+        shownValue = 'n/a';
+      } else if (name === 'recency' || name === 'belowMedianPrice') {
+        shownValue = value.toFixed(2);
+      }
+      return `${labels[name]}: ${shownValue} × ${weight} = ${points.toFixed(2)}`;
+    });
+    return [
+      `Score: ${Math.round(breakdown.score)}/100${isFromCache ? ' (cached)' : ''}`,
+      ...lines,
+      `Raw total: ${breakdown.rawScore.toFixed(2)}`,
+    ].join('\n');
   }
 
-  displayScore(anchorElement, score, daysSincePublished, isFromCache) {
-    if (anchorElement.querySelector('.listing-score-badge')) {
-        this.logger.log('Score badge already exists for:', anchorElement.href);
-        return; // Avoid adding multiple badges
+  displayScore(badgeHost, breakdown, daysSincePublished, isFromCache) {
+    let scoreElement = badgeHost.querySelector('.listing-score-badge');
+    if (!scoreElement) {
+      scoreElement = document.createElement('span');
+      scoreElement.className = 'listing-score-badge'; // For styling & identification
+
+      // Basic styling, can be enhanced with StyleManager or GM_addStyle
+      scoreElement.style.fontWeight = 'bold';
+      scoreElement.style.marginLeft = '5px';
+      scoreElement.style.fontSize = '0.9em';
+      badgeHost.appendChild(scoreElement);
     }
 
-    const scoreElement = document.createElement('span');
-    scoreElement.className = 'listing-score-badge'; // For styling & identification
-    scoreElement.textContent = ` (${score.toFixed(2)}) D:${daysSincePublished}`;
-    scoreElement.title = `Score: ${score.toFixed(2)}, Days: ${daysSincePublished}${isFromCache ? ' (cached)' : ''}`;
-    
-    // Basic styling, can be enhanced with StyleManager or GM_addStyle
-    scoreElement.style.color = score > 5 ? 'green' : (score > 2 ? 'orange' : 'red');
-    scoreElement.style.fontWeight = 'bold';
-    scoreElement.style.marginLeft = '5px';
-    scoreElement.style.fontSize = '0.9em';
+    const score = Math.round(breakdown.score);
+    scoreElement.textContent = ` (${score}) D:${daysSincePublished}`;
+    scoreElement.title = this.formatBreakdown(breakdown, daysSincePublished, isFromCache);
+    scoreElement.style.color = ScorePanel.getScoreColor(breakdown.score);
+    this.logger.log(`Displayed score ${score} (Days: ${daysSincePublished})`);
+  }
 
-    anchorElement.appendChild(scoreElement);
-    this.logger.log(`Displayed score ${score.toFixed(2)} (Days: ${daysSincePublished}) for ${anchorElement.href}`);
+  formatNumber(value) {
+    return Math.round(value).toLocaleString('es-ES');
+  }
+
+  /**
+   * Show price per m², the difference from the page median, rooms and floor next to the score badge
+   * @param {Element} badgeHost - Element holding the listing's badges
+   * @param {Object} listing - Scored listing with details and market comparison
+   */
+  displayMarketDetails(badgeHost, listing) {
+    const { details, market } = listing;
+    let marketElement = badgeHost.querySelector('.listing-market-badge');
+    if (details.pricePerSquareMeter === null && details.rooms === null && details.floor === null) {
+      marketElement?.remove();
+      return;
+    }
+    if (!marketElement) {
+      marketElement = document.createElement('span');
+      marketElement.className = 'listing-market-badge';
+      marketElement.style.marginLeft = '5px';
+      marketElement.style.fontSize = '0.85em';
+      badgeHost.appendChild(marketElement);
+    }
+    marketElement.replaceChildren();
+
+    if (details.pricePerSquareMeter !== null) {
+      marketElement.append(` · ${this.formatNumber(details.pricePerSquareMeter)} €/m²`);
+      if (market) {
+        const percent = Math.round(market.difference * 100);
+        const differenceElement = document.createElement('span');
+        differenceElement.className = 'listing-market-difference';
+        differenceElement.textContent = ` ${percent > 0 ? '+' : (percent < 0 ? '−' : '±')}${Math.abs(percent)}%`;
+        differenceElement.style.color = percent < 0 ? 'green' : (percent > 0 ? 'red' : 'inherit');
+        marketElement.appendChild(differenceElement);
+      }
+    }
+    if (details.rooms !== null) {
+      marketElement.append(` · ${details.rooms} rooms`);
+    }
+    if (details.floor !== null) {
+      marketElement.append(` · floor ${details.floor}`);
+    }
+
+    const lines = [
+      `Price: ${details.price !== null ? `${this.formatNumber(details.price)} €` : 'n/a'}`,
+      `Area: ${details.area !== null ? `${details.area} m²` : 'n/a'}`,
+      `Price per m²: ${details.pricePerSquareMeter !== null ? `${this.formatNumber(details.pricePerSquareMeter)} €` : 'n/a'}`,
+    ];
+    if (market) {
+      lines.push(`Median of the other listings on this page: ${this.formatNumber(market.median)} €/m²`);
+    }
+    lines.push(`Rooms: ${details.rooms ?? 'n/a'}`, `Floor: ${details.floor ?? 'n/a'}`);
+    marketElement.title = lines.join('\n');
   }
 
   calculateDaysSincePublished(dateString) {
@@ -0,0 +1,133 @@
+export class ListingDetailsExtractor {
+  constructor(logger, httpService) {
+    this.logger = logger;
+    this.httpService = httpService;
+  }
+
+  /**
+   * Read a number written the Spanish/Portuguese/Italian way ("285.000", "1.250,5")
+   * @param {string} text
+   * @returns {number|null}
+   */
+  parseNumber(text) {
+    const match = (text || '').match(/\d[\d.]*(,\d+)?/);
+    if (!match) {
+      return null;
+    }
+    const number = parseFloat(match[0].replace(/\./g, '').replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Read the floor number from texts like "Planta 2ª exterior", "Bajo", "3º andar" or "Piano terra"
+   * @param {string} text
+   * @returns {number|null} 0 for the ground floor, negative for basements
+   */
+  parseFloor(text) {
+    const numbered = text.match(/planta\s*(-?\d+)|(-?\d+)\s*[ªº]?\s*(?:planta|andar|piano)|piano\s*(-?\d+)|andar\s*(-?\d+)/i);
+    if (numbered) {
+      return parseInt(numbered.slice(1).find(value => value !== undefined), 10);
+    }
+    if (/s[óo]tano|seminterrato|cave/i.test(text)) {
+      return -1;
+    }
+    if (/\bbajo\b|entreplanta|piano terra|rialzato|r[ée]s-do-ch[ãa]o/i.test(text)) {
+      return 0;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the area, rooms and floor out of feature texts ("95 m²", "3 hab.", "Planta 2ª exterior")
+   * @param {Array<string>} texts
+   * @returns {{area: number|null, rooms: number|null, floor: number|null}}
+   */
+  parseFeatures(texts) {
+    const features = { area: null, rooms: null, floor: null };
+    texts.map(text => text.replace(/\s+/g, ' ').trim()).forEach((text) => {
+      if (features.area === null && /m²|m2/i.test(text)) {
+        features.area = this.parseNumber(text.match(/([\d.,]+)\s*m(²|2)/i)?.[1]);
+      } else if (features.rooms === null && /\d+\s*(hab|dorm|quarto|local|camer|stanz)/i.test(text)) {
+        features.rooms = parseInt(text, 10) || this.parseNumber(text);
+      } else if (features.floor === null) {
+        features.floor = this.parseFloor(text);
+      }
+    });
+    return features;
+  }
+
+  /**
+   * Complete parsed details with the price per square metre
+   * @param {{price: number|null, area: number|null, rooms: number|null, floor: number|null}} details
+   * @returns {Object} details with pricePerSquareMeter
+   */
+  withPricePerSquareMeter(details) {
+    const pricePerSquareMeter = details.price && details.area ? Math.round(details.price / details.area) : null;
+    return { ...details, pricePerSquareMeter };
+  }
+
+  /**
+   * Read the details shown on a listing card: search results, map popups, favourites and carousels
+   * @param {HTMLAnchorElement} anchorElement - Link inside the card
+   * @param {Element|null} [card] - The card, when it is not the link's closest article
+   * @returns {Object} {price, area, rooms, floor, pricePerSquareMeter}; unknown values are null
+   */
+  parseCard(anchorElement, card = anchorElement.closest('article, .item')) {
+    if (!card) {
+      return this.withPricePerSquareMeter({ price: null, area: null, rooms: null, floor: null });
+    }
+    const texts = Array.from(card.querySelectorAll('.item-detail-char .item-detail'), element => element.textContent);
+    return this.withPricePerSquareMeter({
+      price: this.parseNumber(card.querySelector('.item-price')?.textContent),
+      ...this.parseFeatures(texts),
+    });
+  }
+
+  /**
+   * Read the details from a listing page
+   * @param {string} html - Listing page HTML
+   * @returns {Object} {price, area, rooms, floor, pricePerSquareMeter}; unknown values are null
+   */
+  parseDetailPage(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const texts = [
+      ...Array.from(doc.querySelectorAll('.info-features > span'), element => element.textContent),
+      ...Array.from(doc.querySelectorAll('.details-property_features li'), element => element.textContent),
+    ];
+    return this.withPricePerSquareMeter({
+      price: this.parseNumber(doc.querySelector('.info-data-price')?.textContent),
+      ...this.parseFeatures(texts),
+    });
+  }
+
+  /**
+   * Check whether card details miss what the price per square metre needs
+   * @param {Object} details
+   * @returns {boolean}
+   */
+  isIncomplete(details) {
+    return details.price === null || details.area === null;
+  }
+
+  /**
+   * Check whether a listing page says the advert is no longer published
+   * @param {string} html - Listing page HTML
+   * @returns {boolean}
+   */
+  isRemovedPage(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (doc.querySelector('.deactivated-detail, .deactivated-detail_container')) {
+      return true;
+    }
+    if (doc.querySelector('.info-data-price')) {
+      return false;
+    }
+    return /ya no está publicado|ha dado de baja|já não está publicado|non è più pubblicato/i.test(doc.body?.textContent || '');
+  }
+
+  async extractDetails(url) {
+    this.logger.log(`Fetching listing page for details: ${url}`);
+    const html = await this.httpService.get(url);
+    return this.parseDetailPage(html);
+  }
+}
@@ -0,0 +1,173 @@
+import ExportUtils from '../../../common/core/utils/ExportUtils.js';
+import { config } from '../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * History of every listing the analyzer has seen.
+ *
+ * A record holds the listing's status and a list of snapshots ({date, price, visits, friendShares,
+ * emailContacts, favorites}); a snapshot is only added when one of those values changed since the last one.
+ * A listing is 'removed' once its page says it is no longer published and 'active' again when it reappears.
+ */
+export class ListingHistory {
+  static SNAPSHOT_FIELDS = ['price', 'visits', 'friendShares', 'emailContacts', 'favorites'];
+  static CSV_COLUMNS = [
+    'listingId', 'url', 'title', 'status', 'firstSeen', 'lastSeen', 'removedAt', 'reappearedAt',
+    'date', 'price', 'visits', 'friendShares', 'emailContacts', 'favorites',
+  ];
+
+  constructor(logger, store) {
+    this.logger = logger;
+    this.store = store;
+  }
+
+  /**
+   * Store what is currently known about a listing
+   * @param {Object} listing
+   * @param {string} listing.listingId
+   * @param {string} listing.url
+   * @param {string} listing.title
+   * @param {number|null} [listing.price] - null keeps the last known price
+   * @param {Object|null} [listing.statistics] - null keeps the last known statistics
+   * @param {Date} [now]
+   * @returns {Promise<{record: Object, changes: Object}>} changes as returned by detectChanges()
+   */
+  async record({ listingId, url, title, price = null, statistics = null }, now = new Date()) {
+    const date = now.toISOString();
+    const record = await this.store.update(listingId, (stored) => {
+      const updated = stored || {
+        listingId,
+        url,
+        title,
+        status: 'active',
+        firstSeen: date,
+        lastSeen: date,
+        removedAt: null,
+        reappearedAt: null,
+        snapshots: [],
+      };
+
+      updated.url = url || updated.url;
+      updated.title = title || updated.title;
+      updated.lastSeen = date;
+      if (updated.status === 'removed') {
+        updated.status = 'active';
+        updated.reappearedAt = date;
+        this.logger.log(`Listing ${listingId} reappeared`);
+      }
+
+      const last = updated.snapshots[updated.snapshots.length - 1] || {};
+      const snapshot = { date, price: price ?? last.price ?? null };
+      ['visits', 'friendShares', 'emailContacts', 'favorites'].forEach((field) => {
+        snapshot[field] = statistics?.[field] ?? last[field] ?? null;
+      });
+      if (ListingHistory.SNAPSHOT_FIELDS.some(field => snapshot[field] !== (last[field] ?? null))) {
+        updated.snapshots.push(snapshot);
+      }
+      return updated;
+    });
+
+    return { record, changes: this.detectChanges(record, now) };
+  }
+
+  async markRemoved(listingId, now = new Date()) {
+    return this.store.update(listingId, (record) => {
+      if (!record || record.status === 'removed') {
+        return null;
+      }
+      record.status = 'removed';
+      record.removedAt = now.toISOString();
+      this.logger.log(`Listing ${listingId} marked as removed`);
+      return record;
+    });
+  }
+
+  /**
+   * Find what is worth highlighting in a record
+   * @param {Object} record
+   * @param {Date} [now]
+   * @returns {{priceDrop: Object|null, engagementJump: Object|null, reappeared: Object|null}}
+   *     Changes older than config.history.highlightDays are left out
+   */
+  detectChanges(record, now = new Date()) {
+    const isRecent = date => now - new Date(date) <= config.history.highlightDays * DAY_MS;
+    const snapshots = record.snapshots;
+
+    // The last time the price changed
+    let priceDrop = null;
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const { price, date } = snapshots[i];
+      const previousPrice = snapshots[i - 1].price;
+      if (price === null || previousPrice === null || price === previousPrice) {
+        continue;
+      }
+      if (price < previousPrice && isRecent(date)) {
+        priceDrop = { from: previousPrice, to: price, percent: (previousPrice - price) / previousPrice * 100, date };
+      }
+      break;
+    }
+
+    let engagementJump = null;
+    const latest = snapshots[snapshots.length - 1];
+    const previous = snapshots[snapshots.length - 2];
+    // A snapshot from before the statistics were known is no baseline
+    if (latest && previous && previous.favorites !== null && isRecent(latest.date)) {
+      const engagement = snapshot => (snapshot.emailContacts || 0) + (snapshot.favorites || 0);
+      const increase = engagement(latest) - engagement(previous);
+      const percent = engagement(previous) > 0 ? increase / engagement(previous) * 100 : Infinity;
+      if (increase >= config.history.engagementJumpMinIncrease && percent >= config.history.engagementJumpMinPercent) {
+        engagementJump = { from: engagement(previous), to: engagement(latest), since: previous.date, date: latest.date };
+      }
+    }
+
+    return {
+      priceDrop,
+      engagementJump,
+      reappeared: record.status === 'active' && record.reappearedAt !== null && isRecent(record.reappearedAt)
+        ? { removedAt: record.removedAt, date: record.reappearedAt }
+        : null,
+    };
+  }
+
+  getAll() {
+    return this.store.getAll();
+  }
+
+  /**
+   * Get the active listings not seen for at least a number of days
+   * @param {number} days
+   * @param {Date} [now]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getUnseen(days, now = new Date()) {
+    const records = await this.store.getAll();
+    return records.filter(record => record.status === 'active' && now - new Date(record.lastSeen) >= days * DAY_MS);
+  }
+
+  /**
+   * Convert records to CSV, one row per snapshot
+   * @param {Array<Object>} records
+   * @returns {string}
+   */
+  static toCsv(records) {
+    const rows = [ListingHistory.CSV_COLUMNS];
+
+    records.forEach((record) => {
+      const listingColumns = [record.listingId, record.url, record.title, record.status, record.firstSeen,
+        record.lastSeen, record.removedAt, record.reappearedAt];
+      if (!record.snapshots.length) {
+        rows.push([...listingColumns, '', '', '', '', '', '']);
+      }
+      record.snapshots.forEach((snapshot) => {
+        rows.push([...listingColumns, snapshot.date, snapshot.price, snapshot.visits, snapshot.friendShares,
+          snapshot.emailContacts, snapshot.favorites]);
+      });
+    });
+    return rows.map(row => ExportUtils.toCsvRow(row)).join('\n');
+  }
+
+  static toJson(records) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), listings: records }, null, 2);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * IndexedDB store for listing history records, keyed by listing ID.
+ * localStorage would run out of room once a few hundred listings carry snapshots.
+ */
+export class ListingHistoryStore {
+  static DB_NAME = 'idealista-house-listing-analyzer';
+  static DB_VERSION = 1;
+  static STORE_NAME = 'listings';
+
+  constructor(logger, indexedDBFactory = globalThis.indexedDB) {
+    this.logger = logger;
+    this.indexedDB = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = this.indexedDB.open(ListingHistoryStore.DB_NAME, ListingHistoryStore.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(ListingHistoryStore.STORE_NAME, { keyPath: 'listingId' });
+          store.createIndex('lastSeen', 'lastSeen');
+          this.logger.log('Created the listing history database');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again after a failed open
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the listings store
+   * @param {IDBTransactionMode} mode
+   * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>} The request result, once the transaction completes
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ListingHistoryStore.STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(ListingHistoryStore.STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(listingId) {
+    return (await this.run('readonly', store => store.get(listingId))) || null;
+  }
+
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Read and write back a record in one transaction, so overlapping updates of a listing can't overwrite each other
+   * @param {string} listingId
+   * @param {Function} change - Called synchronously with the stored record or null; returns the record to store,
+   *     or null to leave it as it is
+   * @returns {Promise<Object|null>} The record as stored once the transaction completes
+   */
+  async update(listingId, change) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ListingHistoryStore.STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(ListingHistoryStore.STORE_NAME);
+      let record = null;
+      const request = store.get(listingId);
+      request.onsuccess = () => {
+        record = request.result || null;
+        try {
+          const changed = change(record);
+          if (changed) {
+            record = changed;
+            store.put(record);
+          }
+        } catch (error) {
+          transaction.abort();
+          reject(error);
+        }
+      };
+      transaction.oncomplete = () => resolve(record);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
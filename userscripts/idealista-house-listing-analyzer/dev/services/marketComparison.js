@@ -0,0 +1,48 @@
+export class MarketComparison {
+  // Fewer listings with a known price per m² than this give no median
+  static MIN_SAMPLE = 3;
+
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Compare each listing's price per m² with the median of the other listings on the page
+   * @param {Array<{listingId: string, pricePerSquareMeter: number|null}>} listings
+   * @returns {{median: number|null, count: number, listings: Map<string, {median: number, difference: number}>}}
+   *     difference is the fraction above (positive) or below (negative) the median of the others
+   */
+  compare(listings) {
+    const known = listings.filter(listing => Number.isFinite(listing.pricePerSquareMeter));
+    const result = {
+      median: known.length >= MarketComparison.MIN_SAMPLE ? this.median(known.map(listing => listing.pricePerSquareMeter)) : null,
+      count: known.length,
+      listings: new Map(),
+    };
+
+    // Each listing also needs MIN_SAMPLE others to compare with
+    if (known.length <= MarketComparison.MIN_SAMPLE) {
+      return result;
+    }
+
+    known.forEach((listing) => {
+      const others = known.filter(other => other !== listing).map(other => other.pricePerSquareMeter);
+      const median = this.median(others);
+      result.listings.set(listing.listingId, {
+        median,
+        difference: (listing.pricePerSquareMeter - median) / median,
+      });
+    });
+    this.logger.log(`Compared ${known.length} listings with a page median of ${result.median} €/m²`);
+    return result;
+  }
+}
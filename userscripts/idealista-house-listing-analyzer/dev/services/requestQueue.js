@@ -0,0 +1,31 @@
+import { AsyncQueueService } from '../../../common/core/index.js';
+
+/**
+ * Single queue for every request the analyzer sends to Idealista, so a map full of popups or a
+ * page of carousels is fetched at the same pace as one results page.
+ */
+export class RequestQueue {
+  constructor(logger, { delayMs = 0, concurrency = 1 } = {}, queue = new AsyncQueueService(delayMs, concurrency)) {
+    this.logger = logger;
+    this.queue = queue;
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} request - Async function sending the request
+   * @param {{priority?: number}} [options] - Higher priority requests run first
+   * @returns {Promise<*>} Settles with the request's result once it has run
+   */
+  run(request, { priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      // Failures are handed back to the caller instead of being retried by the queue
+      this.queue.add(async () => {
+        try {
+          resolve(await request());
+        } catch (error) {
+          reject(error);
+        }
+      }, { priority, retries: 0 });
+    });
+  }
+}
@@ -1,25 +1,85 @@
 import { config } from '../config.js';
 
 export class ScoreCalculator {
-  constructor(logger) {
+  static COMPONENTS = ['visits', 'friendShares', 'emailContacts', 'favorites', 'recency'];
+  // Listing detail factors, only part of the score while their weight is not 0
+  static OPTIONAL_COMPONENTS = ['belowMedianPrice', 'rooms', 'floor'];
+
+  constructor(logger, settings = {}) {
     this.logger = logger;
+    this.setSettings(settings);
+  }
+
+  /**
+   * Replace the weights and recency decay rate; missing values fall back to config.js
+   * @param {{weights?: Object, recencyDecayRate?: number}} settings
+   */
+  setSettings({ weights = {}, recencyDecayRate } = {}) {
+    this.weights = { ...config.weights, ...weights };
+    this.recencyDecayRate = Number.isFinite(recencyDecayRate) ? recencyDecayRate : config.recencyDecayRate;
+  }
+
+  /**
+   * Map a raw weighted score onto 0–100 with a saturating curve, so scores stay
+   * comparable across pages without knowing the best listing in advance
+   * @param {number} rawScore
+   * @returns {number}
+   */
+  normalize(rawScore) {
+    if (rawScore <= 0) {
+      return 0;
+    }
+    return 100 * (1 - Math.exp(-rawScore / config.scoreScale));
   }
+
+  /**
+   * Score a listing and report what each statistic contributed
+   * @param {{visits, friendShares, emailContacts, favorites}} statistics
+   * @param {number} daysSincePublished
+   * @param {{rooms?: number, floor?: number, priceDifference?: number}} [details] - priceDifference is the
+   *     fraction above (positive) or below (negative) the page median price per m²
+   * @returns {{score: number, rawScore: number, components: Array<{name: string, value: number|null, weight: number, points: number}>}}
+   *     value is null for a detail factor the listing does not show
+   */
+  calculateBreakdown(statistics, daysSincePublished, details = {}) {
+    const values = {
+      visits: parseInt(statistics.visits, 10) || 0,
+      friendShares: parseInt(statistics.friendShares, 10) || 0,
+      emailContacts: parseInt(statistics.emailContacts, 10) || 0,
+      favorites: parseInt(statistics.favorites, 10) || 0,
+      // recency decays over time
+      recency: Math.exp(-this.recencyDecayRate * (daysSincePublished || 0)),
+      // Capped so one mispriced listing cannot outweigh the engagement statistics
+      belowMedianPrice: Number.isFinite(details.priceDifference) ? Math.max(-1, Math.min(1, -details.priceDifference)) : null,
+      rooms: Number.isFinite(details.rooms) ? details.rooms : null,
+      floor: Number.isFinite(details.floor) ? details.floor : null,
+    };
+
+    const names = [
+      ...ScoreCalculator.COMPONENTS,
+      ...ScoreCalculator.OPTIONAL_COMPONENTS.filter(name => this.weights[name]),
+    ];
+    const components = names.map(name => ({
+      name,
+      value: values[name],
+      weight: this.weights[name],
+      points: (values[name] ?? 0) * this.weights[name],
+    }));
+    const rawScore = components.reduce((sum, component) => sum + component.points, 0);
+
+    return { score: this.normalize(rawScore), rawScore, components };
+  }
+
   calculateScore(
     visits, friendShares, emailContacts, favorites, daysSincePublished,
   ) {
-    const weights = config.weights;
-    const recencyFactor = Math.exp(-0.1 * daysSincePublished); // recency decays over time
-
-    const score = (
-      (parseInt(visits, 10) || 0) * weights.visits +
-      (parseInt(friendShares, 10) || 0) * weights.friendShares +
-      (parseInt(emailContacts, 10) || 0) * weights.emailContacts +
-      (parseInt(favorites, 10) || 0) * weights.favorites +
-      recencyFactor * weights.recency
+    const { score, rawScore } = this.calculateBreakdown(
+      { visits, friendShares, emailContacts, favorites },
+      daysSincePublished,
     );
     this.logger.log(
-        `Calculated score: ${score} (visits: ${visits}, friendShares: ${friendShares}, emailContacts: ${emailContacts}, favorites: ${favorites}, daysSincePublished: ${daysSincePublished}, recencyFactor: ${recencyFactor})`
+        `Calculated score: ${score} (raw: ${rawScore}, visits: ${visits}, friendShares: ${friendShares}, emailContacts: ${emailContacts}, favorites: ${favorites}, daysSincePublished: ${daysSincePublished}, recencyDecayRate: ${this.recencyDecayRate})`
     );
     return score;
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,119 @@
+export const LISTING_LINK_SELECTOR = 'a[href*="/inmueble/"]';
+
+/**
+ * Where listing links appear and where their badges go.
+ *
+ * Layouts are tried in order and the first one containing the link wins. 'inline' badges are appended
+ * to the card's title link, like on the results list; 'block' badges get their own line in the card,
+ * because map popups and carousel slides are too narrow for the title to carry them.
+ */
+export class ListingLayouts {
+  static LAYOUTS = [
+    {
+      name: 'map',
+      card: '.leaflet-popup-content, .gm-style-iw, .map-item, .mapPopup, .map-popup',
+      badges: 'block',
+      // Opened by the user, who is waiting for it
+      priority: 1,
+    },
+    {
+      name: 'carousel',
+      card: '.swiper-slide, .carousel-item, .related-ads article, .similar-ads article',
+      badges: 'block',
+      priority: 0,
+    },
+    {
+      name: 'favourites',
+      card: '.favorite-item, .favourite-item, .favorites-list article, .favoritos article',
+      badges: 'inline',
+      priority: 0,
+    },
+    {
+      name: 'list',
+      card: 'article, .item',
+      badges: 'inline',
+      priority: 0,
+    },
+  ];
+
+  /**
+   * Find the layout a listing link belongs to
+   * @param {HTMLAnchorElement} anchorElement
+   * @returns {{layout: string, card: Element, titleAnchor: HTMLAnchorElement, badges: string, priority: number}}
+   *     A link outside every known card is its own card and carries its badges itself
+   */
+  resolve(anchorElement) {
+    for (const layout of ListingLayouts.LAYOUTS) {
+      const card = anchorElement.closest(layout.card);
+      if (card) {
+        return {
+          layout: layout.name,
+          card,
+          titleAnchor: this.findTitleAnchor(card, anchorElement),
+          badges: layout.badges,
+          priority: layout.priority,
+        };
+      }
+    }
+    return { layout: 'link', card: anchorElement, titleAnchor: anchorElement, badges: 'inline', priority: 0 };
+  }
+
+  /**
+   * Pick the link showing the listing title; cards also link their photos and contact buttons to the listing
+   * @param {Element} card
+   * @param {HTMLAnchorElement} anchorElement - Link that led to the card
+   * @returns {HTMLAnchorElement}
+   */
+  findTitleAnchor(card, anchorElement) {
+    const titleLink = card.querySelector('a.item-link');
+    if (titleLink) {
+      return titleLink;
+    }
+    const links = Array.from(card.querySelectorAll(LISTING_LINK_SELECTOR));
+    return links.find(link => link.getAttribute('title') || link.textContent.trim()) || anchorElement;
+  }
+
+  /**
+   * Check whether a placement's badges can still be shown; pages replace cards and their contents without a reload
+   * @param {Object} placement - resolve() result
+   * @returns {boolean}
+   */
+  isConnected({ card, titleAnchor, badges }) {
+    return card.isConnected && (badges === 'block' || card.contains(titleAnchor));
+  }
+
+  /**
+   * Get the element holding a placement's badges, adding the badge line to a 'block' card when it is missing
+   * @param {Object} placement - resolve() result
+   * @returns {Element}
+   */
+  getBadgeHost({ card, titleAnchor, badges }) {
+    if (badges !== 'block') {
+      return titleAnchor;
+    }
+    let block = this.findBadgeBlock(card);
+    if (!block) {
+      block = document.createElement('div');
+      block.className = 'listing-badges';
+      card.appendChild(block);
+    }
+    return block;
+  }
+
+  findBadgeBlock(card) {
+    return Array.from(card.children).find(child => child.classList.contains('listing-badges')) || null;
+  }
+
+  /**
+   * Remove a placement's badges
+   * @param {Object} placement - resolve() result
+   */
+  clearBadges({ card, titleAnchor, badges }) {
+    if (badges === 'block') {
+      this.findBadgeBlock(card)?.remove();
+      return;
+    }
+    titleAnchor.querySelectorAll('.listing-score-badge, .listing-market-badge, .listing-history-badge')
+      .forEach(badge => badge.remove());
+  }
+}
@@ -0,0 +1,357 @@
+import { Button, Input, SelectBox, SidebarPanel, Slider, StyleManager } from '../../../common/core/index.js';
+
+const WEIGHT_FIELDS = [
+  { name: 'WEIGHT_VISITS', label: 'Visits', step: '0.0001' },
+  { name: 'WEIGHT_FRIEND_SHARES', label: 'Friend shares', step: '0.05' },
+  { name: 'WEIGHT_EMAIL_CONTACTS', label: 'Email contacts', step: '0.05' },
+  { name: 'WEIGHT_FAVORITES', label: 'Favorites', step: '0.05' },
+  { name: 'WEIGHT_RECENCY', label: 'Recency', step: '0.05' },
+];
+
+// Listing detail factors; 0 leaves them out of the score
+const OPTIONAL_WEIGHT_FIELDS = [
+  { name: 'WEIGHT_BELOW_MEDIAN_PRICE', label: 'Below page median €/m²', step: '1' },
+  { name: 'WEIGHT_ROOMS', label: 'Rooms', step: '0.5' },
+  { name: 'WEIGHT_FLOOR', label: 'Floor', step: '0.5' },
+];
+
+/**
+ * Side panel with the scoring settings and a sortable ranking of the scored listings on the page
+ */
+export class ScorePanel {
+  static SORT_OPTIONS = [
+    { value: 'score', label: 'Score' },
+    { value: 'visits', label: 'Visits' },
+    { value: 'emailContacts', label: 'Email contacts' },
+    { value: 'favorites', label: 'Favorites' },
+    { value: 'newest', label: 'Newest' },
+    { value: 'pricePerSquareMeter', label: 'Cheapest €/m²' },
+  ];
+
+  /**
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {Object} options.settings - Current settings, {SETTING_NAME: value}
+   * @param {Function} options.onSettingChange - Called with (name, value) when a control changes
+   * @param {Function} options.onReset - Called when the defaults are restored
+   * @param {Function} options.onSelect - Called with the ranked listing the user clicked
+   * @param {Function} options.onExportHistory - Called with 'csv' or 'json', resolves with the exported count
+   * @param {Function} options.onCheckUnseen - Resolves with {checked, removed}
+   */
+  constructor(logger, { settings, onSettingChange, onReset, onSelect, onExportHistory, onCheckUnseen }) {
+    this.logger = logger;
+    this.settings = settings;
+    this.onSettingChange = onSettingChange;
+    this.onReset = onReset;
+    this.onSelect = onSelect;
+    this.onExportHistory = onExportHistory;
+    this.onCheckUnseen = onCheckUnseen;
+    this.sortKey = 'score';
+    this.listings = [];
+    this.controls = {};
+    this.listElement = null;
+    this.summaryElement = null;
+    this.marketSummary = { median: null, count: 0 };
+    this.historyElement = null;
+    this.historySummary = undefined;
+  }
+
+  /**
+   * Order listings by a sort option; ties keep the higher score first
+   * @param {Array<Object>} listings - Entries with {breakdown, statistics, daysSincePublished, details}
+   * @param {string} sortKey - One of SORT_OPTIONS
+   * @returns {Array<Object>} Sorted copy
+   */
+  static sortListings(listings, sortKey) {
+    const valueOf = (listing) => {
+      if (sortKey === 'score') return listing.breakdown.score;
+      if (sortKey === 'newest') return -listing.daysSincePublished;
+      // Listings without a price per m² go last
+      if (sortKey === 'pricePerSquareMeter') return -(listing.details?.pricePerSquareMeter ?? Infinity);
+      return parseInt(listing.statistics[sortKey], 10) || 0;
+    };
+    return [...listings].sort((a, b) => (valueOf(b) - valueOf(a)) || (b.breakdown.score - a.breakdown.score));
+  }
+
+  async init() {
+    StyleManager.addStyles(`
+      .idealista-score-panel h3 { margin: 16px 0 8px; font-size: 15px; }
+      .idealista-score-ranking { list-style: none; margin: 8px 0 0; padding: 0; }
+      .idealista-score-ranking li { display: flex; gap: 8px; align-items: flex-start; padding: 6px 4px; border-bottom: 1px solid #eee; cursor: pointer; }
+      .idealista-score-ranking li:hover { background: #f5f5f5; }
+      .idealista-score-ranking-score { min-width: 32px; font-weight: bold; text-align: right; }
+      .idealista-score-ranking-title { display: block; font-size: 13px; }
+      .idealista-score-ranking-stats { display: block; font-size: 11px; color: #666; }
+      .idealista-score-ranking-empty { font-size: 13px; color: #666; }
+      .idealista-score-panel h4 { margin: 12px 0 6px; font-size: 13px; }
+      .idealista-score-market-summary { margin: 8px 0 0; font-size: 12px; color: #444; }
+      .idealista-score-history-summary { margin: 0 0 8px; font-size: 12px; color: #444; }
+      .idealista-history-price-drop { box-shadow: inset 4px 0 0 #2b8a3e; }
+      .idealista-history-engagement-jump { box-shadow: inset 4px 0 0 #d9480f; }
+      .idealista-history-price-drop.idealista-history-engagement-jump { box-shadow: inset 4px 0 0 #2b8a3e, inset 8px 0 0 #d9480f; }
+      .idealista-score-highlight { outline: 3px solid #625df5; outline-offset: 2px; transition: outline-color 0.3s; }
+      .listing-badges { display: block; margin-top: 4px; line-height: 1.3; white-space: normal; }
+      .listing-badges > span:first-child { margin-left: 0 !important; }
+    `, 'idealista-score-panel-styles');
+
+    this.sidebarPanel = new SidebarPanel({
+      id: 'idealista-score-panel',
+      title: '🏠 Listing Scores',
+      position: 'right',
+      buttonIcon: '🏠',
+      content: {
+        generator: () => this.createContent(),
+      },
+      style: {
+        width: '360px',
+      },
+      rememberState: true,
+    });
+    await this.sidebarPanel.init();
+    this.logger.log('Score panel created');
+  }
+
+  createContent() {
+    const container = document.createElement('div');
+    container.className = 'idealista-score-panel';
+
+    const settingsTitle = document.createElement('h3');
+    settingsTitle.textContent = 'Scoring';
+    container.appendChild(settingsTitle);
+
+    WEIGHT_FIELDS.forEach(field => this.createWeightInput(field, container));
+
+    this.controls.RECENCY_DECAY_RATE = new Slider({
+      label: 'Recency decay per day',
+      min: 0,
+      max: 1,
+      step: 0.01,
+      value: this.settings.RECENCY_DECAY_RATE,
+      size: 'small',
+      container,
+      onChange: (value) => this.onSettingChange('RECENCY_DECAY_RATE', value),
+    });
+
+    const optionalTitle = document.createElement('h4');
+    optionalTitle.textContent = 'Listing details (optional)';
+    container.appendChild(optionalTitle);
+    OPTIONAL_WEIGHT_FIELDS.forEach(field => this.createWeightInput(field, container));
+
+    new Button({
+      text: 'Reset to defaults',
+      size: 'small',
+      container,
+      onClick: () => this.onReset(),
+    });
+
+    const rankingTitle = document.createElement('h3');
+    rankingTitle.textContent = 'Ranking';
+    container.appendChild(rankingTitle);
+
+    new SelectBox({
+      items: ScorePanel.SORT_OPTIONS.map(option => ({ ...option, selected: option.value === this.sortKey })),
+      name: 'idealista-score-sort',
+      label: 'Sort by',
+      size: 'small',
+      container,
+      onChange: (value) => {
+        this.sortKey = value;
+        this.renderRanking();
+      },
+    });
+
+    this.summaryElement = document.createElement('p');
+    this.summaryElement.className = 'idealista-score-market-summary';
+    container.appendChild(this.summaryElement);
+    this.renderMarketSummary();
+
+    this.listElement = document.createElement('ol');
+    this.listElement.className = 'idealista-score-ranking';
+    container.appendChild(this.listElement);
+    this.renderRanking();
+
+    this.createHistorySection(container);
+
+    return container;
+  }
+
+  createHistorySection(container) {
+    const historyTitle = document.createElement('h3');
+    historyTitle.textContent = 'History';
+    container.appendChild(historyTitle);
+
+    this.historyElement = document.createElement('p');
+    this.historyElement.className = 'idealista-score-history-summary';
+    container.appendChild(this.historyElement);
+    this.renderHistorySummary();
+
+    ['csv', 'json'].forEach((format) => {
+      const text = `Export ${format.toUpperCase()}`;
+      const exportButton = new Button({
+        text,
+        size: 'small',
+        container,
+        onClick: async () => {
+          try {
+            const exported = await this.onExportHistory(format);
+            exportButton.setText(`Exported ${exported}`);
+          } catch (error) {
+            this.logger.error('Error exporting the history:', error);
+            exportButton.setText('Export failed');
+          }
+          setTimeout(() => exportButton.setText(text), 3000);
+        },
+      });
+    });
+
+    const checkButton = new Button({
+      text: 'Check unseen listings',
+      size: 'small',
+      container,
+      onClick: async () => {
+        checkButton.setDisabled(true);
+        checkButton.setText('Checking…');
+        try {
+          const { checked, removed } = await this.onCheckUnseen();
+          checkButton.setText(`Checked ${checked}, ${removed} removed`);
+        } catch (error) {
+          this.logger.error('Error checking unseen listings:', error);
+          checkButton.setText('Check failed');
+        }
+        checkButton.setDisabled(false);
+        setTimeout(() => checkButton.setText('Check unseen listings'), 3000);
+      },
+    });
+  }
+
+  /**
+   * Show how many listings the history holds
+   * @param {{total: number, removed: number}|null} summary - null when the history cannot be read
+   */
+  setHistorySummary(summary) {
+    this.historySummary = summary;
+    this.renderHistorySummary();
+  }
+
+  renderHistorySummary() {
+    if (!this.historyElement) {
+      return;
+    }
+    if (this.historySummary === undefined) {
+      this.historyElement.textContent = 'Loading the listing history…';
+    } else if (this.historySummary === null) {
+      this.historyElement.textContent = 'The listing history is not available in this browser.';
+    } else {
+      this.historyElement.textContent = `${this.historySummary.total} listings tracked, ${this.historySummary.removed} removed`;
+    }
+  }
+
+  createWeightInput({ name, label, step }, container) {
+    this.controls[name] = new Input({
+      type: 'number',
+      label: `${label} weight`,
+      value: String(this.settings[name]),
+      min: '0',
+      step,
+      size: 'small',
+      container,
+      onChange: (event) => {
+        const value = parseFloat(event.target.value);
+        if (Number.isFinite(value) && value >= 0) {
+          this.onSettingChange(name, value);
+        }
+      },
+    });
+  }
+
+  /**
+   * Show new setting values in the controls, e.g. after a reset
+   * @param {Object} settings - {SETTING_NAME: value}
+   */
+  setSettings(settings) {
+    this.settings = settings;
+    Object.entries(this.controls).forEach(([name, control]) => {
+      control.setValue(name === 'RECENCY_DECAY_RATE' ? settings[name] : String(settings[name]));
+    });
+  }
+
+  /**
+   * Replace the ranked listings
+   * @param {Array<Object>} listings - Entries with {title, url, statistics, daysSincePublished, breakdown}
+   */
+  setListings(listings) {
+    this.listings = listings;
+    this.renderRanking();
+  }
+
+  /**
+   * Show the median price per m² of the listings on the page
+   * @param {number|null} median - null when too few listings show a price and area
+   * @param {number} count - Listings with a known price per m²
+   */
+  setMarketSummary(median, count) {
+    this.marketSummary = { median, count };
+    this.renderMarketSummary();
+  }
+
+  renderMarketSummary() {
+    if (!this.summaryElement) {
+      return;
+    }
+    const { median, count } = this.marketSummary;
+    this.summaryElement.textContent = median === null
+      ? 'Page median €/m²: waiting for more listings with a price and area.'
+      : `Page median: ${Math.round(median).toLocaleString('es-ES')} €/m² (${count} listings)`;
+  }
+
+  renderRanking() {
+    if (!this.listElement) {
+      return;
+    }
+    this.listElement.replaceChildren();
+
+    if (this.listings.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'idealista-score-ranking-empty';
+      empty.textContent = 'No scored listings on this page yet.';
+      this.listElement.appendChild(empty);
+      return;
+    }
+
+    ScorePanel.sortListings(this.listings, this.sortKey).forEach((listing) => {
+      const item = document.createElement('li');
+      item.title = listing.url;
+
+      const score = document.createElement('span');
+      score.className = 'idealista-score-ranking-score';
+      score.textContent = Math.round(listing.breakdown.score);
+      score.style.color = ScorePanel.getScoreColor(listing.breakdown.score);
+
+      const details = document.createElement('span');
+      const title = document.createElement('span');
+      title.className = 'idealista-score-ranking-title';
+      title.textContent = listing.title;
+      const stats = document.createElement('span');
+      stats.className = 'idealista-score-ranking-stats';
+      const { visits, emailContacts, favorites } = listing.statistics;
+      const pricePerSquareMeter = listing.details?.pricePerSquareMeter;
+      stats.textContent = [
+        `${visits} visits · ${emailContacts} contacts · ${favorites} favorites · ${listing.daysSincePublished}d`,
+        ...(pricePerSquareMeter ? [`${Math.round(pricePerSquareMeter).toLocaleString('es-ES')} €/m²`] : []),
+      ].join(' · ');
+      details.append(title, stats);
+
+      item.append(score, details);
+      item.addEventListener('click', () => this.onSelect(listing));
+      this.listElement.appendChild(item);
+    });
+  }
+
+  /**
+   * @param {number} score - Normalised 0–100 score
+   * @returns {string} CSS colour
+   */
+  static getScoreColor(score) {
+    return score >= 60 ? 'green' : (score >= 30 ? 'orange' : 'red');
+  }
+}
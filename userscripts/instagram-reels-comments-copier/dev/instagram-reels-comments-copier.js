@@ -7,9 +7,12 @@ import {
     PollingStrategy,
     ClipboardService,
     HTMLUtils,
-    ViewportStabilizer
+    SettingsBackupService,
+    ViewportStabilizer,
+    ExportUtils
 } from "../../common/core";
 import { getValue, setValue } from "../../common/core/utils/GMFunctions";
+import CommentThread from "./utils/CommentThread";
 
 // Basic logger setup
 Logger.setPrefix("IG Reels Comments");
@@ -27,7 +30,8 @@ const DEFAULT_SETTINGS = {
     attachObserver: true,
     maxScrollRounds: 40,
     scrollDelay: 650,
-    scrollStep: 800
+    scrollStep: 800,
+    exportFormat: "text"
 };
 
 class InstagramReelsCommentsCopier {
@@ -57,6 +61,11 @@ class InstagramReelsCommentsCopier {
         this.networkPatched = false;
         this.containerLocatorInterval = null;
         this.globalObserver = null;
+        this.settingsBackup = new SettingsBackupService({
+            script: "Instagram Reels Comments Copier",
+            keys: { SETTINGS: SETTINGS_KEY },
+            defaults: { SETTINGS: DEFAULT_SETTINGS }
+        });
 
         this.init();
     }
@@ -106,6 +115,7 @@ class InstagramReelsCommentsCopier {
             .${base}-stat { font-size: 13px; color: #222; margin: 4px 0; font-weight: 500; }
             .${base}-badge { display: inline-flex; align-items: center; gap: 4px; padding: 4px 8px; border-radius: 8px; background: #eef0f5; color: #111; margin-right: 6px; border: 1px solid #d8dce5; }
             .${base}-tag { font-size: 12px; color: #222; background: #e6edff; padding: 2px 6px; border-radius: 6px; }
+            .${base}-options select { padding: 4px; border: 1px solid #cfd3dc; border-radius: 6px; }
             .${base}-hint { font-size: 12px; color: #333; margin-top: 8px; line-height: 1.5; }
             .${base}-content { color: #111; }
             .${base}-content input, .${base}-content label { color: #111; }
@@ -145,6 +155,7 @@ class InstagramReelsCommentsCopier {
                 <button data-action="scroll">Start auto-scroll</button>
                 <button data-action="stop" disabled>Stop</button>
                 <button data-action="copy">Copy</button>
+                <button data-action="download">Download</button>
                 <button data-action="clear">Clear</button>
             </div>
             <div class="${PANEL_NAMESPACE}-section ${PANEL_NAMESPACE}-options">
@@ -154,6 +165,11 @@ class InstagramReelsCommentsCopier {
                 <label><input type="checkbox" data-setting="includeReplies"> Include replies</label>
                 <label><input type="checkbox" data-setting="dedupe"> Deduplicate</label>
                 <label><input type="checkbox" data-setting="autoCopyOnFinish"> Auto-copy when scroll stops</label>
+                <label>Format
+                    <select data-setting="exportFormat">
+                        ${Object.entries(CommentThread.FORMATS).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join("")}
+                    </select>
+                </label>
                 <div class="${PANEL_NAMESPACE}-row">
                     <label>Max scroll rounds <input type="number" min="1" max="300" step="1" data-setting="maxScrollRounds"></label>
                     <label>Scroll delay (ms) <input type="number" min="200" max="5000" step="50" data-setting="scrollDelay"></label>
@@ -180,6 +196,7 @@ class InstagramReelsCommentsCopier {
                 scroll: wrapper.querySelector('button[data-action="scroll"]'),
                 stop: wrapper.querySelector('button[data-action="stop"]'),
                 copy: wrapper.querySelector('button[data-action="copy"]'),
+                download: wrapper.querySelector('button[data-action="download"]'),
                 clear: wrapper.querySelector('button[data-action="clear"]')
             },
             inputs: {
@@ -191,10 +208,20 @@ class InstagramReelsCommentsCopier {
                 attachObserver: wrapper.querySelector('input[data-setting="attachObserver"]'),
                 maxScrollRounds: wrapper.querySelector('input[data-setting="maxScrollRounds"]'),
                 scrollDelay: wrapper.querySelector('input[data-setting="scrollDelay"]'),
-                scrollStep: wrapper.querySelector('input[data-setting="scrollStep"]')
+                scrollStep: wrapper.querySelector('input[data-setting="scrollStep"]'),
+                exportFormat: wrapper.querySelector('select[data-setting="exportFormat"]')
             }
         };
 
+        const backupSection = this.settingsBackup.createSection({
+            onImported: async () => {
+                await this.loadSettings();
+                this.applySettingsToUi();
+            }
+        });
+        backupSection.classList.add(`${PANEL_NAMESPACE}-section`);
+        wrapper.appendChild(backupSection);
+
         this.bindUiEvents();
         this.applySettingsToUi();
         return wrapper;
@@ -205,6 +232,7 @@ class InstagramReelsCommentsCopier {
 
         buttons.rescan?.addEventListener("click", () => this.scanDomAndUpdate());
         buttons.copy?.addEventListener("click", () => this.copyComments());
+        buttons.download?.addEventListener("click", () => this.downloadComments());
         buttons.clear?.addEventListener("click", () => this.clearComments());
         buttons.scroll?.addEventListener("click", () => this.startAutoScroll());
         buttons.stop?.addEventListener("click", () => this.stopAutoScroll());
@@ -219,6 +247,12 @@ class InstagramReelsCommentsCopier {
                         this.tryAttachContainerWatcher(true);
                     }
                 });
+            } else if (input.tagName === "SELECT") {
+                input.addEventListener("change", () => {
+                    this.settings[key] = input.value;
+                    this.persistSettings();
+                    this.updateUi();
+                });
             } else {
                 input.addEventListener("change", () => {
                     const val = Number(input.value);
@@ -243,6 +277,7 @@ class InstagramReelsCommentsCopier {
         inputs.maxScrollRounds.value = this.settings.maxScrollRounds;
         inputs.scrollDelay.value = this.settings.scrollDelay;
         inputs.scrollStep.value = this.settings.scrollStep;
+        inputs.exportFormat.value = CommentThread.FORMATS[this.settings.exportFormat] ? this.settings.exportFormat : "text";
     }
 
     updateUi() {
@@ -338,25 +373,27 @@ class InstagramReelsCommentsCopier {
     extractCommentsFromObject(node, source) {
         const results = [];
         const visited = new WeakSet();
-        const walk = (value) => {
+        // parentId is the comment whose payload we are inside (e.g. preview_child_comments)
+        const walk = (value, parentId = null) => {
             if (!value || typeof value !== "object") return;
             if (visited.has(value)) return;
             visited.add(value);
 
-            const normalized = this.normalizeComment(value, source);
+            const normalized = this.normalizeComment(value, source, parentId);
             if (normalized) {
                 results.push(normalized);
             }
+            const childParentId = normalized && !normalized.isCaption ? normalized.id : parentId;
 
             if (Array.isArray(value)) {
-                value.forEach(walk);
+                value.forEach(item => walk(item, parentId));
             } else {
-                Object.values(value).forEach(walk);
+                Object.values(value).forEach(item => walk(item, childParentId));
                 if (value.edges && Array.isArray(value.edges)) {
-                    value.edges.forEach(edge => walk(edge.node || edge));
+                    value.edges.forEach(edge => walk(edge.node || edge, childParentId));
                 }
                 if (value.items && Array.isArray(value.items)) {
-                    value.items.forEach(walk);
+                    value.items.forEach(item => walk(item, childParentId));
                 }
             }
         };
@@ -364,15 +401,31 @@ class InstagramReelsCommentsCopier {
         return results;
     }
 
-    normalizeComment(node, source) {
+    normalizeComment(node, source, inheritedParentId = null) {
         const text = node.text || node.caption?.text;
         const username = node.username || node.user?.username || node.owner?.username;
         if (!text || !username) return null;
-        const id = node.id || node.pk || node.comment_id || `${username}:${text.slice(0, 30)}`;
+        const id = String(node.pk || node.id || node.comment_id || `${username}:${text.slice(0, 30)}`);
         const timestamp = node.created_at || node.created_at_utc || node.created_time || null;
-        const isReply = Boolean(node.parent_comment_id || node.parent_comment || node.parent_id);
+        const explicitParent = node.parent_comment_id || node.parent_comment?.pk || node.parent_comment?.id || node.parent_id;
+        const parentId = explicitParent ? String(explicitParent) : inheritedParentId;
+        const isReply = Boolean(parentId);
         if (!this.settings.includeReplies && isReply) return null;
-        return { id, username, text: String(text).trim(), timestamp, source: source || "network", isReply };
+        const likes = node.comment_like_count ?? node.like_count ?? node.edge_liked_by?.count ?? null;
+        const replyCount = node.child_comment_count ?? node.edge_threaded_comments?.count ?? null;
+        return {
+            id,
+            parentId: parentId || null,
+            username,
+            text: String(text).trim(),
+            likes,
+            replyCount,
+            timestamp,
+            source: source || "network",
+            isReply,
+            // Media captions look like comments but never parent the comments nested in the same payload
+            isCaption: !node.text && Boolean(node.caption?.text)
+        };
     }
 
     tryAttachContainerWatcher(force = false) {
@@ -435,16 +488,22 @@ class InstagramReelsCommentsCopier {
             const text = this.extractTextFromNode(node, username);
             if (!text) return;
             const timestamp = this.extractTimestamp(node);
-            const id = node.getAttribute("data-comment-id") || `${username}:${text.slice(0, 30)}`;
+            const id = this.getDomCommentId(node, username, text);
             const isReply = Boolean(node.closest("ul ul, li li"));
             if (!this.settings.includeReplies && isReply) return;
+            const parentNode = isReply ? node.parentElement?.closest("li") : null;
+            const parentId = parentNode && container.contains(parentNode) ? this.getDomCommentId(parentNode) : null;
             if (username || text) {
-                results.push({ id, username: username || "anon", text, timestamp, source: "dom", isReply });
+                results.push({ id, parentId, username: username || "anon", text, likes: null, replyCount: null, timestamp, source: "dom", isReply });
             }
         });
         return results;
     }
 
+    getDomCommentId(node, username = this.extractUsername(node), text = this.extractTextFromNode(node, username)) {
+        return node.getAttribute("data-comment-id") || `${username}:${text.slice(0, 30)}`;
+    }
+
     extractUsername(node) {
         const anchor = node.querySelector("a[role='link'], a[href^='/']");
         const spanUser = anchor ? anchor.querySelector("span[dir='auto']") : null;
@@ -477,9 +536,17 @@ class InstagramReelsCommentsCopier {
         let added = 0;
         list.forEach(item => {
             const key = this.settings.dedupe ? (item.id || `${item.username}:${item.text}`) : `${item.username}:${Math.random()}`;
-            if (!this.comments.has(key)) {
+            const existing = this.comments.get(key);
+            if (!existing) {
                 this.comments.set(key, item);
                 added++;
+            } else {
+                // A later payload may carry the parent link or like count the first one lacked
+                Object.entries(item).forEach(([field, value]) => {
+                    if ((existing[field] === null || existing[field] === undefined) && value !== null && value !== undefined) {
+                        existing[field] = value;
+                    }
+                });
             }
         });
         if (added) {
@@ -495,15 +562,20 @@ class InstagramReelsCommentsCopier {
         }
     }
 
-    formatCommentsForClipboard() {
-        const rows = [];
-        let idx = 1;
-        for (const comment of this.comments.values()) {
-            const ts = comment.timestamp ? ` | ${new Date(comment.timestamp * (comment.timestamp > 2e12 ? 1 : 1000)).toLocaleString()}` : "";
-            rows.push(`${idx}. ${comment.username || "anon"}: ${comment.text}${ts}`);
-            idx++;
-        }
-        return rows.join("\n");
+    formatCommentsForClipboard(format = this.settings.exportFormat) {
+        if (!this.comments.size) return "";
+        return CommentThread.export(Array.from(this.comments.values()), format, { url: location.href });
+    }
+
+    downloadComments() {
+        const format = CommentThread.FORMATS[this.settings.exportFormat] ? this.settings.exportFormat : "text";
+        const content = this.formatCommentsForClipboard(format);
+        if (!content) return;
+        const { extension, mimeType } = CommentThread.FORMATS[format];
+        const reelId = (location.pathname.match(/\/reels?\/([^/]+)/) || [])[1] || "reel";
+        const filename = `instagram-comments-${reelId}.${extension}`;
+        ExportUtils.downloadFile(content, filename, mimeType);
+        Logger.info(`Downloaded ${this.comments.size} comments as ${filename}`);
     }
 
     async copyComments(showToast = true) {
@@ -0,0 +1,213 @@
+import {ContentFormatter, ExportUtils} from "../../../common/core";
+
+/**
+ * CommentThread - Rebuilds Instagram comment threads from captured comments and exports them
+ *
+ * Comments are the objects produced by InstagramReelsCommentsCopier.normalizeComment():
+ * {id, parentId, username, text, likes, replyCount, timestamp, source, isReply}
+ * Instagram threads are one level deep; a reply whose parent was never captured stays at the top level
+ * and a reply in a parent cycle is treated as top-level too.
+ */
+export default class CommentThread {
+    static FORMATS = {
+        text: {label: 'Text', extension: 'txt', mimeType: 'text/plain'},
+        json: {label: 'JSON', extension: 'json', mimeType: 'application/json'},
+        csv: {label: 'CSV', extension: 'csv', mimeType: 'text/csv'},
+        markdown: {label: 'Markdown', extension: 'md', mimeType: 'text/markdown'}
+    };
+
+    static CSV_COLUMNS = ['id', 'parentId', 'depth', 'username', 'text', 'likes', 'replyCount', 'timestamp', 'source'];
+
+    static TEXT_TEMPLATES = {
+        item: '{username}{meta}:\n{text}',
+        reply: '  ↳ {username}{meta}:\n  {text}',
+        replyTo: '  ↳ {username} replied to {repliedTo}{meta}:\n  {text}'
+    };
+
+    /**
+     * Convert an Instagram timestamp (seconds or milliseconds) to an ISO string
+     * @param {number|string|null} timestamp - Timestamp
+     * @return {string|null}
+     */
+    static toIsoDate(timestamp) {
+        const value = Number(timestamp);
+        if (!timestamp || Number.isNaN(value)) return null;
+        // Seconds stay below 1e11 until the year 5138
+        const date = new Date(value < 1e11 ? value * 1000 : value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Nest replies under their parent comment, keeping the capture order
+     * @param {Object[]} comments - Captured comments
+     * @return {Object[]} Top-level comments, each with a replies array
+     */
+    static buildTree(comments) {
+        const nodes = new Map();
+        comments.forEach((comment) => {
+            if (comment && comment.id !== undefined && !nodes.has(String(comment.id))) {
+                nodes.set(String(comment.id), {...comment, replies: []});
+            }
+        });
+
+        // A reply to a reply belongs to the thread of the top-level comment
+        const findThread = (node) => {
+            const seen = new Set([node]);
+            let current = node;
+            while (current.parentId && nodes.has(String(current.parentId))) {
+                current = nodes.get(String(current.parentId));
+                if (seen.has(current)) return null;
+                seen.add(current);
+            }
+            return current === node ? null : current;
+        };
+
+        const roots = [];
+        nodes.forEach((node) => {
+            const thread = findThread(node);
+            if (thread) {
+                thread.replies.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+        return roots;
+    }
+
+    /**
+     * List every comment depth-first with its depth
+     * @param {Object[]} tree - Result of buildTree()
+     * @return {Array<{comment: Object, depth: number}>}
+     */
+    static flatten(tree) {
+        const rows = [];
+        const visit = (node, depth) => {
+            const {replies, ...comment} = node;
+            rows.push({comment, depth});
+            replies.forEach((reply) => visit(reply, depth + 1));
+        };
+        tree.forEach((node) => visit(node, 0));
+        return rows;
+    }
+
+    /**
+     * Format threads as text with replies indented under their parent
+     * @param {Object[]} tree - Result of buildTree()
+     * @param {Object} [options]
+     * @param {Function} [options.formatTime] - Formats an ISO date for display
+     * @return {string}
+     */
+    static toText(tree, options = {}) {
+        const formatTime = options.formatTime || ((iso) => new Date(iso).toLocaleString());
+        const toData = (node, indent) => {
+            const iso = this.toIsoDate(node.timestamp);
+            const meta = [iso ? formatTime(iso) : null, node.likes ? `${node.likes} likes` : null].filter(Boolean).join(', ');
+            return {
+                username: node.username || 'anon',
+                meta: meta ? ` (${meta})` : '',
+                text: String(node.text || '').split('\n').join(`\n${indent}`)
+            };
+        };
+
+        const formatter = new ContentFormatter({
+            template: this.TEXT_TEMPLATES.item,
+            replyTemplate: this.TEXT_TEMPLATES.reply,
+            replyToTemplate: this.TEXT_TEMPLATES.replyTo,
+            itemSeparator: '\n\n'
+        });
+        const items = tree.map((node) => ({
+            ...toData(node, ''),
+            replies: node.replies.map((reply) => toData(reply, '  '))
+        }));
+        return formatter.formatItems(items);
+    }
+
+    /**
+     * Format threads as JSON
+     * @param {Object[]} tree - Result of buildTree()
+     * @param {Object} [meta] - Extra top-level fields, e.g. {url}
+     * @return {string}
+     */
+    static toJson(tree, meta = {}) {
+        const toNode = (node) => ({
+            id: String(node.id),
+            username: node.username || null,
+            text: node.text,
+            likes: node.likes ?? null,
+            replyCount: node.replyCount ?? node.replies.length,
+            timestamp: this.toIsoDate(node.timestamp),
+            source: node.source || null,
+            replies: node.replies.map(toNode)
+        });
+
+        return JSON.stringify({
+            ...meta,
+            exportedAt: new Date().toISOString(),
+            count: this.flatten(tree).length,
+            comments: tree.map(toNode)
+        }, null, 2);
+    }
+
+    /**
+     * Format threads as CSV, one row per comment with its parent and depth
+     * @param {Object[]} tree - Result of buildTree()
+     * @return {string}
+     */
+    static toCsv(tree) {
+        const rows = this.flatten(tree).map(({comment, depth}) => {
+            const values = {
+                ...comment,
+                parentId: depth > 0 ? comment.parentId : null,
+                depth,
+                timestamp: this.toIsoDate(comment.timestamp)
+            };
+            return ExportUtils.toCsvRow(this.CSV_COLUMNS.map((column) => values[column]));
+        });
+        return [this.CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Format threads as a nested Markdown list
+     * @param {Object[]} tree - Result of buildTree()
+     * @param {Object} [meta] - {url} of the reel
+     * @return {string}
+     */
+    static toMarkdown(tree, meta = {}) {
+        const lines = ['# Instagram comments', ''];
+        if (meta.url) lines.push(`- Reel: ${meta.url}`);
+        lines.push(`- Comments: ${this.flatten(tree).length}`, `- Exported: ${new Date().toISOString()}`, '');
+
+        this.flatten(tree).forEach(({comment, depth}) => {
+            const indent = '  '.repeat(depth);
+            const iso = this.toIsoDate(comment.timestamp);
+            const details = [iso ? iso.substring(0, 16).replace('T', ' ') : null, comment.likes ? `❤️ ${comment.likes}` : null]
+                .filter(Boolean)
+                .join(' · ');
+            lines.push(`${indent}- **${comment.username || 'anon'}**${details ? ` · ${details}` : ''}`);
+            String(comment.text || '').split('\n').forEach((line) => lines.push(`${indent}  ${line}`.trimEnd()));
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Build the threads and format them
+     * @param {Object[]} comments - Captured comments
+     * @param {string} format - Key of FORMATS
+     * @param {Object} [meta] - {url} of the reel
+     * @return {string}
+     */
+    static export(comments, format, meta = {}) {
+        const tree = this.buildTree(comments);
+        switch (format) {
+            case 'json':
+                return this.toJson(tree, meta);
+            case 'csv':
+                return this.toCsv(tree);
+            case 'markdown':
+                return this.toMarkdown(tree, meta);
+            default:
+                return this.toText(tree);
+        }
+    }
+}
@@ -7,6 +7,8 @@ import {
     HTMLUtils,
     Logger,
     Notification,
+    SettingsBackupService,
+    SettingsStore,
     SidebarPanel,
     Slider,
     StyleManager
@@ -97,6 +99,19 @@ class InstagramVideoController {
         SHOW_STATS: true          // Show video stats button
     };
 
+    // Stored settings schema version, bumped together with a migration in SETTINGS_MIGRATIONS
+    static SETTINGS_VERSION = 1;
+
+    static SETTINGS_MIGRATIONS = {
+        // v1: early builds stored the default volume as a percentage, which video.volume rejects
+        1: async (storage) => {
+            const volume = await storage.get(InstagramVideoController.SETTINGS_KEYS.DEFAULT_VOLUME);
+            if (typeof volume === 'number' && volume > 1) {
+                await storage.set(InstagramVideoController.SETTINGS_KEYS.DEFAULT_VOLUME, Math.min(volume / 100, 1));
+            }
+        }
+    };
+
     /**
      * Initialize the controller
      */
@@ -107,6 +122,25 @@ class InstagramVideoController {
         this.activeVideo = null;
         this.settingsPanel = null;
         this.keyboardHandler = null;
+        // AUDIO_UNMUTED is playback state written on its own, not part of the settings object
+        const {AUDIO_UNMUTED, ...settingKeys} = InstagramVideoController.SETTINGS_KEYS;
+        this.settingsStore = new SettingsStore({
+            namespace: 'igvc',
+            version: InstagramVideoController.SETTINGS_VERSION,
+            migrations: InstagramVideoController.SETTINGS_MIGRATIONS,
+            keys: settingKeys,
+            defaults: InstagramVideoController.SETTINGS,
+            validators: {
+                DEFAULT_VOLUME: (value) => value >= 0 && value <= 1,
+                DEFAULT_SPEED: (value) => InstagramVideoController.SPEED_OPTIONS.includes(value)
+            }
+        });
+        this.settingsStore.watch((name, value) => this.applyRemoteSetting(name, value));
+        this.settingsBackup = new SettingsBackupService({
+            script: 'Instagram Video Controls',
+            keys: InstagramVideoController.SETTINGS_KEYS,
+            defaults: InstagramVideoController.SETTINGS
+        });
 
         // Load saved settings
         this.loadSettings();
@@ -140,15 +174,8 @@ class InstagramVideoController {
         this.settings = {...InstagramVideoController.SETTINGS};
 
         try {
-            // Load each setting individually with defaults
-            for (const [settingName, storageKey] of Object.entries(InstagramVideoController.SETTINGS_KEYS)) {
-                const savedValue = await GMFunctions.getValue(storageKey, null);
-
-                // Only update if the setting exists in storage
-                if (savedValue !== null) {
-                    this.settings[settingName] = savedValue;
-                }
-            }
+            // Missing or invalid stored values keep their defaults
+            Object.assign(this.settings, await this.settingsStore.load());
 
             this.audioUnmuted = await GMFunctions.getValue(InstagramVideoController.SETTINGS_KEYS.AUDIO_UNMUTED, false);
             Logger.debug("Settings loaded", this.settings);
@@ -157,15 +184,29 @@ class InstagramVideoController {
         }
     }
 
+    /**
+     * Apply a setting changed in another tab (bound panel controls are updated by the store)
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     */
+    applyRemoteSetting(name, value) {
+        this.settings[name] = value;
+
+        if (name === 'KEYBOARD_SHORTCUTS') {
+            if (value) {
+                this.setupKeyboardShortcuts();
+            } else {
+                this.removeKeyboardShortcuts();
+            }
+        }
+    }
+
     /**
      * Save settings to GM storage
      */
     async saveSettings() {
         try {
-            // Save each setting individually
-            for (const [settingName, storageKey] of Object.entries(InstagramVideoController.SETTINGS_KEYS)) {
-                await GMFunctions.setValue(storageKey, this.settings[settingName]);
-            }
+            await this.settingsStore.save(this.settings);
 
             Logger.debug("Settings saved", this.settings);
         } catch (error) {
@@ -547,6 +588,7 @@ class InstagramVideoController {
                     this.saveSettings();
                 }
             });
+            this.settingsStore.bind('DEFAULT_VOLUME', volumeSlider);
 
             content.appendChild(behaviorSection);
 
@@ -631,6 +673,19 @@ class InstagramVideoController {
                 content.appendChild(shortcutsSection);
             }
 
+            // Settings export/import
+            const backupSection = this.settingsBackup.createSection({
+                onImported: async () => {
+                    await this.loadSettings();
+
+                    // Close and recreate the panel to reflect changes
+                    this.settingsPanel.close();
+                    setTimeout(() => this.createSettingsPanel(), 300);
+                }
+            });
+            backupSection.classList.add('igvc-settings-section');
+            content.appendChild(backupSection);
+
             const buttonContainer = document.createElement('div');
 
             // Create a reset button
@@ -717,6 +772,7 @@ class InstagramVideoController {
             },
             container: settingItem,
         });
+        this.settingsStore.bind(settingKey, checkbox);
 
         container.appendChild(settingItem);
 
@@ -18,14 +18,21 @@ Logger.DEBUG = true;
 class CaptionsManager {
     static captions = [];
     static timestamps = [];
+    static cueTimes = []; // Exact {start, end} seconds for captions loaded from the caption track, null for live captures
     static currentTimestamp = '00:00';
     static totalDuration = '00:00';
     static lastCaptionText = null; // Track the last caption text for improved duplicate detection
 
+    // End time of the last cue when the video duration is unknown
+    static LAST_CUE_SECONDS = 3;
+    // Readable transcript: minimum paragraph length and the pause that always starts a new paragraph
+    static PARAGRAPH_SECONDS = 30;
+    static PAUSE_SECONDS = 5;
+
     /**
      * Add a new caption with its timestamp
      * @param {string} caption - The caption text
-     * @param {string} timestamp - Current video timestamp (MM:SS format)
+     * @param {string} timestamp - Current video timestamp (M:SS or H:MM:SS format)
      */
     static addCaption(caption, timestamp) {
         // Don't add empty captions
@@ -52,6 +59,7 @@ class CaptionsManager {
         Logger.debug(`Adding caption at ${timestamp}: ${caption.substring(0, 30)}...`);
         this.captions.push(caption);
         this.timestamps.push(timestamp);
+        this.cueTimes.push(null);
         this.lastCaptionText = caption;
 
         // Update UI if panel exists
@@ -59,7 +67,8 @@ class CaptionsManager {
     }
 
     /**
-     * Get all captions as a single text string with timestamps
+     * Get all captions as a single text string in the given format
+     * @param {string} [format='timestamped'] - 'timestamped', 'srt', 'vtt', 'json', 'readable', 'plain' or 'csv'
      */
     static getAllCaptionsText(format = 'timestamped') {
         if (this.captions.length === 0) {
@@ -78,17 +87,33 @@ class CaptionsManager {
 
             case 'srt':
                 // Format: SRT subtitle format
-                result = this.captions.map((caption, index) => {
-                    const number = index + 1;
-                    const startTime = this.formatSrtTimestamp(this.timestamps[index]);
+                result = this.getCues().map((cue, index) =>
+                    `${index + 1}\n${this.formatCueTimestamp(cue.start, ',')} --> ${this.formatCueTimestamp(cue.end, ',')}\n${cue.text}`
+                ).join("\n\n");
+                break;
 
-                    // For end time, use next caption's timestamp or add 3 seconds to current if it's the last caption
-                    const endTime = (index < this.timestamps.length - 1)
-                        ? this.formatSrtTimestamp(this.timestamps[index + 1])
-                        : this.formatSrtTimestamp(this.addSecondsToTimestamp(this.timestamps[index], 3));
+            case 'vtt':
+                // Format: WebVTT
+                result = "WEBVTT\n\n" + this.getCues().map((cue, index) =>
+                    `${index + 1}\n${this.formatCueTimestamp(cue.start, '.')} --> ${this.formatCueTimestamp(cue.end, '.')}\n${cue.text}`
+                ).join("\n\n");
+                break;
+
+            case 'json':
+                // Format: structured cues, times in seconds
+                result = JSON.stringify({
+                    title: CaptionsPanel.getVideoTitle(),
+                    url: window.location.href,
+                    duration: this.totalDuration ? this.parseTimestamp(this.totalDuration) : null,
+                    cues: this.getCues()
+                }, null, 2);
+                break;
 
-                    return `${number}\n${startTime} --> ${endTime}\n${caption}`;
-                }).join("\n\n");
+            case 'readable':
+                // Format: captions merged into timestamped paragraphs
+                result = this.getParagraphs().map((paragraph) =>
+                    `[${this.formatTimestamp(paragraph.start)}]\n${paragraph.text}`
+                ).join("\n\n");
                 break;
 
             case 'plain':
@@ -108,43 +133,119 @@ class CaptionsManager {
     }
 
     /**
-     * Add seconds to a timestamp in MM:SS format
-     * @param {string} timestamp - Timestamp in MM:SS format
-     * @param {number} seconds - Seconds to add
-     * @returns {string} - New timestamp in MM:SS format
+     * Get captions as cues with start and end times in seconds
+     * A cue ends where the next one starts; the last cue ends at the end of the video,
+     * or LAST_CUE_SECONDS after its start when the duration is unknown.
+     * @returns {Array<{start: number, end: number, text: string}>}
      */
-    static addSecondsToTimestamp(timestamp, seconds) {
-        const parts = timestamp.split(':');
-        if (parts.length !== 2) {
-            return timestamp; // Return original if invalid format
-        }
+    static getCues() {
+        const starts = this.timestamps.map((timestamp) => this.parseTimestamp(timestamp));
+        const duration = this.totalDuration ? this.parseTimestamp(this.totalDuration) : 0;
 
-        let mins = parseInt(parts[0], 10);
-        let secs = parseInt(parts[1], 10) + seconds;
+        return this.captions.map((text, index) => {
+            if (this.cueTimes[index]) {
+                return {...this.cueTimes[index], text};
+            }
 
-        // Handle overflow
-        if (secs >= 60) {
-            mins += Math.floor(secs / 60);
-            secs = secs % 60;
-        }
+            const start = starts[index];
+            let end = index < starts.length - 1 ? starts[index + 1] : duration;
+            if (index === starts.length - 1 && end <= start) {
+                end = start + this.LAST_CUE_SECONDS;
+            }
+            return {start, end: Math.max(end, start), text};
+        });
+    }
 
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    /**
+     * Merge cues into paragraphs for a readable transcript
+     * A paragraph ends at a sentence end once it is PARAGRAPH_SECONDS long, or at a pause of PAUSE_SECONDS.
+     * @returns {Array<{start: number, end: number, text: string}>}
+     */
+    static getParagraphs() {
+        const paragraphs = [];
+        let current = null;
+
+        this.getCues().forEach((cue, index, cues) => {
+            const previous = cues[index - 1];
+            const pause = previous && cue.start - previous.start > this.PAUSE_SECONDS;
+            const longEnough = current && /[.!?…]["')\]]?$/.test(current.text) && cue.start - current.start >= this.PARAGRAPH_SECONDS;
+
+            if (!current || pause || longEnough) {
+                current = {start: cue.start, end: cue.end, text: cue.text};
+                paragraphs.push(current);
+            } else {
+                current.text += ` ${cue.text}`;
+                current.end = cue.end;
+            }
+        });
+
+        return paragraphs;
     }
 
     /**
-     * Convert MM:SS format to SRT format (00:MM:SS,000)
+     * Parse a player timestamp (SS, M:SS or H:MM:SS) into seconds
+     * @param {string} timestamp - Timestamp text
+     * @returns {number} - Seconds, 0 when the timestamp cannot be parsed
      */
-    static formatSrtTimestamp(timestamp) {
-        // Parse MM:SS format
-        const parts = timestamp.split(':');
-        if (parts.length !== 2) {
-            return '00:00:00,000';
+    static parseTimestamp(timestamp) {
+        const parts = String(timestamp || '').replace(/[^\d:]/g, '').split(':').filter(Boolean);
+        if (parts.length === 0 || parts.length > 3) {
+            return 0;
         }
+        return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    /**
+     * Format seconds the way the player does (M:SS, or H:MM:SS from one hour)
+     * @param {number} totalSeconds - Time in seconds
+     * @returns {string}
+     */
+    static formatTimestamp(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = Math.floor(totalSeconds % 60).toString().padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Format seconds as a subtitle cue time (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+     * @param {number} totalSeconds - Time in seconds
+     * @param {string} [separator=','] - Separator before the milliseconds
+     * @returns {string}
+     */
+    static formatCueTimestamp(totalSeconds, separator = ',') {
+        const pad = (value) => value.toString().padStart(2, '0');
+        // Round once, so 1.9996 s becomes 00:00:02.000 rather than a 1000 ms remainder
+        const totalMilliseconds = Math.round(totalSeconds * 1000);
+        const hours = Math.floor(totalMilliseconds / 3600000);
+        const minutes = Math.floor((totalMilliseconds % 3600000) / 60000);
+        const seconds = Math.floor((totalMilliseconds % 60000) / 1000);
+        const milliseconds = (totalMilliseconds % 1000).toString().padStart(3, '0');
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${milliseconds}`;
+    }
 
-        const minutes = parts[0].padStart(2, '0');
-        const seconds = parts[1].padStart(2, '0');
+    /**
+     * Replace the stored captions with a complete caption track
+     * @param {Array<{start: number, end: number, text: string}>} cues - Cues in seconds
+     * @param {number} [duration] - Video duration in seconds
+     */
+    static setCues(cues, duration = 0) {
+        this.captions = cues.map((cue) => cue.text);
+        this.timestamps = cues.map((cue) => this.formatTimestamp(cue.start));
+        this.cueTimes = cues.map((cue) => ({start: cue.start, end: cue.end}));
+        this.lastCaptionText = this.captions[this.captions.length - 1] || null;
+
+        const end = Math.max(duration, ...cues.map((cue) => cue.end));
+        if (end > 0) {
+            this.totalDuration = this.formatTimestamp(end);
+        }
+        Logger.debug(`Loaded ${cues.length} captions from the caption track`);
 
-        return `00:${minutes}:${seconds},000`;
+        CaptionsPanel.updateCaptionCount();
     }
 
     /**
@@ -153,6 +254,7 @@ class CaptionsManager {
     static clearCaptions() {
         this.captions = [];
         this.timestamps = [];
+        this.cueTimes = [];
         this.lastCaptionText = null;
         Logger.debug("All captions cleared");
 
@@ -233,6 +335,9 @@ class CaptionsPanel {
         const formats = [
             {id: 'timestamped', label: 'Timestamped Text (.txt)', ext: 'txt'},
             {id: 'srt', label: 'Subtitle Format (.srt)', ext: 'srt'},
+            {id: 'vtt', label: 'WebVTT Subtitles (.vtt)', ext: 'vtt'},
+            {id: 'json', label: 'Structured Cues (.json)', ext: 'json'},
+            {id: 'readable', label: 'Readable Transcript (.txt)', ext: 'txt'},
             {id: 'plain', label: 'Plain Text (.txt)', ext: 'txt'},
             {id: 'csv', label: 'CSV Format (.csv)', ext: 'csv'}
         ];
@@ -252,6 +357,14 @@ class CaptionsPanel {
         downloadContainer.appendChild(dropdownContent);
         buttonsContainer.appendChild(downloadContainer);
 
+        // Load the whole caption track at once
+        new Button({
+            text: 'Fetch Full Transcript',
+            className: 'loom-button loom-button-secondary',
+            container: buttonsContainer,
+            onClick: () => LoomCaptionsExtractor.loadFullTranscript()
+        });
+
         // Copy button
         new Button({
             text: 'Copy to Clipboard',
@@ -456,9 +569,12 @@ class CaptionsPanel {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
         const filename = `${videoTitle}-${timestamp}.${extension}`;
 
+        const mimeTypes = {json: 'application/json', vtt: 'text/vtt', srt: 'application/x-subrip', csv: 'text/csv'};
+        const type = `${mimeTypes[extension] || 'text/plain'};charset=utf-8`;
+
         // Download using GM_download if available
         try {
-            const blob = new Blob([content], {type: 'text/plain;charset=utf-8'});
+            const blob = new Blob([content], {type});
             const url = URL.createObjectURL(blob);
 
             GM_download({
@@ -473,22 +589,22 @@ class CaptionsPanel {
                     Logger.error(error, "GM_download");
                     this.updateStatus("Download failed, trying fallback...");
                     // Fallback
-                    this.fallbackDownload(content, filename);
+                    this.fallbackDownload(content, filename, type);
                 }
             });
         } catch (error) {
             Logger.error(error, "Downloading captions");
             this.updateStatus("Download failed, trying fallback...");
-            this.fallbackDownload(content, filename);
+            this.fallbackDownload(content, filename, type);
         }
     }
 
     /**
      * Fallback download method
      */
-    static fallbackDownload(content, filename) {
+    static fallbackDownload(content, filename, type = 'text/plain;charset=utf-8') {
         try {
-            const blob = new Blob([content], {type: 'text/plain;charset=utf-8'});
+            const blob = new Blob([content], {type});
             const url = URL.createObjectURL(blob);
 
             const downloadLink = document.createElement('a');
@@ -584,6 +700,173 @@ class CaptionsPanel {
     }
 }
 
+/**
+ * Load the complete caption track instead of waiting for the player to show each caption
+ * The track URL comes from the page's embedded data, or from the request the player already made for it.
+ */
+class CaptionsFetcher {
+    static captionsUrlPatterns = [
+        /"captions_source_url"\s*:\s*"([^"]+)"/,
+        /"transcript_source_url"\s*:\s*"([^"]+)"/,
+        /"source_url"\s*:\s*"([^"]+\.(?:vtt|json)[^"]*)"/,
+        /(https:(?:\\?\/){2}cdn\.loom\.com(?:\\?\/)[^"'\s]+\.vtt[^"'\s]*)/
+    ];
+    static resourcePattern = /\.vtt(?:\?|$)|\/transcripts?\b/i;
+
+    /**
+     * Find the caption track URL
+     * @param {Document} [doc=document] - Page to search
+     * @returns {string|null}
+     */
+    static findCaptionsUrl(doc = document) {
+        for (const script of doc.querySelectorAll('script:not([src])')) {
+            const text = script.textContent;
+            for (const pattern of this.captionsUrlPatterns) {
+                const match = text.match(pattern);
+                if (match) {
+                    return this.unescapeUrl(match[1]);
+                }
+            }
+        }
+
+        const resources = typeof performance !== 'undefined' && performance.getEntriesByType
+            ? performance.getEntriesByType('resource')
+            : [];
+        const resource = resources.find((entry) => this.resourcePattern.test(entry.name));
+        return resource ? resource.name : null;
+    }
+
+    /**
+     * Undo JSON escaping in a URL taken from embedded page data
+     * @param {string} url - Escaped URL
+     * @returns {string}
+     */
+    static unescapeUrl(url) {
+        return url
+            .replace(/\\u002F/gi, '/')
+            .replace(/\\u0026/gi, '&')
+            .replace(/\\\//g, '/');
+    }
+
+    /**
+     * Download the caption track and parse it into cues
+     * @param {string} [url] - Track URL, found on the page when omitted
+     * @returns {Promise<Array<{start: number, end: number, text: string}>|null>} Cues, or null when no track was found
+     */
+    static async fetchCues(url = this.findCaptionsUrl()) {
+        if (!url) {
+            Logger.debug("No caption track URL found on the page");
+            return null;
+        }
+
+        Logger.debug(`Fetching caption track: ${url}`);
+        const text = await this.request(url);
+        const cues = /^\s*WEBVTT/.test(text) ? this.parseVtt(text) : this.parseTranscriptJson(JSON.parse(text));
+        return cues.length > 0 ? cues : null;
+    }
+
+    /**
+     * GET a URL with GM_xmlhttpRequest, which is not limited by CORS
+     * @param {string} url - URL to load
+     * @returns {Promise<string>} Response text
+     */
+    static request(url) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url,
+                onload: (response) => {
+                    if (response.status >= 200 && response.status < 300) {
+                        resolve(response.responseText);
+                    } else {
+                        reject(new Error(`Caption track request failed with status ${response.status}`));
+                    }
+                },
+                onerror: () => reject(new Error('Caption track request failed')),
+                ontimeout: () => reject(new Error('Caption track request timed out'))
+            });
+        });
+    }
+
+    /**
+     * Parse a cue time (HH:MM:SS.mmm or MM:SS.mmm) into seconds
+     * @param {string} time - Cue time
+     * @returns {number}
+     */
+    static parseCueTime(time) {
+        const [clock, fraction = '0'] = time.trim().replace(',', '.').split('.');
+        return CaptionsManager.parseTimestamp(clock) + parseInt(fraction.padEnd(3, '0').slice(0, 3), 10) / 1000;
+    }
+
+    /**
+     * Parse WebVTT text into cues
+     * @param {string} text - WebVTT file contents
+     * @returns {Array<{start: number, end: number, text: string}>}
+     */
+    static parseVtt(text) {
+        const cues = [];
+
+        text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach((block) => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex((line) => line.includes('-->'));
+            if (timingIndex === -1) {
+                return; // Header, NOTE or STYLE block
+            }
+
+            const [start, end] = lines[timingIndex].split('-->').map((part) => part.trim().split(/\s+/)[0]);
+            const cueText = lines.slice(timingIndex + 1)
+                .join(' ')
+                .replace(/<[^>]+>/g, '') // Voice, class and timestamp tags
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            if (cueText) {
+                cues.push({start: this.parseCueTime(start), end: this.parseCueTime(end), text: cueText});
+            }
+        });
+
+        return cues;
+    }
+
+    /**
+     * Parse a Loom transcript JSON ({phrases: [{ts, value}]}) into cues
+     * Phrase end times come from the next phrase's start.
+     * @param {Object} data - Transcript JSON
+     * @returns {Array<{start: number, end: number, text: string}>}
+     */
+    static parseTranscriptJson(data) {
+        const phrases = (Array.isArray(data) ? data : data?.phrases || [])
+            .map((phrase) => ({start: Number(phrase.ts ?? phrase.start ?? 0), text: String(phrase.value ?? phrase.text ?? '').trim()}))
+            .filter((phrase) => phrase.text);
+
+        return phrases.map((phrase, index) => ({
+            start: phrase.start,
+            end: index < phrases.length - 1 ? phrases[index + 1].start : phrase.start + CaptionsManager.LAST_CUE_SECONDS,
+            text: phrase.text
+        }));
+    }
+
+    /**
+     * Load the complete caption track into CaptionsManager
+     * @returns {Promise<boolean>} True when captions were loaded
+     */
+    static async loadIntoManager() {
+        try {
+            const cues = await this.fetchCues();
+            if (!cues) {
+                return false;
+            }
+
+            const video = document.querySelector('video');
+            CaptionsManager.setCues(cues, video && isFinite(video.duration) ? video.duration : 0);
+            return true;
+        } catch (error) {
+            Logger.error(error, "Fetching caption track");
+            return false;
+        }
+    }
+}
+
 /**
  * Handle the monitoring of captions and timestamps
  */
@@ -714,7 +997,7 @@ class CaptionsMonitor {
                 total = ""; // Unknown total duration
             }
 
-            // Ensure MM:SS format
+            // Ensure M:SS or H:MM:SS format
             current = this.normalizeTimestamp(current);
 
             // Update caption manager
@@ -729,32 +1012,16 @@ class CaptionsMonitor {
     }
 
     /**
-     * Normalize timestamp to MM:SS format
+     * Normalize timestamp to M:SS, or H:MM:SS for videos longer than an hour
      * @param {string} timestamp - Input timestamp
-     * @returns {string} - Normalized timestamp in MM:SS format
+     * @returns {string} - Normalized timestamp
      */
     static normalizeTimestamp(timestamp) {
-        // Remove any non-digit, non-colon characters
-        timestamp = timestamp.replace(/[^\d:]/g, '');
-
-        // Split by colon
-        const parts = timestamp.split(':');
-
-        if (parts.length === 1) {
-            // Just seconds - pad to MM:SS
-            return `0:${parts[0].padStart(2, '0')}`;
-        } else if (parts.length === 2) {
-            // MM:SS format - ensure seconds are padded
-            return `${parts[0]}:${parts[1].padStart(2, '0')}`;
-        } else if (parts.length === 3) {
-            // HH:MM:SS format - convert to MM:SS
-            const hours = parseInt(parts[0], 10);
-            const minutes = parseInt(parts[1], 10) + (hours * 60);
-            return `${minutes}:${parts[2].padStart(2, '0')}`;
+        const cleaned = timestamp.replace(/[^\d:]/g, '');
+        if (!cleaned || cleaned.split(':').length > 3) {
+            return cleaned;
         }
-
-        // Default fallback
-        return timestamp;
+        return CaptionsManager.formatTimestamp(CaptionsManager.parseTimestamp(cleaned));
     }
 
     /**
@@ -1012,8 +1279,11 @@ class LoomCaptionsExtractor {
             // Create control panel
             CaptionsPanel.createPanel();
 
-            // Start monitoring captions
-            CaptionsMonitor.startMonitoring();
+            // Load the whole caption track; watch the player as captions appear when it cannot be found
+            const loaded = await this.loadFullTranscript();
+            if (!loaded) {
+                CaptionsMonitor.startMonitoring();
+            }
 
             Logger.debug("Loom Captions Extractor initialized");
         } catch (error) {
@@ -1021,6 +1291,25 @@ class LoomCaptionsExtractor {
         }
     }
 
+    /**
+     * Load the complete caption track and stop live monitoring once it is in
+     * @returns {Promise<boolean>} True when the caption track was loaded
+     */
+    static async loadFullTranscript() {
+        CaptionsPanel.updateStatus("Fetching caption track...");
+        const loaded = await CaptionsFetcher.loadIntoManager();
+
+        if (loaded) {
+            CaptionsMonitor.stopMonitoring();
+            CaptionsPanel.updateStatus(`Loaded ${CaptionsManager.captions.length} captions from the caption track`);
+        } else {
+            CaptionsPanel.updateStatus(CaptionsMonitor.isCapturing
+                ? "Caption track not found, still capturing as the video plays"
+                : "Caption track not found, captions will be captured as the video plays");
+        }
+        return loaded;
+    }
+
     /**
      * Check if the current page is a Loom video page
      */
@@ -1067,4 +1356,6 @@ if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', LoomCaptionsExtractor.init.bind(LoomCaptionsExtractor));
 } else {
     LoomCaptionsExtractor.init();
-}
\ No newline at end of file
+}
+
+export {CaptionsFetcher, CaptionsManager, CaptionsMonitor, LoomCaptionsExtractor};
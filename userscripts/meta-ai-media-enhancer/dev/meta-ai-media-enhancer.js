@@ -4,12 +4,17 @@ import {
     Checkbox,
     Debouncer,
     DOMObserver,
+    GeneratedMediaCollector,
     HTMLUtils,
     Input,
     Logger,
     Notification,
     PollingStrategy,
+    PromptTemplate,
     PubSub,
+    SelectorRegistry,
+    SettingsBackupService,
+    SettingsStore,
     SidebarPanel,
     StyleManager,
     TextArea,
@@ -21,7 +26,6 @@ import {
     SelectBox,
     InfoBox
 } from "../../common/core";
-import { getValue, setValue } from "../../common/core/utils/GMFunctions";
 import { MouseEventUtils } from '../../common/core/utils/HTMLUtils.js';
 
 // Configure logger
@@ -55,6 +59,11 @@ class MetaAIMediaEnhancer {
             'div[role="button"][aria-disabled="true"][aria-label="Send"]',
             // Language-agnostic fallback for disabled state
             'div[role="button"][aria-disabled="true"]:has(svg path[d^="M16.0279"])'
+        ],
+        // Generated images and videos
+        GENERATED_MEDIA: [
+            'div[role="main"] img[src*="fbcdn.net"], div[role="main"] video',
+            'img[src*="fbcdn.net"], video'
         ]
     };
 
@@ -70,8 +79,12 @@ class MetaAIMediaEnhancer {
         BASE_PROMPT_POSITION: 'maime-base-prompt-position',
         MULTIPLE_PROMPTS_START_COUNT: 'maime-multiple-prompts-start-count',
         TEMPLATE_PROMPT: 'maime-template-prompt',
+        TEMPLATES_ENABLED: 'maime-templates-enabled',
+        TEMPLATE_CSV: 'maime-template-csv',
         OVERRIDE_ITERATIONS: 'maime-override-iterations',
-        DEFAULT_ITERATIONS: 'maime-default-iterations'
+        DEFAULT_ITERATIONS: 'maime-default-iterations',
+        AUTO_DOWNLOAD_MEDIA: 'maime-auto-download-media',
+        MANIFEST_FORMAT: 'maime-manifest-format'
     };
 
     static DEFAULT_SETTINGS = {
@@ -86,10 +99,17 @@ class MetaAIMediaEnhancer {
         BASE_PROMPT_POSITION: 'after',
         MULTIPLE_PROMPTS_START_COUNT: 0,
         TEMPLATE_PROMPT: 'This is iteration {iteration} of {total}. Please provide a response.',
+        TEMPLATES_ENABLED: true, // Expand {a|b}, {{n}} and {{column}} in prompts
+        TEMPLATE_CSV: '', // CSV with a header row; {{column}} in prompts is filled from each row
         OVERRIDE_ITERATIONS: false,
-        DEFAULT_ITERATIONS: 10
+        DEFAULT_ITERATIONS: 10,
+        AUTO_DOWNLOAD_MEDIA: false, // Download generated images/videos for each prompt
+        MANIFEST_FORMAT: 'json' // 'json' or 'csv'
     };
 
+    // Stored settings schema version, bumped together with a SettingsStore migration
+    static SETTINGS_VERSION = 1;
+
     static EVENTS = {
         PROMPT_SENT: 'meta-ai-media:prompt-sent',
         AUTOMATION_STARTED: 'meta-ai-media:automation-started',
@@ -107,6 +127,23 @@ class MetaAIMediaEnhancer {
         this.sidebarPanel = null;
         this.enhancerId = 'meta-ai-media-enhancer-container';
         this.subscriptionIds = [];
+        this.selectors = new SelectorRegistry({name: 'Meta AI Media Enhancer', selectors: MetaAIMediaEnhancer.SELECTORS});
+        this.settingsStore = new SettingsStore({
+            namespace: 'maime',
+            version: MetaAIMediaEnhancer.SETTINGS_VERSION,
+            keys: MetaAIMediaEnhancer.SETTINGS_KEYS,
+            defaults: MetaAIMediaEnhancer.DEFAULT_SETTINGS
+        });
+        this.setupSettingsSync();
+        this.mediaCollector = new GeneratedMediaCollector({
+            script: 'Meta AI Media Enhancer',
+            findMedia: () => this.selectors.queryAll('GENERATED_MEDIA')
+        });
+        this.settingsBackup = new SettingsBackupService({
+            script: 'Meta AI Media Enhancer',
+            keys: MetaAIMediaEnhancer.SETTINGS_KEYS,
+            defaults: MetaAIMediaEnhancer.DEFAULT_SETTINGS
+        });
         
         // Debouncer for text saving
         this.textSaveDebouncer = new Debouncer(() => {
@@ -172,17 +209,42 @@ class MetaAIMediaEnhancer {
         Logger.debug("All subscriptions and resources cleaned up");
     }
 
+    /**
+     * Keep settings and their controls in step with changes made in other tabs
+     */
+    setupSettingsSync() {
+        this.settingsStore
+            .bind('PROMPT_MODE', () => this.promptModeSelect)
+            .bind('AUTO_RUN_PROMPT', () => this.promptTextArea)
+            .bind('MULTIPLE_PROMPTS', () => this.multiplePromptTextArea)
+            .bind('BASE_PROMPT_POSITION', () => this.basePromptPositionSelect)
+            .bind('BASE_PROMPT_MULTIPLE', () => this.basePromptMultipleTextArea)
+            .bind('MULTIPLE_PROMPTS_START_COUNT', () => this.multiplePromptsStartCountInput)
+            .bind('TEMPLATE_PROMPT', () => this.templatePromptTextArea)
+            .bind('TEMPLATES_ENABLED', () => this.templatesEnabledCheckbox)
+            .bind('TEMPLATE_CSV', () => this.templateCsvTextArea)
+            .bind('OVERRIDE_ITERATIONS', () => this.overrideIterationsCheckbox)
+            .bind('DEFAULT_ITERATIONS', () => this.iterationsInput)
+            .bind('DELAY_SECONDS', () => this.delayInput)
+            .bind('AUTO_CLEAR_PROMPT', () => this.autoClearCheckbox)
+            .bind('SHOW_NOTIFICATIONS', () => this.showNotificationsCheckbox)
+            .bind('AUTO_DOWNLOAD_MEDIA', () => this.autoDownloadCheckbox)
+            .bind('MANIFEST_FORMAT', () => this.manifestFormatSelect);
+
+        this.settingsStore.watch((name, value) => {
+            this.settings[name] = value;
+            if (['MULTIPLE_PROMPTS', 'AUTO_RUN_PROMPT', 'TEMPLATE_PROMPT', 'TEMPLATES_ENABLED', 'TEMPLATE_CSV'].includes(name)) {
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'multiple');
+            }
+        });
+    }
+
     /**
      * Load saved settings
      */
     async loadSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(MetaAIMediaEnhancer.SETTINGS_KEYS)) {
-                const savedValue = await getValue(storageKey, null);
-                if (savedValue !== null) {
-                    this.settings[settingName] = savedValue;
-                }
-            }
+            this.settings = await this.settingsStore.load();
             Logger.debug("Settings loaded", this.settings);
         } catch (error) {
             Logger.error("Error loading settings:", error);
@@ -194,9 +256,7 @@ class MetaAIMediaEnhancer {
      */
     async saveSettings() {
         try {
-            for (const [settingName, storageKey] of Object.entries(MetaAIMediaEnhancer.SETTINGS_KEYS)) {
-                await setValue(storageKey, this.settings[settingName]);
-            }
+            await this.settingsStore.save(this.settings);
             Logger.debug("Settings saved", this.settings);
             PubSub.publish(MetaAIMediaEnhancer.EVENTS.SETTINGS_CHANGED, this.settings);
         } catch (error) {
@@ -312,6 +372,12 @@ class MetaAIMediaEnhancer {
             await this.createSidebarPanel();
 
             Logger.success("Meta AI Media Enhancer initialized successfully!");
+
+            // The send button only renders once a prompt is typed, so only the prompt area is checked
+            this.selectors.scheduleHealthCheck({
+                names: ['PROMPT_AREA'],
+                notify: this.settings.SHOW_NOTIFICATIONS
+            });
         } catch (error) {
             Logger.error('Error during initialization:', error);
             this.showNotification('Failed to initialize enhancer. Please refresh the page.', 'error');
@@ -462,6 +528,7 @@ class MetaAIMediaEnhancer {
             onInput: (event, textArea) => {
                 this.settings.AUTO_RUN_PROMPT = textArea.getValue();
                 this.textSaveDebouncer.trigger();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'multiple');
             },
             onBlur: (event, textArea) => {
                 this.settings.AUTO_RUN_PROMPT = textArea.getValue();
@@ -627,6 +694,7 @@ Third prompt`;
             onInput: (event, textArea) => {
                 this.settings.TEMPLATE_PROMPT = textArea.getValue();
                 this.textSaveDebouncer.trigger();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'multiple');
             },
             onBlur: (event, textArea) => {
                 this.settings.TEMPLATE_PROMPT = textArea.getValue();
@@ -750,6 +818,7 @@ Third prompt`;
         section.appendChild(this.singlePromptContainer);
         section.appendChild(this.multiplePromptContainer);
         section.appendChild(this.templatePromptContainer);
+        section.appendChild(this.createTemplateOptions());
         section.appendChild(iterationsContainer);
         section.appendChild(delayContainer);
         section.appendChild(buttonContainer);
@@ -758,6 +827,60 @@ Third prompt`;
         container.appendChild(section);
     }
 
+    /**
+     * Create the prompt template options shared by all prompt modes
+     * @return {HTMLElement}
+     */
+    createTemplateOptions() {
+        const container = document.createElement('div');
+        container.className = 'template-options-container';
+        container.style.marginBottom = '12px';
+
+        this.templatesEnabledCheckbox = new Checkbox({
+            label: 'Expand prompt templates',
+            checked: this.settings.TEMPLATES_ENABLED,
+            onChange: () => {
+                this.settings.TEMPLATES_ENABLED = this.templatesEnabledCheckbox.isChecked();
+                this.saveSettings();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'multiple');
+            },
+            container: container,
+            size: 'small'
+        });
+
+        InfoBox.create({
+            content: '{a|b} runs every combination, {{n}} numbers prompts ({{n:3}} pads to 3 digits), {{column}} uses the CSV values below',
+            variant: 'default',
+            container: container,
+            scopeSelector: `#${this.enhancerId}`
+        });
+
+        this.templateCsvTextArea = new TextArea({
+            value: this.settings.TEMPLATE_CSV || '',
+            label: 'Template values (CSV with header row, optional):',
+            placeholder: 'animal,style\ncat,watercolor\ndog,pixel art',
+            rows: 3,
+            theme: 'primary',
+            size: 'medium',
+            className: 'template-csv-textarea',
+            attributes: { autocomplete: 'off', 'data-lpignore': 'true' },
+            onInput: (event, textArea) => {
+                this.settings.TEMPLATE_CSV = textArea.getValue();
+                this.textSaveDebouncer.trigger();
+                this.updateIterationInputBehavior(this.settings.PROMPT_MODE || 'multiple');
+            },
+            onBlur: (event, textArea) => {
+                this.settings.TEMPLATE_CSV = textArea.getValue();
+                this.saveSettings();
+            },
+            container: container,
+            autoResize: true,
+            scopeSelector: `#${this.enhancerId}`
+        });
+
+        return container;
+    }
+
     /**
      * Create settings section
      */
@@ -826,12 +949,58 @@ Third prompt`;
             size: 'small'
         });
 
+        // Generated media downloads container
+        const downloadContainer = document.createElement('div');
+        downloadContainer.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 8px 0;
+        `;
+
+        this.autoDownloadCheckbox = new Checkbox({
+            label: 'Download generated images and videos',
+            checked: this.settings.AUTO_DOWNLOAD_MEDIA,
+            onChange: () => {
+                this.settings.AUTO_DOWNLOAD_MEDIA = this.autoDownloadCheckbox.isChecked();
+                this.saveSettings();
+            },
+            container: downloadContainer,
+            size: 'small'
+        });
+
+        const manifestFormat = this.settings.MANIFEST_FORMAT || 'json';
+        this.manifestFormatSelect = new SelectBox({
+            items: [
+                { value: 'json', label: 'JSON', selected: manifestFormat === 'json' },
+                { value: 'csv', label: 'CSV', selected: manifestFormat === 'csv' }
+            ],
+            name: 'manifest-format',
+            id: 'manifest-format-select',
+            label: 'Manifest format:',
+            labelPosition: 'inline',
+            container: downloadContainer,
+            theme: 'default',
+            size: 'small',
+            onChange: (value) => {
+                this.settings.MANIFEST_FORMAT = value;
+                this.saveSettings();
+            }
+        });
+
         // Assemble the section
         checkboxesContainer.appendChild(autoClearContainer);
         checkboxesContainer.appendChild(notificationsContainer);
+        checkboxesContainer.appendChild(downloadContainer);
         
+        const backupSection = this.settingsBackup.createSection({
+            onImported: () => this.loadSettings()
+        });
+        backupSection.style.marginTop = '16px';
+
         section.appendChild(title);
         section.appendChild(checkboxesContainer);
+        section.appendChild(backupSection);
 
         container.appendChild(section);
     }
@@ -876,20 +1045,15 @@ Third prompt`;
         if (!this.iterationsInfoText) return;
 
         if (mode === 'multiple') {
-            const multiplePrompts = this.settings.MULTIPLE_PROMPTS
-                ? this.settings.MULTIPLE_PROMPTS.split('---')
-                    .map(p => p.trim())
-                    .filter(p => p.length > 0)
-                : [];
-            
-            const promptCount = multiplePrompts.length;
+            const promptCount = this.getMultiplePrompts().length;
             if (promptCount > 0) {
                 this.iterationsInfoText.textContent = `Number of iterations to run (${promptCount} prompts available)`;
             } else {
                 this.iterationsInfoText.textContent = 'Number of iterations to run';
             }
         } else {
-            this.iterationsInfoText.textContent = 'Number of iterations to run';
+            this.iterationsInfoText.textContent = 'Number of iterations to run' +
+                this.getTemplateHint(mode === 'single' ? this.settings.AUTO_RUN_PROMPT : this.settings.TEMPLATE_PROMPT);
         }
     }
 
@@ -932,17 +1096,14 @@ Third prompt`;
         switch (mode) {
             case 'single':
                 const singlePrompt = this.settings.AUTO_RUN_PROMPT || '';
+                const singleVariants = this.expandTemplates([singlePrompt]);
                 for (let i = 0; i < iterations; i++) {
-                    prompts.push(singlePrompt);
+                    prompts.push(singleVariants.length ? singleVariants[i % singleVariants.length] : singlePrompt);
                 }
                 break;
 
             case 'multiple':
-                const multiplePrompts = this.settings.MULTIPLE_PROMPTS
-                    ? this.settings.MULTIPLE_PROMPTS.split('---')
-                        .map(p => p.trim())
-                        .filter(p => p.length > 0)
-                    : [];
+                const multiplePrompts = this.getMultiplePrompts();
                 
                 if (multiplePrompts.length === 0) {
                     break;
@@ -979,8 +1140,9 @@ Third prompt`;
 
             case 'template':
                 const template = this.settings.TEMPLATE_PROMPT || '';
+                const templateVariants = this.expandTemplates([template]);
                 for (let i = 0; i < iterations; i++) {
-                    let prompt = template;
+                    let prompt = templateVariants.length ? templateVariants[i % templateVariants.length] : template;
                     const timestamp = new Date().toISOString();
                     
                     // Replace variables
@@ -993,7 +1155,51 @@ Third prompt`;
                 break;
         }
 
-        return prompts;
+        // Counters are numbered once the final order is known
+        return this.settings.TEMPLATES_ENABLED ? PromptTemplate.number(prompts) : prompts;
+    }
+
+    /**
+     * Get the multiple prompts (separated by ---) with their templates expanded
+     * @return {string[]}
+     */
+    getMultiplePrompts() {
+        const prompts = this.settings.MULTIPLE_PROMPTS
+            ? this.settings.MULTIPLE_PROMPTS.split('---')
+                .map(p => p.trim())
+                .filter(p => p.length > 0)
+            : [];
+        return this.expandTemplates(prompts);
+    }
+
+    /**
+     * Expand {a|b} alternatives and CSV {{column}} values; {{n}} is filled in by getAllPrompts()
+     * @param {string[]} templates - Prompts that may use template syntax
+     * @return {string[]}
+     */
+    expandTemplates(templates) {
+        if (!this.settings.TEMPLATES_ENABLED) {
+            return templates.filter(t => t.trim().length > 0);
+        }
+        const rows = PromptTemplate.parseCsv(this.settings.TEMPLATE_CSV);
+        const results = [];
+        for (const template of templates) {
+            results.push(...PromptTemplate.expand(template, {rows, limit: PromptTemplate.MAX_PROMPTS - results.length}));
+        }
+        return results;
+    }
+
+    /**
+     * Describe how many prompts the current template expands to, for the iterations hint
+     * @param {string} template - Single or template-mode prompt
+     * @return {string} Empty when the prompt has no template syntax
+     */
+    getTemplateHint(template) {
+        if (!this.settings.TEMPLATES_ENABLED || !PromptTemplate.hasSyntax(template)) {
+            return '';
+        }
+        const count = this.expandTemplates([template]).length;
+        return ` (template expands to ${count} prompt${count === 1 ? '' : 's'}, cycled per iteration)`;
     }
 
     /**
@@ -1010,13 +1216,8 @@ Third prompt`;
         const mode = this.settings.PROMPT_MODE || 'multiple';
         
         if (mode === 'multiple' && !this.settings.OVERRIDE_ITERATIONS) {
-            // Auto-detect from multiple prompts
-            const multiplePrompts = this.settings.MULTIPLE_PROMPTS
-                ? this.settings.MULTIPLE_PROMPTS.split('---')
-                    .map(p => p.trim())
-                    .filter(p => p.length > 0)
-                : [];
-            iterations = multiplePrompts.length;
+            // Auto-detect from multiple prompts (after template expansion)
+            iterations = this.getMultiplePrompts().length;
         } else {
             // Use configured iterations
             iterations = this.settings.DEFAULT_ITERATIONS || 10;
@@ -1048,6 +1249,10 @@ Third prompt`;
         Logger.info(`Settings: Delay=${this.settings.DELAY_SECONDS}s between prompts`);
         this.showNotification(`Starting automation with ${prompts.length} prompts (Delay: ${this.settings.DELAY_SECONDS}s)`, 'info');
 
+        if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+            this.mediaCollector.start();
+        }
+
         // Run all prompts sequentially
         try {
             await this.runAllPrompts(prompts);
@@ -1060,6 +1265,9 @@ Third prompt`;
             Logger.error('Automation error:', error);
             this.showNotification(`Automation error: ${error.message}`, 'error');
         } finally {
+            if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+                await this.finishMediaBatch();
+            }
             // Clean up state
             this.isRunning = false;
             this.shouldStop = false;
@@ -1141,7 +1349,12 @@ Third prompt`;
 
             this.currentIndex = i + 1;
             this.updateStatus();
-            
+
+            // Media that appears from here on belongs to this prompt
+            if (this.settings.AUTO_DOWNLOAD_MEDIA) {
+                await this.mediaCollector.beginPrompt(i, prompts[i]);
+            }
+
             await this.processPrompt(prompts[i], i);
             
             // Add delay between prompts (except for the last one)
@@ -1154,9 +1367,37 @@ Third prompt`;
             }
         }
         
+        // Meta AI keeps rendering after the last prompt is sent; wait for its media before closing the batch
+        if (this.settings.AUTO_DOWNLOAD_MEDIA && !this.shouldStop) {
+            Logger.info('⏳ Waiting for the last prompt\'s media...');
+            await this.mediaCollector.waitForMedia({
+                quietMs: 8000,
+                timeoutMs: 120000,
+                shouldStop: () => this.shouldStop
+            });
+        }
+
         Logger.info('🎉 All prompts processed');
     }
 
+    /**
+     * Download media still pending from the last prompt and save the batch manifest
+     */
+    async finishMediaBatch() {
+        try {
+            const manifest = await this.mediaCollector.finish();
+            if (!manifest || manifest.items.length === 0) {
+                return;
+            }
+
+            const filename = this.mediaCollector.saveManifest(this.settings.MANIFEST_FORMAT);
+            const downloaded = this.mediaCollector.getDownloadedCount();
+            this.showNotification(`Downloaded ${downloaded} files, manifest saved as ${filename}`, 'success');
+        } catch (error) {
+            Logger.error('Error finishing media downloads:', error);
+        }
+    }
+
     /**
      * Process a single prompt
      */
@@ -1234,13 +1475,7 @@ Third prompt`;
      * Find prompt area element
      */
     findPromptArea() {
-        for (const selector of MetaAIMediaEnhancer.SELECTORS.PROMPT_AREA) {
-            const element = document.querySelector(selector);
-            if (element && element.offsetParent !== null) {
-                return element;
-            }
-        }
-        return null;
+        return this.selectors.query('PROMPT_AREA', {filter: (element) => element.offsetParent !== null});
     }
 
     /**
@@ -2,11 +2,12 @@ import DOMObserver from '../../../common/core/ui/DOMObserver.js';
 import Logger from '../../../common/core/utils/Logger.js';
 import {getValue, setValue} from '../../../common/core/utils/GMFunctions.js';
 import PubSub from '../../../common/core/utils/PubSub.js';
+import {JobTileParser} from './JobTileParser.js';
 
-const logger = new Logger('UpworkCountryFilter');
+const logger = Logger.newPrefix('UpworkCountryFilter');
 
-const FILTER_ENABLED_KEY = 'upworkFilterEnabled';
-const BANNED_COUNTRIES_KEY = 'upworkBannedCountries';
+export const FILTER_ENABLED_KEY = 'upworkFilterEnabled';
+export const BANNED_COUNTRIES_KEY = 'upworkBannedCountries';
 
 /**
  * Class for filtering Upwork job listings by country.
@@ -34,7 +35,7 @@ export class UpworkCountryFilter {
         if (this.isFilterEnabled) {
             this.removeCountryListings(); // Initial scan
         }
-        logger.log('Initialized with filter enabled:', this.isFilterEnabled, 'Banned countries:', this.bannedCountriesList);
+        logger.debug('Initialized with filter enabled:', this.isFilterEnabled, 'Banned countries:', this.bannedCountriesList);
 
         // Subscribe to settings changes from UI
         PubSub.subscribe('filterEnabledChanged', (isEnabled) => this.setFilterEnabled(isEnabled));
@@ -48,22 +49,22 @@ export class UpworkCountryFilter {
         const storedCountries = await getValue(BANNED_COUNTRIES_KEY, []);
         // Ensure it's always an array, even if null/undefined is somehow stored
         this.bannedCountriesList = Array.isArray(storedCountries) ? storedCountries : [];
-        logger.log('Settings loaded - Enabled:', this.isFilterEnabled, 'Countries:', this.bannedCountriesList);
+        logger.debug('Settings loaded - Enabled:', this.isFilterEnabled, 'Countries:', this.bannedCountriesList);
     }
 
     static async saveSettings() {
         await setValue(FILTER_ENABLED_KEY, this.isFilterEnabled);
         await setValue(BANNED_COUNTRIES_KEY, this.bannedCountriesList);
-        logger.log('Settings saved - Enabled:', this.isFilterEnabled, 'Countries:', this.bannedCountriesList);
+        logger.debug('Settings saved - Enabled:', this.isFilterEnabled, 'Countries:', this.bannedCountriesList);
     }
 
     static setFilterEnabled(isEnabled) {
         if (typeof isEnabled === 'boolean' && this.isFilterEnabled !== isEnabled) {
             this.isFilterEnabled = isEnabled;
-            logger.log('Filter enabled state changed to:', this.isFilterEnabled);
+            logger.debug('Filter enabled state changed to:', this.isFilterEnabled);
             this.saveSettings();
             if (!this.isFilterEnabled) {
-                logger.log('Filter disabled. Job listings will not be actively removed. Previously removed items will remain removed until page refresh.');
+                logger.debug('Filter disabled. Job listings will not be actively removed. Previously removed items will remain removed until page refresh.');
             } else {
                 this.removeCountryListings(); // Re-apply filter if enabled
             }
@@ -77,7 +78,7 @@ export class UpworkCountryFilter {
     static setBannedCountries(countries) {
         if (Array.isArray(countries)) {
             this.bannedCountriesList = [...new Set(countries.map(c => c.trim()).filter(c => c))]; // Unique, trimmed, non-empty
-            logger.log('Banned countries list updated to:', this.bannedCountriesList);
+            logger.debug('Banned countries list updated to:', this.bannedCountriesList);
             this.saveSettings();
             if (this.isFilterEnabled) {
                 this.removeCountryListings(); // Re-apply filter with new countries
@@ -100,7 +101,7 @@ export class UpworkCountryFilter {
         if (this.observerInstance) {
             this.observerInstance.disconnect();
             this.observerInstance = null;
-            logger.log('DOM Observer stopped.');
+            logger.debug('DOM Observer stopped.');
         }
     }
 
@@ -138,15 +139,8 @@ export class UpworkCountryFilter {
      */
     static removeListing(listingElement) {
         // Try to find the closest common ancestor that represents a job card
-        const parentSelectors = [
-            '.up-card-section', // General card section
-            '.job-tile',        // Older job tile class
-            '[data-test="job-tile-list-visitor"]' // A common selector for job tiles
-            // Add more selectors here if Upwork changes its structure
-        ];
-
         let parentElement = null;
-        for (const selector of parentSelectors) {
+        for (const selector of JobTileParser.TILE_SELECTORS) {
             parentElement = listingElement.closest(selector);
             if (parentElement) break;
         }
@@ -0,0 +1,240 @@
+import DOMObserver from '../../../common/core/ui/DOMObserver.js';
+import Logger from '../../../common/core/utils/Logger.js';
+import StyleManager from '../../../common/core/utils/StyleManager.js';
+import {getValue, setValue} from '../../../common/core/utils/GMFunctions.js';
+import PubSub from '../../../common/core/utils/PubSub.js';
+import {JobTileParser} from './JobTileParser.js';
+
+const logger = Logger.newPrefix('UpworkJobRuleFilter');
+
+export const JOB_RULES_KEY = 'upworkJobRules';
+
+const HIDDEN_CLASS = 'upwork-job-rule-hidden';
+const DIMMED_CLASS = 'upwork-job-rule-dimmed';
+
+/**
+ * Checks whether a job's range [from, to] falls outside [min, max]; a max of 0 means no maximum.
+ */
+const isOutsideRange = (from, to, min, max) => (min > 0 && to < min) || (max > 0 && from > max);
+
+/**
+ * Class for hiding or dimming Upwork job listings by budget, client history and keywords.
+ * Each rule has its own enabled state, mode ('hide' or 'dim') and parameters; jobs a rule cannot judge,
+ * because their tile does not show the value, are left alone.
+ */
+export class JobRuleFilter {
+    static RULES = [
+        {
+            id: 'clientSpent',
+            label: 'Client spent less than ($)',
+            params: {minSpent: 1000},
+            matches: (job, {minSpent}) => job.clientSpent !== null && job.clientSpent < minSpent
+        },
+        {
+            id: 'hireRate',
+            label: 'Client hire rate below (%)',
+            params: {minHireRate: 50},
+            matches: (job, {minHireRate}) => job.hireRate !== null && job.hireRate < minHireRate
+        },
+        {
+            id: 'paymentUnverified',
+            label: 'Payment method not verified',
+            params: {},
+            matches: (job) => job.paymentVerified === false
+        },
+        {
+            id: 'hourlyRate',
+            label: 'Hourly rate outside ($/hr)',
+            params: {min: 0, max: 0},
+            matches: (job, {min, max}) => job.budgetType === 'hourly' && job.hourlyMin !== null
+                && isOutsideRange(job.hourlyMin, job.hourlyMax, min, max)
+        },
+        {
+            id: 'fixedBudget',
+            label: 'Fixed budget outside ($)',
+            params: {min: 0, max: 0},
+            matches: (job, {min, max}) => job.budgetType === 'fixed' && job.fixedBudget !== null
+                && isOutsideRange(job.fixedBudget, job.fixedBudget, min, max)
+        },
+        {
+            id: 'proposals',
+            label: 'Proposals at least',
+            params: {maxProposals: 50},
+            matches: (job, {maxProposals}) => job.proposals !== null && job.proposals >= maxProposals
+        },
+        {
+            id: 'keywords',
+            label: 'Title or description contains',
+            params: {keywords: [], searchDescription: true},
+            matches: (job, {keywords, searchDescription}) => {
+                const text = `${job.title} ${searchDescription ? job.description : ''}`.toLowerCase();
+                return keywords.some((keyword) => text.includes(keyword.toLowerCase()));
+            }
+        }
+    ];
+
+    static MODES = ['hide', 'dim'];
+
+    static observerInstance = null;
+    static ruleSettings = {};
+    static counts = {};
+
+    /**
+     * Initializes the filter by loading the rules and starting a DOMObserver.
+     */
+    static async init() {
+        await this.loadSettings();
+        this.addStyles();
+
+        this.observerInstance = new DOMObserver(() => this.applyRules());
+        this.observerInstance.observe(document.documentElement, {childList: true, subtree: true});
+        this.applyRules(); // Initial scan
+        logger.debug('Initialized with rules:', this.ruleSettings);
+
+        // Subscribe to rule changes from UI
+        PubSub.subscribe('jobRuleChanged', ({ruleId, changes}) => this.updateRule(ruleId, changes));
+    }
+
+    static addStyles() {
+        StyleManager.addStyles(`
+            .${HIDDEN_CLASS} { display: none !important; }
+            .${DIMMED_CLASS} { opacity: 0.35; transition: opacity 0.2s; }
+            .${DIMMED_CLASS}:hover { opacity: 1; }
+        `, 'upwork-job-rule-filter-styles');
+    }
+
+    /**
+     * Gets the settings of every rule with its defaults: disabled, hiding, default parameters.
+     * @returns {Object} Rule ID to {enabled, mode, params}.
+     */
+    static getDefaultSettings() {
+        return Object.fromEntries(this.RULES.map((rule) => [
+            rule.id,
+            {enabled: false, mode: 'hide', params: structuredClone(rule.params)}
+        ]));
+    }
+
+    /**
+     * Completes stored rule settings with the defaults, so rules added later start disabled.
+     * @param {Object} stored - Stored rule settings.
+     * @returns {Object} Rule ID to {enabled, mode, params}.
+     */
+    static normalizeSettings(stored) {
+        const settings = this.getDefaultSettings();
+        if (!stored || typeof stored !== 'object') {
+            return settings;
+        }
+        Object.entries(settings).forEach(([ruleId, defaults]) => {
+            const rule = stored[ruleId];
+            if (!rule || typeof rule !== 'object') {
+                return;
+            }
+            settings[ruleId] = {
+                enabled: rule.enabled === true,
+                mode: this.MODES.includes(rule.mode) ? rule.mode : defaults.mode,
+                params: {...defaults.params, ...rule.params}
+            };
+        });
+        return settings;
+    }
+
+    static async loadSettings() {
+        this.ruleSettings = this.normalizeSettings(await getValue(JOB_RULES_KEY, null));
+        logger.debug('Settings loaded - Rules:', this.ruleSettings);
+    }
+
+    static async saveSettings() {
+        await setValue(JOB_RULES_KEY, this.ruleSettings);
+        logger.debug('Settings saved - Rules:', this.ruleSettings);
+    }
+
+    /**
+     * Changes a rule and applies the rules again.
+     * @param {string} ruleId - The rule to change.
+     * @param {Object} changes - Any of enabled, mode and params; params are merged with the current ones.
+     */
+    static updateRule(ruleId, changes) {
+        const current = this.ruleSettings[ruleId];
+        if (!current || !changes) {
+            logger.warn('Ignoring change for unknown rule:', ruleId);
+            return;
+        }
+        this.ruleSettings = this.normalizeSettings({
+            ...this.ruleSettings,
+            [ruleId]: {...current, ...changes, params: {...current.params, ...changes.params}}
+        });
+        logger.debug(`Rule ${ruleId} updated to:`, this.ruleSettings[ruleId]);
+        this.saveSettings();
+        this.applyRules();
+        PubSub.publish('jobRulesRefreshed', this.getSettings());
+    }
+
+    static getSettings() {
+        return structuredClone(this.ruleSettings);
+    }
+
+    static getCounts() {
+        return {...this.counts};
+    }
+
+    /**
+     * Finds the enabled rules a job matches.
+     * @param {Object} job - Job read by JobTileParser.parse().
+     * @returns {{hiddenBy: string[], dimmedBy: string[]}} The matching rule IDs by mode.
+     */
+    static evaluate(job) {
+        const result = {hiddenBy: [], dimmedBy: []};
+        this.RULES.forEach((rule) => {
+            const settings = this.ruleSettings[rule.id];
+            if (settings?.enabled && rule.matches(job, settings.params)) {
+                (settings.mode === 'dim' ? result.dimmedBy : result.hiddenBy).push(rule.id);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Hides or dims the job tiles on the page and counts the jobs each rule caught.
+     * Tiles are only hidden, so they come back when a rule is disabled or loosened.
+     */
+    static applyRules() {
+        const counts = Object.fromEntries(this.RULES.map((rule) => [rule.id, 0]));
+        counts.hidden = 0;
+        counts.dimmed = 0;
+
+        JobTileParser.getJobTiles().forEach((tile) => {
+            const {hiddenBy, dimmedBy} = this.evaluate(JobTileParser.parse(tile));
+            const isHidden = hiddenBy.length > 0;
+            const isDimmed = !isHidden && dimmedBy.length > 0;
+
+            tile.classList.toggle(HIDDEN_CLASS, isHidden);
+            tile.classList.toggle(DIMMED_CLASS, isDimmed);
+            if (isHidden || isDimmed) {
+                tile.dataset.jobRules = [...hiddenBy, ...dimmedBy].join(' ');
+            } else {
+                delete tile.dataset.jobRules;
+            }
+
+            [...hiddenBy, ...dimmedBy].forEach((ruleId) => counts[ruleId]++);
+            if (isHidden) counts.hidden++;
+            if (isDimmed) counts.dimmed++;
+        });
+
+        // The count display changes the page too, so only publish real changes
+        if (JSON.stringify(counts) !== JSON.stringify(this.counts)) {
+            this.counts = counts;
+            PubSub.publish('jobRuleCountsChanged', this.getCounts());
+        }
+    }
+
+    /**
+     * Stops the DOM observer.
+     */
+    static stop() {
+        if (this.observerInstance) {
+            this.observerInstance.disconnect();
+            this.observerInstance = null;
+            logger.debug('DOM Observer stopped.');
+        }
+    }
+}
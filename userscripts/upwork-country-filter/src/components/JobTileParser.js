@@ -0,0 +1,114 @@
+/**
+ * Reads the job and client details shown on Upwork job tiles.
+ * Values a tile does not show are null, so rules can leave those jobs alone.
+ */
+export class JobTileParser {
+    // Job cards on the search, browse and find-work pages, newest markup first
+    static TILE_SELECTORS = [
+        'article[data-test="JobTile"]',
+        '[data-test="job-tile-list"] > section',
+        '.up-card-section',
+        '.job-tile',
+        '[data-test="job-tile-list-visitor"]'
+    ];
+
+    static FIELD_SELECTORS = {
+        title: '[data-test="job-tile-title-link"], .job-tile-title a, h2 a, h3 a',
+        description: '[data-test="UpCLineClamp JobDescription"], [data-test="job-description-text"], .job-description',
+        clientSpent: '[data-test="total-spent"], [data-test="client-spendings"]',
+        hireRate: '[data-test="client-hire-rate"]',
+        payment: '[data-test="payment-verified"], [data-test="payment-verification-status"], [data-test="payment-status"]',
+        jobType: '[data-test="job-type-label"], [data-test="job-type"]',
+        fixedBudget: '[data-test="is-fixed-price"], [data-test="budget"]',
+        proposals: '[data-test="proposals-tier"], [data-test="proposals"]'
+    };
+
+    /**
+     * Finds the job tiles on the page, leaving out tiles nested in another tile.
+     * @param {ParentNode} [root=document] - Where to look.
+     * @returns {HTMLElement[]} The job tiles.
+     */
+    static getJobTiles(root = document) {
+        const selector = this.TILE_SELECTORS.join(', ');
+        return Array.from(root.querySelectorAll(selector))
+            .filter((tile) => !tile.parentElement?.closest(selector));
+    }
+
+    /**
+     * Reads an amount like "$1,250", "$10K+" or "$1.5M+".
+     * @param {string} text - Text containing the amount.
+     * @returns {number|null} The amount in dollars.
+     */
+    static parseAmount(text) {
+        const match = (text || '').match(/\$\s*([\d,]+(?:\.\d+)?)\s*([KM])?/i);
+        if (!match) {
+            return null;
+        }
+        const multipliers = {K: 1000, M: 1000000};
+        return parseFloat(match[1].replace(/,/g, '')) * (multipliers[match[2]?.toUpperCase()] || 1);
+    }
+
+    /**
+     * Reads the lowest number of proposals from texts like "Less than 5", "20 to 50" or "50+".
+     * @param {string} text - The proposals text.
+     * @returns {number|null} The lowest number of proposals.
+     */
+    static parseProposals(text) {
+        if (!text) {
+            return null;
+        }
+        if (/less than/i.test(text)) {
+            return 0;
+        }
+        const match = text.match(/(\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Reads the budget from the job type label ("Hourly: $15.00 - $35.00", "Fixed price") and the budget text.
+     * @param {string} jobTypeText - The job type label.
+     * @param {string} budgetText - The fixed price budget text.
+     * @returns {{budgetType: string|null, hourlyMin: number|null, hourlyMax: number|null, fixedBudget: number|null}}
+     */
+    static parseBudget(jobTypeText, budgetText) {
+        const budget = {budgetType: null, hourlyMin: null, hourlyMax: null, fixedBudget: null};
+        if (/hourly/i.test(jobTypeText || '')) {
+            const rates = (jobTypeText.match(/\$\s*[\d,]+(?:\.\d+)?/g) || []).map((rate) => this.parseAmount(rate));
+            budget.budgetType = 'hourly';
+            budget.hourlyMin = rates[0] ?? null;
+            budget.hourlyMax = rates[1] ?? rates[0] ?? null;
+        } else if (/fixed/i.test(jobTypeText || '') || budgetText) {
+            budget.budgetType = 'fixed';
+            budget.fixedBudget = this.parseAmount(budgetText) ?? this.parseAmount(jobTypeText);
+        }
+        return budget;
+    }
+
+    /**
+     * Reads a job tile.
+     * @param {HTMLElement} tile - The job tile.
+     * @returns {Object} {title, description, clientSpent, hireRate, paymentVerified, budgetType, hourlyMin,
+     *     hourlyMax, fixedBudget, proposals}
+     */
+    static parse(tile) {
+        const text = (name) => tile.querySelector(this.FIELD_SELECTORS[name])?.textContent.replace(/\s+/g, ' ').trim() || '';
+
+        const paymentText = text('payment');
+        let paymentVerified = null;
+        if (paymentText) {
+            paymentVerified = /verified/i.test(paymentText) && !/unverified|not verified/i.test(paymentText);
+        }
+
+        const hireRateMatch = (text('hireRate') || tile.textContent).match(/(\d+)%\s*hire rate/i);
+
+        return {
+            title: text('title'),
+            description: text('description'),
+            clientSpent: this.parseAmount(text('clientSpent')),
+            hireRate: hireRateMatch ? parseInt(hireRateMatch[1], 10) : null,
+            paymentVerified,
+            ...this.parseBudget(text('jobType'), text('fixedBudget')),
+            proposals: this.parseProposals(text('proposals'))
+        };
+    }
+}
@@ -2,36 +2,82 @@ import SidebarPanel from '../../../common/core/ui/SidebarPanel.js';
 import Button from '../../../common/core/ui/Button.js';
 import Checkbox from '../../../common/core/ui/Checkbox.js';
 import PubSub from '../../../common/core/utils/PubSub.js';
-import {UpworkCountryFilter} from '../components/CountryFilter.js';
+import SettingsBackupService from '../../../common/core/services/SettingsBackupService.js';
+import {BANNED_COUNTRIES_KEY, FILTER_ENABLED_KEY, UpworkCountryFilter} from '../components/CountryFilter.js';
+import {JOB_RULES_KEY, JobRuleFilter} from '../components/JobRuleFilter.js';
 // import StyleManager from '../../../core/utils/StyleManager.js'; // If custom styles are needed
 
 const SETTINGS_PANEL_ID = 'upwork-country-filter-settings-panel';
 const BANNED_LIST_ID = 'upwork-banned-countries-list';
 const ADD_COUNTRY_INPUT_ID = 'upwork-add-country-input';
+const JOB_RULES_ID = 'upwork-job-rules';
+
+// Parameter inputs of each rule, in display order
+const RULE_FIELDS = {
+    clientSpent: [{param: 'minSpent', type: 'number', placeholder: 'Minimum $'}],
+    hireRate: [{param: 'minHireRate', type: 'number', placeholder: 'Minimum %'}],
+    paymentUnverified: [],
+    hourlyRate: [
+        {param: 'min', type: 'number', placeholder: 'Min $/hr'},
+        {param: 'max', type: 'number', placeholder: 'Max $/hr (0 = none)'}
+    ],
+    fixedBudget: [
+        {param: 'min', type: 'number', placeholder: 'Min $'},
+        {param: 'max', type: 'number', placeholder: 'Max $ (0 = none)'}
+    ],
+    proposals: [{param: 'maxProposals', type: 'number', placeholder: 'Proposals'}],
+    keywords: [
+        {param: 'keywords', type: 'list', placeholder: 'Comma-separated keywords'},
+        {param: 'searchDescription', type: 'checkbox', label: 'Search the description too'}
+    ]
+};
 
 export class SettingsPanel {
     static sidebarPanel = null;
     static filterEnabledCheckbox = null;
     static countriesListContainer = null;
     static addCountryInput = null;
+    static settingsBackup = new SettingsBackupService({
+        script: 'Upwork Country Filter',
+        keys: {FILTER_ENABLED: FILTER_ENABLED_KEY, BANNED_COUNTRIES: BANNED_COUNTRIES_KEY, JOB_RULES: JOB_RULES_KEY},
+        defaults: {FILTER_ENABLED: true, BANNED_COUNTRIES: [], JOB_RULES: JobRuleFilter.getDefaultSettings()}
+    });
 
     static currentBannedCountries = [];
     static currentFilterEnabled = true;
+    static currentJobRules = {};
+    static currentRuleCounts = {};
+    static jobRulesContainer = null;
+    static ruleControls = {}; // rule ID -> {checkbox, modeSelect, inputs, countElement}
 
-    static init() {
+    static async init() {
         const initialSettings = UpworkCountryFilter.getSettings();
         this.currentFilterEnabled = initialSettings.isEnabled;
         this.currentBannedCountries = [...initialSettings.countries];
+        this.currentJobRules = JobRuleFilter.getSettings();
+        this.currentRuleCounts = JobRuleFilter.getCounts();
 
-        this.sidebarPanel = new SidebarPanel(SETTINGS_PANEL_ID, 'Upwork Country Filter Settings');
-
-        this.buildPanelContent();
+        this.sidebarPanel = new SidebarPanel({
+            id: SETTINGS_PANEL_ID,
+            title: 'Upwork Country Filter Settings',
+            buttonIcon: '⚙️',
+            content: {generator: () => this.buildPanelContent()}
+        });
+        await this.sidebarPanel.init();
 
         PubSub.subscribe('filterSettingsRefreshed', (settings) => {
             this.currentFilterEnabled = settings.isEnabled;
             this.currentBannedCountries = [...settings.countries];
             this.refreshUiElements();
         });
+        PubSub.subscribe('jobRulesRefreshed', (rules) => {
+            this.currentJobRules = rules;
+            this.refreshJobRules();
+        });
+        PubSub.subscribe('jobRuleCountsChanged', (counts) => {
+            this.currentRuleCounts = counts;
+            this.renderRuleCounts();
+        });
     }
 
     static buildPanelContent() {
@@ -39,14 +85,14 @@ export class SettingsPanel {
         contentDiv.style.padding = '10px';
 
         // Filter Enabled/Disabled Checkbox
-        this.filterEnabledCheckbox = new Checkbox(
-            'Enable Country Filter',
-            this.currentFilterEnabled,
-            (isChecked) => {
-                PubSub.publish('filterEnabledChanged', isChecked);
+        this.filterEnabledCheckbox = new Checkbox({
+            label: 'Enable Country Filter',
+            checked: this.currentFilterEnabled,
+            container: contentDiv,
+            onChange: (event) => {
+                PubSub.publish('filterEnabledChanged', event.target.checked);
             }
-        );
-        contentDiv.appendChild(this.filterEnabledCheckbox.getElement());
+        });
 
         // Separator
         const separator = document.createElement('hr');
@@ -77,23 +123,56 @@ export class SettingsPanel {
         this.addCountryInput.style.border = '1px solid #ccc';
         this.addCountryInput.style.borderRadius = '3px';
 
-        const addButton = new Button('Add Country', () => {
-            const countryName = this.addCountryInput.value.trim();
-            if (countryName && !this.currentBannedCountries.map(c => c.toLowerCase()).includes(countryName.toLowerCase())) {
-                this.currentBannedCountries.push(countryName);
-                PubSub.publish('bannedCountriesChanged', [...this.currentBannedCountries]);
-                this.addCountryInput.value = ''; // Clear input
-                // The list will re-render once CountryFilter confirms via 'filterSettingsRefreshed'
-            }
-        });
-        addButton.getElement().style.padding = '5px 10px';
-
         const addControlsDiv = document.createElement('div');
         addControlsDiv.appendChild(this.addCountryInput);
-        addControlsDiv.appendChild(addButton.getElement());
+        new Button({
+            text: 'Add Country',
+            size: 'small',
+            container: addControlsDiv,
+            onClick: () => {
+                const countryName = this.addCountryInput.value.trim();
+                if (countryName && !this.currentBannedCountries.map(c => c.toLowerCase()).includes(countryName.toLowerCase())) {
+                    this.currentBannedCountries.push(countryName);
+                    PubSub.publish('bannedCountriesChanged', [...this.currentBannedCountries]);
+                    this.addCountryInput.value = ''; // Clear input
+                    // The list will re-render once CountryFilter confirms via 'filterSettingsRefreshed'
+                }
+            }
+        });
         contentDiv.appendChild(addControlsDiv);
 
-        this.sidebarPanel.setContent(contentDiv);
+        // Job rules
+        const rulesSeparator = document.createElement('hr');
+        rulesSeparator.style.margin = '10px 0';
+        contentDiv.appendChild(rulesSeparator);
+
+        const rulesHeading = document.createElement('h4');
+        rulesHeading.textContent = 'Job Rules:';
+        rulesHeading.style.marginTop = '0';
+        rulesHeading.style.marginBottom = '5px';
+        contentDiv.appendChild(rulesHeading);
+
+        this.jobRulesContainer = document.createElement('div');
+        this.jobRulesContainer.id = JOB_RULES_ID;
+        contentDiv.appendChild(this.jobRulesContainer);
+        this.renderJobRules();
+
+        // Settings export/import
+        const backupSeparator = document.createElement('hr');
+        backupSeparator.style.margin = '10px 0';
+        contentDiv.appendChild(backupSeparator);
+        contentDiv.appendChild(this.settingsBackup.createSection({
+            onImported: async () => {
+                await UpworkCountryFilter.loadSettings();
+                UpworkCountryFilter.removeCountryListings();
+                PubSub.publish('filterSettingsRefreshed', UpworkCountryFilter.getSettings());
+                await JobRuleFilter.loadSettings();
+                JobRuleFilter.applyRules();
+                PubSub.publish('jobRulesRefreshed', JobRuleFilter.getSettings());
+            }
+        }));
+
+        return contentDiv;
     }
 
     static renderBannedCountriesList() {
@@ -126,16 +205,17 @@ export class SettingsPanel {
             const countryText = document.createElement('span');
             countryText.textContent = country;
 
-            const removeButton = new Button('Remove', () => {
-                this.currentBannedCountries = this.currentBannedCountries.filter(c => c !== country);
-                PubSub.publish('bannedCountriesChanged', [...this.currentBannedCountries]);
-            });
-            removeButton.getElement().style.padding = '2px 5px';
-            removeButton.getElement().style.fontSize = '0.8em';
-            removeButton.getElement().style.marginLeft = '10px';
-
             li.appendChild(countryText);
-            li.appendChild(removeButton.getElement());
+            const removeButton = new Button({
+                text: 'Remove',
+                size: 'small',
+                container: li,
+                onClick: () => {
+                    this.currentBannedCountries = this.currentBannedCountries.filter(c => c !== country);
+                    PubSub.publish('bannedCountriesChanged', [...this.currentBannedCountries]);
+                }
+            });
+            removeButton.button.style.marginLeft = '10px';
             ul.appendChild(li);
         });
         this.countriesListContainer.appendChild(ul);
@@ -147,4 +227,141 @@ export class SettingsPanel {
         }
         this.renderBannedCountriesList();
     }
+
+    static createTextInput(type, placeholder) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.title = placeholder;
+        input.style.width = type === 'number' ? '110px' : '100%';
+        input.style.marginRight = '5px';
+        input.style.padding = '3px 5px';
+        input.style.border = '1px solid #ccc';
+        input.style.borderRadius = '3px';
+        input.style.boxSizing = 'border-box';
+        return input;
+    }
+
+    /**
+     * Builds one row per rule: enable toggle with the jobs it caught, hide/dim mode and its parameters.
+     */
+    static renderJobRules() {
+        if (!this.jobRulesContainer) return;
+        this.jobRulesContainer.innerHTML = ''; // Clear existing rules
+        this.ruleControls = {};
+
+        JobRuleFilter.RULES.forEach((rule) => {
+            const row = document.createElement('div');
+            row.className = 'upwork-job-rule';
+            row.dataset.ruleId = rule.id;
+            row.style.padding = '6px 0';
+            row.style.borderBottom = '1px solid #eee';
+
+            const header = document.createElement('div');
+            header.style.display = 'flex';
+            header.style.alignItems = 'center';
+            header.style.justifyContent = 'space-between';
+            header.style.gap = '5px';
+            row.appendChild(header);
+
+            const checkbox = new Checkbox({
+                label: rule.label,
+                checked: this.currentJobRules[rule.id]?.enabled,
+                size: 'small',
+                container: header,
+                onChange: (event) => this.publishRuleChange(rule.id, {enabled: event.target.checked})
+            });
+
+            const modeSelect = document.createElement('select');
+            modeSelect.title = 'What to do with matching jobs';
+            [['hide', 'Hide'], ['dim', 'Dim']].forEach(([value, label]) => {
+                modeSelect.add(new Option(label, value));
+            });
+            modeSelect.addEventListener('change', () => this.publishRuleChange(rule.id, {mode: modeSelect.value}));
+            header.appendChild(modeSelect);
+
+            const fields = document.createElement('div');
+            fields.style.display = 'flex';
+            fields.style.flexWrap = 'wrap';
+            fields.style.alignItems = 'center';
+            fields.style.gap = '5px';
+            fields.style.marginTop = '4px';
+
+            const inputs = {};
+            RULE_FIELDS[rule.id].forEach((field) => {
+                if (field.type === 'checkbox') {
+                    inputs[field.param] = new Checkbox({
+                        label: field.label,
+                        size: 'small',
+                        container: fields,
+                        onChange: (event) => this.publishRuleChange(rule.id, {params: {[field.param]: event.target.checked}})
+                    });
+                    return;
+                }
+                const input = this.createTextInput(field.type === 'number' ? 'number' : 'text', field.placeholder);
+                if (field.type === 'number') {
+                    input.min = '0';
+                }
+                input.addEventListener('change', () => {
+                    const value = field.type === 'list'
+                        ? input.value.split(',').map(keyword => keyword.trim()).filter(keyword => keyword)
+                        : Math.max(0, parseFloat(input.value) || 0);
+                    this.publishRuleChange(rule.id, {params: {[field.param]: value}});
+                });
+                inputs[field.param] = input;
+                fields.appendChild(input);
+            });
+
+            const countElement = document.createElement('span');
+            countElement.className = 'upwork-job-rule-count';
+            countElement.style.fontSize = '0.85em';
+            countElement.style.color = '#666';
+            fields.appendChild(countElement);
+            row.appendChild(fields);
+
+            this.ruleControls[rule.id] = {checkbox, modeSelect, inputs, countElement};
+            this.jobRulesContainer.appendChild(row);
+        });
+
+        this.refreshJobRules();
+        this.renderRuleCounts();
+    }
+
+    static publishRuleChange(ruleId, changes) {
+        PubSub.publish('jobRuleChanged', {ruleId, changes});
+    }
+
+    /**
+     * Shows the current rule settings in the rule rows.
+     */
+    static refreshJobRules() {
+        Object.entries(this.ruleControls).forEach(([ruleId, {checkbox, modeSelect, inputs}]) => {
+            const settings = this.currentJobRules[ruleId];
+            if (!settings) return;
+            checkbox.setChecked(settings.enabled);
+            modeSelect.value = settings.mode;
+            Object.entries(inputs).forEach(([param, input]) => {
+                const value = settings.params[param];
+                if (input instanceof Checkbox) {
+                    input.setChecked(Boolean(value));
+                } else if (document.activeElement !== input) { // Leave the field being typed in alone
+                    input.value = Array.isArray(value) ? value.join(', ') : value;
+                }
+            });
+        });
+        this.renderRuleCounts();
+    }
+
+    /**
+     * Shows how many jobs on the page each rule hides or dims.
+     */
+    static renderRuleCounts() {
+        Object.entries(this.ruleControls).forEach(([ruleId, {countElement}]) => {
+            const settings = this.currentJobRules[ruleId];
+            const count = this.currentRuleCounts[ruleId] || 0;
+            countElement.textContent = settings?.enabled
+                ? `${count} ${settings.mode === 'dim' ? 'dimmed' : 'hidden'}`
+                : '';
+        });
+    }
 } 
\ No newline at end of file
@@ -1,12 +1,14 @@
 import { UpworkCountryFilter } from './src/components/CountryFilter.js';
+import { JobRuleFilter } from './src/components/JobRuleFilter.js';
 import { SettingsPanel } from './src/ui/SettingsPanel.js';
 
 async function main() {
     // Initialize the core filter logic first to load settings
     await UpworkCountryFilter.init();
+    await JobRuleFilter.init();
 
     // Then initialize the UI panel, which will use the loaded settings
-    SettingsPanel.init();
+    await SettingsPanel.init();
 }
 
 main().catch(error => {
@@ -1,8 +1,8 @@
 // Button component for expanding/hiding descriptions
 
-import {Logger} from "../../core";
-import {TranslationManager} from "../../core";
-import {HTMLUtils} from "../../core";
+import {Logger} from "../../../../common/core";
+import {TranslationManager} from "../../../../common/core";
+import {HTMLUtils} from "../../../../common/core";
 import {DescriptionFetcher} from "../services/DescriptionFetcher";
 import {DescriptionManager} from "../managers/DescriptionManager";
 import {SELECTORS} from "../utils/constants";
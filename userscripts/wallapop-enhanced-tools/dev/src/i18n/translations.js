@@ -48,6 +48,49 @@ export const translations = {
         reservedListingsFilter: 'Reserved Listings Filter',
         hideReservedListings: 'Hide Reserved Listings',
         reservedListingsFound: '{count} reserved listings hidden',
+        settingsBackup: 'Settings Backup',
+        settingsBackupDescription: 'Export your filters and settings to a file, or import them in another browser.',
+        exportSettings: 'Export Settings',
+        importSettings: 'Import Settings',
+        savedSearches: 'Saved Searches',
+        savedSearchName: 'Name (optional)',
+        savedSearchRules: 'Keywords, e.g. orbea, carbon|carbono, -roto',
+        minPrice: 'Min price',
+        maxPrice: 'Max price',
+        checkEvery: 'Check every {minutes} min',
+        saveCurrentSearch: 'Save Current Search',
+        saved: 'Saved!',
+        openSearchToSave: 'Open a search results page to save it',
+        noSavedSearches: 'No saved searches',
+        savedSearchStatus: 'Last check {time} · {count} new',
+        notCheckedYet: 'Not checked yet',
+        runNow: 'Run Now',
+        open: 'Open',
+        delete: 'Delete',
+        priceDropBadge: '↓ {percent}% (was {price})',
+        priceDroppedFrom: 'Price dropped from {from} to {to}',
+        priceHistorySince: '{count} prices since {date}',
+        advancedFilters: 'Advanced Filters',
+        maxDistance: 'Max distance',
+        minSellerRating: 'Min seller rating',
+        postedAnyTime: 'Posted any time',
+        postedWithinDays: 'Posted within {days} days',
+        termMatchContains: 'Blocked terms: contained anywhere',
+        termMatchWord: 'Blocked terms: whole words',
+        termMatchRegex: 'Blocked terms: regular expressions',
+        filterLogicAnd: 'Hide if any filter matches (AND)',
+        filterLogicOr: 'Hide only if all filters match (OR)',
+        advancedFiltersHint: 'Sliders at 0 are off. Listings without a price, distance, rating or date are never hidden by that filter.',
+        hiddenCount: '{count} hidden',
+        fetchAllDetails: 'Fetch All Details',
+        noListingsToFetch: 'No visible listings',
+        fetchingDetailsProgress: 'Fetching details {current} of {total}',
+        fetchingDetailsPaused: 'Paused at {current} of {total}',
+        fetchDetailsComplete: 'Fetched {count} of {total} listings ({errors} errors)',
+        fetchDetailsCancelled: 'Cancelled after {count} of {total} listings',
+        pause: 'Pause',
+        resume: 'Resume',
+        cancel: 'Cancel',
     },
     es: {
         expandDescription: 'Ampliar Descripción',
@@ -86,6 +129,49 @@ export const translations = {
         showOnlyShipping: 'Solo con Envío',
         showOnlyInPerson: 'Solo en Persona',
         noDeliveryOption: 'Opción de entrega no encontrada',
+        settingsBackup: 'Copia de Seguridad',
+        settingsBackupDescription: 'Exporta tus filtros y ajustes a un archivo, o impórtalos en otro navegador.',
+        exportSettings: 'Exportar Ajustes',
+        importSettings: 'Importar Ajustes',
+        savedSearches: 'Búsquedas Guardadas',
+        savedSearchName: 'Nombre (opcional)',
+        savedSearchRules: 'Palabras clave, ej. orbea, carbon|carbono, -roto',
+        minPrice: 'Precio mín.',
+        maxPrice: 'Precio máx.',
+        checkEvery: 'Comprobar cada {minutes} min',
+        saveCurrentSearch: 'Guardar Búsqueda Actual',
+        saved: '¡Guardada!',
+        openSearchToSave: 'Abre una página de resultados para guardarla',
+        noSavedSearches: 'No hay búsquedas guardadas',
+        savedSearchStatus: 'Última comprobación {time} · {count} nuevos',
+        notCheckedYet: 'Aún sin comprobar',
+        runNow: 'Ejecutar Ahora',
+        open: 'Abrir',
+        delete: 'Eliminar',
+        priceDropBadge: '↓ {percent}% (antes {price})',
+        priceDroppedFrom: 'Precio rebajado de {from} a {to}',
+        priceHistorySince: '{count} precios desde el {date}',
+        advancedFilters: 'Filtros Avanzados',
+        maxDistance: 'Distancia máx.',
+        minSellerRating: 'Valoración mín. del vendedor',
+        postedAnyTime: 'Publicado en cualquier fecha',
+        postedWithinDays: 'Publicado en los últimos {days} días',
+        termMatchContains: 'Palabras bloqueadas: en cualquier parte',
+        termMatchWord: 'Palabras bloqueadas: palabras completas',
+        termMatchRegex: 'Palabras bloqueadas: expresiones regulares',
+        filterLogicAnd: 'Ocultar si coincide algún filtro (Y)',
+        filterLogicOr: 'Ocultar solo si coinciden todos (O)',
+        advancedFiltersHint: 'Los deslizadores a 0 están desactivados. Los anuncios sin precio, distancia, valoración o fecha nunca se ocultan por ese filtro.',
+        hiddenCount: '{count} ocultos',
+        fetchAllDetails: 'Obtener Todos los Detalles',
+        noListingsToFetch: 'No hay anuncios visibles',
+        fetchingDetailsProgress: 'Obteniendo detalles {current} de {total}',
+        fetchingDetailsPaused: 'En pausa en {current} de {total}',
+        fetchDetailsComplete: 'Obtenidos {count} de {total} anuncios ({errors} errores)',
+        fetchDetailsCancelled: 'Cancelado tras {count} de {total} anuncios',
+        pause: 'Pausar',
+        resume: 'Reanudar',
+        cancel: 'Cancelar',
     },
     ca: {
         expandDescription: 'Ampliar Descripció',
@@ -1,6 +1,6 @@
 // Manager for handling expanded item descriptions
 
-import {Logger} from "../../core";
+import {Logger} from "../../../../common/core";
 import {escapeHTML} from "../utils/helpers";
 import {ControlPanel} from '../components/ControlPanel';
 
@@ -1,7 +1,8 @@
 // Manager for filtering listings based on various criteria
 
-import {Logger} from "../../core";
+import {Logger} from "../../../../common/core";
 import {ListingManager} from "./ListingManager";
+import {ListingFilterService} from "../services/ListingFilterService";
 import {STORAGE_KEYS} from "../utils/constants";
 import {loadFromLocalStorage, loadPanelState} from "../utils/helpers";
 
@@ -9,34 +10,58 @@ import {loadFromLocalStorage, loadPanelState} from "../utils/helpers";
  * Manages filtering of listings based on various criteria
  */
 export class FilterManager {
+    // Hidden listings per filter from the last applyFilters() run
+    static hiddenCounts = {};
+
+    /**
+     * Get the filter settings from the panel state
+     * @returns {Object} Settings for ListingFilterService.evaluate()
+     */
+    static getFilterSettings() {
+        return {
+            ...ListingFilterService.normalizeSettings(loadPanelState(ListingFilterService.STORAGE_KEY, {})),
+            blockedTerms: loadFromLocalStorage(STORAGE_KEYS.BLOCKED_TERMS, []),
+            deliveryMethod: loadPanelState('deliveryMethodFilter', 'all'),
+            hideReserved: loadPanelState('hideReservedListings', true)
+        };
+    }
+
     /**
      * Apply all active filters to the listings
+     * @returns {Object} Hidden listings per filter, plus total
      */
     static applyFilters() {
         Logger.debug("Applying all filters to listings");
 
         const allListings = ListingManager.getAllListings();
-        let hiddenCount = 0;
+        const settings = this.getFilterSettings();
 
-        allListings.forEach(listing => {
-            const hideByKeyword = this.shouldHideByKeyword(listing);
-            const hideByDelivery = this.shouldHideByDeliveryMethod(listing);
-            const hideByReserved = this.shouldHideByReserved(listing);
+        const results = allListings.map(listing => {
+            const result = ListingFilterService.evaluate({
+                ...ListingFilterService.readListing(listing),
+                deliveryMethod: ListingManager.getDeliveryMethod(listing),
+                reserved: ListingManager.isReservedListing(listing)
+            }, settings);
 
-            if (hideByKeyword || hideByDelivery || hideByReserved) {
+            if (result.hide) {
                 this.hideListing(listing);
-                hiddenCount++;
-
-                // Mark appropriately for later filter toggling
-                if (hideByReserved) {
-                    listing.dataset.reservedHidden = 'true';
-                }
             } else {
                 this.showListing(listing);
             }
+
+            // Mark appropriately for later filter toggling
+            if (result.hide && result.reasons.includes('reserved')) {
+                listing.dataset.reservedHidden = 'true';
+            } else {
+                delete listing.dataset.reservedHidden;
+            }
+
+            return result;
         });
 
-        Logger.debug(`All filters applied: ${hiddenCount} listings hidden out of ${allListings.length}`);
+        this.hiddenCounts = ListingFilterService.countHidden(results);
+        Logger.debug(`All filters applied: ${this.hiddenCounts.total} listings hidden out of ${allListings.length}`, this.hiddenCounts);
+        return this.hiddenCounts;
     }
 
     /**
@@ -174,11 +199,10 @@ export class FilterManager {
             return false;
         }
 
-        // Get all text content from the listing
-        const listingText = listing.textContent.toLowerCase();
+        const {termMatch} = ListingFilterService.normalizeSettings(loadPanelState(ListingFilterService.STORAGE_KEY, {}));
 
         // Check if any blocked term is in the listing
-        return blockedTerms.some(term => listingText.includes(term.toLowerCase()));
+        return blockedTerms.some(term => ListingFilterService.createTermMatcher(term, termMatch)(listing.textContent));
     }
 
     /**
@@ -1,6 +1,6 @@
 // Manager for handling item listings on the page
 
-import {Logger} from "../../core";
+import {Logger} from "../../../../common/core";
 import {ExpandButton} from "../components/ExpandButton";
 import {SELECTORS} from "../utils/constants";
 
@@ -1,6 +1,6 @@
 // Service for fetching and parsing item descriptions
 
-import {Logger} from "../../core";
+import {Logger} from "../../../../common/core";
 import {SELECTORS} from "../utils/constants";
 
 /**
@@ -2,6 +2,8 @@
 
 import {DescriptionManager} from "../managers/DescriptionManager";
 import {escapeHTML} from "../utils/helpers";
+import {PriceHistoryService} from "./PriceHistoryService";
+import {XlsxWriter} from "./XlsxWriter";
 
 /**
  * Provides methods to format data in various export formats
@@ -11,7 +13,7 @@ export class FormatterService {
      * Format data in the specified format
      * @param {string} formatId - The format identifier
      * @param {Object} options - Format-specific options
-     * @returns {string} The formatted data
+     * @returns {string|Uint8Array} The formatted data; binary formats return bytes
      */
     static formatData(formatId, options = {}) {
         // Map format ID to formatter method
@@ -26,10 +28,12 @@ export class FormatterService {
             'csv': () => DescriptionManager.getItemsAsCsv(options['include-headers']),
             'tsv': () => DescriptionManager.getItemsAsTsv(options['include-headers']),
             'xml': () => DescriptionManager.getItemsAsXml(options['pretty-print'], options['include-images']),
+            'price-history': () => PriceHistoryService.formatAsCsv(PriceHistoryService.records, options),
 
             // Spreadsheet formats
             'excel-csv': () => this.formatAsExcelCsv(options),
             'excel-xml': () => this.formatAsExcelXml(options),
+            'xlsx': () => XlsxWriter.formatItems(DescriptionManager.expandedItems, options),
         };
 
         // Call the appropriate formatter or return empty string
@@ -362,6 +366,26 @@ export class FormatterService {
                                 defaultValue: true
                             }
                         ]
+                    },
+                    'price-history': {
+                        id: 'price-history',
+                        label: 'Price History',
+                        description: 'Every recorded price of the listings you have seen (CSV)',
+                        category: 'data',
+                        options: [
+                            {
+                                id: 'include-headers',
+                                label: 'Include headers',
+                                description: 'Add column names as the first row',
+                                defaultValue: true
+                            },
+                            {
+                                id: 'only-drops',
+                                label: 'Only price drops',
+                                description: 'Only include listings whose price went down',
+                                defaultValue: false
+                            }
+                        ]
                     }
                 }
             },
@@ -408,6 +432,27 @@ export class FormatterService {
                                 defaultValue: false
                             }
                         ]
+                    },
+                    'xlsx': {
+                        id: 'xlsx',
+                        label: 'Excel Workbook (.xlsx)',
+                        description: 'Workbook with number and date cells, clickable links and a frozen header row',
+                        category: 'spreadsheet',
+                        binary: true,
+                        options: [
+                            {
+                                id: 'include-headers',
+                                label: 'Include headers',
+                                description: 'Add a frozen header row',
+                                defaultValue: true
+                            },
+                            {
+                                id: 'include-images',
+                                label: 'Include image links',
+                                description: 'Add one linked column per image',
+                                defaultValue: false
+                            }
+                        ]
                     }
                 }
             }
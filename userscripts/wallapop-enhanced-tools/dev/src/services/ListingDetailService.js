@@ -0,0 +1,327 @@
+// Service for fetching the full details of many listings through a rate-limited queue
+
+import {AsyncQueueService, Logger, ThrottleService} from "../../../../common/core";
+
+/**
+ * Fetches listing detail pages and reads the item data Wallapop embeds in __NEXT_DATA__.
+ *
+ * Runs go through AsyncQueueService with a concurrency limit and a delay after each request.
+ * Network errors, 429 and 5xx responses are retried with exponential backoff; other failures
+ * are reported once. A run can be paused, resumed and cancelled; requests already sent finish.
+ *
+ * Only one run is active at a time.
+ */
+export class ListingDetailService {
+    static CONCURRENCY = 2;
+    static MAX_RETRIES = 3;
+    static BACKOFF_MS = 2000;
+    static MAX_BACKOFF_MS = 30000;
+
+    static throttleService = new ThrottleService();
+
+    // State of the active run, null when idle
+    static run = null;
+
+    /**
+     * Return the first value that is set
+     * @param {...*} values - Candidate values
+     * @returns {*}
+     */
+    static firstDefined(...values) {
+        return values.find(value => value !== undefined && value !== null && value !== '');
+    }
+
+    /**
+     * Read the item data from a detail page
+     * @param {string} html - Detail page HTML
+     * @param {string} url - Item URL
+     * @returns {Object} Normalized item
+     */
+    static parseDetail(html, url) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const nextDataScript = doc.querySelector('#__NEXT_DATA__');
+        if (!nextDataScript) {
+            throw new Error('__NEXT_DATA__ not found on the detail page');
+        }
+
+        const pageProps = JSON.parse(nextDataScript.textContent).props?.pageProps || {};
+        if (!pageProps.item) {
+            throw new Error('Item not found in __NEXT_DATA__');
+        }
+
+        return this.normalizeItem(pageProps.item, pageProps, url);
+    }
+
+    /**
+     * Convert a __NEXT_DATA__ item into the fields stored in DescriptionManager
+     * @param {Object} item - pageProps.item
+     * @param {Object} pageProps - Page props, which hold the seller on newer pages
+     * @param {string} url - Item URL
+     * @returns {Object}
+     */
+    static normalizeItem(item, pageProps, url) {
+        const pick = this.firstDefined;
+        const cash = item.price?.cash || item.price || {};
+        const amount = pick(cash.amount, typeof item.price === 'number' ? item.price : undefined);
+        const currency = pick(cash.currency, item.currency, 'EUR');
+
+        const seller = pageProps.itemSeller || pageProps.seller || pageProps.user || item.user || item.seller || {};
+        const location = item.location || {};
+        const shipping = item.shipping || {};
+        const shippable = pick(shipping.isShippingAllowedByUser, shipping.user_allows_shipping, item.isShippable);
+        const counters = item.counters || {};
+
+        return {
+            id: String(pick(item.id, '')),
+            title: String(pick(item.title?.original, item.title, '')).trim(),
+            description: String(pick(item.description?.original, item.description, '')),
+            price: amount !== undefined ? `${amount} ${currency}` : '',
+            priceAmount: amount !== undefined ? Number(amount) : null,
+            currency,
+            url,
+            images: (item.images || [])
+                .map(image => typeof image === 'string'
+                    ? image
+                    : pick(image.urls?.big, image.urls?.medium, image.urls?.small, image.original, image.url))
+                .filter(Boolean),
+            seller: {
+                id: String(pick(seller.id, item.userId, item.user_id, '')),
+                name: pick(seller.microName, seller.micro_name, seller.name, ''),
+                rating: pick(seller.scoring, seller.stats?.scoring, seller.rating, null),
+                reviews: pick(seller.reviewsCount, seller.stats?.reviews, null)
+            },
+            location: {
+                city: pick(location.city, ''),
+                postalCode: pick(location.postalCode, location.postal_code, ''),
+                latitude: pick(location.latitude, location.approximatedLatitude, null),
+                longitude: pick(location.longitude, location.approximatedLongitude, null)
+            },
+            condition: pick(item.condition?.text, item.condition?.value, typeof item.condition === 'string' ? item.condition : undefined, ''),
+            deliveryMethod: shippable === undefined ? 'unknown' : shippable ? 'shipping' : 'inperson',
+            views: pick(counters.views, item.views, null),
+            favourites: pick(counters.favorites, item.favorites, null),
+            reserved: Boolean(pick(item.reserved?.flag, item.flags?.reserved, false)),
+            fetchedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fetch and parse one detail page
+     * @param {string} url - Item URL
+     * @returns {Promise<Object>} Normalized item; rejects with error.retryable set for temporary failures
+     */
+    static fetchDetail(url) {
+        return new Promise((resolve, reject) => {
+            const fail = (message, retryable) => {
+                const error = new Error(message);
+                error.retryable = retryable;
+                reject(error);
+            };
+
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url,
+                onload: (response) => {
+                    if (response.status < 200 || response.status >= 300) {
+                        fail(`Detail request failed with status ${response.status}`,
+                            response.status === 429 || response.status >= 500);
+                        return;
+                    }
+                    try {
+                        resolve(this.parseDetail(response.responseText, url));
+                    } catch (error) {
+                        fail(error.message, false);
+                    }
+                },
+                onerror: () => fail('Network error', true),
+                ontimeout: () => fail('Request timed out', true),
+                timeout: 30000
+            });
+        });
+    }
+
+    /**
+     * Fetch the details of several listings
+     * @param {Array<string>} urls - Item URLs
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Requests in flight at once
+     * @param {number} [options.delayMs=1000] - Delay after each request
+     * @param {number} [options.retries] - Retries for temporary failures
+     * @param {Function} [options.onItem] - Called with each fetched item
+     * @param {Function} [options.onError] - Called with (url, error) when an item fails for good
+     * @param {Function} [options.onProgress] - Called with getProgress() after each item
+     * @returns {Promise<{total: number, completed: number, failed: Array<{url: string, error: string}>, cancelled: boolean}>}
+     */
+    static start(urls, options = {}) {
+        if (this.run) {
+            return Promise.reject(new Error('A detail run is already active'));
+        }
+
+        const uniqueUrls = [...new Set(urls)];
+        const retries = options.retries ?? this.MAX_RETRIES;
+        const run = {
+            total: uniqueUrls.length,
+            completed: 0,
+            failed: [],
+            attempts: new Map(),
+            paused: false,
+            cancelled: false,
+            resumeWaiters: [],
+            options,
+            queue: new AsyncQueueService(options.delayMs ?? 1000, options.concurrency ?? this.CONCURRENCY, retries, this.throttleService)
+        };
+        this.run = run;
+
+        const promise = new Promise(resolve => {
+            run.resolve = resolve;
+        });
+
+        if (run.total === 0) {
+            this.finish(run);
+            return promise;
+        }
+
+        Logger.debug(`Fetching details of ${run.total} listings`);
+        uniqueUrls.forEach(url => run.queue.add(() => this.processUrl(run, url, retries)));
+        return promise;
+    }
+
+    /**
+     * Queue task for one URL. Throwing hands the URL back to AsyncQueueService for a retry.
+     * @param {Object} run - Run state
+     * @param {string} url - Item URL
+     * @param {number} retries - Retries for temporary failures
+     */
+    static async processUrl(run, url, retries) {
+        await this.waitWhilePaused(run);
+        if (run.cancelled) return;
+
+        const attempt = (run.attempts.get(url) || 0) + 1;
+        run.attempts.set(url, attempt);
+
+        try {
+            const item = await this.fetchDetail(url);
+            if (run.cancelled) return;
+            run.completed++;
+            run.options.onItem?.(item);
+        } catch (error) {
+            if (run.cancelled) return;
+
+            if (error.retryable && attempt <= retries) {
+                const backoff = Math.min(this.BACKOFF_MS * 2 ** (attempt - 1), this.MAX_BACKOFF_MS);
+                Logger.debug(`Retrying ${url} in ${backoff}ms (attempt ${attempt} of ${retries}): ${error.message}`);
+                await this.throttleService.delay(backoff);
+                throw error;
+            }
+
+            Logger.error(error, `Fetching listing detail: ${url}`);
+            run.failed.push({url, error: error.message});
+            run.options.onError?.(url, error);
+        }
+
+        run.options.onProgress?.(this.getProgress());
+        if (run.completed + run.failed.length === run.total) {
+            this.finish(run);
+        }
+    }
+
+    /**
+     * Wait until a paused run is resumed or cancelled
+     * @param {Object} run - Run state
+     * @returns {Promise<void>}
+     */
+    static waitWhilePaused(run) {
+        if (!run.paused || run.cancelled) return Promise.resolve();
+        return new Promise(resolve => run.resumeWaiters.push(resolve));
+    }
+
+    /**
+     * Stop starting new requests until resume() is called
+     */
+    static pause() {
+        if (!this.run || this.run.paused) return;
+        this.run.paused = true;
+        Logger.debug('Detail run paused');
+        this.run.options.onProgress?.(this.getProgress());
+    }
+
+    /**
+     * Continue a paused run
+     */
+    static resume() {
+        if (!this.run || !this.run.paused) return;
+        this.run.paused = false;
+        this.releaseWaiters(this.run);
+        Logger.debug('Detail run resumed');
+        this.run.options.onProgress?.(this.getProgress());
+    }
+
+    /**
+     * Cancel the active run; the details fetched so far are kept
+     */
+    static cancel() {
+        const run = this.run;
+        if (!run) return;
+        run.cancelled = true;
+        run.queue.clearQueue();
+        this.releaseWaiters(run);
+        this.finish(run);
+    }
+
+    /**
+     * Let tasks waiting on a pause continue
+     * @param {Object} run - Run state
+     */
+    static releaseWaiters(run) {
+        const waiters = run.resumeWaiters;
+        run.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * End a run and resolve its promise
+     * @param {Object} run - Run state
+     */
+    static finish(run) {
+        if (this.run === run) {
+            this.run = null;
+        }
+        Logger.debug(`Detail run finished: ${run.completed} fetched, ${run.failed.length} failed${run.cancelled ? ', cancelled' : ''}`);
+        run.resolve({total: run.total, completed: run.completed, failed: run.failed, cancelled: run.cancelled});
+    }
+
+    /**
+     * Check whether a run is active
+     * @returns {boolean}
+     */
+    static isRunning() {
+        return this.run !== null;
+    }
+
+    /**
+     * Check whether the active run is paused
+     * @returns {boolean}
+     */
+    static isPaused() {
+        return Boolean(this.run?.paused);
+    }
+
+    /**
+     * Get the progress of the active run
+     * @returns {{total: number, completed: number, failed: number, processed: number, percent: number, paused: boolean}|null}
+     */
+    static getProgress() {
+        const run = this.run;
+        if (!run) return null;
+
+        const processed = run.completed + run.failed.length;
+        return {
+            total: run.total,
+            completed: run.completed,
+            failed: run.failed.length,
+            processed,
+            percent: run.total > 0 ? Math.floor(processed / run.total * 100) : 100,
+            paused: run.paused
+        };
+    }
+}
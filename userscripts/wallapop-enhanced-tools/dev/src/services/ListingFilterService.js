@@ -0,0 +1,251 @@
+// Service for deciding which listings the filters hide
+
+import {Logger} from "../../../../common/core";
+import {SELECTORS} from "../utils/constants";
+import {PriceHistoryService} from "./PriceHistoryService";
+
+/**
+ * Evaluates the listing filters: blocked terms, delivery method, reserved, price range,
+ * distance, seller rating and listing age.
+ *
+ * Filters combine with AND logic (a listing is hidden when any active filter rejects it) or
+ * OR logic (a listing is hidden only when every active filter rejects it). A value that can't be
+ * read from a listing never rejects it, like the "unknown" delivery method.
+ *
+ * Distance and age are only read from the card's location and date elements, never from the
+ * title or description. Values missing from the card can be supplied on the listing element as
+ * data attributes: data-distance-km, data-seller-rating and data-posted-at (ISO date or timestamp).
+ */
+export class ListingFilterService {
+    static STORAGE_KEY = 'advancedFilters';
+
+    static FILTERS = ['keyword', 'delivery', 'reserved', 'price', 'distance', 'rating', 'age'];
+
+    static DEFAULT_SETTINGS = {
+        minPrice: null,
+        maxPrice: null,
+        maxDistance: 0, // km, 0 = off
+        minRating: 0, // stars, 0 = off
+        maxAgeDays: 0, // 0 = off
+        termMatch: 'contains', // 'contains', 'word' or 'regex'
+        logic: 'and' // 'and' or 'or'
+    };
+
+    static SELECTORS = {
+        RATING: '[aria-label*="estrella"], [aria-label*="star"], [class*="rating"], [class*="Rating"]'
+    };
+
+    // Compiled blocked term matchers by mode and term
+    static matcherCache = new Map();
+
+    static AGE_UNITS = [
+        {pattern: /minut/, days: 1 / 1440},
+        {pattern: /hora|hour/, days: 1 / 24},
+        {pattern: /d[ií]a|day/, days: 1},
+        {pattern: /semana|week/, days: 7},
+        {pattern: /mes|month/, days: 30},
+        {pattern: /a[ñn]o|year/, days: 365}
+    ];
+
+    /**
+     * Merge saved filter settings with the defaults
+     * @param {Object} [settings] - Saved settings
+     * @returns {Object}
+     */
+    static normalizeSettings(settings = {}) {
+        const merged = {...this.DEFAULT_SETTINGS, ...(settings || {})};
+        const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+        return {
+            ...merged,
+            minPrice: toNumber(merged.minPrice),
+            maxPrice: toNumber(merged.maxPrice),
+            maxDistance: Number(merged.maxDistance) || 0,
+            minRating: Number(merged.minRating) || 0,
+            maxAgeDays: Number(merged.maxAgeDays) || 0,
+            termMatch: ['contains', 'word', 'regex'].includes(merged.termMatch) ? merged.termMatch : 'contains',
+            logic: merged.logic === 'or' ? 'or' : 'and'
+        };
+    }
+
+    /**
+     * Parse a number written with a dot or a comma as decimal separator
+     * @param {string|number} value - Value to parse
+     * @returns {number|null}
+     */
+    static parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = parseFloat(String(value).replace(',', '.'));
+        return Number.isNaN(number) ? null : number;
+    }
+
+    /**
+     * Read the distance in km from location text like "a 3,5 km"
+     * @param {string} text - Location text
+     * @returns {number|null}
+     */
+    static parseDistance(text) {
+        const match = String(text || '').match(/(\d+(?:[.,]\d+)?)\s*km\b/i);
+        return match ? this.parseNumber(match[1]) : null;
+    }
+
+    /**
+     * Read how many days ago a listing was posted from text like "hace 3 días" or "2 hours ago"
+     * @param {string} text - Date text
+     * @returns {number|null}
+     */
+    static parseAge(text) {
+        const value = String(text || '').toLowerCase();
+        if (/\b(hoy|today)\b/.test(value)) return 0;
+        if (/\b(ayer|yesterday)\b/.test(value)) return 1;
+
+        const match = value.match(/(?:hace\s+)?(\d+|un|una|an?)\s+(minutos?|horas?|d[ií]as?|semanas?|mes(?:es)?|a[ñn]os?|minutes?|hours?|days?|weeks?|months?|years?)/);
+        if (!match) return null;
+
+        const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+        const unit = this.AGE_UNITS.find(({pattern}) => pattern.test(match[2]));
+        return unit ? count * unit.days : null;
+    }
+
+    /**
+     * Read the listing values the numeric filters need
+     * @param {HTMLElement} listing - The listing element
+     * @returns {{text: string, price: number|null, distanceKm: number|null, rating: number|null, postedDaysAgo: number|null}}
+     */
+    static readListing(listing) {
+        const text = listing.textContent || '';
+        const {dataset} = listing;
+
+        const fieldText = (selector) => listing.querySelector(selector)?.textContent || '';
+
+        const priceElement = listing.querySelector(SELECTORS.ITEM_PRICE);
+        const price = priceElement ? PriceHistoryService.parsePrice(priceElement.textContent) : null;
+
+        let rating = this.parseNumber(dataset.sellerRating);
+        if (rating === null) {
+            const ratingElement = listing.querySelector(this.SELECTORS.RATING);
+            const ratingText = ratingElement?.getAttribute('aria-label') || ratingElement?.textContent || '';
+            const match = ratingText.match(/\d+(?:[.,]\d+)?/);
+            rating = match ? this.parseNumber(match[0]) : null;
+        }
+
+        let postedDaysAgo = null;
+        if (dataset.postedAt) {
+            const postedAt = new Date(/^\d+$/.test(dataset.postedAt) ? Number(dataset.postedAt) : dataset.postedAt);
+            if (!Number.isNaN(postedAt.getTime())) {
+                postedDaysAgo = (Date.now() - postedAt.getTime()) / 86400000;
+            }
+        }
+
+        return {
+            text,
+            price: price ? price.amount : null,
+            distanceKm: this.parseNumber(dataset.distanceKm) ?? this.parseDistance(fieldText(SELECTORS.ITEM_LOCATION)),
+            rating,
+            postedDaysAgo: postedDaysAgo ?? this.parseAge(fieldText(SELECTORS.ITEM_DATE))
+        };
+    }
+
+    /**
+     * Build a matcher for a blocked term
+     * @param {string} term - Blocked term
+     * @param {string} mode - 'contains', 'word' or 'regex'
+     * @returns {Function} (text) => boolean
+     */
+    static createTermMatcher(term, mode = 'contains') {
+        const key = `${mode}:${term}`;
+        if (!this.matcherCache.has(key)) {
+            this.matcherCache.set(key, this.buildTermMatcher(term, mode));
+        }
+        return this.matcherCache.get(key);
+    }
+
+    /**
+     * Compile a blocked term matcher
+     * @param {string} term - Blocked term
+     * @param {string} mode - 'contains', 'word' or 'regex'
+     * @returns {Function} (text) => boolean
+     */
+    static buildTermMatcher(term, mode) {
+        const lowerTerm = String(term).toLowerCase();
+        const escaped = String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        if (mode === 'regex') {
+            try {
+                const regex = new RegExp(term, 'iu');
+                return (text) => regex.test(text);
+            } catch (error) {
+                Logger.debug(`Invalid filter pattern "${term}", matching it as plain text`);
+                return (text) => text.toLowerCase().includes(lowerTerm);
+            }
+        }
+
+        if (mode === 'word') {
+            const regex = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+            return (text) => regex.test(text);
+        }
+
+        return (text) => text.toLowerCase().includes(lowerTerm);
+    }
+
+    /**
+     * List the filters that are switched on
+     * @param {Object} settings - Filter settings with blockedTerms, deliveryMethod and hideReserved
+     * @returns {Array<string>} Filter IDs
+     */
+    static getActiveFilters(settings) {
+        const active = [];
+        if (settings.blockedTerms?.length) active.push('keyword');
+        if (settings.deliveryMethod && settings.deliveryMethod !== 'all') active.push('delivery');
+        if (settings.hideReserved) active.push('reserved');
+        if (settings.minPrice !== null || settings.maxPrice !== null) active.push('price');
+        if (settings.maxDistance > 0) active.push('distance');
+        if (settings.minRating > 0) active.push('rating');
+        if (settings.maxAgeDays > 0) active.push('age');
+        return active;
+    }
+
+    /**
+     * Decide whether a listing is hidden
+     * @param {Object} data - Result of readListing() plus deliveryMethod and reserved
+     * @param {Object} settings - Normalized settings with blockedTerms, deliveryMethod and hideReserved
+     * @returns {{hide: boolean, reasons: Array<string>}} reasons lists every active filter that rejects the listing
+     */
+    static evaluate(data, settings) {
+        const active = this.getActiveFilters(settings);
+        const rejects = {
+            keyword: () => (settings.blockedTerms || []).some(term => this.createTermMatcher(term, settings.termMatch)(data.text)),
+            delivery: () => data.deliveryMethod !== 'unknown' && data.deliveryMethod !== settings.deliveryMethod,
+            reserved: () => Boolean(data.reserved),
+            price: () => data.price !== null && (
+                (settings.minPrice !== null && data.price < settings.minPrice) ||
+                (settings.maxPrice !== null && data.price > settings.maxPrice)
+            ),
+            distance: () => data.distanceKm !== null && data.distanceKm > settings.maxDistance,
+            rating: () => data.rating !== null && data.rating < settings.minRating,
+            age: () => data.postedDaysAgo !== null && data.postedDaysAgo > settings.maxAgeDays
+        };
+
+        const reasons = active.filter(filter => rejects[filter]());
+        const hide = settings.logic === 'or'
+            ? active.length > 0 && reasons.length === active.length
+            : reasons.length > 0;
+
+        return {hide, reasons};
+    }
+
+    /**
+     * Count the hidden listings per filter
+     * @param {Array<{hide: boolean, reasons: Array<string>}>} results - Results of evaluate()
+     * @returns {Object} Filter ID to count, plus total
+     */
+    static countHidden(results) {
+        const counts = Object.fromEntries(this.FILTERS.map(filter => [filter, 0]));
+        counts.total = 0;
+        results.filter(result => result.hide).forEach(result => {
+            counts.total++;
+            result.reasons.forEach(reason => counts[reason]++);
+        });
+        return counts;
+    }
+}
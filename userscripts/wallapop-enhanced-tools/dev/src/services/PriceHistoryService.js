@@ -0,0 +1,273 @@
+// Service for recording listing prices over time and detecting price drops
+
+import {ExportUtils, GMFunctions, Logger} from "../../../../common/core";
+
+/**
+ * Keeps a price history per listing in GM storage so price drops can be shown and exported.
+ *
+ * Record shape:
+ * {id, title, url, lastSeen, history: [{price, currency, firstSeen, lastSeen, source}]}
+ *
+ * A history entry covers the period a price was seen; a new entry is only added when the price changes.
+ */
+export class PriceHistoryService {
+    static STORAGE_KEY = 'wallapopPriceHistory';
+    static ITEM_LIMIT = 3000;
+    static HISTORY_LIMIT = 50;
+    static CSV_COLUMNS = ['id', 'title', 'url', 'price', 'currency', 'firstSeen', 'lastSeen', 'source'];
+
+    // Last loaded records by listing ID, used by the synchronous export formatters
+    static records = {};
+
+    // Pending recordMany() call; each call waits for the previous one so no write is lost
+    static pendingWrite = Promise.resolve();
+
+    /**
+     * Load all records from storage
+     * @returns {Promise<Object>} Records by listing ID
+     */
+    static async load() {
+        const saved = await GMFunctions.getValue(this.STORAGE_KEY, {});
+        this.records = saved && typeof saved === 'object' ? saved : {};
+        return this.records;
+    }
+
+    /**
+     * Get the listing ID from an item URL, e.g. ".../item/bicicleta-orbea-1046981250" -> "1046981250"
+     * @param {string} url - Item URL
+     * @returns {string|null}
+     */
+    static getItemId(url) {
+        const slug = String(url || '').split(/[?#]/)[0].replace(/\/+$/, '').split('/item/')[1];
+        if (!slug) return null;
+        const id = slug.match(/-(\d+)$/);
+        return id ? id[1] : slug;
+    }
+
+    /**
+     * Parse a displayed price like "1.100 €", "45,50 €" or "850 EUR"
+     * @param {string|number} text - Price text
+     * @returns {{amount: number, currency: string}|null}
+     */
+    static parsePrice(text) {
+        if (typeof text === 'number') {
+            return Number.isFinite(text) ? {amount: text, currency: 'EUR'} : null;
+        }
+
+        const value = String(text || '');
+        let number = (value.match(/\d[\d.,]*/) || [''])[0];
+        if (!number) return null;
+
+        if (number.includes(',')) {
+            // Spanish format: dots group thousands and the comma marks decimals
+            number = number.replace(/\./g, '').replace(',', '.');
+        } else if (/^\d{1,3}(\.\d{3})+$/.test(number)) {
+            number = number.replace(/\./g, '');
+        }
+
+        const amount = parseFloat(number);
+        if (Number.isNaN(amount)) return null;
+
+        const code = value.match(/[A-Z]{3}/);
+        const currency = value.includes('€') ? 'EUR' : value.includes('$') ? 'USD' : value.includes('£') ? 'GBP' : code ? code[0] : 'EUR';
+        return {amount, currency};
+    }
+
+    /**
+     * Format a price for display
+     * @param {number} amount - Price
+     * @param {string} currency - Currency code
+     * @returns {string}
+     */
+    static formatPrice(amount, currency = 'EUR') {
+        const value = Number(amount).toLocaleString('es-ES', {maximumFractionDigits: 2});
+        return currency === 'EUR' ? `${value} €` : `${value} ${currency}`;
+    }
+
+    /**
+     * Add a sighting to a record
+     * @param {Object|undefined} record - Existing record
+     * @param {Object} sighting - {url, title, price, source}
+     * @param {string} seenAt - ISO date
+     * @returns {Object|null} The updated record, or null when the price can't be read
+     */
+    static applySighting(record, sighting, seenAt) {
+        const id = this.getItemId(sighting.url);
+        const price = this.parsePrice(sighting.price);
+        if (!id || !price) return null;
+
+        const updated = record || {id, title: '', url: sighting.url, lastSeen: seenAt, history: []};
+        updated.title = sighting.title || updated.title;
+        updated.url = sighting.url;
+        updated.lastSeen = seenAt;
+
+        const last = updated.history[updated.history.length - 1];
+        if (last && last.price === price.amount && last.currency === price.currency) {
+            last.lastSeen = seenAt;
+        } else {
+            updated.history.push({
+                price: price.amount,
+                currency: price.currency,
+                firstSeen: seenAt,
+                lastSeen: seenAt,
+                source: sighting.source || 'search'
+            });
+            updated.history = updated.history.slice(-this.HISTORY_LIMIT);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Check whether a sighting changed a record enough to be stored.
+     * Seeing a listing again on the same day at the same price only moves lastSeen, which isn't worth a write.
+     * @param {Object|undefined} previous - Record before the sighting
+     * @param {Object} record - Record after the sighting
+     * @returns {boolean}
+     */
+    static hasChanged(previous, record) {
+        if (!previous) return true;
+        return previous.title !== record.title ||
+            previous.url !== record.url ||
+            previous.history[previous.history.length - 1]?.firstSeen !== record.history[record.history.length - 1].firstSeen ||
+            previous.lastSeen.slice(0, 10) !== record.lastSeen.slice(0, 10);
+    }
+
+    /**
+     * Record the prices of several listings with a single storage write
+     * @param {Array<Object>} sightings - [{url, title, price, source}], source is 'search' or 'detail'
+     * @returns {Promise<Object>} Updated records by listing ID
+     */
+    static recordMany(sightings) {
+        const write = this.pendingWrite.then(() => this.applySightings(sightings));
+        this.pendingWrite = write.catch(error => Logger.error('Error saving price history:', error));
+        return write;
+    }
+
+    /**
+     * Load the stored records, add the sightings and write back the records when any changed
+     * @param {Array<Object>} sightings - [{url, title, price, source}]
+     * @returns {Promise<Object>} Updated records by listing ID
+     */
+    static async applySightings(sightings) {
+        const records = await this.load();
+        const seenAt = new Date().toISOString();
+        const updated = {};
+        let changed = false;
+
+        sightings.forEach(sighting => {
+            const id = this.getItemId(sighting.url);
+            const previous = records[id] && structuredClone(records[id]);
+            const record = this.applySighting(records[id], sighting, seenAt);
+            if (record) {
+                records[record.id] = record;
+                updated[record.id] = record;
+                changed = changed || this.hasChanged(previous, record);
+            }
+        });
+
+        if (!changed) return updated;
+
+        // Forget the listings that were seen least recently
+        const ids = Object.keys(records);
+        if (ids.length > this.ITEM_LIMIT) {
+            ids.sort((a, b) => records[a].lastSeen.localeCompare(records[b].lastSeen))
+                .slice(0, ids.length - this.ITEM_LIMIT)
+                .forEach(id => delete records[id]);
+        }
+
+        await GMFunctions.setValue(this.STORAGE_KEY, records);
+        Logger.debug(`Price history updated for ${Object.keys(updated).length} listings`);
+        return updated;
+    }
+
+    /**
+     * Record the price of one listing
+     * @param {Object} sighting - {url, title, price, source}
+     * @returns {Promise<Object|null>} The updated record
+     */
+    static async record(sighting) {
+        const updated = await this.recordMany([sighting]);
+        return updated[this.getItemId(sighting.url)] || null;
+    }
+
+    /**
+     * Compare the current price with the highest one recorded before it
+     * @param {Object} record - Price history record
+     * @returns {{from: number, to: number, amount: number, percent: number, currency: string}|null}
+     */
+    static getPriceDrop(record) {
+        const history = record?.history || [];
+        if (history.length < 2) return null;
+
+        const current = history[history.length - 1];
+        const earlier = history.slice(0, -1).filter(entry => entry.currency === current.currency);
+        if (earlier.length === 0) return null;
+
+        const highest = Math.max(...earlier.map(entry => entry.price));
+        if (current.price >= highest) return null;
+
+        return {
+            from: highest,
+            to: current.price,
+            amount: Math.round((highest - current.price) * 100) / 100,
+            percent: Math.round((highest - current.price) / highest * 100),
+            currency: current.currency
+        };
+    }
+
+    /**
+     * Draw the price history as a small SVG line
+     * @param {Object} record - Price history record
+     * @param {Object} [options]
+     * @param {number} [options.width=120] - Width in pixels
+     * @param {number} [options.height=32] - Height in pixels
+     * @returns {string} SVG markup, empty when there are fewer than two prices
+     */
+    static createSparkline(record, {width = 120, height = 32} = {}) {
+        const history = record?.history || [];
+        if (history.length < 2) return '';
+
+        const padding = 3;
+        const prices = history.map(entry => entry.price);
+        const min = Math.min(...prices);
+        const range = Math.max(...prices) - min || 1;
+        const step = (width - padding * 2) / (prices.length - 1);
+
+        const points = prices.map((price, index) => {
+            const x = padding + index * step;
+            const y = height - padding - (price - min) / range * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        const [lastX, lastY] = points[points.length - 1].split(',');
+        const dropped = this.getPriceDrop(record) !== null;
+
+        return `<svg class="price-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">` +
+            `<polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>` +
+            `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${dropped ? '#2e7d32' : 'currentColor'}"/>` +
+            '</svg>';
+    }
+
+    /**
+     * Format the recorded history as CSV, one row per price
+     * @param {Object} records - Records by listing ID
+     * @param {Object} options - Format options
+     * @returns {string}
+     */
+    static formatAsCsv(records, options = {}) {
+        const rows = [];
+        Object.values(records)
+            .filter(record => !options['only-drops'] || this.getPriceDrop(record))
+            .forEach(record => {
+                record.history.forEach(entry => {
+                    const values = {...entry, id: record.id, title: record.title, url: record.url};
+                    rows.push(ExportUtils.toCsvRow(this.CSV_COLUMNS.map(column => values[column])));
+                });
+            });
+
+        if (options['include-headers'] !== false) {
+            rows.unshift(this.CSV_COLUMNS.join(','));
+        }
+        return rows.join('\n');
+    }
+}
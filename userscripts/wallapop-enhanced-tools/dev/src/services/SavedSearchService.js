@@ -0,0 +1,387 @@
+// Service for saved searches that re-run on a schedule and alert about new matching listings
+
+import {GMFunctions, Logger, Notification} from "../../../../common/core";
+
+/**
+ * Keeps saved searches in GM storage, re-runs them through the Wallapop search API while a
+ * Wallapop tab is open and alerts about listings that were not seen before and match the rules.
+ *
+ * Saved search shape:
+ * {id, name, url, rules, minPrice, maxPrice, deliveryMethod, intervalMinutes, enabled, lastRun, lastMatches, createdAt}
+ *
+ * Rules are comma separated terms that must all appear in the title or description.
+ * "a|b" matches either term and "-term" excludes listings containing it.
+ */
+export class SavedSearchService {
+    static STORAGE_KEY = 'wallapopSavedSearches';
+    static SEEN_KEY = 'wallapopSavedSearchSeen';
+    static SEEN_LIMIT = 1000;
+    static CHECK_INTERVAL_MS = 60 * 1000;
+    static API_URL = 'https://api.wallapop.com/api/v3/search';
+    static ITEM_URL = 'https://es.wallapop.com/item/';
+    static INTERVALS = [5, 15, 30, 60, 180];
+
+    static searches = [];
+    static timer = null;
+    static options = {};
+
+    /**
+     * Load saved searches from storage
+     * @returns {Promise<Array>} Saved searches
+     */
+    static async load() {
+        const saved = await GMFunctions.getValue(this.STORAGE_KEY, []);
+        this.searches = Array.isArray(saved) ? saved : [];
+        return this.searches;
+    }
+
+    /**
+     * Save the searches to storage
+     */
+    static async save() {
+        await GMFunctions.setValue(this.STORAGE_KEY, this.searches);
+    }
+
+    /**
+     * Check whether a URL is a Wallapop search results page
+     * @param {string} url - Page URL
+     * @returns {boolean}
+     */
+    static isSearchUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return /(^|\.)wallapop\.com$/.test(parsed.hostname) &&
+                /^\/(app\/)?search/.test(parsed.pathname) &&
+                parsed.searchParams.toString() !== '';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Save a search
+     * @param {Object} data - Search fields; url is required
+     * @returns {Promise<Object>} The saved search
+     */
+    static async addSearch(data) {
+        if (!this.isSearchUrl(data.url)) {
+            throw new Error(`Not a Wallapop search URL: ${data.url}`);
+        }
+
+        const params = new URL(data.url).searchParams;
+        const search = {
+            id: `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: (data.name || params.get('keywords') || 'Wallapop search').trim(),
+            url: data.url,
+            rules: (data.rules || '').trim(),
+            minPrice: this.toPrice(data.minPrice),
+            maxPrice: this.toPrice(data.maxPrice),
+            deliveryMethod: data.deliveryMethod || 'all',
+            intervalMinutes: Number(data.intervalMinutes) || 15,
+            enabled: data.enabled !== false,
+            lastRun: null,
+            lastMatches: 0,
+            createdAt: Date.now()
+        };
+
+        await this.load();
+        this.searches.push(search);
+        await this.save();
+        Logger.debug('Saved search added', search);
+        return search;
+    }
+
+    /**
+     * Change fields of a saved search
+     * @param {string} id - Search ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object|null>} The updated search
+     */
+    static async updateSearch(id, changes) {
+        await this.load();
+        const search = this.searches.find(item => item.id === id);
+        if (!search) return null;
+        Object.assign(search, changes);
+        await this.save();
+        return search;
+    }
+
+    /**
+     * Delete a saved search and its seen listings
+     * @param {string} id - Search ID
+     */
+    static async removeSearch(id) {
+        await this.load();
+        this.searches = this.searches.filter(item => item.id !== id);
+        await this.save();
+
+        const seen = await GMFunctions.getValue(this.SEEN_KEY, {});
+        delete seen[id];
+        await GMFunctions.setValue(this.SEEN_KEY, seen);
+    }
+
+    /**
+     * Parse a price field
+     * @param {*} value - Input value
+     * @returns {number|null}
+     */
+    static toPrice(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const price = parseFloat(String(value).replace(',', '.'));
+        return Number.isNaN(price) ? null : price;
+    }
+
+    /**
+     * Lowercase text and strip accents so "camión" matches "camion"
+     * @param {string} text - Text to normalize
+     * @returns {string}
+     */
+    static normalizeText(text) {
+        return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Parse keyword rules
+     * @param {string} rules - E.g. "orbea, carbon|carbono, -roto"
+     * @returns {{include: Array<Array<string>>, exclude: Array<string>}}
+     */
+    static parseRules(rules) {
+        const include = [];
+        const exclude = [];
+        String(rules || '').split(',').map(term => term.trim()).filter(Boolean).forEach(term => {
+            if (term.startsWith('-')) {
+                const excluded = this.normalizeText(term.slice(1).trim());
+                if (excluded) exclude.push(excluded);
+            } else {
+                const alternatives = term.split('|').map(alt => this.normalizeText(alt.trim())).filter(Boolean);
+                if (alternatives.length) include.push(alternatives);
+            }
+        });
+        return {include, exclude};
+    }
+
+    /**
+     * Check a listing against a saved search and the blocked terms
+     * @param {Object} listing - Normalized listing
+     * @param {Object} search - Saved search
+     * @param {Array<string>} blockedTerms - Terms from the "Filter Unwanted Words" section
+     * @returns {boolean}
+     */
+    static matches(listing, search, blockedTerms = []) {
+        const text = this.normalizeText(`${listing.title} ${listing.description}`);
+        const {include, exclude} = this.parseRules(search.rules);
+
+        if (!include.every(alternatives => alternatives.some(term => text.includes(term)))) return false;
+        if (exclude.some(term => text.includes(term))) return false;
+        if (blockedTerms.some(term => text.includes(this.normalizeText(term)))) return false;
+
+        if (search.minPrice !== null && search.minPrice !== undefined && (listing.price === null || listing.price < search.minPrice)) return false;
+        if (search.maxPrice !== null && search.maxPrice !== undefined && (listing.price === null || listing.price > search.maxPrice)) return false;
+
+        // Same rule as the delivery method filter: an unknown method is never excluded
+        if (search.deliveryMethod && search.deliveryMethod !== 'all' && listing.deliveryMethod !== 'unknown') {
+            if (listing.deliveryMethod !== search.deliveryMethod) return false;
+        }
+
+        return !listing.reserved;
+    }
+
+    /**
+     * Build the API request URL for a saved search, newest listings first
+     * @param {Object} search - Saved search
+     * @returns {string}
+     */
+    static buildApiUrl(search) {
+        const params = new URL(search.url).searchParams;
+        params.set('order_by', 'newest');
+        params.delete('filters_source');
+        if (!params.has('source')) params.set('source', 'search_box');
+        return `${this.API_URL}?${params.toString()}`;
+    }
+
+    /**
+     * Convert an API search result into the listing shape used by the rules
+     * Delivery uses the values of ListingManager.getDeliveryMethod(): 'shipping', 'inperson' or 'unknown'.
+     * @param {Object} item - API item
+     * @returns {Object}
+     */
+    static normalizeItem(item) {
+        const price = typeof item.price === 'object' && item.price !== null ? item.price.amount : item.price;
+        const shipping = item.shipping || {};
+        const shippable = shipping.user_allows_shipping ?? shipping.item_is_shippable ?? item.supports_shipping ?? item.shipping_allowed;
+        const image = item.images?.[0];
+
+        return {
+            id: String(item.id),
+            title: item.title || '',
+            description: item.description || '',
+            price: price === undefined || price === null ? null : Number(price),
+            currency: item.price?.currency || item.currency || 'EUR',
+            url: `${this.ITEM_URL}${item.web_slug || item.id}`,
+            image: image?.urls?.medium || image?.medium || image?.original || null,
+            deliveryMethod: shippable === true ? 'shipping' : shippable === false ? 'inperson' : 'unknown',
+            reserved: Boolean(item.reserved?.flag ?? item.reserved ?? item.flags?.reserved)
+        };
+    }
+
+    /**
+     * Find the result items in a search API response
+     * @param {Object} json - API response
+     * @returns {Array<Object>} Normalized listings
+     */
+    static extractListings(json) {
+        const items = json?.data?.section?.payload?.items || json?.search_objects || json?.items || [];
+        return items.filter(item => item && item.id).map(item => this.normalizeItem(item));
+    }
+
+    /**
+     * Run a search request
+     * @param {Object} search - Saved search
+     * @returns {Promise<Array<Object>>} Normalized listings
+     */
+    static fetchListings(search) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url: this.buildApiUrl(search),
+                headers: {'Accept': 'application/json', 'X-DeviceOS': '0'},
+                onload: (response) => {
+                    if (response.status < 200 || response.status >= 300) {
+                        reject(new Error(`Search request failed with status ${response.status}`));
+                        return;
+                    }
+                    try {
+                        resolve(this.extractListings(JSON.parse(response.responseText)));
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                onerror: () => reject(new Error('Search request failed'))
+            });
+        });
+    }
+
+    /**
+     * Run a saved search and return the new matching listings
+     * The first run of a search only records what is already listed, so it never alerts.
+     * @param {Object} search - Saved search
+     * @param {Array<string>} blockedTerms - Terms from the "Filter Unwanted Words" section
+     * @returns {Promise<{matches: Array<Object>, baseline: boolean}>}
+     */
+    static async runSearch(search, blockedTerms = []) {
+        const listings = await this.fetchListings(search);
+        const seenBySearch = await GMFunctions.getValue(this.SEEN_KEY, {});
+        const baseline = !Array.isArray(seenBySearch[search.id]);
+        const seen = new Set(seenBySearch[search.id] || []);
+
+        const fresh = listings.filter(listing => !seen.has(listing.id));
+        const matches = baseline ? [] : fresh.filter(listing => this.matches(listing, search, blockedTerms));
+
+        seenBySearch[search.id] = [...seen, ...fresh.map(listing => listing.id)].slice(-this.SEEN_LIMIT);
+        await GMFunctions.setValue(this.SEEN_KEY, seenBySearch);
+        await this.updateSearch(search.id, {lastRun: Date.now(), lastMatches: matches.length});
+
+        Logger.debug(`Saved search "${search.name}": ${listings.length} results, ${fresh.length} new, ${matches.length} matching`);
+        return {matches, baseline};
+    }
+
+    /**
+     * Check whether a search should run now
+     * @param {Object} search - Saved search
+     * @param {number} now - Current time in ms
+     * @returns {boolean}
+     */
+    static isDue(search, now = Date.now()) {
+        return search.enabled && (!search.lastRun || now - search.lastRun >= search.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Run every search that is due
+     * Other open Wallapop tabs share lastRun through storage, so a search runs in only one of them.
+     * @returns {Promise<number>} Number of new matches
+     */
+    static async checkDueSearches() {
+        await this.load();
+        const blockedTerms = this.options.getBlockedTerms ? this.options.getBlockedTerms() : [];
+        let total = 0;
+
+        for (const search of this.searches.filter(item => this.isDue(item))) {
+            // Claim the run before the request so another tab does not start it too
+            await this.updateSearch(search.id, {lastRun: Date.now()});
+            try {
+                const {matches} = await this.runSearch(search, blockedTerms);
+                if (matches.length) {
+                    total += matches.length;
+                    this.alert(search, matches);
+                }
+            } catch (error) {
+                Logger.error(error, `Running saved search "${search.name}"`);
+            }
+        }
+
+        if (this.options.onChecked) this.options.onChecked(this.searches);
+        return total;
+    }
+
+    /**
+     * Show an in-page and a desktop notification for new matches
+     * @param {Object} search - Saved search
+     * @param {Array<Object>} matches - New matching listings
+     */
+    static alert(search, matches) {
+        const first = matches[0];
+        const price = first.price !== null ? ` - ${first.price} ${first.currency === 'EUR' ? '€' : first.currency}` : '';
+        const title = `${search.name}: ${matches.length} new`;
+        const text = matches.length === 1 ? `${first.title}${price}` : `${first.title}${price} and ${matches.length - 1} more`;
+
+        Notification.show({
+            message: `${title} - ${text}`,
+            type: 'success',
+            duration: 10000,
+            position: 'top-right',
+            onClick: () => window.open(first.url, '_blank')
+        });
+
+        if (typeof GM_notification === 'function') {
+            GM_notification({title, text, image: first.image || undefined, onclick: () => window.open(first.url, '_blank')});
+        } else if (window.Notification && window.Notification.permission === 'granted') {
+            const desktop = new window.Notification(title, {body: text, icon: first.image || undefined});
+            desktop.onclick = () => window.open(first.url, '_blank');
+        }
+
+        if (this.options.onMatches) this.options.onMatches(search, matches);
+    }
+
+    /**
+     * Ask for desktop notification permission when the userscript manager has no GM_notification
+     */
+    static requestDesktopPermission() {
+        if (typeof GM_notification !== 'function' && window.Notification && window.Notification.permission === 'default') {
+            window.Notification.requestPermission();
+        }
+    }
+
+    /**
+     * Start checking saved searches while this tab is open
+     * @param {Object} options
+     * @param {Function} [options.getBlockedTerms] - Returns the current blocked terms
+     * @param {Function} [options.onChecked] - Called with the searches after each check
+     * @param {Function} [options.onMatches] - Called with a search and its new matches
+     */
+    static start(options = {}) {
+        this.stop();
+        this.options = options;
+        this.checkDueSearches();
+        this.timer = setInterval(() => this.checkDueSearches(), this.CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop the schedule
+     */
+    static stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
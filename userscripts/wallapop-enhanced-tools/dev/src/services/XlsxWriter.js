@@ -0,0 +1,424 @@
+// Service for writing .xlsx workbooks without external libraries
+
+import {PriceHistoryService} from "./PriceHistoryService";
+
+/**
+ * Writes single-sheet Office Open XML workbooks. Files are packed in an uncompressed ZIP,
+ * which every spreadsheet application accepts, so no compression library is needed.
+ *
+ * Cells are typed: numbers and prices are stored as numbers, dates as Excel serial dates,
+ * and links as hyperlinks. The header row is bold and frozen.
+ */
+export class XlsxWriter {
+    static MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    static MAX_CELL_LENGTH = 32767;
+    static IMAGE_COLUMN_LIMIT = 10;
+
+    // Indexes into cellXfs of styles.xml
+    static STYLES = {
+        default: 0,
+        header: 1,
+        price: 2,
+        date: 3,
+        link: 4,
+        text: 5
+    };
+
+    static NAMESPACES = {
+        main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+        relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        package: 'http://schemas.openxmlformats.org/package/2006/relationships'
+    };
+
+    /**
+     * Columns of the listing export. Optional columns are left out when no item has a value.
+     * Detail fields come from "Fetch All Details"; expanded descriptions only have the core ones.
+     */
+    static ITEM_COLUMNS = [
+        {header: 'Title', type: 'string', width: 40, value: item => item.title},
+        {header: 'Price', type: 'price', width: 12, value: item => XlsxWriter.getPrice(item)?.amount},
+        {header: 'Currency', type: 'string', width: 10, value: item => XlsxWriter.getPrice(item)?.currency},
+        {header: 'URL', type: 'link', width: 50, value: item => item.url},
+        {header: 'Description', type: 'text', width: 80, value: item => item.description},
+        {header: 'Condition', type: 'string', width: 18, optional: true, value: item => item.condition},
+        {header: 'Delivery', type: 'string', width: 12, optional: true, value: item => item.deliveryMethod},
+        {header: 'Seller', type: 'string', width: 20, optional: true, value: item => item.seller?.name},
+        {header: 'Seller rating', type: 'number', width: 14, optional: true, value: item => item.seller?.rating},
+        {header: 'City', type: 'string', width: 18, optional: true, value: item => item.location?.city},
+        {header: 'Postal code', type: 'string', width: 12, optional: true, value: item => item.location?.postalCode},
+        {header: 'Views', type: 'number', width: 10, optional: true, value: item => item.views},
+        {header: 'Favourites', type: 'number', width: 12, optional: true, value: item => item.favourites},
+        {header: 'First seen', type: 'date', width: 18, optional: true, value: item => item.priceHistory?.[0]?.firstSeen},
+        {header: 'Fetched', type: 'date', width: 18, optional: true, value: item => item.fetchedAt}
+    ];
+
+    // CRC-32 lookup table, built on first use
+    static crcTable = null;
+
+    /**
+     * Read the price of an item as a number
+     * @param {Object} item - DescriptionManager item
+     * @returns {{amount: number, currency: string}|null}
+     */
+    static getPrice(item) {
+        if (typeof item.priceAmount === 'number') {
+            return {amount: item.priceAmount, currency: item.currency || 'EUR'};
+        }
+        return PriceHistoryService.parsePrice(item.price);
+    }
+
+    /**
+     * Write DescriptionManager items as a workbook
+     * @param {Array<Object>} items - Items to export
+     * @param {Object} options - Format options
+     * @returns {Uint8Array} The .xlsx file
+     */
+    static formatItems(items, options = {}) {
+        const hasValue = (value) => value !== undefined && value !== null && value !== '';
+        const columns = this.ITEM_COLUMNS.filter(column =>
+            !column.optional || items.some(item => hasValue(column.value(item))));
+
+        if (options['include-images']) {
+            const imageCount = Math.min(this.IMAGE_COLUMN_LIMIT, Math.max(0, ...items.map(item => item.images?.length || 0)));
+            for (let index = 0; index < imageCount; index++) {
+                columns.push({header: `Image ${index + 1}`, type: 'link', width: 40, value: item => item.images?.[index]});
+            }
+        }
+
+        return this.createWorkbook({
+            sheetName: 'Listings',
+            columns,
+            rows: items.map(item => columns.map(column => column.value(item))),
+            includeHeaders: options['include-headers'] !== false
+        });
+    }
+
+    /**
+     * Create a workbook with one sheet
+     * @param {Object} config
+     * @param {string} [config.sheetName='Sheet1'] - Sheet name
+     * @param {Array<{header: string, type: string, width: number}>} config.columns - Column definitions;
+     *        type is 'string', 'text' (wrapped), 'number', 'price', 'date' or 'link'
+     * @param {Array<Array>} config.rows - Cell values, in column order
+     * @param {boolean} [config.includeHeaders=true] - Add a bold, frozen header row
+     * @returns {Uint8Array} The .xlsx file
+     */
+    static createWorkbook({sheetName = 'Sheet1', columns, rows, includeHeaders = true}) {
+        const {sheetXml, links} = this.buildSheet(columns, rows, includeHeaders);
+        const files = [
+            {name: '[Content_Types].xml', content: this.buildContentTypes()},
+            {name: '_rels/.rels', content: this.buildRootRelationships()},
+            {name: 'xl/workbook.xml', content: this.buildWorkbook(sheetName)},
+            {name: 'xl/_rels/workbook.xml.rels', content: this.buildWorkbookRelationships()},
+            {name: 'xl/styles.xml', content: this.buildStyles()},
+            {name: 'xl/worksheets/sheet1.xml', content: sheetXml}
+        ];
+
+        if (links.length > 0) {
+            files.push({name: 'xl/worksheets/_rels/sheet1.xml.rels', content: this.buildSheetRelationships(links)});
+        }
+
+        return this.createZip(files);
+    }
+
+    /**
+     * Build the worksheet XML
+     * @param {Array<Object>} columns - Column definitions
+     * @param {Array<Array>} rows - Cell values
+     * @param {boolean} includeHeaders - Add a header row
+     * @returns {{sheetXml: string, links: Array<{ref: string, url: string}>}}
+     */
+    static buildSheet(columns, rows, includeHeaders) {
+        const links = [];
+        const xmlRows = [];
+
+        if (includeHeaders) {
+            xmlRows.push(this.buildRow(1, columns.map((column, index) =>
+                this.buildStringCell(`${this.columnName(index)}1`, column.header, this.STYLES.header))));
+        }
+
+        rows.forEach((values, rowIndex) => {
+            const rowNumber = rowIndex + 1 + (includeHeaders ? 1 : 0);
+            const cells = columns.map((column, index) => {
+                const ref = `${this.columnName(index)}${rowNumber}`;
+                const value = values[index];
+                if (value === undefined || value === null || value === '') return '';
+
+                switch (column.type) {
+                    case 'number':
+                    case 'price': {
+                        const number = Number(value);
+                        if (!Number.isFinite(number)) return this.buildStringCell(ref, value, this.STYLES.default);
+                        const style = column.type === 'price' ? this.STYLES.price : this.STYLES.default;
+                        return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number}</v></c>`;
+                    }
+                    case 'date': {
+                        const serial = this.toExcelDate(value);
+                        if (serial === null) return this.buildStringCell(ref, value, this.STYLES.default);
+                        return `<c r="${ref}" s="${this.STYLES.date}"><v>${serial}</v></c>`;
+                    }
+                    case 'link':
+                        if (/^https?:\/\//i.test(String(value))) {
+                            links.push({ref, url: String(value)});
+                            return this.buildStringCell(ref, value, this.STYLES.link);
+                        }
+                        return this.buildStringCell(ref, value, this.STYLES.default);
+                    case 'text':
+                        return this.buildStringCell(ref, value, this.STYLES.text);
+                    default:
+                        return this.buildStringCell(ref, value, this.STYLES.default);
+                }
+            });
+            xmlRows.push(this.buildRow(rowNumber, cells));
+        });
+
+        const pane = includeHeaders
+            ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+            : '';
+        const cols = columns.map((column, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`).join('');
+        const hyperlinks = links.length > 0
+            ? `<hyperlinks>${links.map((link, index) => `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`).join('')}</hyperlinks>`
+            : '';
+
+        const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<worksheet xmlns="${this.NAMESPACES.main}" xmlns:r="${this.NAMESPACES.relationships}">` +
+            `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+            '<sheetFormatPr defaultRowHeight="15"/>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${xmlRows.join('')}</sheetData>` +
+            hyperlinks +
+            '</worksheet>';
+
+        return {sheetXml, links};
+    }
+
+    /**
+     * Build a row element
+     * @param {number} rowNumber - 1-based row number
+     * @param {Array<string>} cells - Cell XML, empty strings for blank cells
+     * @returns {string}
+     */
+    static buildRow(rowNumber, cells) {
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    }
+
+    /**
+     * Build an inline string cell
+     * @param {string} ref - Cell reference, e.g. "B2"
+     * @param {*} value - Cell text
+     * @param {number} style - Index into cellXfs
+     * @returns {string}
+     */
+    static buildStringCell(ref, value, style) {
+        const text = String(value).slice(0, this.MAX_CELL_LENGTH);
+        return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+    }
+
+    /**
+     * Get the letter name of a column, e.g. 0 -> "A", 27 -> "AB"
+     * @param {number} index - 0-based column index
+     * @returns {string}
+     */
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Convert a date to an Excel serial date in local time
+     * @param {Date|string|number} value - Date, ISO string or timestamp
+     * @returns {number|null}
+     */
+    static toExcelDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return null;
+
+        const localTime = date.getTime() - date.getTimezoneOffset() * 60000;
+        return Math.round((localTime / 86400000 + 25569) * 1e8) / 1e8;
+    }
+
+    /**
+     * Escape text for XML, dropping control characters XML doesn't allow
+     * @param {string} str - Text to escape
+     * @returns {string}
+     */
+    static escapeXml(str) {
+        return String(str)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static buildContentTypes() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>';
+    }
+
+    static buildRootRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="${this.NAMESPACES.package}">` +
+            `<Relationship Id="rId1" Type="${this.NAMESPACES.relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>';
+    }
+
+    static buildWorkbook(sheetName) {
+        // Sheet names can't contain []:*?/\ and are limited to 31 characters
+        const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<workbook xmlns="${this.NAMESPACES.main}" xmlns:r="${this.NAMESPACES.relationships}">` +
+            `<sheets><sheet name="${this.escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>';
+    }
+
+    static buildWorkbookRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="${this.NAMESPACES.package}">` +
+            `<Relationship Id="rId1" Type="${this.NAMESPACES.relationships}/worksheet" Target="worksheets/sheet1.xml"/>` +
+            `<Relationship Id="rId2" Type="${this.NAMESPACES.relationships}/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    static buildSheetRelationships(links) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="${this.NAMESPACES.package}">` +
+            links.map((link, index) =>
+                `<Relationship Id="rId${index + 1}" Type="${this.NAMESPACES.relationships}/hyperlink" Target="${this.escapeXml(link.url)}" TargetMode="External"/>`
+            ).join('') +
+            '</Relationships>';
+    }
+
+    static buildStyles() {
+        const xf = (numFmtId, fontId, attributes = '', children = '') =>
+            `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="0" borderId="0" xfId="0"${attributes}` +
+            (children ? `>${children}</xf>` : '/>');
+
+        // Order matches STYLES
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<styleSheet xmlns="${this.NAMESPACES.main}">` +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+            '<fonts count="3">' +
+            '<font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+            '</fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="6">' +
+            xf(0, 0) +
+            xf(0, 1, ' applyFont="1"') +
+            xf(4, 0, ' applyNumberFormat="1"') +
+            xf(164, 0, ' applyNumberFormat="1"') +
+            xf(0, 2, ' applyFont="1"') +
+            xf(0, 0, ' applyAlignment="1"', '<alignment vertical="top" wrapText="1"/>') +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Pack files into an uncompressed ZIP archive
+     * @param {Array<{name: string, content: string|Uint8Array}>} files - Files to pack
+     * @returns {Uint8Array}
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored, no compression
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+}
@@ -216,6 +216,106 @@ export function addStyles() {
             color: #ff4040;
         }
 
+        .advanced-filter-row {
+            margin-bottom: 10px;
+        }
+
+        .advanced-filter-price {
+            display: flex;
+            gap: 8px;
+        }
+
+        .advanced-filters-hint {
+            font-size: 12px;
+            font-style: italic;
+            color: #666;
+        }
+
+        .filter-hidden-count {
+            font-size: 12px;
+            color: #666;
+            padding-top: 4px;
+        }
+
+        .filter-hidden-count:empty {
+            display: none;
+        }
+
+        .saved-search-price-row {
+            display: flex;
+            gap: 8px;
+        }
+
+        .saved-search-input {
+            margin-top: 8px;
+        }
+
+        .saved-search-hint,
+        .saved-search-details {
+            font-size: 12px;
+            color: #666;
+            padding-top: 4px;
+        }
+
+        .saved-search-hint {
+            font-style: italic;
+        }
+
+        .saved-searches-list {
+            max-height: 300px;
+            overflow-y: auto;
+            margin-top: 10px;
+        }
+
+        .saved-search-item {
+            padding: 8px;
+            background-color: #f0f0f0;
+            border-radius: 4px;
+            margin-bottom: 5px;
+            animation: fadeIn 0.3s ease-in-out;
+        }
+
+        .saved-search-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+
+        .saved-search-actions {
+            display: flex;
+            gap: 8px;
+        }
+
+        .saved-search-actions .panel-button {
+            margin-top: 6px;
+            padding: 4px 8px;
+            font-size: 12px;
+        }
+
+        .price-drop-badge {
+            display: inline-block;
+            margin: 2px 0;
+            padding: 2px 6px;
+            border-radius: 10px;
+            background-color: #e8f5e9;
+            color: #2e7d32;
+            font-size: 12px;
+            font-weight: bold;
+        }
+
+        .price-history {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+            color: var(--panel-accent-color);
+        }
+
+        .price-history-summary {
+            font-size: 12px;
+            color: #666;
+        }
+
         .copy-dropdown {
             position: relative;
             display: inline-block;
@@ -538,6 +638,14 @@ export function addStyles() {
             border-radius: 4px;
         }
 
+        .detail-run-controls {
+            gap: 8px;
+        }
+
+        .detail-run-controls .panel-button {
+            flex: 1;
+        }
+
         .userscripts-slider-input::-webkit-slider-thumb {
             -webkit-appearance: none !important;
             appearance: none !important;
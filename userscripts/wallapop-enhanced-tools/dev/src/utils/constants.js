@@ -3,10 +3,16 @@
 export const SELECTORS = {
     ITEM_CARDS: [
         'a.ItemCardList__item[href^="https://es.wallapop.com/item/"]',
+        'a[class*="item-card_ItemCard--vertical"]',
         '[class^="experimentator-layout-slider_ExperimentatorSliderLayout__item"] a[href^="/item/"]',
+        '[tslitemroute]',
         '[class^="feed_Feed__item__"] a[href^="/item/"]',
     ],
     ITEM_DESCRIPTION: '[class^="item-detail_ItemDetail__description__"]',
+    ITEM_PRICE: '[class*="ItemCard__price"]',
+    ITEM_TITLE: '[class*="ItemCard__title"]',
+    ITEM_LOCATION: '[class*="ItemCard__location"], [class*="ItemCard__distance"]',
+    ITEM_DATE: '[class*="ItemCard__date"], [class*="ItemCard__published"], time',
     EXPAND_BUTTON: '.expand-button',
     // Control panel selectors
     CONTROL_PANEL: '.control-panel',
@@ -25,12 +31,12 @@ export const EXPORT_FORMAT_CATEGORIES = {
     // Data formats
     data: {
         label: 'Data',
-        formats: ['json', 'csv', 'tsv', 'xml']
+        formats: ['json', 'csv', 'tsv', 'xml', 'price-history']
     },
     // Spreadsheet formats
     spreadsheet: {
         label: 'Spreadsheet',
-        formats: ['excel-csv', 'excel-xml']
+        formats: ['excel-csv', 'excel-xml', 'xlsx']
     }
 };
 
@@ -1,6 +1,6 @@
 // Helper functions used throughout the application
 
-import {Logger} from "../../core";
+import {Logger} from "../../../../common/core";
 import {STORAGE_KEYS} from './constants';
 
 /**
@@ -198,7 +198,8 @@ export function getFileInfo(formatId) {
 
         // Spreadsheet formats
         'excel-csv': {extension: 'csv', mimeType: 'text/csv'},
-        'excel-xml': {extension: 'xml', mimeType: 'application/xml'}
+        'excel-xml': {extension: 'xml', mimeType: 'application/xml'},
+        'xlsx': {extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'}
     };
 
     return fileInfo[formatId] || {extension: 'txt', mimeType: 'text/plain'};
@@ -13,9 +13,17 @@ import {
     SectionToggler,
     SidebarPanel,
     DOMObserver,
+    SettingsBackupService,
+    StorageSync,
+    Input,
 } from "../../common/core";
 import {translations} from "./src/i18n/translations.js";
 import {addStyles} from "./src/ui/styles.js";
+import {SavedSearchService} from "./src/services/SavedSearchService.js";
+import {PriceHistoryService} from "./src/services/PriceHistoryService.js";
+import {ListingFilterService} from "./src/services/ListingFilterService.js";
+import {ListingDetailService} from "./src/services/ListingDetailService.js";
+import {XlsxWriter} from "./src/services/XlsxWriter.js";
 
 const SELECTORS = {
     ITEM_CARDS: [
@@ -26,6 +34,8 @@ const SELECTORS = {
         '[class^="feed_Feed__item__"] a[href^="/item/"]',
     ],
     ITEM_DESCRIPTION: '[class^="item-detail_ItemDetail__description__"]',
+    ITEM_PRICE: '[class*="ItemCard__price"]',
+    ITEM_TITLE: '[class*="ItemCard__title"]',
     EXPAND_BUTTON: '.expand-button',
     // New consolidated control panel selectors
     CONTROL_PANEL: '.control-panel',
@@ -374,8 +384,9 @@ class ExpandButton {
         this.button.textContent = TranslationManager.getText('loading');
         const result = await DescriptionFetcher.getDescription(this.url);
         if (result.success) {
-            this.itemData = result.data;
+            this.itemData = {...result.data, fetchedAt: new Date().toISOString()};
             this.descriptionContent.innerHTML = HTMLUtils.escapeHTML(result.data.description);
+            await this.showPriceHistory();
             // Use the class toggle approach for smooth transition
             this.descriptionContent.classList.add('expanded');
             this.button.textContent = TranslationManager.getText('hideDescription');
@@ -390,6 +401,43 @@ class ExpandButton {
         }
     }
 
+    async showPriceHistory() {
+        try {
+            const record = await PriceHistoryService.record({
+                url: this.url,
+                title: this.itemData.title,
+                price: this.itemData.price,
+                source: 'detail'
+            });
+            if (!record) return;
+
+            this.itemData.priceHistory = record.history;
+            ListingManager.showPriceDropBadge(this.anchorElement, record);
+            if (record.history.length < 2) return;
+
+            const drop = PriceHistoryService.getPriceDrop(record);
+            const container = document.createElement('div');
+            container.className = 'price-history';
+            container.innerHTML = PriceHistoryService.createSparkline(record);
+
+            const summary = document.createElement('span');
+            summary.className = 'price-history-summary';
+            summary.textContent = drop
+                ? TranslationManager.getText('priceDroppedFrom', {
+                    from: PriceHistoryService.formatPrice(drop.from, drop.currency),
+                    to: PriceHistoryService.formatPrice(drop.to, drop.currency)
+                })
+                : TranslationManager.getText('priceHistorySince', {
+                    count: record.history.length,
+                    date: new Date(record.history[0].firstSeen).toLocaleDateString()
+                });
+            container.appendChild(summary);
+            this.descriptionContent.prepend(container);
+        } catch (error) {
+            Logger.error(error, "Recording price history");
+        }
+    }
+
     hideDescription() {
         // Remove expanded class for smooth transition
         this.descriptionContent.classList.remove('expanded');
@@ -432,6 +480,7 @@ class ListingManager {
     static addExpandButtonsToListings() {
         Logger.debug("Adding expand buttons to listings");
         let totalListings = 0;
+        const sightings = [];
 
         SELECTORS.ITEM_CARDS.forEach(selector => {
             const listings = document.querySelectorAll(selector);
@@ -440,22 +489,24 @@ class ListingManager {
 
             listings.forEach(listing => {
                 try {
-                    let href = listing.getAttribute('href') || listing.querySelector('a')?.getAttribute('href');
-
-                    // Make sure href is a full URL
-                    if (href && !href.startsWith('http')) {
-                        if (href.startsWith('/')) {
-                            href = `https://es.wallapop.com${href}`;
-                        } else {
-                            href = `https://es.wallapop.com/${href}`;
-                        }
-                    }
+                    const href = this.getListingUrl(listing);
 
                     if (href && !listing.querySelector(SELECTORS.EXPAND_BUTTON)) {
                         new ExpandButton(listing, href);
                     } else if (!href) {
                         Logger.debug("No valid href found for a listing");
                     }
+
+                    const priceElement = listing.querySelector(SELECTORS.ITEM_PRICE);
+                    if (href && priceElement) {
+                        sightings.push({
+                            listing,
+                            url: href,
+                            title: listing.querySelector(SELECTORS.ITEM_TITLE)?.textContent.trim() || listing.getAttribute('title') || '',
+                            price: priceElement.textContent,
+                            source: 'search'
+                        });
+                    }
                 } catch (error) {
                     Logger.error(error, "Processing individual listing");
                 }
@@ -463,6 +514,73 @@ class ListingManager {
         });
 
         Logger.debug("Total listings processed:", totalListings);
+
+        if (sightings.length > 0) {
+            this.updatePriceHistory(sightings);
+        }
+    }
+
+    /**
+     * Get the full item URL of a listing
+     * @param {HTMLElement} listing - The listing element
+     * @returns {string|null}
+     */
+    static getListingUrl(listing) {
+        const href = listing.getAttribute('href') || listing.querySelector('a')?.getAttribute('href');
+        if (!href) return null;
+
+        // Make sure href is a full URL
+        if (href.startsWith('http')) return href;
+        return href.startsWith('/') ? `https://es.wallapop.com${href}` : `https://es.wallapop.com/${href}`;
+    }
+
+    /**
+     * Record the prices shown in search results and mark listings whose price dropped
+     * @param {Array<Object>} sightings - Listing elements with their URL, title and price text
+     */
+    static async updatePriceHistory(sightings) {
+        try {
+            const records = await PriceHistoryService.recordMany(sightings.map(({listing, ...sighting}) => sighting));
+            sightings.forEach(({listing, url}) => {
+                this.showPriceDropBadge(listing, records[PriceHistoryService.getItemId(url)]);
+            });
+        } catch (error) {
+            Logger.error(error, "Updating price history");
+        }
+    }
+
+    /**
+     * Add, update or remove the price drop badge of a listing
+     * @param {HTMLElement} listing - The listing element
+     * @param {Object} record - Price history record of the listing
+     */
+    static showPriceDropBadge(listing, record) {
+        const drop = PriceHistoryService.getPriceDrop(record);
+        let badge = listing.querySelector('.price-drop-badge');
+
+        if (!drop) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'price-drop-badge';
+            const priceElement = listing.querySelector(SELECTORS.ITEM_PRICE);
+            if (priceElement) {
+                priceElement.insertAdjacentElement('afterend', badge);
+            } else {
+                listing.prepend(badge);
+            }
+        }
+
+        badge.textContent = TranslationManager.getText('priceDropBadge', {
+            percent: drop.percent,
+            price: PriceHistoryService.formatPrice(drop.from, drop.currency)
+        });
+        badge.title = record.history
+            .map(entry => `${new Date(entry.firstSeen).toLocaleDateString()}: ${PriceHistoryService.formatPrice(entry.price, entry.currency)}`)
+            .join('\n');
     }
 }
 
@@ -477,6 +595,8 @@ class FormatOption {
         this.label = config.label;
         this.description = config.description;
         this.category = config.category;
+        // Binary formats can only be downloaded
+        this.binary = config.binary || false;
         this.options = config.options || [];
         this.element = null;
         this.optionsContainer = null;
@@ -656,6 +776,14 @@ class WallapopExpandDescription {
 
         // Create unified control panel
         await ControlPanel.createControlPanel();
+        ControlPanel.setupStorageSync();
+        await PriceHistoryService.load();
+
+        // Re-run saved searches on their schedule while this tab is open
+        SavedSearchService.start({
+            getBlockedTerms: () => ControlPanel.blockedTerms,
+            onChecked: (searches) => ControlPanel.updateSavedSearchesList(searches)
+        });
 
         await DOMObserver.waitForElements(SELECTORS.ITEM_CARDS);
         ListingManager.addExpandButtonsToListings();
@@ -698,6 +826,26 @@ class ControlPanel {
     static blockedTermsListElement = null;
     static sidebarPanel = null;
     static panelStateCache = {}; // Add cache for panel state
+    static filterCounts = {};
+    static filterCounterElements = {};
+    static settingsBackup = new SettingsBackupService({
+        script: 'Wallapop Enhanced Tools',
+        keys: {
+            EXPAND_ALL_DELAY: 'expandAllDelay',
+            HIDE_RESERVED_LISTINGS: 'hideReservedListings',
+            DELIVERY_METHOD_FILTER: 'deliveryMethodFilter',
+            ADVANCED_FILTERS: ListingFilterService.STORAGE_KEY
+        },
+        defaults: {
+            EXPAND_ALL_DELAY: '1000',
+            HIDE_RESERVED_LISTINGS: true,
+            DELIVERY_METHOD_FILTER: 'shipping',
+            ADVANCED_FILTERS: ListingFilterService.DEFAULT_SETTINGS
+        },
+        localStorageKeys: ['wallapop-blocked-terms', 'wallapop-export-format', 'wallapop-language'],
+        getValue: GMFunctions.getValue,
+        setValue: GMFunctions.setValue
+    });
     static exportFormats = {
         // Text-based formats
         text: {
@@ -842,6 +990,26 @@ class ControlPanel {
                             defaultValue: true
                         }
                     ]
+                }),
+                'price-history': new FormatOption({
+                    id: 'price-history',
+                    label: 'Price History',
+                    description: 'Every recorded price of the listings you have seen (CSV)',
+                    category: 'data',
+                    options: [
+                        {
+                            id: 'include-headers',
+                            label: 'Include headers',
+                            description: 'Add column names as the first row',
+                            defaultValue: true
+                        },
+                        {
+                            id: 'only-drops',
+                            label: 'Only price drops',
+                            description: 'Only include listings whose price went down',
+                            defaultValue: false
+                        }
+                    ]
                 })
             }
         },
@@ -888,6 +1056,27 @@ class ControlPanel {
                             defaultValue: false
                         }
                     ]
+                }),
+                'xlsx': new FormatOption({
+                    id: 'xlsx',
+                    label: 'Excel Workbook (.xlsx)',
+                    description: 'Workbook with number and date cells, clickable links and a frozen header row',
+                    category: 'spreadsheet',
+                    binary: true,
+                    options: [
+                        {
+                            id: 'include-headers',
+                            label: 'Include headers',
+                            description: 'Add a frozen header row',
+                            defaultValue: true
+                        },
+                        {
+                            id: 'include-images',
+                            label: 'Include image links',
+                            description: 'Add one linked column per image',
+                            defaultValue: false
+                        }
+                    ]
                 })
             }
         }
@@ -898,6 +1087,8 @@ class ControlPanel {
         panel: null,
         filter: null,
         copy: null,
+        advancedFilters: null,
+        savedSearches: null,
         language: null
     };
 
@@ -954,6 +1145,32 @@ class ControlPanel {
                 );
                 content.appendChild(expandAllButton);
 
+                // Fetch the full details of every visible listing for export
+                const fetchDetailsButton = this.createButton(
+                    TranslationManager.getText('fetchAllDetails'),
+                    'panel-button fetch-details-button',
+                    () => this.handleFetchAllDetails()
+                );
+                content.appendChild(fetchDetailsButton);
+
+                // Pause and cancel controls, shown while details are being fetched
+                this.detailRunControls = document.createElement('div');
+                this.detailRunControls.className = 'detail-run-controls';
+                this.detailRunControls.style.display = 'none';
+                this.pauseDetailsButton = this.createButton(
+                    TranslationManager.getText('pause'),
+                    'panel-button detail-run-pause',
+                    () => this.toggleDetailRunPause(),
+                    {container: this.detailRunControls}
+                );
+                this.createButton(
+                    TranslationManager.getText('cancel'),
+                    'panel-button detail-run-cancel',
+                    () => ListingDetailService.cancel(),
+                    {container: this.detailRunControls}
+                );
+                content.appendChild(this.detailRunControls);
+
                 // Create progress container (empty container to hold the progress bar)
                 const progressContainer = document.createElement('div');
                 progressContainer.className = 'expand-progress-container';
@@ -1105,6 +1322,121 @@ class ControlPanel {
         }, 2000);
     }
 
+    /**
+     * Fetch the full details of every visible listing through ListingDetailService and
+     * store them in DescriptionManager for export
+     */
+    static async handleFetchAllDetails() {
+        if (ListingDetailService.isRunning()) return;
+
+        const urls = Array.from(document.querySelectorAll(SELECTORS.ITEM_CARDS.join(', ')))
+            .filter(listing => !listing.classList.contains('hidden-item'))
+            .map(listing => ListingManager.getListingUrl(listing))
+            .filter(Boolean);
+
+        if (urls.length === 0) {
+            this.showExpandAllMessage(TranslationManager.getText('noListingsToFetch'), '.fetch-details-button');
+            return;
+        }
+
+        // Reuse the delay of "Expand All"
+        const delay = this.delaySlider ? this.delaySlider.getValue() : parseInt(await this.loadPanelState('expandAllDelay', '1000'));
+
+        const buttons = document.querySelectorAll('.expand-all-button, .fetch-details-button');
+        buttons.forEach(button => {
+            button.disabled = true;
+        });
+
+        if (this.expandProgressContainer) {
+            this.expandProgressContainer.innerHTML = '';
+            this.expandProgressContainer.style.display = 'block';
+
+            this.progressBar = new ProgressBar({
+                initialValue: 0,
+                container: this.expandProgressContainer,
+                showText: true,
+                theme: 'primary',
+                size: 'normal'
+            });
+        }
+        if (this.detailRunControls) {
+            this.detailRunControls.style.display = 'flex';
+        }
+
+        const runPromise = ListingDetailService.start(urls, {
+            delayMs: delay,
+            onItem: (item) => {
+                DescriptionManager.addItem({
+                    ...item,
+                    description: DescriptionFetcher.cleanDescription(item.description)
+                });
+            },
+            onProgress: (progress) => this.updateDetailProgress(progress)
+        });
+        this.updateDetailProgress(ListingDetailService.getProgress());
+
+        const summary = await runPromise;
+
+        if (this.detailRunControls) {
+            this.detailRunControls.style.display = 'none';
+        }
+
+        if (this.progressBar) {
+            const percent = summary.total > 0 ? Math.floor((summary.completed + summary.failed.length) / summary.total * 100) : 100;
+            this.progressBar.setTheme(summary.cancelled || summary.failed.length > 0 ? 'warning' : 'success');
+            this.progressBar.setValue(summary.cancelled ? percent : 100, TranslationManager.getText(
+                summary.cancelled ? 'fetchDetailsCancelled' : 'fetchDetailsComplete',
+                {count: summary.completed, total: summary.total, errors: summary.failed.length}
+            ));
+        }
+
+        setTimeout(() => {
+            buttons.forEach(button => {
+                button.disabled = false;
+            });
+
+            setTimeout(() => {
+                if (this.expandProgressContainer && !ListingDetailService.isRunning()) {
+                    this.expandProgressContainer.style.display = 'none';
+
+                    if (this.progressBar) {
+                        this.progressBar.destroy();
+                        this.progressBar = null;
+                    }
+                }
+            }, 3000);
+        }, 2000);
+    }
+
+    /**
+     * Show the progress of the detail run
+     * @param {Object|null} progress - Result of ListingDetailService.getProgress()
+     */
+    static updateDetailProgress(progress) {
+        if (!progress) return;
+
+        if (this.progressBar) {
+            this.progressBar.setValue(progress.percent, TranslationManager.getText(
+                progress.paused ? 'fetchingDetailsPaused' : 'fetchingDetailsProgress',
+                {current: progress.processed, total: progress.total}
+            ));
+        }
+        if (this.pauseDetailsButton) {
+            this.pauseDetailsButton.textContent = TranslationManager.getText(progress.paused ? 'resume' : 'pause');
+        }
+    }
+
+    /**
+     * Pause or resume the detail run
+     */
+    static toggleDetailRunPause() {
+        if (ListingDetailService.isPaused()) {
+            ListingDetailService.resume();
+        } else {
+            ListingDetailService.pause();
+        }
+    }
+
     /**
      * Get the listing element that contains the button
      */
@@ -1136,8 +1468,8 @@ class ControlPanel {
     /**
      * Show a message in the expand all section
      */
-    static showExpandAllMessage(message) {
-        const expandAllButton = document.querySelector('.expand-all-button');
+    static showExpandAllMessage(message, buttonSelector = '.expand-all-button') {
+        const expandAllButton = document.querySelector(buttonSelector);
         if (expandAllButton) {
             const originalText = expandAllButton.textContent;
             expandAllButton.textContent = message;
@@ -1177,7 +1509,7 @@ class ControlPanel {
                     onChange: async (e) => {
                         const isChecked = e.target.checked;
                         await this.savePanelState('hideReservedListings', isChecked);
-                        await this.applyReservedFilter();
+                        await this.applyFilters();
                     }
                 });
 
@@ -1200,63 +1532,6 @@ class ControlPanel {
         return this.togglers.reservedListings.section;
     }
 
-    /**
-     * Apply filter to hide reserved listings
-     */
-    static async applyReservedFilter() {
-        Logger.debug("Applying reserved listings filter");
-
-        const allSelectors = SELECTORS.ITEM_CARDS.join(', ');
-        const allListings = document.querySelectorAll(allSelectors);
-
-        // Get filter setting
-        const hideReserved = await this.loadPanelState('hideReservedListings', true);
-
-        if (!hideReserved) {
-            // If filter is disabled, show any listings that were hidden by this filter
-            // but respect other filters
-            for (const listing of allListings) {
-                if (listing.dataset.reservedHidden === 'true') {
-                    delete listing.dataset.reservedHidden;
-
-                    // Only show if not hidden by other filters
-                    if (!this.shouldHideListing(listing) &&
-                        !await this.shouldHideByDeliveryMethod(listing)) {
-                        this.showListing(listing);
-                    }
-                }
-            }
-
-            // Update status text
-            if (this.reservedStatusElement) {
-                this.reservedStatusElement.textContent = '';
-            }
-
-            return;
-        }
-
-        // Apply the filter to hide reserved listings
-        let hiddenCount = 0;
-
-        for (const listing of allListings) {
-            if (this.isReservedListing(listing)) {
-                // Mark as hidden specifically by this filter
-                listing.dataset.reservedHidden = 'true';
-                this.hideListing(listing);
-                hiddenCount++;
-            }
-        }
-
-        // Update status text
-        if (this.reservedStatusElement) {
-            this.reservedStatusElement.textContent = TranslationManager.getText(
-                'reservedListingsFound', {count: hiddenCount}
-            );
-        }
-
-        Logger.debug(`Reserved listings filter applied: ${hiddenCount} listings hidden`);
-    }
-
     /**
      * Check if a listing is reserved
      * @param {HTMLElement} listing - The listing element to check
@@ -1292,29 +1567,185 @@ class ControlPanel {
     }
 
     /**
-     * Modified method to check if a listing should be hidden by delivery method
-     * Separated from the main filter to make it easier to combine filters
+     * Create the advanced filters section: price range, distance, seller rating, age,
+     * how blocked terms match and how the filters combine
      */
-    static async shouldHideByDeliveryMethod(listing) {
-        const filterValue = await this.loadPanelState('deliveryMethodFilter', 'all');
-        if (filterValue === 'all') return false;
+    static async createAdvancedFiltersSection(container) {
+        // Load saved state
+        const isExpanded = await this.loadPanelState('isAdvancedFiltersSectionExpanded', false);
+        const settings = ListingFilterService.normalizeSettings(await this.loadPanelState(ListingFilterService.STORAGE_KEY, {}));
 
-        const deliveryMethod = this.getDeliveryMethod(listing);
+        this.togglers.advancedFilters = new SectionToggler({
+            container,
+            sectionClass: 'advanced-filters',
+            title: TranslationManager.getText('advancedFilters'),
+            isExpanded,
+            onToggle: async (state) => {
+                await this.savePanelState('isAdvancedFiltersSectionExpanded', state);
+            },
+            contentCreator: (content) => {
+                const createRow = () => {
+                    const row = document.createElement('div');
+                    row.className = 'advanced-filter-row';
+                    content.appendChild(row);
+                    return row;
+                };
+                const save = () => this.saveAdvancedFilters();
+
+                // Price range
+                const priceRow = createRow();
+                const priceInputs = document.createElement('div');
+                priceInputs.className = 'advanced-filter-price';
+                priceRow.appendChild(priceInputs);
+                this.minPriceInput = new Input({
+                    type: 'number',
+                    min: '0',
+                    label: TranslationManager.getText('minPrice'),
+                    value: settings.minPrice ?? '',
+                    size: 'small',
+                    container: priceInputs,
+                    onChange: save
+                });
+                this.maxPriceInput = new Input({
+                    type: 'number',
+                    min: '0',
+                    label: TranslationManager.getText('maxPrice'),
+                    value: settings.maxPrice ?? '',
+                    size: 'small',
+                    container: priceInputs,
+                    onChange: save
+                });
+                priceRow.appendChild(this.createFilterCounter('price'));
+
+                const distanceRow = createRow();
+                this.maxDistanceSlider = new Slider({
+                    container: distanceRow,
+                    min: 0,
+                    max: 200,
+                    step: 5,
+                    value: settings.maxDistance,
+                    label: TranslationManager.getText('maxDistance'),
+                    theme: 'primary',
+                    valueSuffix: ' km',
+                    onChange: save
+                });
+                distanceRow.appendChild(this.createFilterCounter('distance'));
+
+                const ratingRow = createRow();
+                this.minRatingSlider = new Slider({
+                    container: ratingRow,
+                    min: 0,
+                    max: 5,
+                    step: 0.5,
+                    value: settings.minRating,
+                    label: TranslationManager.getText('minSellerRating'),
+                    theme: 'primary',
+                    valueSuffix: ' ★',
+                    onChange: save
+                });
+                ratingRow.appendChild(this.createFilterCounter('rating'));
+
+                const ageRow = createRow();
+                this.maxAgeSelect = new SelectBox({
+                    items: [0, 1, 3, 7, 14, 30].map(days => ({
+                        value: String(days),
+                        label: days === 0
+                            ? TranslationManager.getText('postedAnyTime')
+                            : TranslationManager.getText('postedWithinDays', {days}),
+                        selected: settings.maxAgeDays === days
+                    })),
+                    name: 'max-age',
+                    id: 'max-age-select',
+                    container: ageRow,
+                    theme: 'default',
+                    size: 'medium',
+                    onChange: save
+                });
+                ageRow.appendChild(this.createFilterCounter('age'));
 
-        // If the delivery method can't be determined, don't hide it to be safe.
-        if (deliveryMethod === 'unknown') {
-            Logger.debug(`Delivery Filter: Not hiding item because method is 'unknown'.`, { listing: listing.href });
-            return false;
-        }
+                this.termMatchSelect = new SelectBox({
+                    items: [
+                        {value: 'contains', label: TranslationManager.getText('termMatchContains')},
+                        {value: 'word', label: TranslationManager.getText('termMatchWord')},
+                        {value: 'regex', label: TranslationManager.getText('termMatchRegex')}
+                    ].map(item => ({...item, selected: settings.termMatch === item.value})),
+                    name: 'term-match',
+                    id: 'term-match-select',
+                    container: createRow(),
+                    theme: 'default',
+                    size: 'medium',
+                    onChange: save
+                });
+
+                this.filterLogicSelect = new SelectBox({
+                    items: [
+                        {value: 'and', label: TranslationManager.getText('filterLogicAnd')},
+                        {value: 'or', label: TranslationManager.getText('filterLogicOr')}
+                    ].map(item => ({...item, selected: settings.logic === item.value})),
+                    name: 'filter-logic',
+                    id: 'filter-logic-select',
+                    container: createRow(),
+                    theme: 'default',
+                    size: 'medium',
+                    onChange: save
+                });
 
-        const shouldHide = (filterValue === 'shipping' && deliveryMethod !== 'shipping') ||
-                         (filterValue === 'inperson' && deliveryMethod !== 'inperson');
+                const hint = document.createElement('div');
+                hint.className = 'advanced-filters-hint';
+                hint.textContent = TranslationManager.getText('advancedFiltersHint');
+                content.appendChild(hint);
+            }
+        });
 
-        if (shouldHide) {
-             Logger.debug(`Delivery Filter: Hiding item. Filter is '${filterValue}', detected method is '${deliveryMethod}'.`, { listing: listing.href });
-        }
+        return this.togglers.advancedFilters.section;
+    }
+
+    /**
+     * Create the "N hidden" counter of a filter
+     * @param {string} filter - Filter ID from ListingFilterService.FILTERS
+     * @returns {HTMLElement}
+     */
+    static createFilterCounter(filter) {
+        const counter = document.createElement('div');
+        counter.className = 'filter-hidden-count';
+        this.filterCounterElements[filter] = counter;
+        this.updateFilterCounters();
+        return counter;
+    }
+
+    /**
+     * Save the advanced filter controls and re-apply the filters
+     */
+    static async saveAdvancedFilters() {
+        const settings = ListingFilterService.normalizeSettings({
+            minPrice: this.minPriceInput.getValue(),
+            maxPrice: this.maxPriceInput.getValue(),
+            maxDistance: this.maxDistanceSlider.getValue(),
+            minRating: this.minRatingSlider.getValue(),
+            maxAgeDays: this.maxAgeSelect.getValue(),
+            termMatch: this.termMatchSelect.getValue(),
+            logic: this.filterLogicSelect.getValue()
+        });
+
+        await this.savePanelState(ListingFilterService.STORAGE_KEY, settings);
+        await this.applyFilters();
+    }
+
+    /**
+     * Show advanced filter settings changed in another tab
+     * @param {Object} value - Saved settings
+     */
+    static setAdvancedFilterControls(value) {
+        if (!this.minPriceInput) return;
 
-        return shouldHide;
+        const settings = ListingFilterService.normalizeSettings(value);
+        this.minPriceInput.setValue(settings.minPrice ?? '');
+        this.maxPriceInput.setValue(settings.maxPrice ?? '');
+        this.maxDistanceSlider.setValue(settings.maxDistance);
+        this.minRatingSlider.setValue(settings.minRating);
+        this.maxAgeSelect.setValue(String(settings.maxAgeDays));
+        this.termMatchSelect.setValue(settings.termMatch);
+        this.filterLogicSelect.setValue(settings.logic);
     }
 
     /**
@@ -1359,6 +1790,8 @@ class ControlPanel {
                 this.blockedTermsListElement = document.createElement('div');
                 this.blockedTermsListElement.className = 'blocked-terms-list';
                 content.appendChild(this.blockedTermsListElement);
+
+                content.appendChild(this.createFilterCounter('keyword'));
             }
         });
 
@@ -1371,6 +1804,11 @@ class ControlPanel {
      * @param {HTMLElement} container - The container for options
      */
     static updateFormatOptions(format, container) {
+        // Binary formats can't be copied as text
+        if (this.exportCopyButton) {
+            this.exportCopyButton.disabled = format.binary;
+        }
+
         // Clear existing options
         container.innerHTML = '';
 
@@ -1511,7 +1949,7 @@ class ControlPanel {
                 exportButtonsContainer.className = 'export-buttons-container';
 
                 // Copy button
-                const copyButton = this.createButton(
+                const copyButton = this.exportCopyButton = this.createButton(
                     TranslationManager.getText('copyToClipboard'),
                     'export-button',
                     () => this.copyToClipboard()
@@ -1577,8 +2015,8 @@ class ControlPanel {
     static copyToClipboard() {
         // Get the currently selected format
         const selectedFormat = window.currentSelectedFormat;
-        if (!selectedFormat || DescriptionManager.expandedItems.length === 0) {
-            // No format selected or no data to export
+        if (!selectedFormat || selectedFormat.binary || !this.hasExportData(selectedFormat)) {
+            // No format selected, a download-only format or no data to export
             return;
         }
 
@@ -1612,7 +2050,7 @@ class ControlPanel {
     static downloadFormatted() {
         // Get the currently selected format
         const selectedFormat = window.currentSelectedFormat;
-        if (!selectedFormat || DescriptionManager.expandedItems.length === 0) {
+        if (!selectedFormat || !this.hasExportData(selectedFormat)) {
             // No format selected or no data to export
             return;
         }
@@ -1648,6 +2086,19 @@ class ControlPanel {
         }
     }
 
+    /**
+     * Check whether there is anything to export in a format
+     * Price history covers every listing seen so far, not only the expanded ones.
+     * @param {FormatOption} format - The selected format
+     * @returns {boolean}
+     */
+    static hasExportData(format) {
+        if (format.id === 'price-history') {
+            return Object.keys(PriceHistoryService.records).length > 0;
+        }
+        return DescriptionManager.expandedItems.length > 0;
+    }
+
     static saveExportFormat(formatId, categoryId) {
         try {
             localStorage.setItem('wallapop-export-format', JSON.stringify({id: formatId, category: categoryId}));
@@ -1684,10 +2135,12 @@ class ControlPanel {
             'csv': this.formatAsCsv,
             'tsv': this.formatAsTsv,
             'xml': this.formatAsXml,
+            'price-history': (items, options) => PriceHistoryService.formatAsCsv(PriceHistoryService.records, options),
 
             // Spreadsheet formats
             'excel-csv': this.formatAsExcelCsv,
-            'excel-xml': this.formatAsExcelXml
+            'excel-xml': this.formatAsExcelXml,
+            'xlsx': (items, options) => XlsxWriter.formatItems(items, options)
         };
 
         return formatters[format.id];
@@ -1710,7 +2163,7 @@ class ControlPanel {
             },
             contentCreator: async (content) => {
                 // Create select element
-                new SelectBox({
+                this.deliveryMethodSelect = new SelectBox({
                     items: [
                         {
                             value: 'all',
@@ -1733,67 +2186,20 @@ class ControlPanel {
                     container: content, // the container passed to the contentCreator callback
                     onChange: async (value, event) => {
                         await this.savePanelState('deliveryMethodFilter', value);
-                        await this.applyDeliveryMethodFilter();
+                        await this.applyFilters();
                     },
                     theme: 'default', // or set a different theme if needed
                     size: 'medium',
                     placeholder: TranslationManager.getText('selectDeliveryMethod') // Make sure to add this key in translations if required
                 });
+
+                content.appendChild(this.createFilterCounter('delivery'));
             }
         });
 
         return this.togglers.deliveryMethod.section;
     }
 
-    /**
-     * Apply delivery method filter
-     */
-    static async applyDeliveryMethodFilter() {
-        Logger.debug("Applying delivery method filter");
-
-        const allSelectors = SELECTORS.ITEM_CARDS.join(', ');
-        const allListings = document.querySelectorAll(allSelectors);
-
-        // Get current filter value
-        const filterValue = await this.loadPanelState('deliveryMethodFilter', 'shipping');
-
-        if (filterValue === 'all') {
-            // Show all listings (that aren't hidden by other filters)
-            allListings.forEach(listing => {
-                if (!this.shouldHideListing(listing)) {
-                    this.showListing(listing);
-                }
-            });
-            return;
-        }
-
-        let hiddenCount = 0;
-
-        for (const listing of allListings) {
-            // First check if it should be hidden by the keyword filter
-            if (this.shouldHideListing(listing)) {
-                this.hideListing(listing);
-                hiddenCount++;
-                continue;
-            }
-
-            // Then check delivery method
-            const deliveryMethod = this.getDeliveryMethod(listing);
-
-            if (
-                (filterValue === 'shipping' && deliveryMethod !== 'shipping') ||
-                (filterValue === 'inperson' && deliveryMethod !== 'inperson')
-            ) {
-                this.hideListing(listing);
-                hiddenCount++;
-            } else {
-                this.showListing(listing);
-            }
-        }
-
-        Logger.debug(`Delivery method filter applied: ${hiddenCount} listings hidden out of ${allListings.length}`);
-    }
-
     /**
      * Detect the delivery method of a listing
      * @param {HTMLElement} listing - The listing element
@@ -2353,6 +2759,202 @@ class ControlPanel {
             .replace(/'/g, '&apos;');
     }
 
+    /**
+     * Create the saved searches section
+     */
+    static async createSavedSearchesSection(container) {
+        // Load saved state
+        const isExpanded = await this.loadPanelState('isSavedSearchesSectionExpanded', false);
+
+        this.togglers.savedSearches = new SectionToggler({
+            container,
+            sectionClass: 'saved-searches',
+            title: TranslationManager.getText('savedSearches'),
+            isExpanded,
+            onToggle: async (state) => {
+                await this.savePanelState('isSavedSearchesSectionExpanded', state);
+            },
+            contentCreator: async (content) => {
+                const createInput = (className, placeholder, type = 'text') => {
+                    const input = document.createElement('input');
+                    input.type = type;
+                    input.className = `filter-input saved-search-input ${className}`;
+                    input.placeholder = TranslationManager.getText(placeholder);
+                    return input;
+                };
+
+                const nameInput = createInput('saved-search-name', 'savedSearchName');
+                const rulesInput = createInput('saved-search-rules', 'savedSearchRules');
+                const minPriceInput = createInput('saved-search-min-price', 'minPrice', 'number');
+                const maxPriceInput = createInput('saved-search-max-price', 'maxPrice', 'number');
+
+                const priceRow = document.createElement('div');
+                priceRow.className = 'saved-search-price-row';
+                priceRow.appendChild(minPriceInput);
+                priceRow.appendChild(maxPriceInput);
+
+                content.appendChild(nameInput);
+                content.appendChild(rulesInput);
+                content.appendChild(priceRow);
+
+                const deliverySelect = new SelectBox({
+                    items: [
+                        {value: 'all', label: TranslationManager.getText('showAll'), selected: true},
+                        {value: 'shipping', label: TranslationManager.getText('showOnlyShipping')},
+                        {value: 'inperson', label: TranslationManager.getText('showOnlyInPerson')}
+                    ],
+                    name: 'saved-search-delivery',
+                    id: 'saved-search-delivery-select',
+                    container: content,
+                    theme: 'default',
+                    size: 'medium'
+                });
+
+                const intervalSelect = new SelectBox({
+                    items: SavedSearchService.INTERVALS.map(minutes => ({
+                        value: String(minutes),
+                        label: TranslationManager.getText('checkEvery', {minutes}),
+                        selected: minutes === 15
+                    })),
+                    name: 'saved-search-interval',
+                    id: 'saved-search-interval-select',
+                    container: content,
+                    theme: 'default',
+                    size: 'medium'
+                });
+
+                const isSearchPage = SavedSearchService.isSearchUrl(window.location.href);
+                this.createButton(
+                    TranslationManager.getText('saveCurrentSearch'),
+                    'panel-button saved-search-save',
+                    async () => {
+                        await SavedSearchService.addSearch({
+                            url: window.location.href,
+                            name: nameInput.value,
+                            rules: rulesInput.value,
+                            minPrice: minPriceInput.value,
+                            maxPrice: maxPriceInput.value,
+                            deliveryMethod: deliverySelect.getValue(),
+                            intervalMinutes: intervalSelect.getValue()
+                        });
+                        SavedSearchService.requestDesktopPermission();
+                        [nameInput, rulesInput, minPriceInput, maxPriceInput].forEach(input => {
+                            input.value = '';
+                        });
+                        // The first check records what is already listed so only later listings alert
+                        await SavedSearchService.checkDueSearches();
+                    },
+                    {disabled: !isSearchPage, successText: TranslationManager.getText('saved'), container: content}
+                );
+
+                if (!isSearchPage) {
+                    const hint = document.createElement('div');
+                    hint.className = 'saved-search-hint';
+                    hint.textContent = TranslationManager.getText('openSearchToSave');
+                    content.appendChild(hint);
+                }
+
+                this.savedSearchesListElement = document.createElement('div');
+                this.savedSearchesListElement.className = 'saved-searches-list';
+                content.appendChild(this.savedSearchesListElement);
+
+                this.updateSavedSearchesList(await SavedSearchService.load());
+            }
+        });
+
+        return this.togglers.savedSearches.section;
+    }
+
+    /**
+     * Render the saved searches with their last check and actions
+     * @param {Array<Object>} searches - Saved searches
+     */
+    static updateSavedSearchesList(searches) {
+        if (!this.savedSearchesListElement) return;
+
+        this.savedSearchesListElement.innerHTML = '';
+
+        if (searches.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'saved-search-hint';
+            emptyMessage.textContent = TranslationManager.getText('noSavedSearches');
+            this.savedSearchesListElement.appendChild(emptyMessage);
+            return;
+        }
+
+        searches.forEach(search => {
+            const item = document.createElement('div');
+            item.className = 'saved-search-item';
+
+            const header = document.createElement('div');
+            header.className = 'saved-search-header';
+
+            new Checkbox({
+                label: search.name,
+                checked: search.enabled,
+                container: header,
+                className: 'saved-search-toggle',
+                size: 'small',
+                onChange: async (e) => {
+                    await SavedSearchService.updateSearch(search.id, {enabled: e.target.checked});
+                }
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-term';
+            removeButton.textContent = '×';
+            removeButton.title = TranslationManager.getText('delete');
+            removeButton.addEventListener('click', async () => {
+                await SavedSearchService.removeSearch(search.id);
+                this.updateSavedSearchesList(SavedSearchService.searches);
+            });
+            header.appendChild(removeButton);
+            item.appendChild(header);
+
+            const details = document.createElement('div');
+            details.className = 'saved-search-details';
+            const filters = [
+                search.rules,
+                search.minPrice !== null || search.maxPrice !== null ? `${search.minPrice ?? 0}–${search.maxPrice ?? '∞'} €` : '',
+                search.deliveryMethod !== 'all' ? TranslationManager.getText(search.deliveryMethod === 'shipping' ? 'showOnlyShipping' : 'showOnlyInPerson') : '',
+                TranslationManager.getText('checkEvery', {minutes: search.intervalMinutes})
+            ].filter(Boolean);
+            details.textContent = filters.join(' · ');
+            item.appendChild(details);
+
+            const status = document.createElement('div');
+            status.className = 'saved-search-details';
+            status.textContent = search.lastRun
+                ? TranslationManager.getText('savedSearchStatus', {
+                    time: new Date(search.lastRun).toLocaleTimeString(),
+                    count: search.lastMatches || 0
+                })
+                : TranslationManager.getText('notCheckedYet');
+            item.appendChild(status);
+
+            const actions = document.createElement('div');
+            actions.className = 'saved-search-actions';
+            this.createButton(
+                TranslationManager.getText('runNow'),
+                'panel-button saved-search-run',
+                async () => {
+                    await SavedSearchService.updateSearch(search.id, {lastRun: null});
+                    await SavedSearchService.checkDueSearches();
+                },
+                {container: actions}
+            );
+            this.createButton(
+                TranslationManager.getText('open'),
+                'panel-button saved-search-open',
+                () => window.open(search.url, '_blank'),
+                {container: actions}
+            );
+            item.appendChild(actions);
+
+            this.savedSearchesListElement.appendChild(item);
+        });
+    }
+
     /**
      * Create the language section
      */
@@ -2419,6 +3021,41 @@ class ControlPanel {
         return this.togglers.language.section;
     }
 
+    /**
+     * Create the settings backup section (export/import of filters, panel options and language)
+     */
+    static async createBackupSection(container) {
+        const isExpanded = await this.loadPanelState('isBackupSectionExpanded', false);
+
+        this.togglers.backup = new SectionToggler({
+            container,
+            sectionClass: 'backup',
+            title: TranslationManager.getText('settingsBackup'),
+            isExpanded,
+            onToggle: async (state) => {
+                await this.savePanelState('isBackupSectionExpanded', state);
+            },
+            contentCreator: (content) => {
+                content.appendChild(this.settingsBackup.createSection({
+                    title: null,
+                    description: TranslationManager.getText('settingsBackupDescription'),
+                    exportText: TranslationManager.getText('exportSettings'),
+                    importText: TranslationManager.getText('importSettings'),
+                    onImported: async () => {
+                        // Stored values changed underneath the cached panel state
+                        this.panelStateCache = {};
+                        this.loadBlockedTerms();
+                        TranslationManager.loadLanguagePreference();
+                        this.updateUILanguage();
+                        await this.applyFilters();
+                    }
+                }));
+            }
+        });
+
+        return this.togglers.backup.section;
+    }
+
     /**
      * Create the main control panel
      */
@@ -2441,9 +3078,12 @@ class ControlPanel {
                     await this.createExpandAllSection(contentContainer);
                     await this.createFilterSection(contentContainer);
                     await this.createDeliveryMethodSection(contentContainer);
+                    await this.createAdvancedFiltersSection(contentContainer);
                     await this.createReservedListingsSection(contentContainer);
                     await this.createCopySection(contentContainer);
+                    await this.createSavedSearchesSection(contentContainer);
                     await this.createLanguageSection(contentContainer);
+                    await this.createBackupSection(contentContainer);
 
                     return contentContainer;
                 }
@@ -2471,6 +3111,44 @@ class ControlPanel {
         Logger.debug("Sidebar panel created for Wallapop Tools");
     }
 
+    /**
+     * Apply filter and language changes made in other Wallapop tabs, so a stale tab neither
+     * shows outdated filters nor overwrites them on its next save
+     */
+    static setupStorageSync() {
+        StorageSync.subscribeLocal('wallapop-blocked-terms', async (terms) => {
+            this.blockedTerms = Array.isArray(terms) ? terms : [];
+            this.updateBlockedTermsList();
+            await this.applyFilters();
+        });
+
+        StorageSync.subscribeLocal(TranslationManager.storageKey, () => {
+            TranslationManager.loadLanguagePreference();
+            document.querySelectorAll('.lang-button').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.lang === TranslationManager.currentLanguage);
+            });
+            this.updateUILanguage();
+        });
+
+        const panelStateControls = {
+            hideReservedListings: (value) => this.hideReservedCheckbox?.setChecked(value),
+            deliveryMethodFilter: (value) => this.deliveryMethodSelect?.setValue(value),
+            [ListingFilterService.STORAGE_KEY]: (value) => this.setAdvancedFilterControls(value),
+            expandAllDelay: (value) => this.delaySlider?.setValue(parseInt(value))
+        };
+
+        Object.entries(panelStateControls).forEach(([key, updateControl]) => {
+            StorageSync.subscribe(key, async (value) => {
+                if (value === null || value === undefined) return;
+
+                this.panelStateCache[key] = value;
+                updateControl(value);
+                await this.applyFilters();
+                Logger.debug('Panel state changed in another tab', {key, value});
+            });
+        });
+    }
+
     /**
      * Load blocked terms from localStorage
      */
@@ -2571,50 +3249,71 @@ class ControlPanel {
     }
 
     /**
-     * Apply all filters including keywords, delivery method, and reserved status
-     * Modified to include the reserved filter
+     * Get the current settings of every filter
+     * @returns {Promise<Object>} Settings for ListingFilterService.evaluate()
+     */
+    static async getFilterSettings() {
+        return {
+            ...ListingFilterService.normalizeSettings(await this.loadPanelState(ListingFilterService.STORAGE_KEY, {})),
+            blockedTerms: this.blockedTerms,
+            deliveryMethod: await this.loadPanelState('deliveryMethodFilter', 'all'),
+            hideReserved: await this.loadPanelState('hideReservedListings', true)
+        };
+    }
+
+    /**
+     * Apply all filters: keywords, delivery method, reserved status, price, distance, seller rating and age
      */
     static async applyFilters() {
         Logger.debug("--- Applying all filters ---");
 
         const allSelectors = SELECTORS.ITEM_CARDS.join(', ');
         const allListings = document.querySelectorAll(allSelectors);
-
-        let hiddenCount = 0;
+        const settings = await this.getFilterSettings();
+        const results = [];
 
         for (const listing of allListings) {
             const listingTitle = listing.querySelector('a')?.title || listing.href || 'Unknown Listing';
 
-            const hideByKeyword = this.shouldHideListing(listing);
-            const hideByDelivery = await this.shouldHideByDeliveryMethod(listing);
-            const hideByReserved = await this.loadPanelState('hideReservedListings', true) &&
-                this.isReservedListing(listing);
-
-            const reasons = [];
-            if (hideByKeyword) reasons.push('keyword');
-            if (hideByDelivery) reasons.push('delivery');
-            if (hideByReserved) reasons.push('reserved');
+            const result = ListingFilterService.evaluate({
+                ...ListingFilterService.readListing(listing),
+                deliveryMethod: this.getDeliveryMethod(listing),
+                reserved: this.isReservedListing(listing)
+            }, settings);
+            results.push(result);
 
-            if (reasons.length > 0) {
-                Logger.debug(`Hiding Listing: ${listingTitle}`, { reasons: reasons.join(', ') });
+            if (result.hide) {
+                Logger.debug(`Hiding Listing: ${listingTitle}`, { reasons: result.reasons.join(', ') });
                 this.hideListing(listing);
-                hiddenCount++;
-
-                // Mark appropriately for later filter toggling
-                if (hideByReserved) {
-                    listing.dataset.reservedHidden = 'true';
-                }
             } else {
                 this.showListing(listing);
             }
+
+            // Mark appropriately for the reserved counter
+            if (result.hide && result.reasons.includes('reserved')) {
+                listing.dataset.reservedHidden = 'true';
+            } else {
+                delete listing.dataset.reservedHidden;
+            }
         }
 
-        Logger.debug(`Filter Run Complete: ${hiddenCount} listings hidden out of ${allListings.length}`);
+        this.filterCounts = ListingFilterService.countHidden(results);
+        Logger.debug(`Filter Run Complete: ${this.filterCounts.total} listings hidden out of ${allListings.length}`, this.filterCounts);
 
-        // Update reserved status count
+        this.updateFilterCounters();
         await this.updateReservedStatusCount();
     }
 
+    /**
+     * Show how many listings each filter hides
+     */
+    static updateFilterCounters() {
+        Object.entries(this.filterCounterElements).forEach(([filter, element]) => {
+            const count = this.filterCounts[filter] || 0;
+            element.textContent = count > 0 ? TranslationManager.getText('hiddenCount', {count}) : '';
+        });
+    }
+
     /**
      * Update the count of hidden reserved listings
      */
@@ -2660,28 +3359,6 @@ class ControlPanel {
         }, 1500);
     }
 
-    /**
-     * Determine if a listing should be hidden based on blocked terms
-     */
-    static shouldHideListing(listing) {
-        if (this.blockedTerms.length === 0) {
-            return false;
-        }
-
-        // Get all text content from the listing
-        const listingText = listing.textContent.toLowerCase();
-
-        // Check if any blocked term is in the listing
-        return this.blockedTerms.some(term => {
-            const lowerCaseTerm = term.toLowerCase();
-            const isBlocked = listingText.includes(lowerCaseTerm);
-            if (isBlocked) {
-                Logger.debug(`Keyword Filter: '${lowerCaseTerm}' found in listing`, { listing: listingText });
-            }
-            return isBlocked;
-        });
-    }
-
     /**
      * Hide a listing with animation
      */
@@ -2721,7 +3398,10 @@ class ControlPanel {
      * Add a blocked term from the input field
      */
     static async addBlockedTerm() {
-        const term = this.filterInputElement.value.trim().toLowerCase();
+        // Regular expressions keep their case so escapes like \D or \W keep their meaning
+        const {termMatch} = ListingFilterService.normalizeSettings(await this.loadPanelState(ListingFilterService.STORAGE_KEY, {}));
+        const value = this.filterInputElement.value.trim();
+        const term = termMatch === 'regex' ? value : value.toLowerCase();
 
         if (term && !this.blockedTerms.includes(term)) {
             this.blockedTerms.push(term);
@@ -2760,6 +3440,7 @@ class ControlPanel {
         try {
             await GMFunctions.setValue(key, value); // Use await and GMFunctions.setValue
             this.panelStateCache[key] = value; // Update cache
+            StorageSync.notify(key, value); // Let other Wallapop tabs pick up the change
             Logger.debug('Panel state saved', {key, value});
         } catch (error) {
             Logger.error('Error saving panel state:', error, {key});
@@ -2860,6 +3541,11 @@ class ControlPanel {
         updateText('.delivery-options label[for="delivery-option-shipping"]', 'showOnlyShipping');
         updateText('.delivery-options label[for="delivery-option-inperson"]', 'showOnlyInPerson');
 
+        // Update expand all section
+        updateText('.fetch-details-button', 'fetchAllDetails');
+        updateText('.detail-run-cancel', 'cancel');
+        updateText('.detail-run-pause', ListingDetailService.isPaused() ? 'resume' : 'pause');
+
         // Update filter section
         if (this.filterInputElement) {
             this.filterInputElement.placeholder = TranslationManager.getText('example');
@@ -2894,6 +3580,22 @@ class ControlPanel {
             this.updateReservedStatusCount();
         }
 
+        if (this.togglers.advancedFilters) {
+            const titleElement = this.togglers.advancedFilters.sectionElement.querySelector('.userscripts-section__title');
+            if (titleElement) {
+                titleElement.textContent = TranslationManager.getText('advancedFilters');
+            }
+        }
+        this.updateFilterCounters();
+
+        if (this.togglers.savedSearches) {
+            const titleElement = this.togglers.savedSearches.sectionElement.querySelector('.userscripts-section__title');
+            if (titleElement) {
+                titleElement.textContent = TranslationManager.getText('savedSearches');
+            }
+            this.updateSavedSearchesList(SavedSearchService.searches);
+        }
+
         // Update all expand buttons on the page
         document.querySelectorAll(SELECTORS.EXPAND_BUTTON).forEach(button => {
             if (!button.textContent.includes('...')) {
@@ -2980,10 +3682,12 @@ class ControlPanel {
             'csv': {extension: 'csv', mimeType: 'text/csv'},
             'tsv': {extension: 'tsv', mimeType: 'text/tab-separated-values'},
             'xml': {extension: 'xml', mimeType: 'application/xml'},
+            'price-history': {extension: 'csv', mimeType: 'text/csv'},
 
             // Spreadsheet formats
             'excel-csv': {extension: 'csv', mimeType: 'text/csv'},
-            'excel-xml': {extension: 'xml', mimeType: 'application/xml'}
+            'excel-xml': {extension: 'xml', mimeType: 'application/xml'},
+            'xlsx': {extension: 'xlsx', mimeType: XlsxWriter.MIME_TYPE}
         };
 
         return fileInfo[formatId] || {extension: 'txt', mimeType: 'text/plain'};
@@ -0,0 +1,238 @@
+import {ExportUtils} from "../../../common/core";
+
+/**
+ * TweetArchive - Collects tweets from an auto-scrolled profile, search or conversation page,
+ * rebuilds the reply chains into a tree and exports the result.
+ *
+ * Tweets are the objects returned by XTweetExtractor.extractTweetData(), kept in the order they were
+ * first seen on the page. On a conversation page (/status/<id>) the tweets above the focal tweet are
+ * its ancestors, and replies without an explicit parent are attached to the focal tweet.
+ */
+export default class TweetArchive {
+    static FORMATS = {
+        json: {label: 'JSON', extension: 'json', mimeType: 'application/json'},
+        csv: {label: 'CSV', extension: 'csv', mimeType: 'text/csv'},
+        markdown: {label: 'Markdown', extension: 'md', mimeType: 'text/markdown'}
+    };
+
+    static CSV_COLUMNS = [
+        'tweetId', 'url', 'parentId', 'depth', 'username', 'displayName', 'datetime', 'lang', 'content',
+        'replies', 'reposts', 'likes', 'views', 'media', 'quoteTweetId', 'quoteUsername', 'quoteContent'
+    ];
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url] - Page the archive was taken from
+     * @param {string|null} [options.focalTweetId] - Focal tweet of a conversation page
+     */
+    constructor(options = {}) {
+        this.url = options.url || '';
+        this.focalTweetId = options.focalTweetId || null;
+        this.tweets = new Map();
+        this.createdAt = new Date().toISOString();
+    }
+
+    /**
+     * Get the focal tweet ID of a conversation URL
+     * @param {string} url - Page URL
+     * @return {string|null}
+     */
+    static getFocalTweetId(url) {
+        const match = String(url || '').match(/\/status\/(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Add a tweet; a tweet seen again keeps its position and gets any newly available fields
+     * @param {Object} tweet - Tweet data
+     * @return {boolean} True when the tweet is new
+     */
+    add(tweet) {
+        if (!tweet || !tweet.tweetId) {
+            return false;
+        }
+
+        const existing = this.tweets.get(tweet.tweetId);
+        if (existing) {
+            Object.entries(tweet).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') {
+                    existing[key] = value;
+                }
+            });
+            return false;
+        }
+
+        this.tweets.set(tweet.tweetId, {...tweet});
+        return true;
+    }
+
+    /**
+     * Number of archived tweets
+     * @return {number}
+     */
+    get size() {
+        return this.tweets.size;
+    }
+
+    /**
+     * Archived tweets in the order they were first seen
+     * @return {Object[]}
+     */
+    getTweets() {
+        return Array.from(this.tweets.values());
+    }
+
+    /**
+     * Find the parent of every tweet
+     * @return {Map<string, string|null>} Tweet ID to parent tweet ID
+     */
+    getParents() {
+        const tweets = this.getTweets();
+        const focalIndex = this.focalTweetId ? tweets.findIndex((tweet) => tweet.tweetId === this.focalTweetId) : -1;
+        const parents = new Map();
+
+        tweets.forEach((tweet, index) => {
+            let parentId = null;
+            if (tweet.replyTweetId && this.tweets.has(tweet.replyTweetId)) {
+                parentId = tweet.replyTweetId;
+            } else if (focalIndex !== -1) {
+                // Ancestors (and the focal tweet) hang off the tweet above them, later tweets off the focal tweet
+                parentId = index <= focalIndex ? (tweets[index - 1]?.tweetId || null) : this.focalTweetId;
+            }
+            parents.set(tweet.tweetId, parentId === tweet.tweetId ? null : parentId);
+        });
+
+        // Break cycles that wrong reply links could create
+        parents.forEach((parentId, tweetId) => {
+            const seen = new Set([tweetId]);
+            let current = parentId;
+            while (current) {
+                if (seen.has(current)) {
+                    parents.set(tweetId, null);
+                    break;
+                }
+                seen.add(current);
+                current = parents.get(current);
+            }
+        });
+
+        return parents;
+    }
+
+    /**
+     * Rebuild reply chains into a tree
+     * @return {Object[]} Root tweets, each with a children array of its replies
+     */
+    buildTree() {
+        const parents = this.getParents();
+        const nodes = new Map(this.getTweets().map((tweet) => [tweet.tweetId, {...tweet, children: []}]));
+        const roots = [];
+
+        nodes.forEach((node, tweetId) => {
+            const parentId = parents.get(tweetId);
+            if (parentId && nodes.has(parentId)) {
+                nodes.get(parentId).children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        return roots;
+    }
+
+    /**
+     * Flatten the tree depth-first with each tweet's parent and depth
+     * @return {Array<{tweet: Object, parentId: string|null, depth: number}>}
+     */
+    flatten() {
+        const rows = [];
+        const visit = (node, parentId, depth) => {
+            const {children, ...tweet} = node;
+            rows.push({tweet, parentId, depth});
+            children.forEach((child) => visit(child, node.tweetId, depth + 1));
+        };
+        this.buildTree().forEach((root) => visit(root, null, 0));
+        return rows;
+    }
+
+    /**
+     * Export as JSON with the reply tree
+     * @return {string}
+     */
+    toJson() {
+        return JSON.stringify({
+            url: this.url,
+            focalTweetId: this.focalTweetId,
+            createdAt: this.createdAt,
+            exportedAt: new Date().toISOString(),
+            count: this.size,
+            tweets: this.buildTree()
+        }, null, 2);
+    }
+
+    /**
+     * Export as CSV, one row per tweet in tree order
+     * @return {string}
+     */
+    toCsv() {
+        const rows = this.flatten().map(({tweet, parentId, depth}) => {
+            const values = {
+                ...tweet,
+                parentId,
+                depth,
+                media: (tweet.media || []).join(' '),
+                quoteTweetId: tweet.quote?.tweetId,
+                quoteUsername: tweet.quote?.username,
+                quoteContent: tweet.quote?.content
+            };
+            return ExportUtils.toCsvRow(TweetArchive.CSV_COLUMNS.map((column) => values[column]));
+        });
+
+        return [TweetArchive.CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Export as Markdown, replies indented under their parent
+     * @return {string}
+     */
+    toMarkdown() {
+        const lines = [`# X archive`, '', `- Source: ${this.url}`, `- Tweets: ${this.size}`, `- Exported: ${new Date().toISOString()}`, ''];
+
+        this.flatten().forEach(({tweet, depth}) => {
+            const indent = '  '.repeat(depth);
+            const date = tweet.datetime ? tweet.datetime.substring(0, 16).replace('T', ' ') : tweet.datetimeDisplay;
+            const counts = [['💬', tweet.replies], ['🔁', tweet.reposts], ['❤️', tweet.likes], ['👁', tweet.views]]
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([icon, value]) => `${icon} ${value}`)
+                .join(' · ');
+
+            lines.push(`${indent}- **${tweet.displayName}** (@${tweet.username}) · [${date}](${tweet.url})`);
+            (tweet.content || '').split('\n').forEach((line) => lines.push(`${indent}  ${line}`.trimEnd()));
+            if (tweet.quote) {
+                lines.push(`${indent}  > Quoting @${tweet.quote.username}: ${(tweet.quote.content || '').replace(/\n+/g, ' ')}`);
+            }
+            (tweet.media || []).forEach((url) => lines.push(`${indent}  - ${url}`));
+            if (counts) {
+                lines.push(`${indent}  ${counts}`);
+            }
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Export in the given format
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     * @return {string}
+     */
+    export(format) {
+        switch (format) {
+            case 'csv':
+                return this.toCsv();
+            case 'markdown':
+                return this.toMarkdown();
+            default:
+                return this.toJson();
+        }
+    }
+}
@@ -0,0 +1,324 @@
+import {ContentFormatter, ExportUtils} from "../../../common/core";
+
+/**
+ * TweetExportService - Filters extracted tweets and writes them as plain text, a Markdown digest,
+ * JSON Lines or CSV
+ *
+ * Tweets are the objects returned by XTweetExtractor.extractTweetData().
+ */
+export default class TweetExportService {
+    static DEFAULT_FILTERS = {
+        lang: '', // Comma separated language codes, e.g. 'en, es' (empty = any)
+        minLikes: 0,
+        type: 'all', // 'all', 'original' or 'reply'
+        dateFrom: '', // YYYY-MM-DD, inclusive
+        dateTo: '' // YYYY-MM-DD, inclusive
+    };
+
+    static CSV_COLUMNS = [
+        'tweetId', 'url', 'username', 'displayName', 'datetime', 'lang', 'replyTweetId', 'content',
+        'replies', 'reposts', 'likes', 'views', 'media', 'quoteTweetId', 'quoteUsername', 'quoteContent'
+    ];
+
+    /**
+     * Get the available export formats, grouped by category
+     * @return {Object}
+     */
+    static getExportFormats() {
+        return {
+            text: {
+                label: 'Text',
+                formats: {
+                    'plain': {
+                        id: 'plain',
+                        label: 'Plain Text',
+                        description: 'Readable list for pasting into chats and notes',
+                        category: 'text',
+                        extension: 'txt',
+                        mimeType: 'text/plain',
+                        options: [
+                            {
+                                id: 'include-metrics',
+                                label: 'Include engagement counts',
+                                description: 'Add reply, repost, like and view counts',
+                                defaultValue: false
+                            }
+                        ]
+                    },
+                    'markdown': {
+                        id: 'markdown',
+                        label: 'Markdown Digest',
+                        description: 'Tweets grouped by day with the most liked ones first',
+                        category: 'text',
+                        extension: 'md',
+                        mimeType: 'text/markdown',
+                        options: [
+                            {
+                                id: 'include-media',
+                                label: 'Include media links',
+                                description: 'List image and video URLs under each tweet',
+                                defaultValue: true
+                            },
+                            {
+                                id: 'include-metrics',
+                                label: 'Include engagement counts',
+                                description: 'Add reply, repost, like and view counts',
+                                defaultValue: true
+                            }
+                        ]
+                    }
+                }
+            },
+            data: {
+                label: 'Data',
+                formats: {
+                    'jsonl': {
+                        id: 'jsonl',
+                        label: 'JSON Lines',
+                        description: 'One JSON object per tweet',
+                        category: 'data',
+                        extension: 'jsonl',
+                        mimeType: 'application/x-ndjson',
+                        options: []
+                    },
+                    'csv': {
+                        id: 'csv',
+                        label: 'CSV',
+                        description: 'One row per tweet for spreadsheets',
+                        category: 'data',
+                        extension: 'csv',
+                        mimeType: 'text/csv',
+                        options: [
+                            {
+                                id: 'include-headers',
+                                label: 'Include headers',
+                                description: 'Add column names as the first row',
+                                defaultValue: true
+                            }
+                        ]
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Find a format definition by ID
+     * @param {string} formatId - Format identifier
+     * @return {Object|null}
+     */
+    static getFormat(formatId) {
+        for (const category of Object.values(this.getExportFormats())) {
+            if (category.formats[formatId]) {
+                return category.formats[formatId];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the default option values of a format
+     * @param {string} formatId - Format identifier
+     * @return {Object} Option ID to value
+     */
+    static getDefaultOptions(formatId) {
+        const format = this.getFormat(formatId);
+        return Object.fromEntries((format?.options || []).map((option) => [option.id, option.defaultValue]));
+    }
+
+    /**
+     * Keep the tweets that match every filter
+     * @param {Object[]} tweets - Tweet data
+     * @param {Object} [filters] - See DEFAULT_FILTERS
+     * @return {Object[]}
+     */
+    static filterTweets(tweets, filters = {}) {
+        const {lang, minLikes, type, dateFrom, dateTo} = {...this.DEFAULT_FILTERS, ...filters};
+        const languages = String(lang || '').toLowerCase().split(',').map((code) => code.trim()).filter(Boolean);
+        const from = dateFrom ? new Date(`${dateFrom}T00:00:00`) : null;
+        const to = dateTo ? new Date(`${dateTo}T23:59:59.999`) : null;
+
+        return tweets.filter((tweet) => {
+            if (languages.length > 0 && !languages.includes(String(tweet.lang || '').toLowerCase())) {
+                return false;
+            }
+            if (Number(minLikes) > 0 && (tweet.likes || 0) < Number(minLikes)) {
+                return false;
+            }
+            if (type === 'original' && tweet.replyTweetId) {
+                return false;
+            }
+            if (type === 'reply' && !tweet.replyTweetId) {
+                return false;
+            }
+            if (from || to) {
+                const date = tweet.datetime ? new Date(tweet.datetime) : null;
+                if (!date || (from && date < from) || (to && date > to)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Format tweets in the specified format
+     * @param {string} formatId - Format identifier
+     * @param {Object[]} tweets - Tweet data
+     * @param {Object} [options] - Format options; missing ones use the format's defaults
+     * @return {string}
+     */
+    static formatData(formatId, tweets, options = {}) {
+        const settings = {...this.getDefaultOptions(formatId), ...options};
+        const formatters = {
+            'plain': () => this.formatAsPlainText(tweets, settings),
+            'markdown': () => this.formatAsMarkdownDigest(tweets, settings),
+            'jsonl': () => this.formatAsJsonLines(tweets),
+            'csv': () => this.formatAsCsv(tweets, settings)
+        };
+
+        return formatters[formatId] ? formatters[formatId]() : '';
+    }
+
+    /**
+     * Build the download file name
+     * @param {string} formatId - Format identifier
+     * @param {string} [pageUrl] - Page the tweets were extracted from
+     * @return {string}
+     */
+    static getFilename(formatId, pageUrl = '') {
+        const extension = this.getFormat(formatId)?.extension || 'txt';
+        let page = '';
+        try {
+            page = new URL(pageUrl).pathname;
+        } catch (error) {
+            page = '';
+        }
+        const slug = page.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '') || 'home';
+        return `x-tweets-${slug}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+    }
+
+    /**
+     * Map a tweet to the placeholders used by ContentFormatter templates
+     * @param {Object} tweet - Tweet data
+     * @param {Object} options - Format options
+     * @param {string} [indent=''] - Prefix for continuation lines
+     * @return {Object}
+     */
+    static toTemplateData(tweet, options, indent = '') {
+        const metrics = [['replies', tweet.replies], ['reposts', tweet.reposts], ['likes', tweet.likes], ['views', tweet.views]]
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([label, value]) => `${value} ${label}`)
+            .join(' · ');
+        const extras = [];
+        if (tweet.quote) {
+            extras.push(`> Quoting @${tweet.quote.username}: ${(tweet.quote.content || '').replace(/\n+/g, ' ')}`);
+        }
+        if (options['include-media']) {
+            (tweet.media || []).forEach((url) => extras.push(`- ${url}`));
+        }
+        if (options['include-metrics'] && metrics) {
+            extras.push(metrics);
+        }
+
+        return {
+            username: tweet.displayName || tweet.username,
+            handle: tweet.username,
+            time: tweet.datetime ? tweet.datetime.substring(0, 16).replace('T', ' ') : (tweet.datetimeDisplay || ''),
+            url: tweet.url || '',
+            text: (tweet.content || '').split('\n').join(`\n${indent}`),
+            extras: extras.map((line) => `\n${indent}${line}`).join('')
+        };
+    }
+
+    /**
+     * Format tweets as readable text with ContentFormatter's Twitter template
+     * @param {Object[]} tweets - Tweet data
+     * @param {Object} options - Format options
+     * @return {string}
+     */
+    static formatAsPlainText(tweets, options) {
+        const template = ContentFormatter.TEMPLATES.TWITTER_POST;
+        const formatter = ContentFormatter.createFromTemplate('TWITTER_POST', {
+            template: `${template.item}{extras}\n{url}`
+        });
+        return formatter.formatItems(tweets.map((tweet) => this.toTemplateData(tweet, options)), {includeReplies: false});
+    }
+
+    /**
+     * Format tweets as a Markdown digest: a summary, the most liked tweets, then every tweet by day
+     * @param {Object[]} tweets - Tweet data
+     * @param {Object} options - Format options
+     * @return {string}
+     */
+    static formatAsMarkdownDigest(tweets, options) {
+        const formatter = new ContentFormatter({
+            template: '- **{username}** (@{handle}) · [{time}]({url})\n  {text}{extras}',
+            itemSeparator: '\n'
+        });
+        const format = (list) => formatter.formatItems(list.map((tweet) => this.toTemplateData(tweet, options, '  ')), {includeReplies: false});
+
+        const dates = tweets.map((tweet) => tweet.datetime).filter(Boolean).sort();
+        const replies = tweets.filter((tweet) => tweet.replyTweetId).length;
+        const lines = [
+            '# X digest',
+            '',
+            `- Tweets: ${tweets.length} (${tweets.length - replies} original, ${replies} replies)`
+        ];
+        if (dates.length > 0) {
+            lines.push(`- Period: ${dates[0].substring(0, 10)} to ${dates[dates.length - 1].substring(0, 10)}`);
+        }
+
+        const top = tweets.filter((tweet) => tweet.likes > 0).sort((a, b) => b.likes - a.likes).slice(0, 5);
+        if (top.length > 0) {
+            lines.push('', '## Most liked', '', format(top));
+        }
+
+        const days = new Map();
+        [...tweets]
+            .sort((a, b) => String(b.datetime || '').localeCompare(String(a.datetime || '')))
+            .forEach((tweet) => {
+                const day = tweet.datetime ? tweet.datetime.substring(0, 10) : 'Undated';
+                if (!days.has(day)) {
+                    days.set(day, []);
+                }
+                days.get(day).push(tweet);
+            });
+        days.forEach((list, day) => lines.push('', `## ${day}`, '', format(list)));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Format tweets as JSON Lines
+     * @param {Object[]} tweets - Tweet data
+     * @return {string}
+     */
+    static formatAsJsonLines(tweets) {
+        return tweets.map((tweet) => JSON.stringify(tweet)).join('\n') + (tweets.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Format tweets as CSV
+     * @param {Object[]} tweets - Tweet data
+     * @param {Object} options - Format options
+     * @return {string}
+     */
+    static formatAsCsv(tweets, options) {
+        const rows = tweets.map((tweet) => {
+            const values = {
+                ...tweet,
+                media: (tweet.media || []).join(' '),
+                quoteTweetId: tweet.quote?.tweetId,
+                quoteUsername: tweet.quote?.username,
+                quoteContent: tweet.quote?.content
+            };
+            return ExportUtils.toCsvRow(this.CSV_COLUMNS.map((column) => values[column]));
+        });
+
+        if (options['include-headers']) {
+            rows.unshift(this.CSV_COLUMNS.join(','));
+        }
+        return rows.join('\n');
+    }
+}
@@ -1,5 +1,6 @@
 // Import core components
 import {
+    AutoRunner,
     Button,
     Checkbox,
     Debouncer,
@@ -7,14 +8,20 @@ import {
     Logger,
     Notification,
     PubSub,
+    SettingsBackupService,
     SidebarPanel,
     StyleManager,
     TextArea,
     ThrottleService,
     HTMLUtils,
-    ClipboardService
+    ClipboardService,
+    Input,
+    ViewportStabilizer,
+    ExportUtils
 } from "../../common/core";
 import { getValue, setValue } from "../../common/core/utils/GMFunctions";
+import TweetArchive from "./utils/TweetArchive";
+import TweetExportService from "./utils/TweetExportService";
 
 // Configure logger
 Logger.setPrefix("X Tweet Extractor");
@@ -32,29 +39,60 @@ class XTweetExtractor {
         USER_NAME: '[data-testid="User-Name"]',
         USER_LINK: '[data-testid="User-Name"] a[href^="/"]',
         TWEET_TEXT: '[data-testid="tweetText"]',
-        TIME: 'time[datetime]'
+        TIME: 'time[datetime]',
+        PHOTO: '[data-testid="tweetPhoto"] img',
+        VIDEO: '[data-testid="videoPlayer"] video, [data-testid="tweetPhoto"] video',
+        // Quoted tweets are rendered as a clickable card inside the tweet
+        QUOTE_CARD: 'div[role="link"]',
+        ENGAGEMENT_GROUP: '[role="group"][aria-label]',
+        VIEWS_LINK: 'a[href*="/analytics"][aria-label]',
+        // "Pinned" / "<user> reposted" line above a tweet
+        SOCIAL_CONTEXT: '[data-testid="socialContext"]',
+        // Buttons that load hidden replies in a conversation
+        SHOW_MORE_BUTTONS: '[data-testid="cellInnerDiv"] [role="button"]'
     };
 
     static SETTINGS_KEYS = {
         AUTO_EXTRACT: 'xte-auto-extract',
         SHOW_NOTIFICATIONS: 'xte-show-notifications',
-        PANEL_POSITION: 'xte-panel-position'
+        PANEL_POSITION: 'xte-panel-position',
+        ARCHIVE_CUTOFF_DATE: 'xte-archive-cutoff-date',
+        ARCHIVE_FORMAT: 'xte-archive-format',
+        ARCHIVE_SCROLL_DELAY: 'xte-archive-scroll-delay',
+        ARCHIVE_MAX_SCROLLS: 'xte-archive-max-scrolls',
+        EXPORT_FORMAT: 'xte-export-format',
+        EXPORT_OPTIONS: 'xte-export-options',
+        EXPORT_FILTERS: 'xte-export-filters'
     };
 
     static DEFAULT_SETTINGS = {
         AUTO_EXTRACT: true,
         SHOW_NOTIFICATIONS: true,
-        PANEL_POSITION: { x: 20, y: 20 }
+        PANEL_POSITION: { x: 20, y: 20 },
+        ARCHIVE_CUTOFF_DATE: '', // YYYY-MM-DD; archiving stops at older tweets (empty = no cutoff)
+        ARCHIVE_FORMAT: 'json', // 'json', 'csv' or 'markdown'
+        ARCHIVE_SCROLL_DELAY: 1500,
+        ARCHIVE_MAX_SCROLLS: 500,
+        EXPORT_FORMAT: 'jsonl', // Format ID from TweetExportService.getExportFormats()
+        EXPORT_OPTIONS: {}, // Per-format option overrides, e.g. {csv: {'include-headers': false}}
+        EXPORT_FILTERS: { ...TweetExportService.DEFAULT_FILTERS }
     };
 
+    // Scrolls without new tweets before the archive is considered complete
+    static ARCHIVE_IDLE_ROUNDS = 4;
+
     static EVENTS = {
         TWEET_EXTRACTED: 'xte:tweet-extracted',
         TWEETS_CLEARED: 'xte:tweets-cleared',
-        SETTINGS_CHANGED: 'xte:settings-changed'
+        SETTINGS_CHANGED: 'xte:settings-changed',
+        ARCHIVE_STARTED: 'xte:archive-started',
+        ARCHIVE_FINISHED: 'xte:archive-finished',
+        TWEETS_EXPORTED: 'xte:tweets-exported'
     };
 
     constructor() {
         this.extractedTweetIds = new Set();
+        this.extractedTweets = new Map(); // Tweet ID -> extracted data, for structured exports
         this.enhancerId = 'x-tweet-extractor-container';
         this.sidebarPanel = null;
         this.textArea = null;
@@ -66,6 +104,20 @@ class XTweetExtractor {
         this.isExtracting = false;
         this.pendingNotificationCount = 0; // Queue for batched notifications
         this.notificationDebouncer = null; // Debouncer for showing batched notifications
+        // Archive mode state
+        this.archive = null;
+        this.archiveRunner = null;
+        this.archiveStarting = false; // True while startArchive() waits before creating the runner
+        this.archiveStabilizer = null;
+        this.archiveIdleRounds = 0;
+        this.archiveCutoffReached = false;
+        this.archiveStopRequested = false;
+        this.archiveSkippedIds = new Set();
+        this.settingsBackup = new SettingsBackupService({
+            script: 'X Tweet Extractor',
+            keys: XTweetExtractor.SETTINGS_KEYS,
+            defaults: XTweetExtractor.DEFAULT_SETTINGS
+        });
         
         Logger.info("Initializing X Tweet Extractor");
 
@@ -104,6 +156,10 @@ class XTweetExtractor {
         if (this.scrollThrottle) {
             this.scrollThrottle.cancel();
         }
+
+        if (this.archiveRunner && this.archiveRunner.isRunning) {
+            this.archiveRunner.stop('page unload');
+        }
         
         Logger.debug("All subscriptions and resources cleaned up");
     }
@@ -197,6 +253,56 @@ class XTweetExtractor {
                     font-weight: bold;
                     color: #0f1419;
                 }
+
+                #${this.enhancerId} .xte-section {
+                    margin-top: 16px;
+                    padding: 12px;
+                    border: 1px solid #eff3f4;
+                    border-radius: 8px;
+                    font-size: 13px;
+                }
+
+                #${this.enhancerId} .xte-section-title {
+                    font-weight: bold;
+                    margin-bottom: 4px;
+                }
+
+                #${this.enhancerId} .xte-hint,
+                #${this.enhancerId} .xte-status {
+                    color: #536471;
+                    font-size: 12px;
+                    margin-bottom: 8px;
+                }
+
+                #${this.enhancerId} .xte-status {
+                    margin: 8px 0 0;
+                }
+
+                #${this.enhancerId} .xte-label {
+                    display: block;
+                    margin: 8px 0 4px;
+                    color: #536471;
+                }
+
+                #${this.enhancerId} .xte-select {
+                    width: 100%;
+                    padding: 6px;
+                    border: 1px solid #cfd9de;
+                    border-radius: 4px;
+                }
+
+                #${this.enhancerId} .xte-filter-row {
+                    display: flex;
+                    gap: 8px;
+                }
+
+                #${this.enhancerId} .xte-filter-row > * {
+                    flex: 1;
+                }
+
+                #${this.enhancerId} .xte-export-options {
+                    margin-top: 8px;
+                }
             `);
 
             await this.createSidebarPanel();
@@ -346,10 +452,536 @@ class XTweetExtractor {
         });
 
         content.appendChild(controlsSection);
+        content.appendChild(this.createExportSection());
+        content.appendChild(this.createArchiveSection());
+
+        const backupSection = this.settingsBackup.createSection({
+            onImported: async () => {
+                await this.loadSettings();
+                this.autoExtractCheckbox.setChecked(this.settings.AUTO_EXTRACT);
+                this.toggleAutoExtract(this.settings.AUTO_EXTRACT);
+            }
+        });
+        backupSection.style.marginTop = '16px';
+        content.appendChild(backupSection);
 
         return content;
     }
 
+    /**
+     * Create the structured export controls: format picker, format options and filters
+     * @return {HTMLElement}
+     */
+    createExportSection() {
+        const section = document.createElement('div');
+        section.className = 'xte-section xte-export';
+
+        const title = document.createElement('div');
+        title.className = 'xte-section-title';
+        title.textContent = 'Export';
+        section.appendChild(title);
+
+        const formatLabel = document.createElement('label');
+        formatLabel.className = 'xte-label';
+        formatLabel.textContent = 'Format:';
+        section.appendChild(formatLabel);
+
+        this.exportFormatSelect = document.createElement('select');
+        this.exportFormatSelect.className = 'xte-select xte-export-format';
+        Object.values(TweetExportService.getExportFormats()).forEach((category) => {
+            const group = document.createElement('optgroup');
+            group.label = category.label;
+            Object.values(category.formats).forEach((format) => {
+                const option = document.createElement('option');
+                option.value = format.id;
+                option.textContent = format.label;
+                option.title = format.description;
+                group.appendChild(option);
+            });
+            this.exportFormatSelect.appendChild(group);
+        });
+        if (!TweetExportService.getFormat(this.settings.EXPORT_FORMAT)) {
+            this.settings.EXPORT_FORMAT = XTweetExtractor.DEFAULT_SETTINGS.EXPORT_FORMAT;
+        }
+        this.exportFormatSelect.value = this.settings.EXPORT_FORMAT;
+        this.exportFormatSelect.addEventListener('change', () => {
+            this.settings.EXPORT_FORMAT = this.exportFormatSelect.value;
+            this.saveSettings();
+            this.renderExportOptions();
+        });
+        section.appendChild(this.exportFormatSelect);
+
+        this.exportOptionsContainer = document.createElement('div');
+        this.exportOptionsContainer.className = 'xte-export-options';
+        section.appendChild(this.exportOptionsContainer);
+        this.renderExportOptions();
+
+        const filters = this.settings.EXPORT_FILTERS || {};
+        const setFilter = (name, value) => {
+            this.settings.EXPORT_FILTERS = { ...TweetExportService.DEFAULT_FILTERS, ...this.settings.EXPORT_FILTERS, [name]: value };
+            this.saveSettings();
+            this.updateExportSummary();
+        };
+
+        const firstRow = document.createElement('div');
+        firstRow.className = 'xte-filter-row';
+        new Input({
+            label: 'Languages:',
+            placeholder: 'any, or e.g. en, es',
+            value: filters.lang || '',
+            size: 'small',
+            onChange: (event, input) => setFilter('lang', input.getValue().trim()),
+            container: firstRow,
+            scopeSelector: `#${this.enhancerId}`
+        });
+        new Input({
+            type: 'number',
+            label: 'Min. likes:',
+            value: String(filters.minLikes || 0),
+            min: '0',
+            size: 'small',
+            onChange: (event, input) => setFilter('minLikes', Math.max(0, parseInt(input.getValue(), 10) || 0)),
+            container: firstRow,
+            scopeSelector: `#${this.enhancerId}`
+        });
+        section.appendChild(firstRow);
+
+        const typeLabel = document.createElement('label');
+        typeLabel.className = 'xte-label';
+        typeLabel.textContent = 'Tweets:';
+        section.appendChild(typeLabel);
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'xte-select xte-export-type';
+        [['all', 'Originals and replies'], ['original', 'Originals only'], ['reply', 'Replies only']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = filters.type || 'all';
+        typeSelect.addEventListener('change', () => setFilter('type', typeSelect.value));
+        section.appendChild(typeSelect);
+
+        const dateRow = document.createElement('div');
+        dateRow.className = 'xte-filter-row';
+        dateRow.style.marginTop = '8px';
+        [['dateFrom', 'From:'], ['dateTo', 'To:']].forEach(([name, label]) => {
+            new Input({
+                type: 'date',
+                label,
+                value: filters[name] || '',
+                size: 'small',
+                onChange: (event, input) => setFilter(name, input.getValue()),
+                container: dateRow,
+                scopeSelector: `#${this.enhancerId}`
+            });
+        });
+        section.appendChild(dateRow);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 10px; margin-top: 12px;';
+
+        new Button({
+            text: 'Download',
+            onClick: () => this.downloadExport(),
+            theme: 'primary',
+            size: 'medium',
+            className: 'xte-export-download-btn',
+            container: buttons
+        });
+
+        new Button({
+            text: 'Copy',
+            onClick: () => this.copyExport(),
+            theme: 'secondary',
+            size: 'medium',
+            className: 'xte-export-copy-btn',
+            container: buttons
+        });
+        section.appendChild(buttons);
+
+        this.exportSummary = document.createElement('div');
+        this.exportSummary.className = 'xte-status';
+        section.appendChild(this.exportSummary);
+        this.updateExportSummary();
+
+        return section;
+    }
+
+    /**
+     * Show the option checkboxes of the selected export format
+     */
+    renderExportOptions() {
+        if (!this.exportOptionsContainer) return;
+        this.exportOptionsContainer.innerHTML = '';
+
+        const format = TweetExportService.getFormat(this.settings.EXPORT_FORMAT);
+        const values = this.getExportOptions();
+        (format?.options || []).forEach((option) => {
+            new Checkbox({
+                label: option.label,
+                checked: values[option.id],
+                onChange: (event) => {
+                    const saved = this.settings.EXPORT_OPTIONS || {};
+                    this.settings.EXPORT_OPTIONS = {
+                        ...saved,
+                        [format.id]: { ...saved[format.id], [option.id]: event.target.checked }
+                    };
+                    this.saveSettings();
+                },
+                container: this.exportOptionsContainer,
+                scopeSelector: `#${this.enhancerId}`,
+                attributes: { title: option.description }
+            });
+        });
+    }
+
+    /**
+     * Get the option values of the selected export format
+     * @return {Object}
+     */
+    getExportOptions() {
+        const formatId = this.settings.EXPORT_FORMAT;
+        return {
+            ...TweetExportService.getDefaultOptions(formatId),
+            ...(this.settings.EXPORT_OPTIONS || {})[formatId]
+        };
+    }
+
+    /**
+     * Get the extracted tweets that match the export filters
+     * @return {Object[]}
+     */
+    getExportTweets() {
+        return TweetExportService.filterTweets(Array.from(this.extractedTweets.values()), this.settings.EXPORT_FILTERS);
+    }
+
+    /**
+     * Show how many extracted tweets the filters keep
+     */
+    updateExportSummary() {
+        if (!this.exportSummary) return;
+        this.exportSummary.textContent = `${this.getExportTweets().length} of ${this.extractedTweets.size} tweets match the filters`;
+    }
+
+    /**
+     * Format the filtered tweets in the selected format
+     * @return {{content: string, count: number, format: Object}|null} Null when no tweet matches
+     */
+    buildExport() {
+        const tweets = this.getExportTweets();
+        if (tweets.length === 0) {
+            this.showNotification('No tweets match the export filters', 'info');
+            return null;
+        }
+
+        const format = TweetExportService.getFormat(this.settings.EXPORT_FORMAT);
+        const content = TweetExportService.formatData(format.id, tweets, this.getExportOptions());
+        PubSub.publish(XTweetExtractor.EVENTS.TWEETS_EXPORTED, { format: format.id, count: tweets.length });
+        return { content, count: tweets.length, format };
+    }
+
+    /**
+     * Download the filtered tweets
+     */
+    downloadExport() {
+        const result = this.buildExport();
+        if (!result) return;
+
+        const filename = TweetExportService.getFilename(result.format.id, window.location.href);
+        this.downloadFile(result.content, filename, result.format.mimeType);
+    }
+
+    /**
+     * Copy the filtered tweets to the clipboard
+     */
+    async copyExport() {
+        const result = this.buildExport();
+        if (!result) return;
+
+        try {
+            await ClipboardService.copyToClipboard(result.content);
+            this.showNotification(`Copied ${result.count} tweets as ${result.format.label}`, 'success');
+        } catch (error) {
+            Logger.error('Error copying export:', error);
+            this.showNotification('Failed to copy to clipboard', 'error');
+        }
+    }
+
+    /**
+     * Create the archive mode controls
+     * @return {HTMLElement}
+     */
+    createArchiveSection() {
+        const section = document.createElement('div');
+        section.className = 'xte-section xte-archive';
+
+        const title = document.createElement('div');
+        title.className = 'xte-section-title';
+        title.textContent = 'Archive mode';
+        section.appendChild(title);
+
+        const hint = document.createElement('div');
+        hint.className = 'xte-hint';
+        hint.textContent = 'Scrolls this profile, search or thread to the end (or the cutoff date) and keeps reply chains together.';
+        section.appendChild(hint);
+
+        this.archiveCutoffInput = new Input({
+            type: 'date',
+            label: 'Stop at tweets older than:',
+            value: this.settings.ARCHIVE_CUTOFF_DATE || '',
+            className: 'xte-archive-cutoff',
+            onChange: (event, input) => {
+                this.settings.ARCHIVE_CUTOFF_DATE = input.getValue();
+                this.saveSettings();
+            },
+            container: section,
+            scopeSelector: `#${this.enhancerId}`
+        });
+
+        const formatLabel = document.createElement('label');
+        formatLabel.className = 'xte-label';
+        formatLabel.textContent = 'Export format:';
+        section.appendChild(formatLabel);
+
+        this.archiveFormatSelect = document.createElement('select');
+        this.archiveFormatSelect.className = 'xte-select xte-archive-format';
+        Object.entries(TweetArchive.FORMATS).forEach(([value, {label}]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.archiveFormatSelect.appendChild(option);
+        });
+        this.archiveFormatSelect.value = this.settings.ARCHIVE_FORMAT || 'json';
+        this.archiveFormatSelect.addEventListener('change', () => {
+            this.settings.ARCHIVE_FORMAT = this.archiveFormatSelect.value;
+            this.saveSettings();
+        });
+        section.appendChild(this.archiveFormatSelect);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 10px; margin-top: 12px;';
+
+        this.archiveButton = new Button({
+            text: 'Start Archive',
+            onClick: () => this.toggleArchive(),
+            theme: 'primary',
+            size: 'medium',
+            className: 'xte-archive-btn',
+            container: buttons
+        });
+
+        this.archiveDownloadButton = new Button({
+            text: 'Download Archive',
+            onClick: () => this.downloadArchive(),
+            theme: 'secondary',
+            size: 'medium',
+            className: 'xte-archive-download-btn',
+            container: buttons
+        });
+        this.archiveDownloadButton.setDisabled(true);
+        section.appendChild(buttons);
+
+        this.archiveStatus = document.createElement('div');
+        this.archiveStatus.className = 'xte-status';
+        section.appendChild(this.archiveStatus);
+
+        return section;
+    }
+
+    /**
+     * Start or stop archive mode
+     */
+    toggleArchive() {
+        if (this.archiveStarting) {
+            // startArchive() sees this once its wait is over and never creates the runner
+            this.archiveStopRequested = true;
+        } else if (this.archiveRunner && this.archiveRunner.isRunning) {
+            this.archiveStopRequested = true;
+            this.archiveRunner.stop('user requested');
+        } else {
+            this.startArchive().catch((error) => {
+                Logger.error("Error running archive:", error);
+                this.archiveStarting = false;
+                this.archiveButton.setText('Start Archive');
+                this.archiveDownloadButton.setDisabled(!this.archive || this.archive.size === 0);
+                this.updateArchiveStatus(`Archive failed: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * Auto-scroll the page and archive every tweet until the end, the cutoff date or the scroll limit
+     */
+    async startArchive() {
+        this.archiveStarting = true;
+        const focalTweetId = TweetArchive.getFocalTweetId(window.location.pathname);
+        this.archive = new TweetArchive({url: window.location.href, focalTweetId});
+        this.archiveIdleRounds = 0;
+        this.archiveCutoffReached = false;
+        this.archiveStopRequested = false;
+        this.archiveSkippedIds.clear();
+        this.archiveStabilizer = new ViewportStabilizer({
+            scrollOptions: { behavior: 'auto', block: 'start' },
+            stableDurationMs: 600,
+            maxWaitMs: 5000,
+            logger: Logger
+        });
+
+        this.archiveButton.setText('Stop Archive');
+        this.archiveDownloadButton.setDisabled(true);
+        this.updateArchiveStatus('Starting from the top of the page...');
+
+        // Start at the top so ancestors of a conversation come before the focal tweet
+        window.scrollTo(0, 0);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        this.archiveStarting = false;
+        if (this.archiveStopRequested) {
+            this.finishArchive();
+            return;
+        }
+
+        this.archiveRunner = new AutoRunner({
+            name: 'X Archive',
+            taskFunction: () => this.archiveStep(),
+            maxIterations: this.settings.ARCHIVE_MAX_SCROLLS || 500,
+            delay: this.settings.ARCHIVE_SCROLL_DELAY || 1500,
+            shouldContinue: () => !this.archiveStopRequested &&
+                !this.archiveCutoffReached &&
+                this.archiveIdleRounds < XTweetExtractor.ARCHIVE_IDLE_ROUNDS,
+            onProgress: () => this.updateArchiveStatus()
+        });
+
+        const finishEvents = [AutoRunner.EVENTS.STOPPED, AutoRunner.EVENTS.COMPLETED];
+        const subscriptionIds = finishEvents.map((event) => PubSub.subscribe(event, (data) => {
+            if (data.name !== 'X Archive') return;
+            subscriptionIds.forEach((id) => PubSub.unsubscribe(id));
+            this.finishArchive();
+        }));
+
+        PubSub.publish(XTweetExtractor.EVENTS.ARCHIVE_STARTED, {url: this.archive.url, focalTweetId});
+        await this.archiveRunner.start();
+    }
+
+    /**
+     * One archive iteration: collect every rendered tweet, then scroll further down
+     * @return {Promise<number>} Number of new tweets
+     */
+    async archiveStep() {
+        const cutoff = this.settings.ARCHIVE_CUTOFF_DATE ? new Date(`${this.settings.ARCHIVE_CUTOFF_DATE}T00:00:00`) : null;
+        const tweetElements = Array.from(document.querySelectorAll(XTweetExtractor.SELECTORS.TWEET));
+        const newTweets = [];
+
+        tweetElements.forEach((tweetElement) => {
+            const data = this.extractTweetData(tweetElement);
+            if (!data || this.archiveSkippedIds.has(data.tweetId)) return;
+
+            if (cutoff && data.datetime && new Date(data.datetime) < cutoff) {
+                this.archiveSkippedIds.add(data.tweetId);
+                // Pinned tweets and reposts are out of date order; on a conversation page replies are too
+                const socialContext = tweetElement.querySelector(XTweetExtractor.SELECTORS.SOCIAL_CONTEXT);
+                if (!socialContext && !this.archive.focalTweetId) {
+                    this.archiveCutoffReached = true;
+                }
+                return;
+            }
+
+            if (this.archive.add(data)) {
+                newTweets.push(data);
+            }
+        });
+
+        const freshForTextarea = newTweets.filter((data) => !this.extractedTweetIds.has(data.tweetId));
+        if (freshForTextarea.length > 0) {
+            freshForTextarea.forEach((data) => {
+                this.extractedTweetIds.add(data.tweetId);
+                this.extractedTweets.set(data.tweetId, data);
+            });
+            this.appendToTextarea(freshForTextarea);
+            this.updateStats();
+        }
+
+        this.archiveIdleRounds = newTweets.length > 0 ? 0 : this.archiveIdleRounds + 1;
+
+        if (this.archive.focalTweetId) {
+            this.expandHiddenReplies();
+        }
+
+        const lastTweet = tweetElements[tweetElements.length - 1];
+        if (lastTweet) {
+            await this.archiveStabilizer.scrollAndWaitForStable(lastTweet);
+        }
+        // Nudge past the last tweet so the timeline requests the next page
+        window.scrollBy(0, Math.round(window.innerHeight / 2));
+
+        return newTweets.length;
+    }
+
+    /**
+     * Click "Show more replies" style buttons in a conversation
+     */
+    expandHiddenReplies() {
+        document.querySelectorAll(XTweetExtractor.SELECTORS.SHOW_MORE_BUTTONS).forEach((button) => {
+            if (/show (more|additional|probable spam)? ?replies|show replies/i.test(button.textContent || '')) {
+                button.click();
+            }
+        });
+    }
+
+    /**
+     * Wrap up an archive run
+     */
+    finishArchive() {
+        const reason = this.archiveStopRequested ? 'stopped'
+            : this.archiveCutoffReached ? 'cutoff date reached'
+                : this.archiveIdleRounds >= XTweetExtractor.ARCHIVE_IDLE_ROUNDS ? 'end of page' : 'scroll limit reached';
+
+        this.archiveButton.setText('Start Archive');
+        this.archiveDownloadButton.setDisabled(!this.archive || this.archive.size === 0);
+        this.updateArchiveStatus(`Done (${reason}): ${this.archive ? this.archive.size : 0} tweets archived`);
+        this.showNotification(`Archive ${reason}: ${this.archive ? this.archive.size : 0} tweets`, 'success');
+
+        PubSub.publish(XTweetExtractor.EVENTS.ARCHIVE_FINISHED, {reason, count: this.archive ? this.archive.size : 0});
+    }
+
+    /**
+     * Show archive progress
+     * @param {string} [message] - Status text; defaults to the current count
+     */
+    updateArchiveStatus(message) {
+        if (!this.archiveStatus) return;
+        this.archiveStatus.textContent = message || `Archiving... ${this.archive ? this.archive.size : 0} tweets`;
+    }
+
+    /**
+     * Download the archive in the selected format
+     */
+    downloadArchive() {
+        if (!this.archive || this.archive.size === 0) {
+            this.showNotification('Nothing archived yet', 'info');
+            return;
+        }
+
+        const format = this.settings.ARCHIVE_FORMAT || 'json';
+        const {extension, mimeType} = TweetArchive.FORMATS[format] || TweetArchive.FORMATS.json;
+        const pageName = new URL(this.archive.url).pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '') || 'home';
+        const filename = `x-archive-${pageName}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+
+        this.downloadFile(this.archive.export(format), filename, mimeType);
+    }
+
+    /**
+     * Save text as a file and tell the user
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(content, filename, mimeType) {
+        ExportUtils.downloadFile(content, filename, mimeType);
+        this.showNotification(`Downloaded ${filename}`, 'success');
+    }
+
     /**
      * Setup tweet observer to watch for new tweets
      */
@@ -467,6 +1099,7 @@ class XTweetExtractor {
                 if (data && !this.extractedTweetIds.has(data.tweetId)) {
                     extractedData.push(data);
                     this.extractedTweetIds.add(data.tweetId);
+                    this.extractedTweets.set(data.tweetId, data);
                 }
             });
             
@@ -561,8 +1194,13 @@ class XTweetExtractor {
                 }
             }
             
+            // The quoted tweet card has its own user name, text and media; keep them apart
+            const quoteCard = this.findQuoteCard(tweetElement);
+            const ownElements = (selector) => Array.from(tweetElement.querySelectorAll(selector))
+                .filter((element) => !quoteCard || !quoteCard.contains(element));
+
             // Extract content
-            const contentElement = tweetElement.querySelector(XTweetExtractor.SELECTORS.TWEET_TEXT);
+            const contentElement = ownElements(XTweetExtractor.SELECTORS.TWEET_TEXT)[0];
             const content = contentElement?.textContent?.trim() || '';
             
             // Extract datetime
@@ -596,7 +1234,7 @@ class XTweetExtractor {
             
             // Method 2: Check if tweet is in a reply thread context
             if (!replyTweetId) {
-                const contextLinks = tweetElement.querySelectorAll('a[href*="/status/"]');
+                const contextLinks = ownElements('a[href*="/status/"]');
                 for (const link of contextLinks) {
                     const linkHref = link.getAttribute('href');
                     const linkMatch = linkHref.match(/\/status\/(\d+)/);
@@ -612,12 +1250,17 @@ class XTweetExtractor {
             
             return {
                 tweetId,
+                url: `https://x.com/${username}/status/${tweetId}`,
                 username,
                 displayName,
                 content,
+                lang: contentElement?.getAttribute('lang') || null,
                 datetime,
                 datetimeDisplay,
-                replyTweetId
+                replyTweetId,
+                media: this.extractMediaUrls(ownElements(XTweetExtractor.SELECTORS.PHOTO), ownElements(XTweetExtractor.SELECTORS.VIDEO)),
+                quote: quoteCard ? this.extractQuoteData(quoteCard) : null,
+                ...this.extractEngagement(tweetElement)
             };
         } catch (error) {
             Logger.error('Error extracting tweet data:', error);
@@ -625,6 +1268,88 @@ class XTweetExtractor {
         }
     }
 
+    /**
+     * Find the quoted tweet card inside a tweet
+     * @param {Element} tweetElement - Tweet article element
+     * @return {Element|null}
+     */
+    findQuoteCard(tweetElement) {
+        const userNames = tweetElement.querySelectorAll(XTweetExtractor.SELECTORS.USER_NAME);
+        // The first user name belongs to the tweet's author; a second one sits in the quote card
+        const card = userNames.length > 1 ? userNames[1].closest(XTweetExtractor.SELECTORS.QUOTE_CARD) : null;
+        return card && tweetElement.contains(card) ? card : null;
+    }
+
+    /**
+     * Extract the quoted tweet's author, text and time
+     * @param {Element} quoteCard - Quote card element
+     * @return {Object}
+     */
+    extractQuoteData(quoteCard) {
+        const userName = quoteCard.querySelector(XTweetExtractor.SELECTORS.USER_NAME);
+        const handle = Array.from(userName?.querySelectorAll('span') || [])
+            .map((span) => span.textContent.trim())
+            .find((text) => text.startsWith('@'));
+        const statusMatch = quoteCard.querySelector(XTweetExtractor.SELECTORS.STATUS_LINK)?.getAttribute('href')?.match(/\/status\/(\d+)/);
+
+        return {
+            tweetId: statusMatch ? statusMatch[1] : null,
+            username: handle ? handle.substring(1) : null,
+            content: quoteCard.querySelector(XTweetExtractor.SELECTORS.TWEET_TEXT)?.textContent?.trim() || '',
+            datetime: quoteCard.querySelector(XTweetExtractor.SELECTORS.TIME)?.getAttribute('datetime') || null
+        };
+    }
+
+    /**
+     * Get full-size photo URLs and video URLs (the poster when the video is a blob)
+     * @param {Element[]} photos - Photo img elements
+     * @param {Element[]} videos - Video elements
+     * @return {string[]}
+     */
+    extractMediaUrls(photos, videos) {
+        const urls = photos.map((img) => (img.getAttribute('src') || '').replace(/([?&]name=)\w+/, '$1orig'));
+        videos.forEach((video) => {
+            const src = video.getAttribute('src') || video.querySelector('source')?.getAttribute('src') || '';
+            urls.push(src && !src.startsWith('blob:') ? src : video.getAttribute('poster') || '');
+        });
+        return [...new Set(urls.filter(Boolean))];
+    }
+
+    /**
+     * Parse a count as X shows it ("1,400", "25K", "1.2M")
+     * @param {string} text - Count text
+     * @return {number|null}
+     */
+    static parseCount(text) {
+        const match = String(text || '').replace(/,/g, '').match(/([\d.]+)\s*([KMB])?/i);
+        if (!match) {
+            return null;
+        }
+        const multiplier = {K: 1e3, M: 1e6, B: 1e9}[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * Read reply, repost, like and view counts from the tweet's action bar labels
+     * @param {Element} tweetElement - Tweet article element
+     * @return {{replies: number|null, reposts: number|null, likes: number|null, views: number|null}}
+     */
+    extractEngagement(tweetElement) {
+        const counts = {replies: null, reposts: null, likes: null, views: null};
+        const labels = [
+            tweetElement.querySelector(XTweetExtractor.SELECTORS.ENGAGEMENT_GROUP)?.getAttribute('aria-label'),
+            tweetElement.querySelector(XTweetExtractor.SELECTORS.VIEWS_LINK)?.getAttribute('aria-label')
+        ].filter(Boolean).join(', ');
+
+        for (const [, count, metric] of labels.matchAll(/([\d.,]+\s*[KMB]?)\s+(repl(?:y|ies)|reposts?|likes?|views?)/gi)) {
+            const key = metric.toLowerCase().startsWith('repl') ? 'replies' : `${metric.toLowerCase().replace(/s$/, '')}s`;
+            if (counts[key] === null) {
+                counts[key] = XTweetExtractor.parseCount(count);
+            }
+        }
+        return counts;
+    }
+
     /**
      * Format tweet data for display
      */
@@ -665,6 +1390,7 @@ class XTweetExtractor {
         if (statsCount) {
             statsCount.textContent = this.extractedTweetIds.size.toString();
         }
+        this.updateExportSummary();
     }
 
     /**
@@ -675,6 +1401,7 @@ class XTweetExtractor {
             this.textArea.setValue('');
         }
         this.extractedTweetIds.clear();
+        this.extractedTweets.clear();
         this.updateStats();
         this.showNotification('Cleared all extracted tweets', 'info');
         PubSub.publish(XTweetExtractor.EVENTS.TWEETS_CLEARED);
@@ -774,3 +1501,5 @@ function init() {
 
 // Start initialization
 init();
+
+export default XTweetExtractor;